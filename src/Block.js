@@ -1,19 +1,56 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { syncObjectToBody } from './physics.js';
+import { tagBody } from './collisionEvents.js';
+import { getSoilType, getSoilMaterial, getBlockMass } from './soils.js';
+
+/**
+ * Splits a block body into eight blocks of half its size where it stands, e.g.
+ * under the excavator's breaker, and takes the body out of the world.
+ *
+ * @param {Object} soil - The block's soil type
+ * @param {number} size - The block's edge, in metres
+ * @returns {Array<Block>} The pieces
+ */
+export function fractureBlock(scene, physicsWorld, body, soil, size) {
+  physicsWorld.removeBody(body);
+  const pieces = [];
+  const offset = size / 4;
+  for (const x of [-offset, offset]) {
+    for (const y of [-offset, offset]) {
+      for (const z of [-offset, offset]) {
+        const position = body.position.vadd(body.quaternion.vmult(new CANNON.Vec3(x, y, z)));
+        const piece = new Block(scene, physicsWorld, new THREE.Vector3(position.x, position.y, position.z), soil.name, size / 2);
+        piece.body.quaternion.copy(body.quaternion);
+        piece.body.velocity.copy(body.velocity);
+        pieces.push(piece);
+      }
+    }
+  }
+  return pieces;
+}
 
 export class Block {
-  constructor(scene, physicsWorld, startPosition = new THREE.Vector3(0, 10, 0)) {
+  /**
+   * @param {string} [soil] - Soil type (see soils.js), which sets the block's mass, friction and colour
+   * @param {number} [size] - Edge length in metres
+   */
+  constructor(scene, physicsWorld, startPosition = new THREE.Vector3(0, 10, 0), soil = 'sand', size = 1) {
     this.scene = scene;
     this.physicsWorld = physicsWorld;
     this.startPosition = startPosition;
+    this.soil = getSoilType(soil);
+    this.size = size; // 1x1x1 block like Minecraft by default
+    // What the block broke into, once fractured.
+    this.pieces = null;
     this.createBlock();
   }
 
   createBlock() {
-    const blockSize = 1.0; // 1x1x1 block like Minecraft
+    const blockSize = this.size;
     // Create the Three.js mesh
     const geometry = new THREE.BoxGeometry(blockSize, blockSize, blockSize);
-    const material = new THREE.MeshStandardMaterial({ color: 0xd4a017 });
+    const material = new THREE.MeshStandardMaterial({ color: this.soil.color });
     this.mesh = new THREE.Mesh(geometry, material);
     this.mesh.castShadow = true;
     this.mesh.receiveShadow = true;
@@ -21,10 +58,10 @@ export class Block {
     this.scene.add(this.mesh);
 
     // Create the Cannon.js body
-    const mass = 1;
+    const mass = getBlockMass(this.soil.name, blockSize ** 3);
     const halfSize = blockSize * 0.5;
-    const shape = new CANNON.Box(new CANNON.Vec3(halfSize, halfSize, halfSize));
-    this.body = new CANNON.Body({ mass: mass });
+    const shape = this.physicsWorld.createBox(new CANNON.Vec3(halfSize, halfSize, halfSize));
+    this.body = this.physicsWorld.createBody({ mass: mass, material: getSoilMaterial(this.physicsWorld, this.soil.name) });
     this.body.addShape(shape);
     this.body.position.set(
       this.startPosition.x,
@@ -34,12 +71,28 @@ export class Block {
     // Optionally add a little damping to reduce jitter
     this.body.linearDamping = 0.01;
     this.body.angularDamping = 0.01;
+    tagBody(this.body, 'block', 'block', this);
     this.physicsWorld.addBody(this.body);
   }
 
+  /**
+   * Breaks the block into eight of half its size (see fractureBlock); update()
+   * then draws the pieces.
+   *
+   * @returns {Array<Block>} The pieces
+   */
+  fracture() {
+    this.scene.remove(this.mesh);
+    this.pieces = fractureBlock(this.scene, this.physicsWorld, this.body, this.soil, this.size);
+    return this.pieces;
+  }
+
   // Call this on each frame to update the mesh position from the physics body
   update() {
-    this.mesh.position.copy(this.body.position);
-    this.mesh.quaternion.copy(this.body.quaternion);
+    if (this.pieces) {
+      this.pieces.forEach(piece => piece.update());
+      return;
+    }
+    syncObjectToBody(this.mesh, this.body);
   }
 }
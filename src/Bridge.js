@@ -1,13 +1,15 @@
 // bridge.js
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { tagBody } from './collisionEvents.js';
+import { getMaterial } from './materials.js';
 
 /**
  * Creates a ramp between two points with proper physics
  * This simplified version is compatible with index.js
  * 
  * @param {THREE.Scene} scene - The scene to add the ramp to
- * @param {CANNON.World} physicsWorld - The physics world for collisions
+ * @param {PhysicsBackend} physicsWorld - The physics world for collisions
  * @param {CANNON.Material} groundMaterial - Material for physics bodies
  * @param {THREE.Vector3} start - Start point of the ramp
  * @param {THREE.Vector3} end - End point of the ramp
@@ -73,13 +75,13 @@ export function createRamp(scene, physicsWorld, groundMaterial, start, end) {
   ramp.add(rightRail);
   
   // Add physics for the ramp
-  const rampShape = new CANNON.Box(
+  const rampShape = physicsWorld.createBox(
     new CANNON.Vec3(length / 2, rampThickness / 2, rampWidth / 2)
   );
   
-  const rampBody = new CANNON.Body({
+  const rampBody = physicsWorld.createBody({
     mass: 0, // Static body
-    material: groundMaterial
+    material: getMaterial(physicsWorld, 'asphalt')
   });
   
   rampBody.addShape(rampShape);
@@ -97,6 +99,7 @@ export function createRamp(scene, physicsWorld, groundMaterial, start, end) {
   rampBody.quaternion = q1.mult(q2);
   
   // Add to physics world
+  tagBody(rampBody, 'terrain', 'ramp');
   physicsWorld.addBody(rampBody);
   
   return rampGroup;
@@ -108,7 +111,7 @@ export function createRamp(scene, physicsWorld, groundMaterial, start, end) {
  * improved ramps with seamless connections, and enhanced cable system.
  * 
  * @param {THREE.Scene} scene - The scene to add bridge elements to
- * @param {CANNON.World} physicsWorld - The physics world for collisions
+ * @param {PhysicsBackend} physicsWorld - The physics world for collisions
  * @param {CANNON.Material} groundMaterial - Material for physics bodies
  * @param {THREE.Vector3} start - Start point of the bridge
  * @param {THREE.Vector3} end - End point of the bridge
@@ -210,10 +213,10 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
       bridgeGroup.add(abutment);
       
       // Physics for abutment
-      const abutmentShape1 = new CANNON.Box(new CANNON.Vec3(abutmentWidth/2, abutmentHeight/2, abutmentDepth/2));
-      const abutmentBody = new CANNON.Body({
+      const abutmentShape1 = physicsWorld.createBox(new CANNON.Vec3(abutmentWidth/2, abutmentHeight/2, abutmentDepth/2));
+      const abutmentBody = physicsWorld.createBody({
         mass: 0,
-        material: groundMaterial
+        material: getMaterial(physicsWorld, 'concrete')
       });
       abutmentBody.addShape(abutmentShape1);
       const localPos = new THREE.Vector3(abutmentX, groundY + abutmentHeight/2, 0);
@@ -222,6 +225,7 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
       ).add(bridgeGroup.position);
       abutmentBody.position.set(worldPos.x, worldPos.y, worldPos.z);
       abutmentBody.quaternion.setFromEuler(0, bridgeAngle, 0);
+      tagBody(abutmentBody, 'building', 'bridge');
       physicsWorld.addBody(abutmentBody);
       
       // Support columns
@@ -251,15 +255,15 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
         column.position.set(columnX, groundY + columnHeight/2, 0);
         bridgeGroup.add(column);
         
-        const columnShape = new CANNON.Cylinder(
+        const columnShape = physicsWorld.createCylinder(
           columnRadius,
           columnRadius * 1.2,
           columnHeight,
           12
         );
-        const columnBody = new CANNON.Body({
+        const columnBody = physicsWorld.createBody({
           mass: 0,
-          material: groundMaterial
+          material: getMaterial(physicsWorld, 'concrete')
         });
         columnBody.addShape(columnShape);
         const colLocalPos = new THREE.Vector3(columnX, groundY + columnHeight/2, 0);
@@ -268,6 +272,7 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
         ).add(bridgeGroup.position);
         columnBody.position.set(colWorldPos.x, colWorldPos.y, colWorldPos.z);
         columnBody.quaternion.setFromEuler(0, bridgeAngle, 0);
+        tagBody(columnBody, 'building', 'bridge');
         physicsWorld.addBody(columnBody);
       }
     }
@@ -452,10 +457,10 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
         const segLength = p1.distanceTo(p2);
         
         // Create a more robust physics body for the segment with additional friction
-        const segShape = new CANNON.Box(new CANNON.Vec3(segLength / 2, bridgeWidth / 2, deckThickness));
-        const segBody = new CANNON.Body({
+        const segShape = physicsWorld.createBox(new CANNON.Vec3(segLength / 2, bridgeWidth / 2, deckThickness));
+        const segBody = physicsWorld.createBody({
           mass: 0,
-          material: groundMaterial
+          material: getMaterial(physicsWorld, 'asphalt')
         });
         segBody.addShape(segShape);
         
@@ -479,20 +484,7 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
         const q2 = new CANNON.Quaternion(quat.x, quat.y, quat.z, quat.w);
         segBody.quaternion = q1.mult(q2);
         
-        // Create high-friction material for ramp
-        const rampMaterial = new CANNON.Material('ramp');
-        segBody.material = rampMaterial;
-        
-        const rampContactMaterial = new CANNON.ContactMaterial(
-          groundMaterial,
-          rampMaterial,
-          {
-            friction: 1.0,      // High friction to prevent slipping
-            restitution: 0.05   // Low restitution
-          }
-        );
-        physicsWorld.addContactMaterial(rampContactMaterial);
-        
+        tagBody(segBody, 'terrain', 'bridge');
         physicsWorld.addBody(segBody);
       }
       
@@ -637,10 +629,10 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
         towerGroup.add(baseFoundation);
         
         // Add physics for the foundation
-        const foundationShape = new CANNON.Box(new CANNON.Vec3(foundationWidth/2, foundationHeight/2, foundationDepth/2));
-        const foundationBody = new CANNON.Body({
+        const foundationShape = physicsWorld.createBox(new CANNON.Vec3(foundationWidth/2, foundationHeight/2, foundationDepth/2));
+        const foundationBody = physicsWorld.createBody({
           mass: 0,
-          material: groundMaterial
+          material: getMaterial(physicsWorld, 'concrete')
         });
         foundationBody.addShape(foundationShape);
         
@@ -651,13 +643,14 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
         
         foundationBody.position.set(foundationWorldPos.x, foundationWorldPos.y, foundationWorldPos.z);
         foundationBody.quaternion.setFromEuler(0, bridgeAngle, 0);
+        tagBody(foundationBody, 'building', 'bridge');
         physicsWorld.addBody(foundationBody);
         
         // Add physics for the upper tower
-        const upperTowerShape = new CANNON.Box(new CANNON.Vec3(towerWidth/2, towerHeight/2, towerDepth/2));
-        const upperTowerBody = new CANNON.Body({
+        const upperTowerShape = physicsWorld.createBox(new CANNON.Vec3(towerWidth/2, towerHeight/2, towerDepth/2));
+        const upperTowerBody = physicsWorld.createBody({
           mass: 0,
-          material: groundMaterial
+          material: getMaterial(physicsWorld, 'concrete')
         });
         upperTowerBody.addShape(upperTowerShape);
         
@@ -668,6 +661,7 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
         
         upperTowerBody.position.set(towerWorldPos.x, towerWorldPos.y, towerWorldPos.z);
         upperTowerBody.quaternion.setFromEuler(0, bridgeAngle, 0);
+        tagBody(upperTowerBody, 'building', 'bridge');
         physicsWorld.addBody(upperTowerBody);
       }
       
@@ -1008,12 +1002,12 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
         spiralGroup.add(outerRail);
         
         // Add physics for the spiral segment
-        const segBodyShape = new CANNON.Box(
+        const segBodyShape = physicsWorld.createBox(
           new CANNON.Vec3(rampWidth/2, (height2 - height1)/2, spiralRadius/2)
         );
-        const segBody = new CANNON.Body({
+        const segBody = physicsWorld.createBody({
           mass: 0,
-          material: groundMaterial
+          material: getMaterial(physicsWorld, 'asphalt')
         });
         segBody.addShape(segBodyShape);
         
@@ -1049,6 +1043,7 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
         
         segBody.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
         
+        tagBody(segBody, 'terrain', 'bridge');
         physicsWorld.addBody(segBody);
       }
       
@@ -1076,12 +1071,12 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
     }
     
     // --- PHYSICS FOR MAIN BRIDGE SPAN ---
-    const bridgeDeckShape = new CANNON.Box(
+    const bridgeDeckShape = physicsWorld.createBox(
       new CANNON.Vec3(mainSpanLength/2, deckThickness/2, bridgeWidth/2)
     );
-    const bridgeDeckBody = new CANNON.Body({
+    const bridgeDeckBody = physicsWorld.createBody({
       mass: options.bridgeMass,
-      material: groundMaterial
+      material: getMaterial(physicsWorld, 'asphalt')
     });
     bridgeDeckBody.addShape(bridgeDeckShape);
     
@@ -1092,19 +1087,9 @@ export function createBridge(scene, physicsWorld, groundMaterial, start, end, op
     
     bridgeDeckBody.position.set(deckWorldPos.x, deckWorldPos.y, deckWorldPos.z);
     bridgeDeckBody.quaternion.setFromEuler(0, bridgeAngle, 0);
+    tagBody(bridgeDeckBody, 'terrain', 'bridge');
     physicsWorld.addBody(bridgeDeckBody);
     
-    // Create high-friction material for bridge
-    const bridgeContactMaterial = new CANNON.ContactMaterial(
-      groundMaterial,
-      bridgeDeckBody.material,
-      {
-        friction: 0.9,      // High friction
-        restitution: 0.05   // Low bounce
-      }
-    );
-    physicsWorld.addContactMaterial(bridgeContactMaterial);
-    
     // Return the bridge group
     return bridgeGroup;
 }
\ No newline at end of file
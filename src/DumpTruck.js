@@ -1,94 +1,119 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { syncObjectToBody } from './physics.js';
+import { createCommand, updateCommand, attachKeyboardControls } from './vehicleControls.js';
+import { tagBody } from './collisionEvents.js';
+import { WheelDrive, createWheelMesh } from './wheelDrive.js';
+import { getMaterial } from './materials.js';
+import { SoilModel, getSoilType } from './soils.js';
+import { getJointAngle } from './excavatorKinematics.js';
+import { PayloadScale } from './payloadScale.js';
+
+// Control name => keys; see vehicleControls.js.
+const CONTROLS = {
+  drive: ['ArrowUp', 'ArrowDown'],
+  steer: ['ArrowLeft', 'ArrowRight'],
+  tipper: ['b', 'n'] // +1 raises the tipper
+};
+
+// Wheels: a steered front axle and a driven rear tandem, stiffer under the bed.
+const AXLES = [
+  { z: -1.35, stiffness: 30, damping: 2.5, steered: true },
+  { z: 0.6, stiffness: 45, damping: 3, driven: true },
+  { z: 1.65, stiffness: 45, damping: 3, driven: true }
+];
+const TRACK_WIDTH = 1.8;
+const WHEEL_RADIUS = 0.5;
+const WHEEL_WIDTH = 0.45;
+const SUSPENSION_LENGTH = 0.35;
+// At the driven wheels, N·m, and at all the wheels, N.
+const ENGINE_TORQUE = 30000;
+const BRAKE_FORCE = 100000;
+
+// The bed, in its body's frame: the floor's centre is the origin and the hinge runs along
+// its rear (+z) edge. It sits on the chassis with the hinge at HINGE_PIVOT.
+const BED_HALF_WIDTH = 1.1;
+const BED_HALF_LENGTH = 1.5;
+const BED_FLOOR = 0.1; // half the floor's thickness
+const BED_WALL_HEIGHT = 0.5;
+const BED_PIVOT = new CANNON.Vec3(0, 0, BED_HALF_LENGTH);
+const HINGE_PIVOT = new CANNON.Vec3(0, 0.85, 1.9);
+const BED_MASS = 2500;
+const BED_LENGTH = 2 * BED_HALF_LENGTH;
+const BED_AREA = 4 * BED_HALF_WIDTH * BED_HALF_LENGTH;
+// B/N move the angle the hoist holds the bed at by TIPPER_SPEED rad/s, up to TIPPER_MAX.
+const TIPPER_SPEED = 0.3;
+const TIPPER_MAX = Math.PI * 50 / 180;
+// The hoist drives the bed after that angle at TIPPER_GAIN rad/s per radian it lags, at up
+// to HOIST_SPEED rad/s: the hinge motor gives under load, so it has to ask for more.
+const TIPPER_GAIN = 20;
+const HOIST_SPEED = 1;
+// Payload the truck is rated to carry, kg, unless options.ratedCapacity says otherwise.
+const RATED_CAPACITY = 8000;
 
 export class DumpTruck {
-  constructor(scene, physicsWorld, groundMaterial) {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.keyboard=true] - Listen to the keyboard while this is
+   *   window.activeVehicle. Pass false to drive it only through setCommand(), e.g. headless.
+   * @param {number} [options.ratedCapacity=8000] - Payload the truck is rated to carry, kg;
+   *   beyond it the payload gauge warns and the truck accelerates and brakes worse
+   */
+  constructor(scene, physicsWorld, groundMaterial, options = {}) {
     this.scene = scene;
     this.physicsWorld = physicsWorld;
     this.groundMaterial = groundMaterial;
     this.createModel();
     this.createPhysics();
-
-    // Use arrow keys for movement.
-    this.keys = {
-      ArrowUp: false,
-      ArrowDown: false,
-      ArrowLeft: false,
-      ArrowRight: false
-    };
-
-    // Tipper control keys.
-    this.tipperKeys = {
-      b: false,
-      n: false
-    };
-
-    // Movement parameters.
-    this.forwardVelocity = 0;
-    this.maxVelocity = 8;
-    this.acceleration = 0.8;
-    
-    // Rotation parameters.
-    this.isRotating = false;
-    this.angularVelocityDecay = 0.8;
-
-    // Listen for movement and tipper keys.
-    window.addEventListener('keydown', (e) => {
-      if (window.activeVehicle !== this) return;
-      if (this.keys.hasOwnProperty(e.key)) {
-        this.keys[e.key] = true;
-      }
-      if (e.key === 'b') {
-        this.tipperKeys.b = true;
-      }
-      if (e.key === 'n') {
-        this.tipperKeys.n = true;
-      }
-    });
-    window.addEventListener('keyup', (e) => {
-      if (window.activeVehicle !== this) return;
-      if (this.keys.hasOwnProperty(e.key)) {
-        this.keys[e.key] = false;
-      }
-      if (e.key === 'b') {
-        this.tipperKeys.b = false;
-      }
-      if (e.key === 'n') {
-        this.tipperKeys.n = false;
-      }
+    this.payloadScale = new PayloadScale(this.physicsWorld, this.bedBody, {
+      ratedCapacity: options.ratedCapacity || RATED_CAPACITY,
+      entity: this
     });
+
+    this.command = createCommand(CONTROLS);
+    this.keyboard = options.keyboard !== false;
+    this.terrain = null;
+    this.soil = null;
+    // Loose material in the bed: soil name => m³. It lies level from cargoSlide metres behind
+    // the front wall to the tail, sliding towards the tail at cargoSpeed m/s (see slideCargo).
+    this.cargo = new Map();
+    this.cargoSlide = 0;
+    this.cargoSpeed = 0;
+    // Angle the hoist holds the bed at, rad above the chassis.
+    this.tipperTarget = 0;
+
+    if (this.keyboard) {
+      attachKeyboardControls(this, CONTROLS);
+    }
+
+    // Driving and tipper controls run once per fixed physics step.
+    this.physicsWorld.addEventListener('preStep', () => this.fixedUpdate());
   }
 
   createModel() {
     const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0xffaa00 });
-    const trackMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
+    const tyreMaterial = new THREE.MeshStandardMaterial({ color: 0x222222 });
+    const hubMaterial = new THREE.MeshStandardMaterial({ color: 0x999999 });
     // Tipper material in yellow.
     const tipperMaterial = new THREE.MeshStandardMaterial({ color: 0xffff00 });
 
-    // Create tracks.
-    const trackGeometry = new THREE.BoxGeometry(0.6, 0.5, 4.4);
-    this.leftTrackMesh = new THREE.Mesh(trackGeometry, trackMaterial);
-    this.rightTrackMesh = new THREE.Mesh(trackGeometry, trackMaterial);
-    this.leftTrackMesh.position.set(-0.9, 0.25, 0);
-    this.rightTrackMesh.position.set(0.9, 0.25, 0);
-
-    // Create wheels.
     this.baseGroup = new THREE.Group();
-    const wheelGeometry = new THREE.CylinderGeometry(0.25, 0.25, 0.6, 16);
-    for (let i = -1.8; i <= 1.8; i += 0.9) {
-      const leftWheel = new THREE.Mesh(wheelGeometry, trackMaterial);
-      const rightWheel = new THREE.Mesh(wheelGeometry, trackMaterial);
-      leftWheel.position.set(-0.9, 0.25, i);
-      rightWheel.position.set(0.9, 0.25, i);
-      leftWheel.rotation.z = Math.PI / 2;
-      rightWheel.rotation.z = Math.PI / 2;
-      this.baseGroup.add(leftWheel, rightWheel);
-    }
+
+    // Wheels, left then right of each axle from the front, as the wheel drive adds them; it
+    // places them on their suspension (see WheelDrive#updateMeshes).
+    this.wheelMeshes = [];
+    AXLES.forEach(() => {
+      [-1, 1].forEach(() => {
+        const wheel = createWheelMesh(WHEEL_RADIUS, WHEEL_WIDTH, tyreMaterial, hubMaterial);
+        this.wheelMeshes.push(wheel);
+        this.baseGroup.add(wheel);
+      });
+    });
 
     // Base chassis.
     this.baseMesh = new THREE.Mesh(new THREE.BoxGeometry(1.8, 0.7, 3.8), bodyMaterial);
     this.baseMesh.position.set(0, 0.55, 0);
-    this.baseGroup.add(this.leftTrackMesh, this.rightTrackMesh, this.baseMesh);
+    this.baseGroup.add(this.baseMesh);
 
     // Create tipper group.
     this.tipperGroup = new THREE.Group();
@@ -117,7 +142,14 @@ export class DumpTruck {
     const frontWallMesh = new THREE.Mesh(frontWallGeometry, tipperMaterial);
     frontWallMesh.position.set(0, bedThickness/2 + frontWallHeight/2, -bedDepth + frontWallThickness/2);
 
-    this.tipperModel.add(bedMesh, leftWallMesh, rightWallMesh, frontWallMesh);
+    // Loose cargo, as a level heap its volume high (see updateCargoMesh).
+    const cargoGeometry = new THREE.BoxGeometry(bedWidth - 2 * sideWallThickness, 1, bedDepth - frontWallThickness);
+    cargoGeometry.translate(0, 0.5, -(bedDepth - frontWallThickness) / 2);
+    this.cargoMesh = new THREE.Mesh(cargoGeometry, new THREE.MeshStandardMaterial({ color: 0xd4a017 }));
+    this.cargoMesh.position.y = bedThickness / 2;
+    this.cargoMesh.visible = false;
+
+    this.tipperModel.add(bedMesh, leftWallMesh, rightWallMesh, frontWallMesh, this.cargoMesh);
     this.tipperGroup.add(this.tipperModel);
     this.baseGroup.add(this.tipperGroup);
 
@@ -125,72 +157,298 @@ export class DumpTruck {
   }
 
   createPhysics() {
-    const truckMaterial = new CANNON.Material('dumpTruck');
-    const contactMaterial = new CANNON.ContactMaterial(
-      this.groundMaterial,
-      truckMaterial,
-      { friction: 20, restitution: 0.1 }
-    );
-    this.physicsWorld.addContactMaterial(contactMaterial);
-
-    this.baseBody = new CANNON.Body({ mass: 600000, material: truckMaterial });
-    this.baseBody.addShape(new CANNON.Box(new CANNON.Vec3(0.9, 0.35, 1.9)));
+    // The chassis rides on the wheel drive's wheels.
+    this.baseBody = this.physicsWorld.createBody({
+      mass: 9000,
+      material: getMaterial(this.physicsWorld, 'steel')
+    });
+    this.baseBody.addShape(this.physicsWorld.createBox(new CANNON.Vec3(0.9, 0.35, 1.9)));
     // Do not set the position here – we set it in index.js.
-    this.baseBody.linearDamping = 0.99;
-    this.baseBody.angularDamping = 0.99;
+    this.baseBody.linearDamping = 0.1;
+    this.baseBody.angularDamping = 0.1;
+    tagBody(this.baseBody, 'vehicle', 'dump truck', this);
     this.physicsWorld.addBody(this.baseBody);
+    this.wheels = new WheelDrive(this.physicsWorld, this.baseBody, {
+      material: 'rubberTire',
+      axles: AXLES,
+      trackWidth: TRACK_WIDTH,
+      radius: WHEEL_RADIUS,
+      suspensionLength: SUSPENSION_LENGTH,
+      engineTorque: ENGINE_TORQUE,
+      brakeForce: BRAKE_FORCE,
+      maxSpeed: 8,
+      maxSteer: Math.PI / 6
+    });
+
+    // The tipper bed: an open-tailed steel box hinged to the chassis at its rear.
+    this.bedBody = this.physicsWorld.createBody({
+      mass: BED_MASS,
+      material: getMaterial(this.physicsWorld, 'steel')
+    });
+    const wallHalfHeight = BED_WALL_HEIGHT / 2;
+    this.bedBody.addShape(this.physicsWorld.createBox(new CANNON.Vec3(BED_HALF_WIDTH, BED_FLOOR, BED_HALF_LENGTH)));
+    [-1, 1].forEach(side => {
+      this.bedBody.addShape(
+        this.physicsWorld.createBox(new CANNON.Vec3(0.05, wallHalfHeight, BED_HALF_LENGTH)),
+        new CANNON.Vec3(side * (BED_HALF_WIDTH - 0.05), BED_FLOOR + wallHalfHeight, 0)
+      );
+    });
+    this.bedBody.addShape(
+      this.physicsWorld.createBox(new CANNON.Vec3(BED_HALF_WIDTH, 0.15, 0.05)),
+      new CANNON.Vec3(0, BED_FLOOR + 0.15, -BED_HALF_LENGTH + 0.05)
+    );
+    this.bedBody.position.copy(HINGE_PIVOT.vsub(BED_PIVOT));
+    this.bedBody.linearDamping = 0.1;
+    this.bedBody.angularDamping = 0.1;
+    tagBody(this.bedBody, 'vehicle', 'dump truck', this);
+    this.physicsWorld.addBody(this.bedBody);
+
+    this.tipperHinge = this.physicsWorld.createHinge(this.baseBody, this.bedBody, {
+      pivotA: HINGE_PIVOT,
+      pivotB: BED_PIVOT,
+      axisA: new CANNON.Vec3(1, 0, 0),
+      axisB: new CANNON.Vec3(1, 0, 0),
+      maxForce: 1e12,
+      collideConnected: false
+    });
+    this.tipperHinge.enableMotor();
+    this.tipperHinge.setMotorMaxForce(1e6);
+    this.physicsWorld.addConstraint(this.tipperHinge);
   }
 
-  update() {
-    if (window.activeVehicle !== this) return;
-
-    this.isRotating = this.keys['ArrowLeft'] || this.keys['ArrowRight'];
-    const damping = 0.95;
-    if (this.keys['ArrowUp']) {
-      this.forwardVelocity = Math.min(this.forwardVelocity + this.acceleration, this.maxVelocity);
-    } else if (this.keys['ArrowDown']) {
-      this.forwardVelocity = Math.max(this.forwardVelocity - this.acceleration, -this.maxVelocity);
-    } else {
-      this.forwardVelocity *= damping;
-      if (Math.abs(this.forwardVelocity) < 0.1) {
-        this.forwardVelocity = 0;
-      }
-    }
-    if (!this.isRotating) {
-      this.baseBody.angularVelocity.y *= this.angularVelocityDecay;
-      if (Math.abs(this.baseBody.angularVelocity.y) < 0.05) {
-        this.baseBody.angularVelocity.y = 0;
-      }
-    }
-    if (this.forwardVelocity !== 0) {
-      const forward = new CANNON.Vec3(0, 0, -1);
-      const forwardWorld = this.baseBody.quaternion.vmult(forward);
-      const velocityVector = forwardWorld.scale(this.forwardVelocity);
-      this.baseBody.velocity.x = velocityVector.x;
-      this.baseBody.velocity.z = velocityVector.z;
-    } else {
-      this.baseBody.velocity.x = 0;
-      this.baseBody.velocity.z = 0;
-    }
-    const turnSpeed = 1.5;
-    if (this.keys['ArrowLeft']) {
-      this.baseBody.angularVelocity.y = turnSpeed;
-    } else if (this.keys['ArrowRight']) {
-      this.baseBody.angularVelocity.y = -turnSpeed;
-    }
-    this.baseBody.velocity.y = 0;
-    this.baseBody.angularVelocity.x = Math.max(Math.min(this.baseBody.angularVelocity.x, 0.3), -0.3);
+  /**
+   * Moves the truck, so its chassis is at position and the bed comes along instead of being
+   * hauled across by its hinge.
+   *
+   * @param {THREE.Vector3|CANNON.Vec3} position
+   */
+  setPosition(position) {
+    const offset = new CANNON.Vec3(position.x, position.y, position.z).vsub(this.baseBody.position);
+    [this.baseBody, this.bedBody].forEach(body => {
+      body.position.vadd(offset, body.position);
+    });
+  }
+
+  /**
+   * @param {Object} terrain - From createTerrain or createTerrainChunks
+   * @param {SoilModel} [soil] - What the terrain is made of; pass the excavator's to share it
+   */
+  setTerrain(terrain, soil = new SoilModel(terrain)) {
+    this.terrain = terrain;
+    this.soil = soil;
+  }
+
+  /**
+   * Sets controls from a command object, e.g. { drive: 1, tipper: 1 }.
+   * Controls left out keep their current value.
+   */
+  setCommand(command) {
+    updateCommand(this.command, command);
+  }
+
+  fixedUpdate() {
+    // Keyboard-driven vehicles only respond while they are the active one; parked, the
+    // brakes still hold the truck where it stands.
+    const active = !this.keyboard || window.activeVehicle === this;
+    this.payloadScale.update(this.cargoMass);
+    this.applyCargoWeight();
+    this.applyBlockWeight();
+    this.driveTipper();
+    this.slideCargo();
+    this.wheels.update(active ? this.command : null, this.getOverloadDerate());
+    if (!active) return;
+    const command = this.command;
 
     // Tipper controls.
-    const tipSpeed = 0.02;
-    if (this.tipperKeys.b) {
-      this.tipperGroup.rotation.x = Math.min(this.tipperGroup.rotation.x + tipSpeed, Math.PI / 6);
+    if (command.tipper) {
+      this.tipperTarget = Math.max(0, Math.min(
+        this.tipperTarget + command.tipper * TIPPER_SPEED * this.physicsWorld.dt,
+        TIPPER_MAX
+      ));
+    }
+  }
+
+  // How far the bed is raised above the chassis, rad.
+  getTipperAngle() {
+    return -getJointAngle(this.baseBody.quaternion, this.bedBody.quaternion);
+  }
+
+  // The hoist drives the bed towards where the controls left it, and holds it there.
+  driveTipper() {
+    const error = this.tipperTarget - this.getTipperAngle();
+    // cannon's hinge motor turns the chassis against the bed, so raising the bed runs it backwards.
+    this.tipperHinge.setMotorSpeed(-Math.max(-HOIST_SPEED, Math.min(error * TIPPER_GAIN, HOIST_SPEED)));
+  }
+
+  // Loose material in the bed, in m³.
+  get cargoVolume() {
+    let volume = 0;
+    this.cargo.forEach(soilVolume => {
+      volume += soilVolume;
+    });
+    return volume;
+  }
+
+  // Loose material in the bed, in kg.
+  get cargoMass() {
+    let mass = 0;
+    this.cargo.forEach((soilVolume, name) => {
+      mass += soilVolume * getSoilType(name).density;
+    });
+    return mass;
+  }
+
+  /**
+   * Whether material poured from position would land in the bed: it is above the floor,
+   * between the walls.
+   *
+   * @param {CANNON.Vec3} position - World space
+   */
+  catches(position) {
+    const local = this.bedBody.quaternion.conjugate().vmult(position.vsub(this.bedBody.position));
+    return Math.abs(local.x) <= BED_HALF_WIDTH && Math.abs(local.z) <= BED_HALF_LENGTH && local.y > 0;
+  }
+
+  // Floor the loose cargo covers, m², and how deep it lies there, m.
+  get cargoArea() {
+    return BED_AREA * (BED_LENGTH - this.cargoSlide) / BED_LENGTH;
+  }
+
+  get cargoDepth() {
+    return this.cargoVolume / this.cargoArea;
+  }
+
+  /**
+   * Loads loose material into the bed, up to the top of its walls; what does not fit spills
+   * over the sides onto the ground.
+   *
+   * @param {string} soil - Soil type
+   * @param {number} volume - m³
+   * @returns {number} The m³ spilled
+   */
+  addCargo(soil, volume) {
+    getSoilType(soil);
+    const room = this.cargoArea * BED_WALL_HEIGHT - this.cargoVolume;
+    const loaded = Math.max(0, Math.min(volume, room));
+    if (loaded > 0) this.cargo.set(soil, (this.cargo.get(soil) || 0) + loaded);
+    const spilled = volume - loaded;
+    if (spilled > 0 && this.terrain) {
+      [-1, 1].forEach(side => {
+        const local = new CANNON.Vec3(side * (BED_HALF_WIDTH + 0.5), 0, this.cargoSlide / 2);
+        const ground = this.bedBody.position.vadd(this.bedBody.quaternion.vmult(local));
+        this.terrain.deposit(ground.x, ground.z, spilled / 2, 1);
+        this.soil.recordFill(ground.x, ground.z, 1, soil);
+      });
     }
-    if (this.tipperKeys.n) {
-      this.tipperGroup.rotation.x = Math.max(this.tipperGroup.rotation.x - tipSpeed, 0);
+    return spilled;
+  }
+
+  // The loose cargo has no body of its own, so its weight goes on the bed, in the middle of
+  // the stretch of floor it covers.
+  applyCargoWeight() {
+    const mass = this.cargoMass;
+    if (mass === 0) return;
+    const centre = new CANNON.Vec3(0, BED_FLOOR + this.cargoDepth / 2, this.cargoSlide / 2);
+    this.bedBody.applyForce(this.physicsWorld.gravity.scale(mass), this.bedBody.quaternion.vmult(centre));
+  }
+
+  // Blocks' bodies weigh a fraction of the soil they stand for (see soils.js); the bed carries
+  // the rest of their weight where each one lies.
+  applyBlockWeight() {
+    this.payloadScale.loads.forEach(({ body, mass }) => {
+      if (mass <= body.mass) return;
+      const offset = body.position.vsub(this.bedBody.position);
+      this.bedBody.applyForce(this.physicsWorld.gravity.scale(mass - body.mass), offset);
+    });
+  }
+
+  /**
+   * Share of its engine torque and brake force an overloaded truck is left with: 1 up to
+   * the rated capacity, then falling as the rated capacity over the payload.
+   */
+  getOverloadDerate() {
+    const { mass } = this.payloadScale.state;
+    return mass > this.payloadScale.ratedCapacity ? this.payloadScale.ratedCapacity / mass : 1;
+  }
+
+  // Slides the loose cargo down the floor once it slopes more steeply than the material's angle
+  // of repose, and drops what passes the open tail onto the ground below it. The material
+  // slides as one, held back by its friction on the floor and gaining speed past it.
+  slideCargo() {
+    const volume = this.cargoVolume;
+    if (volume === 0) {
+      this.cargoSlide = 0;
+      this.cargoSpeed = 0;
+      return;
     }
+    const dt = this.physicsWorld.dt;
+    const gravity = this.physicsWorld.gravity.length();
+    const bed = this.bedBody.quaternion;
+    // Sine and cosine of the floor's slope down to the tail.
+    const slope = bed.vmult(new CANNON.Vec3(0, 0, -1)).y;
+    const level = bed.vmult(new CANNON.Vec3(0, 1, 0)).y;
+    let friction = 0;
+    this.cargo.forEach((soilVolume, name) => {
+      friction += Math.tan(getSoilType(name).frictionAngle * Math.PI / 180) * soilVolume / volume;
+    });
+    this.cargoSpeed = Math.max(0, this.cargoSpeed + gravity * (slope - level * friction) * dt);
+    if (this.cargoSpeed === 0) return;
 
-    this.baseGroup.position.copy(this.baseBody.position);
-    this.baseGroup.quaternion.copy(this.baseBody.quaternion);
+    // The cargo past the tail falls off, its share of the floor it covered.
+    const covered = BED_LENGTH - this.cargoSlide;
+    const travel = Math.min(this.cargoSpeed * dt, covered);
+    const amount = volume * travel / covered;
+    this.cargoSlide += travel;
+    const mainSoil = this.takeCargo(amount);
+    if (this.cargoSlide >= BED_LENGTH - 1e-9) this.cargo.clear();
+    if (!this.terrain) return;
+    // It leaves the tail at the cargo's speed and lands where it falls.
+    const tail = this.bedBody.position.vadd(bed.vmult(new CANNON.Vec3(0, BED_FLOOR, BED_HALF_LENGTH)));
+    const drop = Math.max(0, tail.y - this.terrain.getHeight(tail.x, tail.z));
+    const out = bed.vmult(new CANNON.Vec3(0, 0, 1));
+    out.y = 0;
+    out.normalize();
+    const landing = tail.vadd(out.scale(this.cargoSpeed * Math.sqrt(2 * drop / gravity)));
+    this.terrain.deposit(landing.x, landing.z, amount, 1.5);
+    this.soil.recordFill(landing.x, landing.z, 1.5, mainSoil);
+  }
+
+  // Takes volume m³ off the loose cargo, from each soil by its share; returns the main soil.
+  takeCargo(volume) {
+    const total = this.cargoVolume;
+    let mainSoil = null;
+    this.cargo.forEach((soilVolume, name) => {
+      if (!mainSoil || soilVolume > this.cargo.get(mainSoil)) mainSoil = name;
+    });
+    [...this.cargo.keys()].forEach(name => {
+      const left = this.cargo.get(name) * (1 - volume / total);
+      if (left > 1e-9) {
+        this.cargo.set(name, left);
+      } else {
+        this.cargo.delete(name);
+      }
+    });
+    return mainSoil;
+  }
+
+  updateCargoMesh() {
+    const volume = this.cargoVolume;
+    this.cargoMesh.visible = volume > 0;
+    if (volume === 0) return;
+    let mainSoil = null;
+    this.cargo.forEach((soilVolume, name) => {
+      if (!mainSoil || soilVolume > this.cargo.get(mainSoil)) mainSoil = name;
+    });
+    this.cargoMesh.material.color.setHex(getSoilType(mainSoil).color);
+    // The heap's mesh runs forward from the tail.
+    this.cargoMesh.scale.set(1, this.cargoDepth, (BED_LENGTH - this.cargoSlide) / BED_LENGTH);
+  }
+
+  // Call this on each frame to update the model from the interpolated physics state
+  update() {
+    syncObjectToBody(this.baseGroup, this.baseBody);
+    this.wheels.updateMeshes(this.wheelMeshes);
+    this.tipperGroup.rotation.x = -getJointAngle(this.baseBody.interpolatedQuaternion, this.bedBody.interpolatedQuaternion);
+    this.updateCargoMesh();
   }
 }
@@ -1,48 +1,130 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { syncObjectToBody } from './physics.js';
+import { createCommand, updateCommand, attachKeyboardControls } from './vehicleControls.js';
+import { tagBody } from './collisionEvents.js';
+import { getMaterial } from './materials.js';
+import { SoilModel, getSoilType } from './soils.js';
+import { armForwardKinematics, solveArmIK, getJointAngle } from './excavatorKinematics.js';
+import { COUPLER_PIVOT, DiggingBucket } from './excavatorAttachments.js';
+import { HydraulicSystem } from './excavatorHydraulics.js';
+import { FOOTPRINT_EDGES, getBoxFootprint, getStability } from './stability.js';
+import { TractionDrive, getSkidMaterial } from './traction.js';
+
+// Control name => keys; see vehicleControls.js.
+const CONTROLS = {
+  drive: ['w', 's'],
+  steer: ['a', 'd'],
+  turret: ['q', 'e'],
+  boom: ['r', 'f'],   // +1 raises the boom
+  stick: ['t', 'g'],  // +1 extends the stick
+  bucket: ['y', 'h'], // +1 curls the bucket
+  dig: [' '],         // works the attachment: digs, grades, hammers
+  release: ['x'],     // shakes the bucket empty
+  tool: ['v', 'b']    // the attachment's own drive: +1 closes the grapple, bores with the auger
+};
+
+// The lip cuts up to CUT_RATE m³/s of sand, and that divided by the dig resistance in other soils.
+const CUT_RATE = 1.5;
+// Loose material pours out at up to DUMP_RATE m³/s; cohesive soil sticks to the bucket,
+// DUMP_COHESION kPa of cohesion halving the rate.
+const DUMP_RATE = 0.5;
+const DUMP_COHESION = 25;
+// Torque the soil puts on the bucket cylinder per unit of dig resistance met (see digLoad), N·m.
+const DIG_TORQUE = 20000;
+
+// The arm's bodies weigh a small share of the steel they stand for, light enough for the solver
+// to drive through their joints: ARM_MASS_SCALE times their mass is what the machine's balance
+// and the hydraulics feel (see getArmMasses).
+const ARM_MASS_SCALE = 36;
+
+// Boom and stick limits in radians, as getArmJointAngle measures them (positive leaning
+// forward); the attachment's are its own. The stick runs from straight out along the boom
+// to folded in under it.
+const BOOM_LIMITS = [-Math.PI * 75 / 180, Math.PI / 3];
+const STICK_LIMITS = [0, Math.PI * 150 / 180];
+// The quick coupler takes a tool off the rack within this many metres of its hook.
+const COUPLER_REACH = 1.5;
+// Tip mode moves the tip at up to TIP_SPEED m/s and turns the bucket at TIP_TURN_SPEED rad/s.
+const TIP_SPEED = 1;
+const TIP_TURN_SPEED = 1;
+
+// The undercarriage's box; the machine stands on the footprint of its bottom face.
+const BASE_HALF_EXTENTS = new CANNON.Vec3(1.0, 0.25, 2.2);
+// Where the upper structure's mass is, in the turret's frame: its counterweight puts it behind
+// the slewing ring, balancing the arm (see getUpperMass).
+const UPPER_CENTRE_OF_MASS = new CANNON.Vec3(0, 0, 1);
+
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+const getArmMass = (body) => ({ mass: body.mass * ARM_MASS_SCALE, position: body.position, body });
+// Moves a hinge's second body, turned as it is, so its pivot meets the first's.
+const seatOnHinge = (hinge) => {
+  const { bodyA, bodyB } = hinge;
+  bodyB.position.copy(bodyA.position.vadd(bodyA.quaternion.vmult(hinge.pivotA)).vsub(bodyB.quaternion.vmult(hinge.pivotB)));
+};
 
 export class Excavator {
-  constructor(scene, physicsWorld, groundMaterial) {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.keyboard=true] - Listen to the keyboard while this is
+   *   window.activeVehicle. Pass false to drive it only through setCommand(), e.g. headless.
+   */
+  constructor(scene, physicsWorld, groundMaterial, options = {}) {
     this.scene = scene;
     this.physicsWorld = physicsWorld;
     this.groundMaterial = groundMaterial;
     this.cubes = [];
-    this.attachedCubes = [];
+    // Blocks the attachment holds, which weigh on the machine.
+    this.carriedCubes = [];
+    this.terrain = null;
+    this.soil = null;
+    // What the bucket pours into instead of onto the ground (see setDumpTargets).
+    this.dumpTargets = [];
+    // Loose material carried in the bucket: soil name => m³.
+    this.payload = new Map();
+    // Dig resistance met by the bucket lip on the last step; loads the bucket cylinder.
+    this.digLoad = 0;
+    // Engine, pump and valves (see excavatorHydraulics.js); the joints move as fast as they allow.
+    this.hydraulics = new HydraulicSystem();
+    // Joint speeds the controls ask of the hydraulics, rad/s; held until changed.
+    this.jointDemands = { boom: 0, stick: 0, bucket: 0, swing: 0 };
     this.targetBoomAngle = null;
-    this.previousBoomAngle = null;
     this.targetStickAngle = null;
-    this.previousStickAngle = null;
     this.targetBucketAngle = null;
-    this.previousBucketAngle = null;
+    // 'joints' drives the boom, stick and bucket one by one; 'tip' moves the bucket tip (see setControlMode).
+    this.controlMode = 'joints';
+    this.tipTarget = null;
     this.createModel();
     this.createPhysics();
-
-    this.keys = {
-      w: false, s: false, a: false, d: false,
-      q: false, e: false,
-      r: false, f: false,
-      t: false, g: false,
-      y: false, h: false,
-      space: false
-    };
-
+    // The tool on the stick's coupler (see excavatorAttachments.js); the bucket controls turn it.
+    this.attachment = null;
+    this.attach(new DiggingBucket(scene, physicsWorld));
+    // How near the machine is to tipping over (see updateStability).
+    this.stability = null;
+    this.updateStability();
+
+    this.command = createCommand(CONTROLS);
+    this.keyboard = options.keyboard !== false;
+
+    // Track speed the drive lever asks for, m/s, up to a crawler's high travel speed and
+    // gaining acceleration m/s every second; the tracks turn the machine at up to turnRate rad/s.
     this.forwardVelocity = 0;
-    this.maxVelocity = 8;
-    this.acceleration = 0.8;
+    this.maxVelocity = 3;
+    this.acceleration = 3;
+    this.turnRate = 1;
 
-    window.addEventListener('keydown', (e) => this.onKeyDown(e));
-    window.addEventListener('keyup', (e) => this.onKeyUp(e));
+    if (this.keyboard) {
+      attachKeyboardControls(this, CONTROLS);
+    }
+    // Controls are applied once per fixed physics step, not once per frame.
+    this.physicsWorld.addEventListener('preStep', () => this.fixedUpdate());
   }
 
   createModel() {
     const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0xffff00 });
     const trackMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
     const glassMaterial = new THREE.MeshStandardMaterial({ color: 0x88ccff, transparent: true, opacity: 0.7 });
-    const bucketMaterial = new THREE.MeshStandardMaterial({ 
-      color: 0x666666,
-      side: THREE.DoubleSide 
-    });
-          
+
     const trackGeometry = new THREE.BoxGeometry(0.6, 0.5, 4.4);
     this.leftTrackMesh = new THREE.Mesh(trackGeometry, trackMaterial);
     this.rightTrackMesh = new THREE.Mesh(trackGeometry, trackMaterial);
@@ -84,31 +166,6 @@ export class Excavator {
     this.stickMesh = new THREE.Mesh(new THREE.BoxGeometry(0.3, 3, 0.3), bodyMaterial);
     this.stickMesh.position.set(0, 4.5, 0);
 
-    const bucketGeometry = new THREE.BufferGeometry();
-    const vertices = new Float32Array([
-      -0.5, 0, -0.4,  0.5, 0, -0.4,  0.5, 0.8, -0.4, -0.5, 0.8, -0.4,
-      -0.5, 0,  0.2,  0.5, 0,  0.2,  0.5, 0.4,  0.2, -0.5, 0.4,  0.2
-    ]);
-    const indices = [
-      // Front face (closed)
-      4, 5, 6, 6, 7, 4,
-      // Left face (closed)
-      0, 4, 7, 7, 3, 0,
-      // Right face (closed)
-      1, 5, 6, 6, 2, 1,
-      // Top face (closed)
-      3, 2, 6, 6, 7, 3,
-      // Bottom face (closed)
-      0, 1, 5, 5, 4, 0
-      // Note: Back face omitted → open
-    ];
-          
-    bucketGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-    bucketGeometry.setIndex(indices);
-    bucketGeometry.computeVertexNormals();
-    this.bucketMesh = new THREE.Mesh(bucketGeometry, bucketMaterial);
-    this.bucketMesh.position.set(0, 6, 0);
-
     this.baseGroup = this.baseGroup || new THREE.Group();
     this.baseGroup.add(this.leftTrackMesh, this.rightTrackMesh, this.baseMesh);
     this.scene.add(this.baseGroup);
@@ -119,36 +176,44 @@ export class Excavator {
 
     this.scene.add(this.boomMesh);
     this.scene.add(this.stickMesh);
-    this.scene.add(this.bucketMesh);
   }
 
   createPhysics() {
-    const excavatorMaterial = new CANNON.Material('excavator');
-    const contactMaterial = new CANNON.ContactMaterial(
-      this.groundMaterial,
-      excavatorMaterial,
-      { friction: 20, restitution: 0.1 }
-    );
-    this.physicsWorld.addContactMaterial(contactMaterial);
+    // The undercarriage runs on tracks, whose grip is the traction drive's; the arm is steel.
+    const trackMaterial = getSkidMaterial(this.physicsWorld, 'rubberTrack');
+    const steelMaterial = getMaterial(this.physicsWorld, 'steel');
 
-    this.physicsWorld.solver.iterations = 50; // Increased for better constraint stability
-    this.physicsWorld.solver.tolerance = 0.001;
+    this.physicsWorld.configureSolver({
+      iterations: 50, // Increased for better constraint stability
+      tolerance: 0.001
+    });
 
-    this.baseBody = new CANNON.Body({ mass: 30000, material: excavatorMaterial });
-    this.baseBody.addShape(new CANNON.Box(new CANNON.Vec3(1.0, 0.25, 2.2)));
+    // A 20 t machine: the undercarriage, and the upper structure with engine, cab and
+    // counterweight. Light damping, so it can roll and tip over.
+    this.baseBody = this.physicsWorld.createBody({ mass: 12000, material: trackMaterial });
+    this.baseBody.addShape(this.physicsWorld.createBox(BASE_HALF_EXTENTS));
     this.baseBody.position.set(0, 0.25, 0);
-    this.baseBody.linearDamping = 0.99;
-    this.baseBody.angularDamping = 0.99;
+    this.baseBody.linearDamping = 0.1;
+    this.baseBody.angularDamping = 0.1;
     this.physicsWorld.addBody(this.baseBody);
+    this.traction = new TractionDrive(this.physicsWorld, this.baseBody, {
+      material: 'rubberTrack',
+      trackWidth: 1.8,
+      maxForce: 90000,
+      sideGrip: 0.5,
+      entity: this
+    });
 
-    this.turretBody = new CANNON.Body({ mass: 1000, material: excavatorMaterial });
-    this.turretBody.addShape(new CANNON.Cylinder(0.8, 1, 1.4, 16));
+    this.turretBody = this.physicsWorld.createBody({ mass: 8000, material: steelMaterial });
+    this.turretBody.addShape(this.physicsWorld.createCylinder(0.8, 1, 1.4, 16));
     this.turretBody.position.set(0, 1.2, 0);
-    this.turretBody.linearDamping = 0.99;
+    this.turretBody.linearDamping = 0.1;
     this.turretBody.angularDamping = 0.99;
     this.physicsWorld.addBody(this.turretBody);
 
-    this.turretConstraint = new CANNON.HingeConstraint(
+    // Jointed parts overlap or rest on each other at their joints, and contacts there would
+    // jam the joints, so they do not collide.
+    this.turretConstraint = this.physicsWorld.createHinge(
       this.baseBody,
       this.turretBody,
       {
@@ -157,20 +222,19 @@ export class Excavator {
         axisA: new CANNON.Vec3(0, 1, 0),
         axisB: new CANNON.Vec3(0, 1, 0),
         maxForce: 1e12,
-        collideConnected: true
+        collideConnected: false
       }
     );
     this.turretConstraint.enableMotor();
-    this.turretConstraint.motorEquation.maxForce = 1e5;
+    this.turretConstraint.setMotorMaxForce(this.hydraulics.maxTorque('swing'));
     this.physicsWorld.addConstraint(this.turretConstraint);
 
-    this.boomBody = new CANNON.Body({ mass: 50, material: excavatorMaterial });
-    this.boomBody.addShape(new CANNON.Box(new CANNON.Vec3(0.175, 1.5, 0.175)));
+    this.boomBody = this.physicsWorld.createBody({ mass: 50, material: steelMaterial });
+    this.boomBody.addShape(this.physicsWorld.createBox(new CANNON.Vec3(0.175, 1.5, 0.175)));
     this.boomBody.addShape(
-      new CANNON.Box(new CANNON.Vec3(0.35, 0.025, 0.05)),
+      this.physicsWorld.createBox(new CANNON.Vec3(0.35, 0.025, 0.05)),
       new CANNON.Vec3(0, 1.525, 0)
     );
-    this.boomBody.position.set(0, 3.2, -0.6);
     this.boomBody.quaternion.setFromAxisAngle(
       new CANNON.Vec3(1, 0, 0),
       (-Math.PI * 60) / 180
@@ -179,7 +243,10 @@ export class Excavator {
     this.boomBody.angularDamping = 0.9; // Increased to reduce drift
     this.physicsWorld.addBody(this.boomBody);
 
-    this.boomConstraint = new CANNON.HingeConstraint(
+    // Stiffer rotational equations keep the arm joints from sagging (used by the cannon backend).
+    const stiffness = 1e9,
+      relaxation = 2;
+    this.boomConstraint = this.physicsWorld.createHinge(
       this.turretBody,
       this.boomBody,
       {
@@ -188,21 +255,19 @@ export class Excavator {
         axisA: new CANNON.Vec3(1, 0, 0),
         axisB: new CANNON.Vec3(1, 0, 0),
         maxForce: 1e12,
-        collideConnected: true
+        collideConnected: false,
+        stiffness,
+        relaxation
       }
     );
     this.boomConstraint.enableMotor();
-    this.boomConstraint.motorEquation.maxForce = 1e6;
+    this.boomConstraint.setMotorMaxForce(this.hydraulics.maxTorque('boom'));
+    // Rapier snaps a joint whose pivots are apart together in one step, folding the arm.
+    seatOnHinge(this.boomConstraint);
     this.physicsWorld.addConstraint(this.boomConstraint);
-    const stiffness = 1e9,
-      relaxation = 2,
-      timeStep = 1 / 60;
-    this.boomConstraint.rotationalEquation1.setSpookParams(stiffness, relaxation, timeStep);
-    this.boomConstraint.rotationalEquation2.setSpookParams(stiffness, relaxation, timeStep);
-
-    this.stickBody = new CANNON.Body({ mass: 30, material: excavatorMaterial });
-    this.stickBody.addShape(new CANNON.Box(new CANNON.Vec3(0.15, 1.5, 0.15)));
-    this.stickBody.position.set(0, 5.2, -1.5);
+
+    this.stickBody = this.physicsWorld.createBody({ mass: 30, material: steelMaterial });
+    this.stickBody.addShape(this.physicsWorld.createBox(new CANNON.Vec3(0.15, 1.5, 0.15)));
     this.stickBody.quaternion.setFromAxisAngle(
       new CANNON.Vec3(1, 0, 0),
       (-Math.PI * 120) / 180
@@ -211,7 +276,7 @@ export class Excavator {
     this.stickBody.angularDamping = 0.9; // Increased to reduce drift
     this.physicsWorld.addBody(this.stickBody);
 
-    this.stickConstraint = new CANNON.HingeConstraint(
+    this.stickConstraint = this.physicsWorld.createHinge(
       this.boomBody,
       this.stickBody,
       {
@@ -220,85 +285,37 @@ export class Excavator {
         axisA: new CANNON.Vec3(1, 0, 0),
         axisB: new CANNON.Vec3(1, 0, 0),
         maxForce: 1e12,
-        collideConnected: true
+        collideConnected: false,
+        stiffness,
+        relaxation
       }
     );
     this.stickConstraint.enableMotor();
-    this.stickConstraint.motorEquation.maxForce = 1e6;
+    this.stickConstraint.setMotorMaxForce(this.hydraulics.maxTorque('stick'));
+    seatOnHinge(this.stickConstraint);
     this.physicsWorld.addConstraint(this.stickConstraint);
-    this.stickConstraint.rotationalEquation1.setSpookParams(stiffness, relaxation, timeStep);
-    this.stickConstraint.rotationalEquation2.setSpookParams(stiffness, relaxation, timeStep);
-
-    this.bucketBody = new CANNON.Body({ mass: 10, material: excavatorMaterial });
-    const bucketVertices = [
-      new CANNON.Vec3(-0.5, 0, -0.4),
-      new CANNON.Vec3(0.5, 0, -0.4),
-      new CANNON.Vec3(0.5, 0.8, -0.4),
-      new CANNON.Vec3(-0.5, 0.8, -0.4),
-      new CANNON.Vec3(-0.5, 0, 0.2),
-      new CANNON.Vec3(0.5, 0, 0.2),
-      new CANNON.Vec3(0.5, 0.4, 0.2),
-      new CANNON.Vec3(-0.5, 0.4, 0.2)
-    ];
-    const bucketFaces = [
-      [0, 1, 2], [2, 3, 0],
-      [4, 5, 6], [6, 7, 4],
-      [0, 4, 7], [7, 3, 0],
-      [1, 5, 6], [6, 2, 1],
-      [3, 2, 6], [6, 7, 3]
-    ];
-    this.bucketBody.addShape(
-      new CANNON.ConvexPolyhedron({
-        vertices: bucketVertices,
-        faces: bucketFaces
-      })
-    );
-    this.bucketBody.position.set(0, 6.0, -2.5);
-    this.bucketBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), Math.PI / 8);
-    this.bucketBody.linearDamping = 0.1;
-    this.bucketBody.angularDamping = 0.9; // Increased to reduce drift
-    this.physicsWorld.addBody(this.bucketBody);
 
-    this.bucketConstraint = new CANNON.HingeConstraint(
-      this.stickBody,
-      this.bucketBody,
-      {
-        pivotA: new CANNON.Vec3(0, 1.8, 0),
-        pivotB: new CANNON.Vec3(0, 0.3, -0.30),
-        axisA: new CANNON.Vec3(1, 0, 0),
-        axisB: new CANNON.Vec3(1, 0, 0),
-        maxForce: 1e12,
-        collideConnected: true
-      }
-    );
-    this.bucketConstraint.enableMotor();
-    this.bucketConstraint.motorEquation.maxForce = 1e6;
-    this.physicsWorld.addConstraint(this.bucketConstraint);
-    this.bucketConstraint.rotationalEquation1.setSpookParams(stiffness, relaxation, timeStep);
-    this.bucketConstraint.rotationalEquation2.setSpookParams(stiffness, relaxation, timeStep);
+    [this.baseBody, this.turretBody, this.boomBody, this.stickBody].forEach(body => {
+      tagBody(body, 'vehicle', 'excavator', this);
+    });
   }
 
-  getHingeAngle(bodyA, bodyB, axisA, axisB) {
-    const quatA = bodyA.quaternion;
-    const quatB = bodyB.quaternion;
-    const relQuat = quatA.conjugate().mult(quatB);
-    const rotatedAxisB = relQuat.vmult(axisB);
-    const angle = 2 * Math.atan2(rotatedAxisB.length(), relQuat.w);
-    const cross = axisA.cross(rotatedAxisB);
-    const sign = cross.dot(new CANNON.Vec3(1, 0, 0)) < 0 ? -1 : 1; // X-axis hinge
-    return angle * sign;
+  /**
+   * Angle of an arm joint: how far the child's up axis is tilted from the
+   * parent's about their shared x hinge, positive leaning forward (towards -z).
+   */
+  getArmJointAngle(childBody, parentBody) {
+    return getJointAngle(parentBody.quaternion, childBody.quaternion);
   }
 
+  // Stops a joint past its limits from going any further. It may still turn back: a joint
+  // that came to rest just past a limit would otherwise be held there for good.
   clampHingeAngleAroundX(childBody, parentBody, minAngle, maxAngle) {
-    const childUpWorld = childBody.quaternion.vmult(new CANNON.Vec3(0, 1, 0));
-    const parentUpWorld = parentBody.quaternion.vmult(new CANNON.Vec3(0, 1, 0));
-    let dot = childUpWorld.dot(parentUpWorld);
-    dot = Math.max(-1, Math.min(1, dot));
-    const angle = Math.acos(dot);
-    const cross = childUpWorld.cross(parentUpWorld);
-    const sign = cross.z < 0 ? -1 : 1;
-    const signedAngle = angle * sign;
-    if (signedAngle < minAngle || signedAngle > maxAngle) {
+    const angle = this.getArmJointAngle(childBody, parentBody);
+    // The joint angle grows as the child turns the negative way about the parent's x axis.
+    const axis = parentBody.quaternion.vmult(new CANNON.Vec3(1, 0, 0));
+    const angleRate = -childBody.angularVelocity.vsub(parentBody.angularVelocity).dot(axis);
+    if ((angle < minAngle && angleRate < 0) || (angle > maxAngle && angleRate > 0)) {
       childBody.angularVelocity.set(0, 0, 0);
     }
   }
@@ -317,279 +334,594 @@ export class Excavator {
     }
   }
 
+  /**
+   * @param {Array<Object>} cubes - Blocks the bucket can scoop up, each { body, soil, size }
+   *   with soil a soil type and size the block's edge in metres (see Block and SandHill)
+   */
   setCubes(cubes) {
-    this.cubes = cubes;
-  }
-
-  onKeyDown(event) {
-    switch (event.key) {
-      case 'w': this.keys.w = true; break;
-      case 's': this.keys.s = true; break;
-      case 'a': this.keys.a = true; break;
-      case 'd': this.keys.d = true; break;
-      case 'q': this.keys.q = true; break;
-      case 'e': this.keys.e = true; break;
-      case 'r': this.keys.r = true; break;
-      case 'f': this.keys.f = true; break;
-      case 't': this.keys.t = true; break;
-      case 'g': this.keys.g = true; break;
-      case 'y': this.keys.y = true; break;
-      case 'h': this.keys.h = true; break;
-      case ' ': this.keys.space = true; break;
-      default: break;
-    }
+    // Keep our own list: picked-up cubes are removed from it, but their owner still renders them.
+    this.cubes = [...cubes];
   }
 
-  onKeyUp(event) {
-    switch (event.key) {
-      case 'w': this.keys.w = false; break;
-      case 's': this.keys.s = false; break;
-      case 'a': this.keys.a = false; break;
-      case 'd': this.keys.d = false; break;
-      case 'q': this.keys.q = false; break;
-      case 'e': this.keys.e = false; break;
-      case 'r': this.keys.r = false; break;
-      case 'f': this.keys.f = false; break;
-      case 't': this.keys.t = false; break;
-      case 'g': this.keys.g = false; break;
-      case 'y': this.keys.y = false; break;
-      case 'h': this.keys.h = false; break;
-      case ' ': this.keys.space = false; break;
-      default: break;
-    }
+  /**
+   * @param {Object} terrain - From createTerrain or createTerrainChunks
+   * @param {SoilModel} [soil] - What the terrain is made of (the default soil profile otherwise)
+   */
+  setTerrain(terrain, soil = new SoilModel(terrain)) {
+    this.terrain = terrain;
+    this.soil = soil;
   }
 
-  update() {
-    // Only update if this vehicle is active.
-    if (window.activeVehicle !== this) return;
+  /**
+   * @param {Array<Object>} targets - Beds loose material can be poured into, each with
+   *   catches(position) and addCargo(soil, volume), e.g. a DumpTruck
+   */
+  setDumpTargets(targets) {
+    this.dumpTargets = [...targets];
+  }
 
-    // (Existing update code follows here.)
-    if (!this.keys.w && !this.keys.s && !this.keys.a && !this.keys.d) {
-      this.forwardVelocity = 0;
-      this.baseBody.velocity.x = 0;
-      this.baseBody.velocity.z = 0;
-      this.baseBody.angularVelocity.y = 0;
-    }
+  // Loose material in the bucket, in m³.
+  get payloadVolume() {
+    let volume = 0;
+    this.payload.forEach(soilVolume => {
+      volume += soilVolume;
+    });
+    return volume;
+  }
 
-    const forceMagnitude = 350000;
-    const turnSpeed = 2;
-    const damping = 0.95;
-    const armSpeed = 1.5;
-    const kp = 10; // Proportional gain
-    const kd = 2;  // Derivative gain
-    const maxControlSpeed = 2; // Limit motor speed
+  // Everything in the bucket, loose material and blocks, in kg at the soils' full density.
+  get payloadMass() {
+    let mass = 0;
+    this.getPayloadMasses().forEach(load => {
+      mass += load.mass;
+    });
+    return mass;
+  }
 
-    const forward = new CANNON.Vec3(0, 0, -1);
-    const forwardWorld = this.baseBody.quaternion.vmult(forward);
+  /**
+   * The payload as point masses at the soils' full density: loose material at the
+   * attachment, blocks where they sit (with body, their scaled-down body; see getBlockMass).
+   *
+   * @returns {Array<Object>} { mass, position, body }
+   */
+  getPayloadMasses() {
+    const masses = [];
+    this.payload.forEach((soilVolume, name) => {
+      masses.push({ mass: soilVolume * getSoilType(name).density, position: this.bucketBody.position });
+    });
+    this.carriedCubes.forEach(cube => {
+      masses.push({ mass: cube.size ** 3 * cube.soil.density, position: cube.body.position, body: cube.body });
+    });
+    return masses;
+  }
 
-    if (this.keys.w) {
-      this.forwardVelocity = Math.min(this.forwardVelocity + this.acceleration, this.maxVelocity);
-    } else if (this.keys.s) {
-      this.forwardVelocity = Math.max(this.forwardVelocity - this.acceleration, -this.maxVelocity);
-    } else {
-      this.forwardVelocity *= damping;
-    }
+  /**
+   * The boom, stick and attachment at the mass of the steel they stand for (see ARM_MASS_SCALE).
+   *
+   * @returns {Array<Object>} { mass, position, body }
+   */
+  getArmMasses() {
+    return [this.boomBody, this.stickBody, ...this.attachment.bodies].map(getArmMass);
+  }
 
-    let leftTrackForce = this.forwardVelocity * (forceMagnitude / this.maxVelocity);
-    let rightTrackForce = this.forwardVelocity * (forceMagnitude / this.maxVelocity);
+  // The upper structure's mass where its counterweight puts it (see UPPER_CENTRE_OF_MASS).
+  getUpperMass() {
+    const upper = this.turretBody;
+    return { mass: upper.mass, position: upper.position.vadd(upper.quaternion.vmult(UPPER_CENTRE_OF_MASS)), body: upper };
+  }
 
-    if (this.keys.a) {
-      leftTrackForce -= forceMagnitude * 0.4;
-      rightTrackForce += forceMagnitude * 0.4;
-      this.baseBody.angularVelocity.y = turnSpeed;
-    }
-    if (this.keys.d) {
-      leftTrackForce += forceMagnitude * 0.4;
-      rightTrackForce -= forceMagnitude * 0.4;
-      this.baseBody.angularVelocity.y = -turnSpeed;
-    }
+  // Puts the weight the bodies do not bear where it hangs, in place of what they do: the upper
+  // structure's behind the ring, the arm's beyond its bodies' light masses, loose material with
+  // no body of its own, and carried blocks' beyond their scaled-down mass. It goes on the
+  // undercarriage, as the arm's bodies are too light for the solver to pass tonnes down their
+  // joints and the slewing ring would give under them; the joints feel it through the
+  // hydraulics (see getGravityTorques).
+  applyHeldWeight() {
+    const base = this.baseBody;
+    const gravity = this.physicsWorld.gravity;
+    [this.getUpperMass(), ...this.getArmMasses(), ...this.getPayloadMasses()].forEach(({ mass, position, body }) => {
+      base.applyForce(gravity.scale(mass), position.vsub(base.position));
+      if (body) base.applyForce(gravity.scale(-body.mass), body.position.vsub(base.position));
+    });
+  }
 
-    const leftForce = forwardWorld.scale(leftTrackForce);
-    const rightForce = forwardWorld.scale(rightTrackForce);
-    const leftOffset = this.baseBody.quaternion.vmult(new CANNON.Vec3(-0.9, 0, 0));
-    const rightOffset = this.baseBody.quaternion.vmult(new CANNON.Vec3(0.9, 0, 0));
+  // Every mass in the machine and its payload, world space.
+  getMasses() {
+    return [
+      { mass: this.baseBody.mass, position: this.baseBody.position },
+      this.getUpperMass(),
+      ...this.getArmMasses(),
+      ...this.getPayloadMasses()
+    ];
+  }
 
-    this.baseBody.applyForce(leftForce, this.baseBody.position.vadd(leftOffset));
-    this.baseBody.applyForce(rightForce, this.baseBody.position.vadd(rightOffset));
+  /**
+   * Weighs the machine against its track footprint (see stability.js) into this.stability:
+   * { mass, centreOfMass, margin, loadMoment, edge, level, tippingEdge }, tippingEdge naming
+   * the edge it is nearest to tipping over: 'front', 'right', 'rear' or 'left'.
+   */
+  updateStability() {
+    const support = getBoxFootprint(this.baseBody, BASE_HALF_EXTENTS);
+    this.stability = getStability(this.getMasses(), support, this.physicsWorld.gravity);
+    this.stability.tippingEdge = FOOTPRINT_EDGES[this.stability.edge];
+  }
 
-    const velocityMagnitude = Math.sqrt(this.baseBody.velocity.x ** 2 + this.baseBody.velocity.z ** 2);
-    if (velocityMagnitude > this.maxVelocity) {
-      const scale = this.maxVelocity / velocityMagnitude;
-      this.baseBody.velocity.x *= scale;
-      this.baseBody.velocity.z *= scale;
-    }
+  /**
+   * Torque gravity puts on each arm joint, the payload's included, positive where it turns
+   * the joint the way its angle grows (see getArmJointAngle).
+   *
+   * @returns {Object} { boom, stick, bucket } in N·m
+   */
+  getGravityTorques() {
+    const gravity = this.physicsWorld.gravity;
+    // What hangs beyond each joint: the attachment and its load, then the stick, then the boom.
+    const tool = [...this.attachment.bodies.map(getArmMass), ...this.getPayloadMasses()];
+    const stick = [getArmMass(this.stickBody), ...tool];
+    const boom = [getArmMass(this.boomBody), ...stick];
+    const torque = (parentBody, hinge, masses) => {
+      const pivot = parentBody.position.vadd(parentBody.quaternion.vmult(hinge.pivotA));
+      const axis = parentBody.quaternion.vmult(hinge.axisA);
+      let total = 0;
+      masses.forEach(({ mass, position }) => {
+        total += position.vsub(pivot).cross(gravity.scale(mass)).dot(axis);
+      });
+      // Joint angles grow turning about -x.
+      return -total;
+    };
+    return {
+      boom: torque(this.turretBody, this.boomConstraint, boom),
+      stick: torque(this.boomBody, this.stickConstraint, stick),
+      bucket: torque(this.stickBody, this.bucketConstraint, tool)
+    };
+  }
 
-    this.baseBody.angularVelocity.x = Math.max(
-      Math.min(this.baseBody.angularVelocity.x, 0.3),
-      -0.3
-    );
-    this.baseBody.velocity.y = 0;
+  /**
+   * Runs the tracks for one step: drive sets the speed of both, steer runs one faster than
+   * the other. How far the machine goes for it is up to the ground (see traction.js).
+   *
+   * @param {Object|null} command - null when parked
+   */
+  driveTracks(command) {
+    const dt = this.physicsWorld.dt > 0 ? this.physicsWorld.dt : 1 / 60;
+    if (command && command.drive > 0) {
+      this.forwardVelocity = Math.min(this.forwardVelocity + this.acceleration * dt, this.maxVelocity);
+    } else if (command && command.drive < 0) {
+      this.forwardVelocity = Math.max(this.forwardVelocity - this.acceleration * dt, -this.maxVelocity);
+    } else {
+      // The travel motors brake as soon as the lever is let go.
+      this.forwardVelocity = 0;
+    }
+    const turn = this.traction.turnSpeed(command ? command.steer * this.turnRate : 0);
+    const { left, right } = this.traction.update(this.forwardVelocity - turn, this.forwardVelocity + turn);
 
     this.baseGroup.children.forEach(child => {
       if (child.geometry instanceof THREE.CylinderGeometry) {
-        const isLeftWheel = child.position.x < 0;
-        const trackSpeed = isLeftWheel ? leftTrackForce : rightTrackForce;
-        child.rotation.x += (trackSpeed / forceMagnitude) * 0.1;
+        const track = child.position.x < 0 ? left : right;
+        child.rotation.x -= track.speed * dt / child.geometry.parameters.radiusTop;
       }
     });
+  }
 
-    // Joint motor controls with PD controller
-    // Turret (Y-axis)
-    if (this.keys.q) {
-      this.turretConstraint.setMotorSpeed(-armSpeed);
-    } else if (this.keys.e) {
-      this.turretConstraint.setMotorSpeed(armSpeed);
-    } else {
-      this.turretConstraint.setMotorSpeed(0);
+  // Runs the joint speeds asked for through the hydraulics and drives the motors at what they give.
+  driveJoints() {
+    const gravity = this.getGravityTorques();
+    const angles = this.getArmAngles();
+    const demands = { swing: { speed: this.jointDemands.swing, load: 0 } };
+    ['boom', 'stick', 'bucket'].forEach(name => {
+      // A joint at a limit is not driven past it: its motor holds it there instead.
+      const [min, max] = this.armGeometry.limits[name];
+      const demand = this.jointDemands[name];
+      const speed = (angles[name] <= min && demand < 0) || (angles[name] >= max && demand > 0) ? 0 : demand;
+      // Gravity resists moving against it and helps moving with it.
+      demands[name] = { speed, load: -gravity[name] * Math.sign(speed) };
+    });
+    // The soil resists the bucket whichever way it turns.
+    demands.bucket.load += this.digLoad * DIG_TORQUE;
+    const { functions } = this.hydraulics.update(demands);
+    this.turretConstraint.setMotorSpeed(functions.swing.speed);
+    this.boomConstraint.setMotorSpeed(functions.boom.speed);
+    this.stickConstraint.setMotorSpeed(functions.stick.speed);
+    this.bucketConstraint.setMotorSpeed(functions.bucket.speed);
+  }
+
+  /**
+   * Sets controls from a command object, e.g. { drive: 1, boom: -1, dig: true }.
+   * Controls left out keep their current value.
+   */
+  setCommand(command) {
+    updateCommand(this.command, command);
+  }
+
+  // Arm dimensions for excavatorKinematics, read off the hinges, in the turret's frame.
+  getArmGeometry() {
+    const boomFoot = this.boomConstraint.pivotA;
+    const bucketHinge = this.bucketConstraint.pivotB;
+    // The turret sits on the base's hinge; the base box is 0.5 m tall and rests on the ground.
+    const turretHeight = this.turretConstraint.pivotA.y - this.turretConstraint.pivotB.y + 0.25;
+    return {
+      boomPivot: { f: -boomFoot.z, u: boomFoot.y },
+      boomLength: this.stickConstraint.pivotA.distanceTo(this.boomConstraint.pivotB),
+      stickLength: this.bucketConstraint.pivotA.distanceTo(this.stickConstraint.pivotB),
+      tipOffset: { y: this.attachment.tip.y - bucketHinge.y, z: this.attachment.tip.z - bucketHinge.z },
+      groundHeight: -turretHeight,
+      limits: { boom: BOOM_LIMITS, stick: STICK_LIMITS, bucket: this.attachment.limits }
+    };
+  }
+
+  // Current joint angles (see getArmJointAngle).
+  getArmAngles() {
+    return {
+      boom: this.getArmJointAngle(this.boomBody, this.turretBody),
+      stick: this.getArmJointAngle(this.stickBody, this.boomBody),
+      bucket: this.getArmJointAngle(this.bucketBody, this.stickBody)
+    };
+  }
+
+  /**
+   * Where the bucket tip is, around the turret's swing axis.
+   *
+   * @returns {Object} { reach, height, attack }; see excavatorKinematics.js
+   */
+  getBucketTip() {
+    return armForwardKinematics(this.armGeometry, this.getArmAngles());
+  }
+
+  /**
+   * In 'joints' mode R/F, T/G and Y/H drive the boom, stick and bucket. In
+   * 'tip' mode they move the bucket tip instead, the arm following it with all
+   * three joints: R/F raise and lower it, T/G push it out and pull it in and
+   * Y/H curl and open the bucket about it. The tip starts where it is, with
+   * the bucket brought within its limits.
+   *
+   * @param {string} mode - 'joints' or 'tip'
+   */
+  setControlMode(mode) {
+    if (mode !== 'joints' && mode !== 'tip') {
+      throw new Error(`Unknown control mode "${mode}"; expected joints or tip`);
     }
+    this.controlMode = mode;
+    this.tipTarget = mode === 'tip' ? this.getBucketTip() : null;
+    // Joint mode holds whatever pose tip mode left the arm in.
+    this.targetBoomAngle = null;
+    this.targetStickAngle = null;
+    this.targetBucketAngle = null;
+  }
 
-    // Boom with PD control
-    if (this.keys.r || this.keys.f) {
-      this.targetBoomAngle = null;
-      this.previousBoomAngle = null;
-      if (this.keys.r) {
-        this.boomConstraint.setMotorSpeed(-armSpeed);
-      } else if (this.keys.f) {
-        this.boomConstraint.setMotorSpeed(armSpeed);
-      }
-    } else {
-      const currentAngle = this.getHingeAngle(
-        this.turretBody,
-        this.boomBody,
-        this.boomConstraint.axisA,
-        this.boomConstraint.axisB
-      );
-      if (this.targetBoomAngle === null) {
-        this.targetBoomAngle = currentAngle;
-      }
-      if (this.previousBoomAngle !== null) {
-        const angleError = this.targetBoomAngle - currentAngle;
-        const angularVelocity = (currentAngle - this.previousBoomAngle) / (1 / 60);
-        let controlSpeed = kp * angleError - kd * angularVelocity;
-        controlSpeed = Math.max(-maxControlSpeed, Math.min(maxControlSpeed, controlSpeed));
-        this.boomConstraint.setMotorSpeed(controlSpeed);
-      }
-      this.previousBoomAngle = currentAngle;
+  toggleControlMode() {
+    this.setControlMode(this.controlMode === 'tip' ? 'joints' : 'tip');
+  }
+
+  /**
+   * Sends the bucket tip to a target in tip mode, e.g. from a script. Targets
+   * the arm cannot reach are brought to the nearest pose it can take.
+   *
+   * @param {Object} target - { reach, height, attack }; parts left out keep their current target
+   */
+  setTipTarget(target) {
+    if (this.controlMode !== 'tip') this.setControlMode('tip');
+    this.tipTarget = { ...this.tipTarget, ...target };
+  }
+
+  // Moves the tip target by the arm controls and servos the joints to the pose that reaches it.
+  updateTipControl(command, maxControlSpeed) {
+    const dt = this.physicsWorld.dt;
+    const kp = 5;
+    // The target slows with the arm when the pump cannot keep up.
+    const delivery = this.hydraulics.state.delivery;
+    const target = this.tipTarget;
+    target.height += command.boom * TIP_SPEED * delivery * dt;
+    target.reach += command.stick * TIP_SPEED * delivery * dt;
+    target.attack = wrapAngle(target.attack + command.bucket * TIP_TURN_SPEED * delivery * dt);
+
+    const pose = solveArmIK(this.armGeometry, target);
+    if (!pose.reachable) {
+      // Hold the target at the edge of the workspace instead of letting it run off.
+      this.tipTarget = armForwardKinematics(this.armGeometry, pose);
     }
 
-    // Stick with PD control
-    if (this.keys.g || this.keys.t) {
-      this.targetStickAngle = null;
-      this.previousStickAngle = null;
-      if (this.keys.g) {
-        this.stickConstraint.setMotorSpeed(-armSpeed);
-      } else if (this.keys.t) {
-        this.stickConstraint.setMotorSpeed(armSpeed);
-      }
+    // A joint's angle grows at its motor speed.
+    const angles = this.getArmAngles();
+    ['boom', 'stick', 'bucket'].forEach(joint => {
+      const speed = kp * wrapAngle(pose[joint] - angles[joint]);
+      this.jointDemands[joint] = Math.max(-maxControlSpeed, Math.min(maxControlSpeed, speed));
+    });
+  }
+
+  fixedUpdate() {
+    // The arm and its load weigh on the machine whoever is at the controls.
+    this.applyHeldWeight();
+    this.updateStability();
+    // The tracks carry the whole machine, load and all.
+    this.traction.mass = this.stability.mass;
+    // Keyboard-driven vehicles only respond while they are the active one; parked, the
+    // tracks still hold the machine where it stands.
+    const active = !this.keyboard || window.activeVehicle === this;
+    const command = active ? this.command : null;
+    this.driveTracks(command);
+    // The bucket holds, or spills, its load either way.
+    if (this.attachment.picksUp(command)) this.scoopCubes();
+    this.dumpPayload(command);
+    this.carryCubes();
+    if (!active) return;
+
+    const armSpeed = 1.5;
+    // The hold loops ask for a joint speed in proportion to how far the joint has strayed.
+    // The motor turns the joint at that speed within a step, so the speed needs no damping
+    // of its own: fed back, it would set the arm ringing.
+    const kp = 10; // Proportional gain
+    const maxControlSpeed = 2; // Limit motor speed
+
+    // Joint motor controls, holding each joint where it was let go
+    // Turret (Y-axis)
+    if (command.turret > 0) {
+      this.jointDemands.swing = -armSpeed;
+    } else if (command.turret < 0) {
+      this.jointDemands.swing = armSpeed;
     } else {
-      const currentAngle = this.getHingeAngle(
-        this.boomBody,
-        this.stickBody,
-        this.stickConstraint.axisA,
-        this.stickConstraint.axisB
-      );
-      if (this.targetStickAngle === null) {
-        this.targetStickAngle = currentAngle;
-      }
-      if (this.previousStickAngle !== null) {
-        const angleError = this.targetStickAngle - currentAngle;
-        const angularVelocity = (currentAngle - this.previousStickAngle) / (1 / 60);
-        let controlSpeed = kp * angleError - kd * angularVelocity;
-        controlSpeed = Math.max(-maxControlSpeed, Math.min(maxControlSpeed, controlSpeed));
-        this.stickConstraint.setMotorSpeed(controlSpeed);
-      }
-      this.previousStickAngle = currentAngle;
+      this.jointDemands.swing = 0;
     }
 
-    // Bucket with PD control
-    if (this.keys.y || this.keys.h) {
-      this.targetBucketAngle = null;
-      this.previousBucketAngle = null;
-      if (this.keys.y) {
-        this.bucketConstraint.setMotorSpeed(armSpeed);
-      } else if (this.keys.h) {
-        this.bucketConstraint.setMotorSpeed(-armSpeed);
-      }
+    if (this.controlMode === 'tip') {
+      this.updateTipControl(command, maxControlSpeed);
     } else {
-      const currentAngle = this.getHingeAngle(
-        this.stickBody,
-        this.bucketBody,
-        this.bucketConstraint.axisA,
-        this.bucketConstraint.axisB
-      );
-      if (this.targetBucketAngle === null) {
-        this.targetBucketAngle = currentAngle;
+      // Boom
+      if (command.boom) {
+        this.targetBoomAngle = null;
+        if (command.boom > 0) {
+          this.jointDemands.boom = -armSpeed;
+        } else {
+          this.jointDemands.boom = armSpeed;
+        }
+      } else {
+        const currentAngle = this.getArmJointAngle(this.boomBody, this.turretBody);
+        if (this.targetBoomAngle === null) {
+          this.targetBoomAngle = currentAngle;
+        }
+        const controlSpeed = kp * wrapAngle(this.targetBoomAngle - currentAngle);
+        this.jointDemands.boom = Math.max(-maxControlSpeed, Math.min(maxControlSpeed, controlSpeed));
       }
-      if (this.previousBucketAngle !== null) {
-        const angleError = this.targetBucketAngle - currentAngle;
-        const angularVelocity = (currentAngle - this.previousBucketAngle) / (1 / 60);
-        let controlSpeed = kp * angleError - kd * angularVelocity;
-        controlSpeed = Math.max(-maxControlSpeed, Math.min(maxControlSpeed, controlSpeed));
-        this.bucketConstraint.setMotorSpeed(controlSpeed);
+
+      // Stick
+      if (command.stick) {
+        this.targetStickAngle = null;
+        if (command.stick < 0) {
+          this.jointDemands.stick = -armSpeed;
+        } else {
+          this.jointDemands.stick = armSpeed;
+        }
+      } else {
+        const currentAngle = this.getArmJointAngle(this.stickBody, this.boomBody);
+        if (this.targetStickAngle === null) {
+          this.targetStickAngle = currentAngle;
+        }
+        const controlSpeed = kp * wrapAngle(this.targetStickAngle - currentAngle);
+        this.jointDemands.stick = Math.max(-maxControlSpeed, Math.min(maxControlSpeed, controlSpeed));
+      }
+
+      // Bucket
+      if (command.bucket) {
+        this.targetBucketAngle = null;
+        if (command.bucket > 0) {
+          this.jointDemands.bucket = armSpeed;
+        } else {
+          this.jointDemands.bucket = -armSpeed;
+        }
+      } else {
+        const currentAngle = this.getArmJointAngle(this.bucketBody, this.stickBody);
+        if (this.targetBucketAngle === null) {
+          this.targetBucketAngle = currentAngle;
+        }
+        const controlSpeed = kp * wrapAngle(this.targetBucketAngle - currentAngle);
+        this.jointDemands.bucket = Math.max(-maxControlSpeed, Math.min(maxControlSpeed, controlSpeed));
       }
-      this.previousBucketAngle = currentAngle;
     }
 
+    // The hydraulics share the pump between the functions and slow them under load.
+    this.driveJoints();
+
     this.clampHingeAngleAroundY(this.turretBody, this.baseBody, -Math.PI, Math.PI);
-    this.clampHingeAngleAroundX(this.boomBody, this.turretBody, -Math.PI * 75 / 180, Math.PI / 3);
-    this.clampHingeAngleAroundX(this.bucketBody, this.stickBody, -Math.PI / 4, Math.PI / 2);
+    this.clampHingeAngleAroundX(this.boomBody, this.turretBody, ...BOOM_LIMITS);
+    this.clampHingeAngleAroundX(this.stickBody, this.boomBody, ...STICK_LIMITS);
+    this.clampHingeAngleAroundX(this.bucketBody, this.stickBody, ...this.attachment.limits);
 
-    if (this.keys.space) {
-      this.dig();
-    }
+    this.digLoad = 0;
+    this.attachment.work(this, command);
+  }
 
-    this.attachedCubes.forEach(cube => {
-      const localPos = cube.localPosition;
-      const worldPos = this.bucketBody.position.clone().vadd(
-        this.bucketBody.quaternion.vmult(localPos)
-      );
-      cube.body.position.copy(worldPos);
-      cube.body.quaternion.copy(this.bucketBody.quaternion);
-      if (cube.instanceId !== undefined && this.cubes.length > 0 && this.cubes[0].mesh) {
-        const dummy = new THREE.Object3D();
-        dummy.position.copy(worldPos);
-        dummy.quaternion.copy(this.bucketBody.quaternion);
-        dummy.updateMatrix();
-        this.cubes[0].mesh.setMatrixAt(cube.instanceId, dummy.matrix);
-        this.cubes[0].mesh.instanceMatrix.needsUpdate = true;
+  // Call this on each frame to update the meshes from the interpolated physics state
+  update() {
+    syncObjectToBody(this.baseGroup, this.baseBody);
+    syncObjectToBody(this.turretGroup, this.turretBody);
+    syncObjectToBody(this.boomMesh, this.boomBody);
+    syncObjectToBody(this.stickMesh, this.stickBody);
+    this.attachment.update();
+  }
+
+  // World positions of points along the bucket's open edge, used as the cutting edge.
+  getBucketLipPoints() {
+    return this.attachment.lipPoints.map(point => this.attachment.toWorld(point));
+  }
+
+  // Cuts the terrain wherever the bucket lip is below the surface and fills the bucket, as
+  // fast as the soil allows. Intact rock is raked by the teeth until it breaks. A grading
+  // bucket also fills the hollows under its lip from what it carries.
+  digTerrain() {
+    if (!this.terrain) return;
+    const cutRadius = 0.5;
+    const dt = this.physicsWorld.dt;
+    const lipPoints = this.getBucketLipPoints();
+    let load = 0;
+    const onRock = [];
+    lipPoints.forEach(point => {
+      const ground = this.terrain.getHeight(point.x, point.z);
+      if (ground <= point.y) {
+        if (this.attachment.grades) this.fillTo(point, point.y - ground, CUT_RATE * dt / lipPoints.length);
+        return;
+      }
+      const soil = this.soil.soilAt(point.x, point.z);
+      load += soil.digResistance;
+      if (this.soil.isIntact(point.x, point.z)) {
+        onRock.push(point);
+        return;
       }
+      const maxCut = CUT_RATE * dt / (soil.digResistance * lipPoints.length);
+      const remaining = Math.min(this.attachment.capacity - this.payloadVolume, maxCut);
+      if (remaining <= 0) return;
+      const volume = this.terrain.lowerTo(point.x, point.z, cutRadius, point.y, remaining);
+      // An empty entry would read as a payload of nothing to pour.
+      if (volume > 0) this.payload.set(soil.name, (this.payload.get(soil.name) || 0) + volume);
     });
+    this.digLoad = load / lipPoints.length;
+
+    // The teeth work the rock under the middle of the engaged stretch of lip.
+    if (onRock.length > 0) {
+      const x = onRock.reduce((sum, point) => sum + point.x, 0) / onRock.length;
+      const z = onRock.reduce((sum, point) => sum + point.z, 0) / onRock.length;
+      this.soil.breakGround(x, z, cutRadius + 0.4, dt);
+    }
+  }
 
-    this.baseGroup.position.copy(this.baseBody.position);
-    this.baseGroup.quaternion.copy(this.baseBody.quaternion);
-    this.turretGroup.position.copy(this.turretBody.position);
-    this.turretGroup.quaternion.copy(this.turretBody.quaternion);
-    this.boomMesh.position.copy(this.boomBody.position);
-    this.boomMesh.quaternion.copy(this.boomBody.quaternion);
-    this.stickMesh.position.copy(this.stickBody.position);
-    this.stickMesh.quaternion.copy(this.stickBody.quaternion);
-    this.bucketMesh.position.copy(this.bucketBody.position);
-    this.bucketMesh.quaternion.copy(this.bucketBody.quaternion);
+  // Spreads payload into the hollow under a lip point, up to the lip.
+  fillTo(point, gap, maxVolume) {
+    const cellArea = this.terrain.elementSize ** 2;
+    const amount = Math.min(this.payloadVolume, maxVolume, gap * cellArea);
+    if (amount <= 1e-6) return;
+    const soilName = this.takePayload(amount);
+    this.terrain.deposit(point.x, point.z, amount, this.terrain.elementSize);
+    this.soil.recordFill(point.x, point.z, this.terrain.elementSize, soilName);
   }
 
-  dig() {
+  /**
+   * Removes loose material from the payload, each soil in proportion to its share.
+   *
+   * @param {number} amount - m³, no more than the soils hold
+   * @param {Array<string>} [names] - Soils to take it from (all of them by default)
+   * @returns {string} The soil most of it was
+   */
+  takePayload(amount, names = [...this.payload.keys()]) {
+    let volume = 0;
+    let mainSoil = null;
+    names.forEach(name => {
+      volume += this.payload.get(name);
+      if (!mainSoil || this.payload.get(name) > this.payload.get(mainSoil)) mainSoil = name;
+    });
+    names.forEach(name => {
+      const soilVolume = this.payload.get(name);
+      const taken = amount * soilVolume / volume;
+      if (soilVolume - taken > 1e-9) {
+        this.payload.set(name, soilVolume - taken);
+      } else {
+        this.payload.delete(name);
+      }
+    });
+    return mainSoil;
+  }
+
+  // Pours out the loose material the bucket's floor is tipped past the angle of repose of, into
+  // a dump target below or onto the ground; while the lip is in the ground, the face it cuts
+  // holds the load in. Shaking the bucket (release) empties it whenever the opening faces down
+  // at all, sticky soil too. The command is null while the machine is parked.
+  dumpPayload(command) {
+    if (!this.terrain || this.payload.size === 0) return;
+    if (this.getBucketLipPoints().some(point => point.y < this.terrain.getHeight(point.x, point.z))) return;
+    const shaking = Boolean(command && command.release) && this.attachment.getOpening().y < 0;
+    const pouring = [...this.payload.keys()].filter(name => shaking || this.attachment.spills(getSoilType(name)));
+    if (pouring.length === 0) return;
+    let volume = 0;
+    let cohesion = 0;
+    pouring.forEach(name => {
+      volume += this.payload.get(name);
+    });
+    pouring.forEach(name => {
+      cohesion += getSoilType(name).cohesion * this.payload.get(name) / volume;
+    });
+    const dumpRate = shaking ? DUMP_RATE : DUMP_RATE / (1 + cohesion / DUMP_COHESION);
+    const amount = Math.min(volume, dumpRate * this.physicsWorld.dt);
     const bucketPos = this.bucketBody.position;
+    const target = this.dumpTargets.find(candidate => candidate.catches(bucketPos));
+    if (target) {
+      pouring.forEach(name => target.addCargo(name, amount * this.payload.get(name) / volume));
+      this.takePayload(amount, pouring);
+      return;
+    }
+    // Each soil pours out in proportion to its share of what is pouring; the pile counts as the main one.
+    const mainSoil = this.takePayload(amount, pouring);
+    this.terrain.deposit(bucketPos.x, bucketPos.z, amount, 1.5);
+    this.soil.recordFill(bucketPos.x, bucketPos.z, 1.5, mainSoil);
+  }
+
+  // Counts the loose blocks the attachment has hold of as payload: inside the bucket, or
+  // between the grapple's closed tines.
+  scoopCubes() {
     for (let i = this.cubes.length - 1; i >= 0; i--) {
       const cube = this.cubes[i];
-      const cubePos = cube.body.position;
-      const distance = bucketPos.distanceTo(cubePos);
-      if (distance < 0.4 && this.attachedCubes.length < 20) {
-        console.log(`Picking up cube at ${cubePos.x}, ${cubePos.y}, ${cubePos.z}`);
-        const localPos = cubePos.clone().vsub(bucketPos);
-        localPos.applyQuaternion(this.bucketBody.quaternion.conjugate());
-        cube.localPosition = localPos;
-        this.attachedCubes.push(cube);
-        this.cubes.splice(i, 1);
-        break;
-      }
-    }
-    if (this.keys.r && this.attachedCubes.length > 0) {
-      console.log(`Releasing ${this.attachedCubes.length} cubes`);
-      this.attachedCubes.forEach(cube => {
-        cube.body.velocity.set(0, 0, 0);
-        cube.body.angularVelocity.set(0, 0, 0);
-      });
-      this.attachedCubes = [];
+      if (!this.attachment.grips(cube)) continue;
+      this.carriedCubes.push(cube);
+      this.cubes.splice(i, 1);
     }
   }
+
+  // Lets go of the carried blocks the attachment has lost its hold on: slid or knocked out
+  // of the bucket, or dropped by the grapple.
+  carryCubes() {
+    this.carriedCubes = this.carriedCubes.filter(cube => {
+      if (this.attachment.grips(cube)) return true;
+      this.cubes.push(cube);
+      return false;
+    });
+  }
+
+  /**
+   * Couples an attachment to the stick in place of the one there, which must
+   * already have been parked (see swapAttachment).
+   *
+   * @param {Attachment} attachment - See excavatorAttachments.js
+   */
+  attach(attachment) {
+    attachment.couple(this);
+    this.attachment = attachment;
+    // The arm's last joint, whatever is on it.
+    this.bucketBody = attachment.body;
+    this.bucketConstraint = attachment.hinge;
+    this.bucketConstraint.setMotorMaxForce(this.hydraulics.maxTorque('bucket'));
+    this.armGeometry = this.getArmGeometry();
+    this.targetBucketAngle = null;
+    if (this.controlMode === 'tip') this.tipTarget = this.getBucketTip();
+  }
+
+  /**
+   * Moves the whole machine, so its base is at position and the arm and attachment come
+   * along instead of being hauled across by their joints.
+   *
+   * @param {THREE.Vector3|CANNON.Vec3} position
+   */
+  setPosition(position) {
+    const offset = new CANNON.Vec3(position.x, position.y, position.z).vsub(this.baseBody.position);
+    [this.baseBody, this.turretBody, this.boomBody, this.stickBody, ...this.attachment.bodies].forEach(body => {
+      body.position.vadd(offset, body.position);
+    });
+  }
+
+  // Where the quick coupler's pin is, in world space.
+  getCouplerPosition() {
+    return this.stickBody.position.vadd(this.stickBody.quaternion.vmult(COUPLER_PIVOT));
+  }
+
+  /**
+   * Quick coupler: hangs the attachment on the rack and takes the one from the
+   * hook nearest the coupler. Nothing happens unless a hook with a tool on it
+   * is within reach and the attachment is empty.
+   *
+   * @param {ToolRack} rack
+   * @returns {Attachment|null} The attachment now on the stick, or null if none was swapped
+   */
+  swapAttachment(rack) {
+    if (this.payload.size > 0 || this.carriedCubes.length > 0) return null;
+    const slot = rack.nearestSlot(this.getCouplerPosition(), COUPLER_REACH);
+    if (!slot) return null;
+    const next = slot.attachment;
+    rack.hang(slot, this.attachment);
+    this.attach(next);
+    return next;
+  }
 }
@@ -1,52 +1,42 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { tagBody } from './collisionEvents.js';
+import { getSoilType, getSoilMaterial, getBlockMass } from './soils.js';
+import { fractureBlock } from './Block.js';
 
 /**
  * Creates a Minecraft-like block pile that drops from short heights
  * and settles into a stable pyramid/hill. Each cube is an individual
  * Cannon body, so they can be pushed or scooped by the excavator.
+ * Despite the name the pile can be any soil type (see soils.js).
  */
 export class SandHill {
     constructor(
         scene,
         physicsWorld,
-        groundMaterial,
-        excavatorMaterial,
-        position = new THREE.Vector3(0, 0, 5)
+        position = new THREE.Vector3(0, 0, 5),
+        random,
+        soil = 'sand'
     ) {
         this.scene = scene;
         this.physicsWorld = physicsWorld;
-        this.groundMaterial = groundMaterial;
-        this.excavatorMaterial = excavatorMaterial;
         this.position = position;
+        this.random = random; // seeded generator from random.js
+        this.soil = getSoilType(soil);
 
-        this.cubes = []; // Store each block's { instanceId, body, mesh }
+        this.cubes = []; // Store each block's { instanceId, body, mesh, soil, size, fracture }
+        this.pieces = []; // Blocks that cubes broke into (see fractureCube)
 
         // Create the blocky hill
         this.createBlockHill();
     }
 
     createBlockHill() {
-        // --- 1) Set up a physics Material for the cubes
-        const sandPhysicsMaterial = new CANNON.Material('blockMaterial');
-
-        // Ground contact
-        const blockGroundContact = new CANNON.ContactMaterial(this.groundMaterial, sandPhysicsMaterial, {
-            friction: 0.8,       // fairly high friction so blocks don't slide easily
-            restitution: 0.0,    // no bounce
-        });
-        this.physicsWorld.addContactMaterial(blockGroundContact);
-
-        // Excavator contact
-        // (Ensures excavator can push them realistically)
-        const blockExcavatorContact = new CANNON.ContactMaterial(sandPhysicsMaterial, this.excavatorMaterial, {
-            friction: 0.7,
-            restitution: 0.0
-        });
-        this.physicsWorld.addContactMaterial(blockExcavatorContact);
+        // --- 1) Physics material for the cubes (derived from the sand block's in materials.json)
+        const sandPhysicsMaterial = getSoilMaterial(this.physicsWorld, this.soil.name);
 
         // --- 2) Visual Material
-        const blockMeshMat = new THREE.MeshStandardMaterial({ color: 0xd4a017 });
+        const blockMeshMat = new THREE.MeshStandardMaterial({ color: this.soil.color });
 
         // We'll use InstancedMesh to render many cubes efficiently
         // "Minecraft block" => let's assume 1.0 x 1.0 x 1.0
@@ -103,8 +93,8 @@ export class SandHill {
                     // Optionally add a small random offset so they don't spawn
                     // perfectly aligned, helping them settle more naturally:
                     const randOffset = 0.05; // small perturbation
-                    x += (Math.random() - 0.5) * randOffset;
-                    z += (Math.random() - 0.5) * randOffset;
+                    x += (this.random() - 0.5) * randOffset;
+                    z += (this.random() - 0.5) * randOffset;
 
                     const y = yPos; 
                     
@@ -115,12 +105,12 @@ export class SandHill {
                     blockInstancedMesh.setMatrixAt(instanceIndex, dummy.matrix);
 
                     // --- 4) Create Cannon body for each block
-                    const body = new CANNON.Body({
-                        mass: 1, // 1 kg per block
+                    const body = this.physicsWorld.createBody({
+                        mass: getBlockMass(this.soil.name, blockSize ** 3),
                         material: sandPhysicsMaterial
                     });
                     // A box shape (half extents = 0.5 each)
-                    body.addShape(new CANNON.Box(new CANNON.Vec3(halfSize, halfSize, halfSize)));
+                    body.addShape(this.physicsWorld.createBox(new CANNON.Vec3(halfSize, halfSize, halfSize)));
                     body.position.set(x, y, z);
 
                     // Let them sleep if very still => stable piles
@@ -129,10 +119,13 @@ export class SandHill {
                     body.sleepTimeLimit = 1;     // need 1s below that speed
 
                     // Add to world
+                    tagBody(body, 'block', `${this.soil.name} block`);
                     this.physicsWorld.addBody(body);
 
                     // Track in array
-                    this.cubes.push({ instanceId: instanceIndex, body, mesh: blockInstancedMesh });
+                    const cube = { instanceId: instanceIndex, body, mesh: blockInstancedMesh, soil: this.soil, size: blockSize };
+                    cube.fracture = () => this.fractureCube(cube);
+                    this.cubes.push(cube);
 
                     instanceIndex++;
                 }
@@ -152,6 +145,37 @@ export class SandHill {
         // After this, they should be mostly settled in a pyramid shape.
     }
 
+    /**
+     * Call this on each frame to write the interpolated body transforms
+     * into the instanced mesh.
+     */
+    update() {
+        const dummy = new THREE.Object3D();
+        this.cubes.forEach(({ instanceId, body }) => {
+            dummy.position.copy(body.interpolatedPosition);
+            dummy.quaternion.copy(body.interpolatedQuaternion);
+            dummy.updateMatrix();
+            this.sandMesh.setMatrixAt(instanceId, dummy.matrix);
+        });
+        this.sandMesh.instanceMatrix.needsUpdate = true;
+        this.pieces.forEach(piece => piece.update());
+    }
+
+    /**
+     * Breaks a cube into eight smaller blocks (see fractureBlock), which
+     * replace it in the pile.
+     *
+     * @returns {Array<Block>} The pieces
+     */
+    fractureCube(cube) {
+        // Hide the cube's instance: a zero-scale matrix draws nothing.
+        this.sandMesh.setMatrixAt(cube.instanceId, new THREE.Matrix4().makeScale(0, 0, 0));
+        this.cubes.splice(this.cubes.indexOf(cube), 1);
+        const pieces = fractureBlock(this.scene, this.physicsWorld, cube.body, this.soil, cube.size);
+        this.pieces.push(...pieces);
+        return pieces;
+    }
+
     /**
      * For other code (like the excavator) to know about these blocks if needed.
      */
@@ -1,8 +1,43 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { syncObjectToBody } from './physics.js';
+import { createCommand, updateCommand, attachKeyboardControls } from './vehicleControls.js';
+import { tagBody } from './collisionEvents.js';
+import { getMaterial } from './materials.js';
+import { WheelDrive, createWheelMesh } from './wheelDrive.js';
+
+// Control name => keys; see vehicleControls.js.
+const CONTROLS = {
+  drive: ['ArrowUp', 'ArrowDown'],
+  steer: ['ArrowLeft', 'ArrowRight'],
+  blade: ['x', 'z'], // +1 tilts the blade up towards -30°, -1 down towards -90°
+  angle: ['e', 'q'], // +1 swings the blade's right end back, casting the snow off to the right
+  lift: ['v', 'c']   // +1 lifts the plow assembly
+};
+
+// The blade angles up to this far either way, rad.
+const BLADE_MAX_ANGLE = Math.PI / 6;
+
+// Wheels: four-wheel drive, steered at the front, which carries the plow.
+const AXLES = [
+  { z: -1.3, stiffness: 40, damping: 3, steered: true, driven: true },
+  { z: 1.3, stiffness: 30, damping: 2.5, driven: true }
+];
+const TRACK_WIDTH = 1.8;
+const WHEEL_RADIUS = 0.5;
+const WHEEL_WIDTH = 0.45;
+const SUSPENSION_LENGTH = 0.35;
+// At the driven wheels, N·m, and at all the wheels, N.
+const ENGINE_TORQUE = 20000;
+const BRAKE_FORCE = 70000;
 
 export class SnowPlow {
-  constructor(scene, physicsWorld, groundMaterial) {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.keyboard=true] - Listen to the keyboard while this is
+   *   window.activeVehicle. Pass false to drive it only through setCommand(), e.g. headless.
+   */
+  constructor(scene, physicsWorld, groundMaterial, options = {}) {
     this.scene = scene;
     this.physicsWorld = physicsWorld;
     this.groundMaterial = groundMaterial;
@@ -13,110 +48,52 @@ export class SnowPlow {
     this.createModel();
     this.createPhysics();
 
-    // Use arrow keys for truck movement.
-    this.keys = {
-      ArrowUp: false,
-      ArrowDown: false,
-      ArrowLeft: false,
-      ArrowRight: false
-    };
+    this.command = createCommand(CONTROLS);
+    this.keyboard = options.keyboard !== false;
 
-    // Plow control keys.
-    // "Z"/"X" rotate the blade; "V"/"C" lift/lower the entire plow assembly.
-    this.plowKeys = {
-      z: false,
-      x: false,
-      liftUp: false,
-      liftDown: false
-    };
+    if (this.keyboard) {
+      attachKeyboardControls(this, CONTROLS);
+    }
 
-    // Movement parameters.
-    this.forwardVelocity = 0;
-    this.maxVelocity = 8;
-    this.acceleration = 0.8;
-    
-    // Turning parameters.
-    this.isRotating = false;
-    this.angularVelocityDecay = 0.8;
-
-    window.addEventListener('keydown', (e) => {
-      if (window.activeVehicle !== this) return;
-      if (this.keys.hasOwnProperty(e.key)) {
-        this.keys[e.key] = true;
-      }
-      if (e.key.toLowerCase() === 'z') {
-        this.plowKeys.z = true;
-      }
-      if (e.key.toLowerCase() === 'x') {
-        this.plowKeys.x = true;
-      }
-      if (e.key.toLowerCase() === 'v') {
-        this.plowKeys.liftUp = true;
-      }
-      if (e.key.toLowerCase() === 'c') {
-        this.plowKeys.liftDown = true;
-      }
-    });
-    window.addEventListener('keyup', (e) => {
-      if (window.activeVehicle !== this) return;
-      if (this.keys.hasOwnProperty(e.key)) {
-        this.keys[e.key] = false;
-      }
-      if (e.key.toLowerCase() === 'z') {
-        this.plowKeys.z = false;
-      }
-      if (e.key.toLowerCase() === 'x') {
-        this.plowKeys.x = false;
-      }
-      if (e.key.toLowerCase() === 'v') {
-        this.plowKeys.liftUp = false;
-      }
-      if (e.key.toLowerCase() === 'c') {
-        this.plowKeys.liftDown = false;
-      }
-    });
+    // Driving and plow controls run once per fixed physics step.
+    this.physicsWorld.addEventListener('preStep', () => this.fixedUpdate());
   }
 
   createModel() {
     // Materials.
     const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0xffaa00 });
-    const trackMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
+    const tyreMaterial = new THREE.MeshStandardMaterial({ color: 0x222222 });
+    const hubMaterial = new THREE.MeshStandardMaterial({ color: 0x999999 });
     // Plow material: yellow and double-sided (visual only, for front/back faces).
     const plowMaterial = new THREE.MeshStandardMaterial({ 
       color: 0xffff00,
       side: THREE.DoubleSide
     });
 
-    // Create tracks.
-    const trackGeometry = new THREE.BoxGeometry(0.6, 0.5, 4.4);
-    this.leftTrackMesh = new THREE.Mesh(trackGeometry, trackMaterial);
-    this.rightTrackMesh = new THREE.Mesh(trackGeometry, trackMaterial);
-    this.leftTrackMesh.position.set(-0.9, 0.25, 0);
-    this.rightTrackMesh.position.set(0.9, 0.25, 0);
-
-    // Create wheels.
     this.baseGroup = new THREE.Group();
-    const wheelGeometry = new THREE.CylinderGeometry(0.25, 0.25, 0.6, 16);
-    for (let i = -1.8; i <= 1.8; i += 0.9) {
-      const leftWheel = new THREE.Mesh(wheelGeometry, trackMaterial);
-      const rightWheel = new THREE.Mesh(wheelGeometry, trackMaterial);
-      leftWheel.position.set(-0.9, 0.25, i);
-      rightWheel.position.set(0.9, 0.25, i);
-      leftWheel.rotation.z = Math.PI / 2;
-      rightWheel.rotation.z = Math.PI / 2;
-      this.baseGroup.add(leftWheel, rightWheel);
-    }
+
+    // Wheels, left then right of each axle from the front, as the wheel drive adds them; it
+    // places them on their suspension (see WheelDrive#updateMeshes).
+    this.wheelMeshes = [];
+    AXLES.forEach(() => {
+      [-1, 1].forEach(() => {
+        const wheel = createWheelMesh(WHEEL_RADIUS, WHEEL_WIDTH, tyreMaterial, hubMaterial);
+        this.wheelMeshes.push(wheel);
+        this.baseGroup.add(wheel);
+      });
+    });
 
     // Base chassis.
     this.baseMesh = new THREE.Mesh(new THREE.BoxGeometry(1.8, 0.7, 3.8), bodyMaterial);
     this.baseMesh.position.set(0, 0.55, 0);
-    this.baseGroup.add(this.leftTrackMesh, this.rightTrackMesh, this.baseMesh);
+    this.baseGroup.add(this.baseMesh);
 
     // ----- Create the Plow Assembly -----
     // Attach the plow assembly flush with the truck's front.
     this.plowAssembly = new THREE.Group();
-    // Initially position at (0, 0.75, -1.9) relative to the truck base.
-    this.plowAssembly.position.set(0, 0.75, -1.9);
+    // Initially position at (0, 0.25, -1.9) relative to the truck base, which rides
+    // SUSPENSION_LENGTH + WHEEL_RADIUS above the ground.
+    this.plowAssembly.position.set(0, 0.25, -1.9);
 
     // Create a curved, skinny plow arm.
     const armCurvePoints = [
@@ -133,7 +110,9 @@ export class SnowPlow {
     // Create the plow blade group.
     this.plowBladeGroup = new THREE.Group();
     this.plowBladeGroup.position.copy(armCurvePoints[armCurvePoints.length - 1]);
-    // Start the blade at 45° (-Math.PI/4).
+    // Start the blade at 45° (-Math.PI/4), square to the truck. It angles about the
+    // assembly's vertical, then tilts about its own length.
+    this.plowBladeGroup.rotation.order = 'YXZ';
     this.plowBladeGroup.rotation.x = -Math.PI / 4;
 
     // Define blade dimensions.
@@ -176,21 +155,28 @@ export class SnowPlow {
   }
 
   createPhysics() {
-    const truckMaterial = new CANNON.Material('snowPlow');
-    const contactMaterial = new CANNON.ContactMaterial(
-      this.groundMaterial,
-      truckMaterial,
-      { friction: 20, restitution: 0.1 }
-    );
-    this.physicsWorld.addContactMaterial(contactMaterial);
-
-    // Main body for the snowplow.
-    this.baseBody = new CANNON.Body({ mass: 600000, material: truckMaterial });
-    this.baseBody.addShape(new CANNON.Box(new CANNON.Vec3(0.9, 0.35, 1.9)));
+    // Main body for the snowplow, riding on the wheel drive's wheels.
+    this.baseBody = this.physicsWorld.createBody({
+      mass: 7000,
+      material: getMaterial(this.physicsWorld, 'steel')
+    });
+    this.baseBody.addShape(this.physicsWorld.createBox(new CANNON.Vec3(0.9, 0.35, 1.9)));
     // Do not set the position here (we’ll set it in updates).
-    this.baseBody.linearDamping = 0.99;
-    this.baseBody.angularDamping = 0.99;
+    this.baseBody.linearDamping = 0.1;
+    this.baseBody.angularDamping = 0.1;
+    tagBody(this.baseBody, 'vehicle', 'snow plow', this);
     this.physicsWorld.addBody(this.baseBody);
+    this.wheels = new WheelDrive(this.physicsWorld, this.baseBody, {
+      material: 'rubberTire',
+      axles: AXLES,
+      trackWidth: TRACK_WIDTH,
+      radius: WHEEL_RADIUS,
+      suspensionLength: SUSPENSION_LENGTH,
+      engineTorque: ENGINE_TORQUE,
+      brakeForce: BRAKE_FORCE,
+      maxSpeed: 8,
+      maxSteer: Math.PI / 6
+    });
 
     // Plow blade shape (a box approximation).
     const halfExtents = new CANNON.Vec3(
@@ -198,120 +184,114 @@ export class SnowPlow {
       (this.bladeHeight + this.concaveDepth) / 2,
       this.bladeDepth / 2
     );
-    this.plowBladeShape = new CANNON.Box(halfExtents);
-    this.plowBladeBody = new CANNON.Body({ mass: 0 });
-    this.plowBladeBody.addShape(this.plowBladeShape);
+    this.plowBladeShape = this.physicsWorld.createBox(halfExtents);
     // Kinematic so we can manually set its transform each frame.
-    this.plowBladeBody.type = CANNON.Body.KINEMATIC;
+    this.plowBladeBody = this.physicsWorld.createBody({
+      mass: 0,
+      type: 'kinematic',
+      material: getMaterial(this.physicsWorld, 'steel')
+    });
+    this.plowBladeBody.addShape(this.plowBladeShape);
     this.plowBladeBody.collisionResponse = true;
+    tagBody(this.plowBladeBody, 'vehicle', 'snow plow', this);
     this.physicsWorld.addBody(this.plowBladeBody);
   }
 
-  update() {
-    // Always update visual positions from physics.
-    this.baseGroup.position.copy(this.baseBody.position);
-    this.baseGroup.quaternion.copy(this.baseBody.quaternion);
-
-    // Process input only if active.
-    if (window.activeVehicle !== this) return;
-
-    // Forward/back movement handling.
-    const damping = 0.95;
-    if (this.keys['ArrowUp']) {
-      this.forwardVelocity = Math.min(
-        this.forwardVelocity + this.acceleration,
-        this.maxVelocity
-      );
-    } else if (this.keys['ArrowDown']) {
-      this.forwardVelocity = Math.max(
-        this.forwardVelocity - this.acceleration,
-        -this.maxVelocity
-      );
-    } else {
-      // Gradually slow down if no forward/back key is pressed.
-      this.forwardVelocity *= damping;
-      if (Math.abs(this.forwardVelocity) < 0.1) {
-        this.forwardVelocity = 0;
-      }
-    }
-
-    // Turning logic.
-    this.isRotating = this.keys['ArrowLeft'] || this.keys['ArrowRight'];
-    if (!this.isRotating) {
-      this.baseBody.angularVelocity.y *= this.angularVelocityDecay;
-      if (Math.abs(this.baseBody.angularVelocity.y) < 0.05) {
-        this.baseBody.angularVelocity.y = 0;
-      }
-    }
-
-    // Apply forward velocity in local forward direction.
-    if (this.forwardVelocity !== 0) {
-      const forward = new CANNON.Vec3(0, 0, -1);
-      const forwardWorld = this.baseBody.quaternion.vmult(forward);
-      const velocityVector = forwardWorld.scale(this.forwardVelocity);
-      this.baseBody.velocity.x = velocityVector.x;
-      this.baseBody.velocity.z = velocityVector.z;
-    } else {
-      this.baseBody.velocity.x = 0;
-      this.baseBody.velocity.z = 0;
-    }
+  /**
+   * Sets controls from a command object, e.g. { drive: 1, lift: -1 }.
+   * Controls left out keep their current value.
+   */
+  setCommand(command) {
+    updateCommand(this.command, command);
+  }
 
-    // Apply turning angular velocity.
-    const turnSpeed = 1.5;
-    if (this.keys['ArrowLeft']) {
-      this.baseBody.angularVelocity.y = turnSpeed;
-    } else if (this.keys['ArrowRight']) {
-      this.baseBody.angularVelocity.y = -turnSpeed;
-    }
+  fixedUpdate() {
+    // Keep the blade collider attached to the truck even when it is not being driven.
+    this.updateBladeBody();
 
-    // Prevent drifting in Y.
-    this.baseBody.velocity.y = 0;
-    // Limit pitch/roll.
-    this.baseBody.angularVelocity.x = Math.max(
-      Math.min(this.baseBody.angularVelocity.x, 0.3),
-      -0.3
-    );
+    // Keyboard-driven vehicles only respond while they are the active one; parked, the
+    // brakes still hold the truck where it stands.
+    const active = !this.keyboard || window.activeVehicle === this;
+    this.wheels.update(active ? this.command : null);
+    if (!active) return;
+    const command = this.command;
 
-    // Plow blade rotation (Z / X keys).
+    // Plow blade rotation.
     const plowSpeed = 0.02;
-    if (this.plowKeys.z) {
+    if (command.blade < 0) {
       this.plowBladeGroup.rotation.x = Math.max(
         this.plowBladeGroup.rotation.x - plowSpeed,
         -Math.PI / 2
       );
     }
-    if (this.plowKeys.x) {
+    if (command.blade > 0) {
       this.plowBladeGroup.rotation.x = Math.min(
         this.plowBladeGroup.rotation.x + plowSpeed,
         -Math.PI / 6
       );
     }
 
-    // Plow assembly lift (V / C keys).
+    // Plow blade angle.
+    if (command.angle) {
+      this.plowBladeGroup.rotation.y = Math.max(-BLADE_MAX_ANGLE, Math.min(
+        this.plowBladeGroup.rotation.y - command.angle * plowSpeed,
+        BLADE_MAX_ANGLE
+      ));
+    }
+
+    // Plow assembly lift; at the bottom the blade's edge scrapes the ground.
     const liftSpeed = 0.01;
-    if (this.plowKeys.liftUp) {
+    if (command.lift > 0) {
       this.plowAssembly.position.y = Math.min(
         this.plowAssembly.position.y + liftSpeed,
-        1.5
+        1
       );
     }
-    if (this.plowKeys.liftDown) {
+    if (command.lift < 0) {
       this.plowAssembly.position.y = Math.max(
         this.plowAssembly.position.y - liftSpeed,
-        0.1
+        -0.7
       );
     }
+  }
 
-    // Sync Three.js group to Cannon body again (clean-up).
-    this.baseGroup.position.copy(this.baseBody.position);
-    this.baseGroup.quaternion.copy(this.baseBody.quaternion);
+  /**
+   * The blade's world transform, composed from the truck body's physics
+   * transform rather than the interpolated mesh.
+   *
+   * @returns {THREE.Matrix4}
+   */
+  getBladeMatrix() {
+    this.plowAssembly.updateMatrix();
+    this.plowBladeGroup.updateMatrix();
+    const bladeMatrix = new THREE.Matrix4().compose(
+      new THREE.Vector3().copy(this.baseBody.position),
+      new THREE.Quaternion().copy(this.baseBody.quaternion),
+      new THREE.Vector3(1, 1, 1)
+    );
+    return bladeMatrix.multiply(this.plowAssembly.matrix).multiply(this.plowBladeGroup.matrix);
+  }
 
-    // Update the kinematic blade body to match the blade’s world transform.
-    this.plowBladeGroup.updateMatrixWorld();
-    let bladeWorldPos = new THREE.Vector3();
-    this.plowBladeGroup.getWorldPosition(bladeWorldPos);
-    let bladeWorldQuat = new THREE.Quaternion();
-    this.plowBladeGroup.getWorldQuaternion(bladeWorldQuat);
+  /**
+   * Ends of the blade's cutting edge, its bottom edge along the arm's end, in world
+   * coordinates. The snow layer sweeps the ground with it (see snowAccumulation.js).
+   *
+   * @returns {{left: THREE.Vector3, right: THREE.Vector3}}
+   */
+  getBladeEdge() {
+    const bladeMatrix = this.getBladeMatrix();
+    return {
+      left: new THREE.Vector3(-this.bladeWidth / 2, -this.bladeHeight, 0).applyMatrix4(bladeMatrix),
+      right: new THREE.Vector3(this.bladeWidth / 2, -this.bladeHeight, 0).applyMatrix4(bladeMatrix)
+    };
+  }
+
+  // Moves the kinematic blade body to the blade's world transform.
+  updateBladeBody() {
+    const bladeMatrix = this.getBladeMatrix();
+    const bladeWorldPos = new THREE.Vector3();
+    const bladeWorldQuat = new THREE.Quaternion();
+    bladeMatrix.decompose(bladeWorldPos, bladeWorldQuat, new THREE.Vector3());
 
     this.plowBladeBody.position.set(bladeWorldPos.x, bladeWorldPos.y, bladeWorldPos.z);
     this.plowBladeBody.quaternion.set(
@@ -321,4 +301,10 @@ export class SnowPlow {
       bladeWorldQuat.w
     );
   }
+
+  // Call this on each frame to update the model from the interpolated physics state
+  update() {
+    syncObjectToBody(this.baseGroup, this.baseBody);
+    this.wheels.updateMeshes(this.wheelMeshes);
+  }
 }
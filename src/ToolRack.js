@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { tagBody } from './collisionEvents.js';
+import { getMaterial } from './materials.js';
+
+// Hooks are SLOT_SPACING m apart along the rack (its x) and HOOK_HEIGHT m above its foot.
+const SLOT_SPACING = 2.5;
+const HOOK_HEIGHT = 2.8;
+const BEAM_HEIGHT = HOOK_HEIGHT + 0.7;
+// Tools hang upside down from their coupler pin, so they clear the ground.
+const HANGING = new CANNON.Quaternion().setFromAxisAngle(new CANNON.Vec3(0, 0, 1), Math.PI);
+
+/**
+ * A steel rack of excavator attachments: two posts and a beam with a hook
+ * per slot. Drive the coupler up to a hook and Excavator.swapAttachment hangs
+ * the tool on the machine there and takes the one from the hook.
+ */
+export class ToolRack {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {PhysicsBackend} physicsWorld
+   * @param {THREE.Vector3|CANNON.Vec3} position - The middle of the rack's foot, on the ground
+   * @param {Array<Attachment>} attachments - One per slot, left to right (see excavatorAttachments.js)
+   */
+  constructor(scene, physicsWorld, position, attachments) {
+    this.scene = scene;
+    this.physicsWorld = physicsWorld;
+    this.position = new CANNON.Vec3(position.x, position.y, position.z);
+    const length = (attachments.length - 1) * SLOT_SPACING;
+    // Each slot is { hook, attachment }, hook the world position the coupler pin hangs from.
+    this.slots = attachments.map((attachment, index) => {
+      const slot = {
+        hook: this.position.vadd(new CANNON.Vec3(index * SLOT_SPACING - length / 2, HOOK_HEIGHT, 0)),
+        attachment: null
+      };
+      this.hang(slot, attachment);
+      return slot;
+    });
+    // Posts half a slot beyond the outer hooks.
+    this.createFrame(length + SLOT_SPACING);
+  }
+
+  createFrame(length) {
+    const material = new THREE.MeshStandardMaterial({ color: 0x2f5f8f });
+    this.group = new THREE.Group();
+    this.group.position.set(this.position.x, this.position.y, this.position.z);
+    this.body = this.physicsWorld.createBody({ mass: 0, material: getMaterial(this.physicsWorld, 'steel') });
+    this.body.position.copy(this.position);
+
+    const addBox = (halfExtents, offset) => {
+      const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(halfExtents.x * 2, halfExtents.y * 2, halfExtents.z * 2),
+        material
+      );
+      mesh.position.set(offset.x, offset.y, offset.z);
+      mesh.castShadow = true;
+      this.group.add(mesh);
+      this.body.addShape(this.physicsWorld.createBox(halfExtents), offset);
+    };
+    [-1, 1].forEach(side => {
+      addBox(new CANNON.Vec3(0.15, BEAM_HEIGHT / 2, 0.15), new CANNON.Vec3(side * length / 2, BEAM_HEIGHT / 2, 0));
+    });
+    addBox(new CANNON.Vec3(length / 2 + 0.15, 0.15, 0.15), new CANNON.Vec3(0, BEAM_HEIGHT + 0.15, 0));
+
+    // The hooks are only drawn: parked tools are out of the simulation.
+    this.slots.forEach(({ hook }) => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(0.1, BEAM_HEIGHT - HOOK_HEIGHT, 0.1), material);
+      mesh.position.set(hook.x - this.position.x, (BEAM_HEIGHT + HOOK_HEIGHT) / 2, 0);
+      this.group.add(mesh);
+    });
+
+    this.scene.add(this.group);
+    tagBody(this.body, 'building', 'tool rack', this);
+    this.physicsWorld.addBody(this.body);
+  }
+
+  /**
+   * Hangs an attachment on a slot's hook, taking it off the excavator if it is on one.
+   *
+   * @param {Object} slot - One of this.slots
+   * @param {Attachment} attachment
+   */
+  hang(slot, attachment) {
+    slot.attachment = attachment;
+    attachment.park(slot.hook, HANGING);
+  }
+
+  /**
+   * @param {CANNON.Vec3} point - World position, e.g. the excavator's coupler
+   * @param {number} reach - Metres
+   * @returns {Object|null} The slot with a tool whose hook is nearest to point, if within reach
+   */
+  nearestSlot(point, reach) {
+    let nearest = null;
+    let nearestDistance = reach;
+    this.slots.forEach(slot => {
+      const distance = slot.hook.distanceTo(point);
+      if (slot.attachment && distance <= nearestDistance) {
+        nearest = slot;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+}
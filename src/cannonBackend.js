@@ -0,0 +1,141 @@
+// src/cannonBackend.js
+import * as CANNON from 'cannon-es';
+import { PhysicsBackend, BODY_TYPES } from './physicsBackend.js';
+
+/**
+ * cannon-es backend. Bodies, hinges and vehicles are plain cannon-es objects,
+ * so this is a thin wrapper around a CANNON.World.
+ */
+export class CannonPhysics extends PhysicsBackend {
+  constructor({ timeStep = 1 / 60 } = {}) {
+    super('cannon');
+    this.timeStep = timeStep;
+    this.world = new CANNON.World();
+    this.world.gravity.set(0, -9.82, 0);
+    this.vehicles = [];
+  }
+
+  get gravity() {
+    return this.world.gravity;
+  }
+
+  get bodies() {
+    return this.world.bodies;
+  }
+
+  get constraints() {
+    return this.world.constraints;
+  }
+
+  get dt() {
+    return this.world.dt;
+  }
+
+  get time() {
+    return this.world.time;
+  }
+
+  // preStep/postStep come from inside world.step, once per internal step.
+  addEventListener(type, listener) {
+    this.world.addEventListener(type, listener);
+    return this;
+  }
+
+  removeEventListener(type, listener) {
+    this.world.removeEventListener(type, listener);
+    return this;
+  }
+
+  hasEventListener(type, listener) {
+    return this.world.hasEventListener(type, listener);
+  }
+
+  dispatchEvent(event) {
+    this.world.dispatchEvent(event);
+    return this;
+  }
+
+  createBody(options = {}) {
+    const { type, ...bodyOptions } = options;
+    return new CANNON.Body({ ...bodyOptions, type: BODY_TYPES[type] });
+  }
+
+  createHinge(bodyA, bodyB, options = {}) {
+    const { stiffness, relaxation, ...hingeOptions } = options;
+    const hinge = new CANNON.HingeConstraint(bodyA, bodyB, hingeOptions);
+    if (stiffness !== undefined) {
+      hinge.rotationalEquation1.setSpookParams(stiffness, relaxation, this.timeStep);
+      hinge.rotationalEquation2.setSpookParams(stiffness, relaxation, this.timeStep);
+    }
+    return hinge;
+  }
+
+  createRaycastVehicle(options) {
+    return new CANNON.RaycastVehicle(options);
+  }
+
+  addContactMaterial(materialA, materialB, options) {
+    const contactMaterial = new CANNON.ContactMaterial(materialA, materialB, options);
+    this.world.addContactMaterial(contactMaterial);
+    return contactMaterial;
+  }
+
+  configureSolver({ iterations, tolerance } = {}) {
+    if (iterations !== undefined) this.world.solver.iterations = iterations;
+    if (tolerance !== undefined) this.world.solver.tolerance = tolerance;
+  }
+
+  updateHeightfield(body, shape, changes) {
+    changes.forEach(({ i, j, height }) => shape.setHeightValueAtIndex(i, j, height));
+    shape.updateMinValue();
+    shape.updateMaxValue();
+    shape.updateBoundingSphereRadius();
+    body.updateBoundingRadius();
+    body.aabbNeedsUpdate = true;
+    this.dispatchEvent({ type: 'heightfieldChanged', body, shape });
+  }
+
+  addBody(body) {
+    this.world.addBody(body);
+  }
+
+  removeBody(body) {
+    this.world.removeBody(body);
+  }
+
+  addConstraint(constraint) {
+    this.world.addConstraint(constraint);
+  }
+
+  removeConstraint(constraint) {
+    this.world.removeConstraint(constraint);
+  }
+
+  // The vehicle updates itself on every 'preStep'.
+  addVehicle(vehicle) {
+    vehicle.addToWorld(this.world);
+    this.vehicles.push(vehicle);
+  }
+
+  removeVehicle(vehicle) {
+    const index = this.vehicles.indexOf(vehicle);
+    if (index === -1) return;
+    vehicle.removeFromWorld(this.world);
+    this.vehicles.splice(index, 1);
+  }
+
+  // The solver leaves each equation's force in .multiplier.
+  getContacts() {
+    return this.world.contacts.map(equation => ({
+      bodyA: equation.bi,
+      bodyB: equation.bj,
+      point: equation.bi.position.vadd(equation.ri),
+      normal: equation.ni.clone(),
+      impulse: Math.abs(equation.multiplier) * this.world.dt
+    }));
+  }
+
+  step(dt, timeSinceLastCalled, maxSubSteps) {
+    this.world.step(dt, timeSinceLastCalled, maxSubSteps);
+  }
+}
@@ -0,0 +1,202 @@
+// src/collisionEvents.js
+import * as CANNON from 'cannon-es';
+
+// What a body belongs to, as far as collisions are concerned.
+export const ENTITY_TYPES = ['vehicle', 'building', 'vegetation', 'block', 'terrain', 'water'];
+const UNKNOWN_TYPE = 'unknown';
+
+// How long a pair may go without a contact before it counts as separated.
+// Resting contacts flicker for a step or two, which should not read as a new impact.
+const SEPARATION_TIME = 0.2;
+// An impact's impulse is summed over its first few steps: a hit is spread over several
+// solver steps, and Rapier only reports a new contact's impulse on the step after.
+const IMPACT_TIME = 0.05;
+
+/**
+ * Marks a body with the entity it belongs to. Bodies sharing an entity (the
+ * parts of a vehicle) do not report collisions with each other.
+ *
+ * @param {CANNON.Body|RapierBody} body
+ * @param {string} type - One of ENTITY_TYPES
+ * @param {string} name - Shown in logs, e.g. 'excavator' or 'house'
+ * @param {Object} [entity] - The owning object, e.g. the vehicle instance
+ * @returns {CANNON.Body|RapierBody} The body
+ */
+export function tagBody(body, type, name, entity = null) {
+  body.userData = { ...body.userData, entityType: type, entityName: name, entity };
+  return body;
+}
+
+/**
+ * @param {CANNON.Body|RapierBody} body
+ * @returns {Object} { type, name, entity, body }, with type 'unknown' for untagged bodies
+ */
+export function getBodyTag(body) {
+  const userData = body.userData || {};
+  return {
+    type: userData.entityType || UNKNOWN_TYPE,
+    name: userData.entityName || UNKNOWN_TYPE,
+    entity: userData.entity || null,
+    body
+  };
+}
+
+// The last step's contacts of each world, read once for everything that looks at them.
+const stepContacts = new WeakMap();
+
+/**
+ * The contacts of the last step (see PhysicsBackend#getContacts), shared by everyone asking
+ * until the next step.
+ *
+ * @param {PhysicsBackend} physicsWorld
+ * @returns {Array<Object>}
+ */
+export function getStepContacts(physicsWorld) {
+  watchStepContacts(physicsWorld);
+  let contacts = stepContacts.get(physicsWorld);
+  if (!contacts) {
+    contacts = physicsWorld.getContacts();
+    stepContacts.set(physicsWorld, contacts);
+  }
+  return contacts;
+}
+
+// Drops a world's shared contacts after each step. 'postStep' listeners that read them must
+// be added after this one, so that they see the new step's.
+function watchStepContacts(physicsWorld) {
+  if (stepContacts.has(physicsWorld)) return;
+  stepContacts.set(physicsWorld, null);
+  physicsWorld.addEventListener('postStep', () => stepContacts.set(physicsWorld, null));
+}
+
+/**
+ * Turns the physics contacts into collision events between tagged entities,
+ * for the UI, scoring, audio and damage to subscribe to.
+ *
+ * Contacts are read after each step rather than from cannon's 'collide'
+ * event: at collide time the solver has not run, so the impulse is unknown,
+ * and the post-step contact list is available on every backend.
+ *
+ * Events are { type, a, b, point, normal, impulse, time }:
+ * - type is 'begin' shortly after two bodies first touch and 'end' once they
+ *   have been apart for a moment
+ * - a and b are getBodyTag() results; the normal points from a to b
+ * - impulse is the total normal impulse (N·s) of the impact, over its first
+ *   IMPACT_TIME (zero for 'end'); point is where it was strongest
+ */
+export class CollisionEventBus {
+  constructor(physicsWorld) {
+    this.physicsWorld = physicsWorld;
+    this.subscribers = [];
+    // pair key => { a, b, start, lastSeen, reported, point, normal, impulse, strongest }
+    this.activePairs = new Map();
+    // Pair keys need a stable id per body; the backends' ids are not shared.
+    this.bodyIds = new WeakMap();
+    this.nextBodyId = 1;
+    this.onPostStep = () => this.update();
+    watchStepContacts(physicsWorld);
+    this.physicsWorld.addEventListener('postStep', this.onPostStep);
+  }
+
+  /**
+   * @param {Function} listener - Called with each event
+   * @param {Object} [options]
+   * @param {string[]} [options.entityTypes] - Only events where either side has one of these types
+   * @param {number} [options.minImpulse] - Only 'begin' events at least this hard (N·s)
+   * @returns {Function} Unsubscribes the listener
+   */
+  subscribe(listener, { entityTypes = null, minImpulse = 0 } = {}) {
+    const subscriber = { listener, entityTypes, minImpulse };
+    this.subscribers.push(subscriber);
+    return () => {
+      this.subscribers = this.subscribers.filter(s => s !== subscriber);
+    };
+  }
+
+  dispose() {
+    this.physicsWorld.removeEventListener('postStep', this.onPostStep);
+    this.subscribers = [];
+    this.activePairs.clear();
+  }
+
+  bodyId(body) {
+    let id = this.bodyIds.get(body);
+    if (id === undefined) {
+      id = this.nextBodyId++;
+      this.bodyIds.set(body, id);
+    }
+    return id;
+  }
+
+  // Sums the contacts of each body pair over the step, keeping the strongest point.
+  collectPairs() {
+    const pairs = new Map();
+    getStepContacts(this.physicsWorld).forEach(({ bodyA, bodyB, point, normal, impulse = 0 }) => {
+      if (bodyA.type === CANNON.Body.STATIC && bodyB.type === CANNON.Body.STATIC) return;
+      const a = getBodyTag(bodyA);
+      const b = getBodyTag(bodyB);
+      if (a.entity && a.entity === b.entity) return;
+
+      const idA = this.bodyId(bodyA);
+      const idB = this.bodyId(bodyB);
+      const key = Math.min(idA, idB) + ':' + Math.max(idA, idB);
+      let pair = pairs.get(key);
+      if (!pair) {
+        pair = { a, b, point, normal, impulse: 0, strongest: -1 };
+        pairs.set(key, pair);
+      }
+      pair.impulse += impulse;
+      if (impulse > pair.strongest) {
+        pair.strongest = impulse;
+        // Keep the normal pointing from the pair's first body to its second.
+        pair.point = point;
+        pair.normal = pair.a.body === bodyA ? normal : normal.negate();
+      }
+    });
+    return pairs;
+  }
+
+  update() {
+    const time = this.physicsWorld.time;
+    const pairs = this.collectPairs();
+
+    pairs.forEach((pair, key) => {
+      let active = this.activePairs.get(key);
+      if (!active) {
+        active = { ...pair, impulse: 0, strongest: -1, start: time, reported: false };
+        this.activePairs.set(key, active);
+      }
+      active.lastSeen = time;
+      if (active.reported) return;
+      active.impulse += pair.impulse;
+      if (pair.strongest > active.strongest) {
+        active.strongest = pair.strongest;
+        active.point = pair.point;
+        active.normal = pair.a.body === active.a.body ? pair.normal : pair.normal.negate();
+      }
+    });
+
+    this.activePairs.forEach((active, key) => {
+      if (!active.reported && (time - active.start >= IMPACT_TIME || !pairs.has(key))) {
+        this.reportImpact(active);
+      }
+      if (pairs.has(key) || time - active.lastSeen < SEPARATION_TIME) return;
+      this.activePairs.delete(key);
+      this.emit({ type: 'end', a: active.a, b: active.b, point: null, normal: null, impulse: 0, time });
+    });
+  }
+
+  reportImpact(active) {
+    active.reported = true;
+    const { a, b, point, normal, impulse, start } = active;
+    this.emit({ type: 'begin', a, b, point, normal, impulse, time: start });
+  }
+
+  emit(event) {
+    this.subscribers.forEach(({ listener, entityTypes, minImpulse }) => {
+      if (entityTypes && !entityTypes.includes(event.a.type) && !entityTypes.includes(event.b.type)) return;
+      if (event.type === 'begin' && event.impulse < minImpulse) return;
+      listener(event);
+    });
+  }
+}
@@ -0,0 +1,70 @@
+// src/collisionEvents.test.js
+import * as CANNON from 'cannon-es';
+import { initPhysics, updatePhysics } from './physics.js';
+import { CollisionEventBus, tagBody } from './collisionEvents.js';
+
+function addBox(physicsWorld, mass, position, halfExtents = new CANNON.Vec3(0.5, 0.5, 0.5)) {
+  const body = physicsWorld.createBody({ mass });
+  body.addShape(physicsWorld.createBox(halfExtents));
+  body.position.copy(position);
+  physicsWorld.addBody(body);
+  return body;
+}
+
+const run = (physicsWorld, seconds) => {
+  for (let t = 0; t < seconds; t += 1 / 60) updatePhysics(physicsWorld);
+};
+
+// A block dropped 2 m onto a slab of a building.
+async function dropBlock() {
+  const physicsWorld = await initPhysics();
+  const slab = tagBody(addBox(physicsWorld, 0, new CANNON.Vec3(0, -0.5, 0), new CANNON.Vec3(5, 0.5, 5)), 'building', 'house');
+  const block = tagBody(addBox(physicsWorld, 100, new CANNON.Vec3(0, 2.5, 0)), 'block', 'block');
+  return { physicsWorld, bus: new CollisionEventBus(physicsWorld), slab, block };
+}
+
+test('a landing reports one begin with the impact\'s impulse, and lifting off an end', async () => {
+  const { physicsWorld, bus, block } = await dropBlock();
+  const events = [];
+  bus.subscribe(event => events.push(event));
+
+  run(physicsWorld, 1.5);
+  expect(events.map(event => event.type)).toEqual(['begin']);
+  const [landing] = events;
+  expect(landing.a.type === 'block' ? landing.b.name : landing.a.name).toBe('house');
+  // The block lands at about sqrt(2 g h) = 6.3 m/s.
+  expect(landing.impulse).toBeGreaterThan(0.5 * 100 * 6.3);
+
+  block.position.set(0, 10, 0);
+  block.velocity.set(0, 0, 0);
+  physicsWorld.gravity.set(0, 0, 0);
+  run(physicsWorld, 0.5);
+  expect(events.map(event => event.type)).toEqual(['begin', 'end']);
+});
+
+test('subscribers only hear the entity types and impacts they asked for', async () => {
+  const { physicsWorld, bus } = await dropBlock();
+  const vehicles = jest.fn();
+  const hardHits = jest.fn();
+  const softHits = jest.fn();
+  bus.subscribe(vehicles, { entityTypes: ['vehicle'] });
+  bus.subscribe(hardHits, { minImpulse: 10000 });
+  bus.subscribe(softHits, { entityTypes: ['building'], minImpulse: 100 });
+
+  run(physicsWorld, 1.5);
+  expect(vehicles).not.toHaveBeenCalled();
+  expect(hardHits).not.toHaveBeenCalled();
+  expect(softHits).toHaveBeenCalledTimes(1);
+});
+
+test('contacts between parts of one entity are not reported', async () => {
+  const physicsWorld = await initPhysics();
+  const machine = {};
+  tagBody(addBox(physicsWorld, 0, new CANNON.Vec3(0, -0.5, 0), new CANNON.Vec3(5, 0.5, 5)), 'vehicle', 'excavator', machine);
+  tagBody(addBox(physicsWorld, 10, new CANNON.Vec3(0, 1, 0)), 'vehicle', 'excavator', machine);
+  const bus = new CollisionEventBus(physicsWorld);
+  const listener = jest.fn();
+  bus.subscribe(listener);
+  run(physicsWorld, 1);
+  expect(listener).not.toHaveBeenCalled();
+});
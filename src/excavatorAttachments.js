@@ -0,0 +1,599 @@
+// src/excavatorAttachments.js
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { syncObjectToBody, COLLISION_GROUPS } from './physics.js';
+import { tagBody, getStepContacts } from './collisionEvents.js';
+import { getMaterial } from './materials.js';
+import { getJointAngle } from './excavatorKinematics.js';
+
+/*
+ * Tools for the end of the excavator's stick. Each attachment is a body of its
+ * own, with its own mesh and shapes, pinned to the stick's quick coupler by a
+ * motorised hinge that the bucket controls (Y/H) turn. The other controls are
+ * the attachment's to interpret: Space works the tool (digging, grading,
+ * hammering) and V/B drive its own mechanism (the grapple's tines, the auger).
+ * Attachments off the machine hang on a ToolRack, out of the simulation.
+ */
+
+// The coupler pin, in the stick's frame.
+export const COUPLER_PIVOT = new CANNON.Vec3(0, 1.8, 0);
+
+const X_AXIS = new CANNON.Vec3(1, 0, 0);
+// Angles a hanging tool may swing to on the stick (see getJointAngle).
+const HANGING_LIMITS = [-Math.PI / 3, Math.PI / 3];
+
+/**
+ * Base class for attachments. Subclasses build their mesh and shapes in
+ * createMesh and createShapes, and act each physics step in work().
+ */
+export class Attachment {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {PhysicsBackend} physicsWorld
+   * @param {Object} spec - Copied onto the attachment before it is built, so subclasses can
+   *   pass their own dimensions along with:
+   * @param {string} spec.name
+   * @param {number} spec.mass - kg
+   * @param {CANNON.Vec3} spec.pivot - Where the coupler pins it, in its own frame
+   * @param {CANNON.Vec3} spec.tip - Its working point, which tip mode steers
+   * @param {Array<number>} [spec.limits] - [min, max] angle on the stick in radians
+   * @param {number} [spec.collisionFilterMask] - Groups its body collides with (all by default)
+   */
+  constructor(scene, physicsWorld, spec) {
+    this.scene = scene;
+    this.physicsWorld = physicsWorld;
+    this.limits = HANGING_LIMITS;
+    // Cutting edge in the attachment's frame, along which the excavator digs (buckets only).
+    this.lipPoints = [];
+    // Loose material it holds, in m³ (buckets only).
+    this.capacity = 0;
+    // Whether its lip also fills hollows below it with what it carries.
+    this.grades = false;
+    // Hinges to moving parts of its own, added and removed with it.
+    this.joints = [];
+    // What its body collides with (see COLLISION_GROUPS).
+    this.collisionFilterMask = -1;
+    Object.assign(this, spec);
+    this.excavator = null;
+    this.hinge = null;
+
+    this.mesh = this.createMesh();
+    this.scene.add(this.mesh);
+    this.body = physicsWorld.createBody({
+      mass: this.mass,
+      material: getMaterial(physicsWorld, 'steel'),
+      collisionFilterMask: this.collisionFilterMask
+    });
+    this.createShapes(this.body);
+    this.body.linearDamping = 0.1;
+    this.body.angularDamping = 0.9;
+  }
+
+  createMesh() {
+    return new THREE.Group();
+  }
+
+  createShapes(body) {}
+
+  // Every body of the attachment, moving parts included.
+  get bodies() {
+    return [this.body];
+  }
+
+  // Poses the bodies with the coupler pin at pin.
+  placeBodies(pin, quaternion) {
+    this.body.quaternion.copy(quaternion);
+    this.body.position.copy(pin.vsub(quaternion.vmult(this.pivot)));
+  }
+
+  /**
+   * Pins the attachment to the excavator's coupler, in line with the stick.
+   *
+   * @param {Excavator} excavator
+   */
+  couple(excavator) {
+    const stick = excavator.stickBody;
+    this.placeBodies(stick.position.vadd(stick.quaternion.vmult(COUPLER_PIVOT)), stick.quaternion);
+    this.bodies.forEach(body => {
+      body.velocity.copy(stick.velocity);
+      body.angularVelocity.set(0, 0, 0);
+      tagBody(body, 'vehicle', 'excavator', excavator);
+      this.physicsWorld.addBody(body);
+    });
+    this.hinge = this.physicsWorld.createHinge(stick, this.body, {
+      pivotA: COUPLER_PIVOT,
+      pivotB: this.pivot,
+      axisA: X_AXIS,
+      axisB: X_AXIS,
+      maxForce: 1e12,
+      collideConnected: false,
+      stiffness: 1e9,
+      relaxation: 2
+    });
+    // The machine sizes the motor to its bucket cylinder (see Excavator#attach).
+    this.hinge.enableMotor();
+    this.physicsWorld.addConstraint(this.hinge);
+    this.joints.forEach(joint => this.physicsWorld.addConstraint(joint));
+    this.excavator = excavator;
+  }
+
+  /**
+   * Takes the attachment off the machine, if it is on one, and hangs it at a
+   * pose, out of the simulation.
+   *
+   * @param {CANNON.Vec3} pin - Where the coupler pin goes
+   * @param {CANNON.Quaternion} quaternion
+   */
+  park(pin, quaternion) {
+    if (this.excavator) {
+      this.joints.forEach(joint => this.physicsWorld.removeConstraint(joint));
+      this.physicsWorld.removeConstraint(this.hinge);
+      this.bodies.forEach(body => this.physicsWorld.removeBody(body));
+      this.hinge = null;
+      this.excavator = null;
+    }
+    this.placeBodies(pin, quaternion);
+    this.bodies.forEach(body => {
+      body.interpolatedPosition.copy(body.position);
+      body.interpolatedQuaternion.copy(body.quaternion);
+    });
+    this.update();
+  }
+
+  // A point in the attachment's frame, in world space.
+  toWorld(point) {
+    return this.body.position.vadd(this.body.quaternion.vmult(point));
+  }
+
+  // A world point in the attachment's frame.
+  toLocal(position) {
+    return this.body.quaternion.conjugate().vmult(position.vsub(this.body.position));
+  }
+
+  /**
+   * Whether a block is held by the attachment as things are; the excavator
+   * carries the blocks it picks up until this turns false.
+   *
+   * @param {Object} cube - { body, soil, size }
+   */
+  grips(cube) {
+    return false;
+  }
+
+  // Whether the controls have the attachment taking hold of blocks it grips; the command is
+  // null while the machine is parked.
+  picksUp(command) {
+    return false;
+  }
+
+  /**
+   * Does the attachment's work for one physics step.
+   *
+   * @param {Excavator} excavator - The machine it is on
+   * @param {Object} command - The excavator's controls
+   */
+  work(excavator, command) {}
+
+  // Call this on each frame to update the meshes from the interpolated physics state
+  update() {
+    syncObjectToBody(this.mesh, this.body);
+  }
+}
+
+// Walls of a bucket from bucketCorners, each counter-clockwise seen from outside, as cannon
+// needs: back, sides, floor and top, leaving the opening (0-3) open.
+const BUCKET_WALLS = [[4, 5, 6, 7], [0, 4, 7, 3], [1, 2, 6, 5], [3, 7, 6, 2], [0, 1, 5, 4]];
+// Thickness of the bucket's steel, built outwards from its inside.
+const WALL_THICKNESS = 0.05;
+
+// Corners of a bucket: the opening at mouth.z from the top on the coupler's side (y = 0) to the
+// lip at mouth.height, narrowing to backHeight at the back. The floor runs from the back to the
+// lip, under the load whenever the bucket is curled to hold one.
+function bucketCorners({ halfWidth, height, z, backZ }, backHeight) {
+  return [
+    [-halfWidth, 0, z], [halfWidth, 0, z], [halfWidth, height, z], [-halfWidth, height, z],
+    [-halfWidth, 0, backZ], [halfWidth, 0, backZ], [halfWidth, backHeight, backZ], [-halfWidth, backHeight, backZ]
+  ];
+}
+
+/**
+ * A steel bucket open at the front (its local -z). It cuts the terrain along
+ * its lip while Space is held and holds loose material up to its capacity,
+ * until it is tipped past the material's angle of repose. Blocks ride inside
+ * it on its walls, and slide out of it as they would off any steel plate.
+ */
+class Bucket extends Attachment {
+  // The hull passes through the ground, which would otherwise hold the lip up on its surface;
+  // the lip cuts its way in instead (see Excavator#digTerrain).
+  constructor(scene, physicsWorld, spec) {
+    super(scene, physicsWorld, { collisionFilterMask: ~COLLISION_GROUPS.terrain, ...spec });
+  }
+
+  createMesh() {
+    const geometry = new THREE.BufferGeometry();
+    const corners = bucketCorners(this.mouth, this.backHeight);
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(corners.flat()), 3));
+    geometry.setIndex(BUCKET_WALLS.flatMap(([a, b, c, d]) => [a, b, c, c, d, a]));
+    geometry.computeVertexNormals();
+    const material = new THREE.MeshStandardMaterial({ color: 0x666666, side: THREE.DoubleSide });
+    return new THREE.Mesh(geometry, material);
+  }
+
+  // One plate per wall, so what goes in through the opening sits inside the bucket.
+  createShapes(body) {
+    const corners = bucketCorners(this.mouth, this.backHeight).map(([x, y, z]) => new CANNON.Vec3(x, y, z));
+    BUCKET_WALLS.forEach(wall => {
+      const inside = wall.map(index => corners[index]);
+      const outward = inside[1].vsub(inside[0]).cross(inside[2].vsub(inside[1]));
+      outward.normalize();
+      const vertices = [...inside, ...inside.map(corner => corner.vadd(outward.scale(WALL_THICKNESS)))];
+      // Built round its own centre, which cannon takes to be inside the shape.
+      const centre = vertices.reduce((sum, vertex) => sum.vadd(vertex), new CANNON.Vec3()).scale(1 / 8);
+      body.addShape(this.physicsWorld.createConvexPolyhedron({
+        vertices: vertices.map(vertex => vertex.vsub(centre)),
+        faces: [[4, 5, 6, 7], [3, 2, 1, 0], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]]
+      }), centre);
+    });
+  }
+
+  // Direction the opening faces, in world space.
+  getOpening() {
+    return this.body.quaternion.vmult(new CANNON.Vec3(0, 0, -1));
+  }
+
+  /**
+   * How steeply the floor slopes down towards the lip, in radians: past π/2
+   * the floor faces down, and below 0 it slopes back into the bucket.
+   *
+   * @returns {number}
+   */
+  getTilt() {
+    const { height, z, backZ } = this.mouth;
+    // Along the floor from the back to the lip, and square to it into the bucket, the same length.
+    const towardsLip = this.body.quaternion.vmult(new CANNON.Vec3(0, height - this.backHeight, z - backZ));
+    const inwards = this.body.quaternion.vmult(new CANNON.Vec3(0, z - backZ, this.backHeight - height));
+    return Math.atan2(-towardsLip.y, inwards.y);
+  }
+
+  /**
+   * Whether soil slides out: the floor slopes down towards the lip more
+   * steeply than the soil's angle of repose.
+   *
+   * @param {Object} soil - Soil type (see soils.js)
+   */
+  spills(soil) {
+    return this.getTilt() > soil.frictionAngle * Math.PI / 180;
+  }
+
+  // Whether a block's centre is inside the bucket.
+  grips(cube) {
+    const local = this.toLocal(cube.body.position);
+    return Math.abs(local.x) <= this.mouth.halfWidth
+      && local.y >= 0 && local.y <= this.mouth.height
+      && local.z >= this.mouth.z && local.z <= this.mouth.backZ;
+  }
+
+  // The walls hold whatever lands inside, whoever is at the controls.
+  picksUp() {
+    return true;
+  }
+
+  work(excavator, command) {
+    if (command.dig) excavator.digTerrain();
+  }
+}
+
+/**
+ * The general-purpose bucket the excavator starts with.
+ */
+export class DiggingBucket extends Bucket {
+  constructor(scene, physicsWorld) {
+    super(scene, physicsWorld, {
+      name: 'digging bucket',
+      mass: 10,
+      pivot: new CANNON.Vec3(0, 0.3, -0.3),
+      // The middle of the opening, where the lip cuts.
+      tip: new CANNON.Vec3(0, 0.4, -0.4),
+      limits: [-Math.PI / 4, Math.PI / 2],
+      mouth: { halfWidth: 0.5, height: 0.8, z: -0.4, backZ: 0.2 },
+      backHeight: 0.4,
+      capacity: 0.36,
+      lipPoints: [-0.4, 0, 0.4].flatMap(x => [0, 0.8].map(y => new CANNON.Vec3(x, y, -0.4)))
+    });
+  }
+}
+
+/**
+ * A wide, shallow bucket with a straight edge for finishing surfaces. Drawn
+ * across the ground with Space held, its edge shaves off what stands above it
+ * and spreads what it carries into the hollows below it, leaving the ground
+ * at the edge's height.
+ */
+export class GradingBucket extends Bucket {
+  constructor(scene, physicsWorld) {
+    super(scene, physicsWorld, {
+      name: 'grading bucket',
+      mass: 14,
+      pivot: new CANNON.Vec3(0, 0.25, -0.15),
+      // The middle of the cutting edge, the top of the opening: the lowest point as the bucket is drawn in.
+      tip: new CANNON.Vec3(0, 0.45, -0.45),
+      limits: [-Math.PI / 4, Math.PI / 2],
+      mouth: { halfWidth: 0.9, height: 0.45, z: -0.45, backZ: 0.15 },
+      backHeight: 0.25,
+      capacity: 0.38,
+      lipPoints: [-0.8, -0.4, 0, 0.4, 0.8].map(x => new CANNON.Vec3(x, 0.45, -0.45)),
+      grades: true
+    });
+  }
+}
+
+// The breaker fractures rock this many times faster than bucket teeth, over this radius.
+const BREAKER_POWER = 4;
+const BREAKER_RADIUS = 0.6;
+// Blocks this small are rubble, and are not broken further.
+const MIN_BREAKABLE_SIZE = 0.3;
+
+/**
+ * A hydraulic breaker: a hammer driving a chisel. With Space held and the
+ * chisel on rock, it fractures the rock in the ground so it can be dug, and
+ * splits rock blocks it is pressed against.
+ */
+export class Breaker extends Attachment {
+  constructor(scene, physicsWorld) {
+    super(scene, physicsWorld, {
+      name: 'hydraulic breaker',
+      mass: 15,
+      pivot: new CANNON.Vec3(0, 0, 0),
+      tip: new CANNON.Vec3(0, 1.6, 0)
+    });
+    // Block => seconds of hammering it has taken.
+    this.hammered = new Map();
+    this.strokeTime = 0;
+  }
+
+  createMesh() {
+    const group = new THREE.Group();
+    const housing = new THREE.Mesh(
+      new THREE.BoxGeometry(0.4, 1, 0.4),
+      new THREE.MeshStandardMaterial({ color: 0x333333 })
+    );
+    housing.position.y = 0.5;
+    this.chisel = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.06, 0.03, 0.6, 12),
+      new THREE.MeshStandardMaterial({ color: 0x999999 })
+    );
+    this.chisel.position.y = 1.3;
+    group.add(housing, this.chisel);
+    return group;
+  }
+
+  createShapes(body) {
+    body.addShape(this.physicsWorld.createBox(new CANNON.Vec3(0.2, 0.5, 0.2)), new CANNON.Vec3(0, 0.5, 0));
+    body.addShape(this.physicsWorld.createBox(new CANNON.Vec3(0.05, 0.3, 0.05)), new CANNON.Vec3(0, 1.3, 0));
+  }
+
+  work(excavator, command) {
+    const dt = this.physicsWorld.dt;
+    this.strokeTime = command.dig ? this.strokeTime + dt : 0;
+    // Ten blows a second.
+    this.chisel.position.y = 1.3 + 0.05 * Math.sin(this.strokeTime * 20 * Math.PI);
+    if (!command.dig) return;
+
+    const tip = this.toWorld(this.tip);
+    const { terrain, soil } = excavator;
+    if (terrain && tip.y <= terrain.getHeight(tip.x, tip.z) + 0.05) {
+      soil.breakGround(tip.x, tip.z, BREAKER_RADIUS, dt * BREAKER_POWER);
+    }
+
+    excavator.cubes.slice().forEach(cube => {
+      if (!cube.soil.breakTime || !cube.fracture || cube.size < MIN_BREAKABLE_SIZE) return;
+      const local = cube.body.quaternion.conjugate().vmult(tip.vsub(cube.body.position));
+      const reach = cube.size / 2 + 0.1;
+      if (Math.abs(local.x) > reach || Math.abs(local.y) > reach || Math.abs(local.z) > reach) return;
+      const done = (this.hammered.get(cube) || 0) + dt * BREAKER_POWER;
+      if (done < cube.soil.breakTime) {
+        this.hammered.set(cube, done);
+        return;
+      }
+      this.hammered.delete(cube);
+      excavator.cubes.splice(excavator.cubes.indexOf(cube), 1, ...cube.fracture());
+    });
+  }
+}
+
+// The tines swing open up to TINE_OPENING radians each, at TINE_SPEED rad/s. Closing, they are
+// driven on up to TINE_SQUEEZE radians past upright, so they press on whatever is between them;
+// closed to within GRIP_OPENING of upright, they hold what both of them press on.
+const TINE_OPENING = 0.8;
+const TINE_SQUEEZE = 0.3;
+const TINE_SPEED = 1;
+const GRIP_OPENING = 0.1;
+// The tines' hinges on the head, either side of the middle; far enough apart to close on a 1 m block.
+const TINE_PIVOT = { y: 0.3, z: 0.62 };
+const TINE_LENGTH = 1.1;
+
+/**
+ * A two-tine grapple for picking up blocks, logs and rubble. V closes the
+ * tines and B opens them; closed on a block, they lift it by the grip of
+ * their steel on its sides.
+ */
+export class Grapple extends Attachment {
+  constructor(scene, physicsWorld) {
+    super(scene, physicsWorld, {
+      name: 'grapple',
+      mass: 12,
+      pivot: new CANNON.Vec3(0, 0, 0),
+      tip: new CANNON.Vec3(0, TINE_PIVOT.y + TINE_LENGTH / 2, 0)
+    });
+    // How far each tine stands open, in radians (below 0 squeezing); the tines are driven towards it.
+    this.opening = TINE_OPENING;
+    // The front tine (-z) opens forward, the back one backward.
+    this.tines = [-1, 1].map(side => this.createTine(side));
+    this.joints = this.tines.map(tine => tine.hinge);
+  }
+
+  createMesh() {
+    const group = new THREE.Group();
+    const head = new THREE.Mesh(
+      new THREE.BoxGeometry(0.6, 0.3, 1.4),
+      new THREE.MeshStandardMaterial({ color: 0x444444 })
+    );
+    head.position.y = 0.15;
+    group.add(head);
+    return group;
+  }
+
+  createShapes(body) {
+    body.addShape(this.physicsWorld.createBox(new CANNON.Vec3(0.3, 0.15, 0.7)), new CANNON.Vec3(0, 0.15, 0));
+  }
+
+  createTine(side) {
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(0.5, TINE_LENGTH, 0.12),
+      new THREE.MeshStandardMaterial({ color: 0x444444 })
+    );
+    mesh.geometry.translate(0, TINE_LENGTH / 2, 0);
+    this.scene.add(mesh);
+
+    const body = this.physicsWorld.createBody({ mass: 4, material: getMaterial(this.physicsWorld, 'steel') });
+    body.addShape(
+      this.physicsWorld.createBox(new CANNON.Vec3(0.25, TINE_LENGTH / 2, 0.06)),
+      new CANNON.Vec3(0, TINE_LENGTH / 2, 0)
+    );
+    body.linearDamping = 0.1;
+    body.angularDamping = 0.9;
+
+    const hinge = this.physicsWorld.createHinge(this.body, body, {
+      pivotA: new CANNON.Vec3(0, TINE_PIVOT.y, side * TINE_PIVOT.z),
+      pivotB: new CANNON.Vec3(0, 0, 0),
+      axisA: X_AXIS,
+      axisB: X_AXIS,
+      maxForce: 1e12,
+      collideConnected: false,
+      stiffness: 1e9,
+      relaxation: 2
+    });
+    hinge.enableMotor();
+    // Enough to squeeze a block without crushing the solver.
+    hinge.setMotorMaxForce(1e4);
+    return { side, mesh, body, hinge };
+  }
+
+  get bodies() {
+    return [this.body, ...this.tines.map(tine => tine.body)];
+  }
+
+  placeBodies(pin, quaternion) {
+    super.placeBodies(pin, quaternion);
+    this.tines.forEach(({ side, body }) => {
+      body.position.copy(this.toWorld(new CANNON.Vec3(0, TINE_PIVOT.y, side * TINE_PIVOT.z)));
+      const swing = new CANNON.Quaternion().setFromAxisAngle(X_AXIS, side * this.opening);
+      body.quaternion.copy(quaternion.mult(swing));
+    });
+  }
+
+  // Whether the tines are closed on a block, both of them touching it.
+  grips(cube) {
+    if (this.opening > GRIP_OPENING) return false;
+    const contacts = getStepContacts(this.physicsWorld);
+    return this.tines.every(({ body }) => contacts.some(({ bodyA, bodyB }) =>
+      (bodyA === body && bodyB === cube.body) || (bodyA === cube.body && bodyB === body)
+    ));
+  }
+
+  // Closing the tines (V) takes hold of what they close on.
+  picksUp(command) {
+    return Boolean(command && command.tool > 0);
+  }
+
+  work(excavator, command) {
+    const dt = this.physicsWorld.dt;
+    this.opening = Math.min(TINE_OPENING, Math.max(-TINE_SQUEEZE, this.opening - command.tool * TINE_SPEED * dt));
+    // A tine's angle grows at its motor speed; the front one opens to +opening.
+    this.tines.forEach(({ side, body, hinge }) => {
+      const error = -side * this.opening - getJointAngle(this.body.quaternion, body.quaternion);
+      hinge.setMotorSpeed(Math.max(-2, Math.min(2, 5 * error)));
+    });
+  }
+
+  update() {
+    super.update();
+    this.tines.forEach(({ mesh, body }) => syncObjectToBody(mesh, body));
+  }
+}
+
+// The auger's flights are AUGER_RADIUS m across; it bores BORE_RATE m³/s in sand, less in
+// harder soil, with its pilot point cutting AUGER_LEAD m ahead of the flights.
+const AUGER_RADIUS = 0.3;
+const BORE_RATE = 0.1;
+const AUGER_LEAD = 0.1;
+const AUGER_SPIN = 6;
+
+/**
+ * An earth auger for post and pile holes. V drives it into the ground and B
+ * reverses it; the spoil it lifts is heaped round the hole. It will not bore
+ * intact rock: break that with the breaker first.
+ */
+export class Auger extends Attachment {
+  constructor(scene, physicsWorld) {
+    super(scene, physicsWorld, {
+      name: 'auger',
+      mass: 20,
+      pivot: new CANNON.Vec3(0, 0, 0),
+      tip: new CANNON.Vec3(0, 2.4, 0)
+    });
+  }
+
+  createMesh() {
+    const group = new THREE.Group();
+    const steel = new THREE.MeshStandardMaterial({ color: 0x777777 });
+    const drive = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.6, 0.4), new THREE.MeshStandardMaterial({ color: 0x333333 }));
+    drive.position.y = 0.3;
+    this.screw = new THREE.Group();
+    this.screw.position.y = 1.5;
+    this.screw.add(new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 1.8, 8), steel));
+    // Tilted discs read as the turns of the flight.
+    for (let k = 0; k < 8; k++) {
+      const flight = new THREE.Mesh(new THREE.CylinderGeometry(AUGER_RADIUS, AUGER_RADIUS, 0.03, 16), steel);
+      flight.position.y = -0.7 + k * 0.2;
+      flight.rotation.x = 0.15;
+      this.screw.add(flight);
+    }
+    const point = new THREE.Mesh(new THREE.ConeGeometry(0.1, 0.2, 8), steel);
+    point.position.y = 0.8;
+    point.rotation.x = Math.PI;
+    this.screw.add(point);
+    group.add(drive, this.screw);
+    return group;
+  }
+
+  createShapes(body) {
+    body.addShape(this.physicsWorld.createBox(new CANNON.Vec3(0.2, 0.3, 0.2)), new CANNON.Vec3(0, 0.3, 0));
+    body.addShape(this.physicsWorld.createBox(new CANNON.Vec3(0.15, 0.9, 0.15)), new CANNON.Vec3(0, 1.5, 0));
+  }
+
+  work(excavator, command) {
+    const dt = this.physicsWorld.dt;
+    this.screw.rotation.y += command.tool * AUGER_SPIN * dt;
+    const { terrain, soil } = excavator;
+    if (command.tool <= 0 || !terrain) return;
+    const tip = this.toWorld(this.tip);
+    // The point bores once it is down on the ground.
+    if (tip.y > terrain.getHeight(tip.x, tip.z) + 0.05) return;
+
+    const soilType = soil.soilAt(tip.x, tip.z);
+    excavator.digLoad = soilType.digResistance;
+    if (soil.isIntact(tip.x, tip.z)) return;
+    // At least a grid cell, so the hole is wide enough on the heightfield for the screw to follow.
+    const radius = Math.max(AUGER_RADIUS, terrain.elementSize);
+    const volume = terrain.lowerTo(tip.x, tip.z, radius, tip.y - AUGER_LEAD, BORE_RATE * dt / soilType.digResistance);
+    if (volume <= 0) return;
+    // The flights lift the spoil out and it falls round the hole, clear of it.
+    const ring = radius + terrain.elementSize;
+    for (let k = 0; k < 4; k++) {
+      const angle = k * Math.PI / 2;
+      terrain.deposit(tip.x + ring * Math.cos(angle), tip.z + ring * Math.sin(angle), volume / 4, terrain.elementSize);
+    }
+    soil.recordFill(tip.x, tip.z, ring + terrain.elementSize, soilType.name);
+  }
+}
@@ -0,0 +1,156 @@
+// src/excavatorHydraulics.js
+
+/*
+ * The excavator's hydraulic system, reduced to what sets the joint speeds:
+ * an engine turning a variable pump, and a control valve and actuator per
+ * function (boom, stick and bucket cylinders, swing motor). Every actuator is
+ * treated as rotary: its displacement is the oil it takes per radian of joint
+ * travel, cylinder area times lever arm, so torque is pressure times
+ * displacement and speed is flow over displacement.
+ *
+ * Each step the valves ask for flow in proportion to their opening. The pump
+ * delivers up to its displacement times the engine speed, and no more than
+ * the engine's power allows at the highest working pressure; when the valves
+ * ask for more than it can give, every function gets the same share (flow
+ * sharing), so moving several at once slows them all. A function whose load
+ * needs more than the relief pressure stalls, its oil going over the relief
+ * valve at that pressure.
+ *
+ * Units are SI: m³/s, Pa, N·m, rad/s. Telemetry converts to L/min and bar.
+ */
+
+export const HYDRAULIC_FUNCTIONS = ['boom', 'stick', 'bucket', 'swing'];
+
+// A 20 t class machine: two pumps' worth of flow and a 60 kW power limit on them.
+const DEFAULTS = {
+  idleRpm: 800,
+  maxRpm: 2000,
+  // m³ per engine revolution
+  pumpDisplacement: 1.8e-4,
+  // W
+  enginePower: 60000,
+  // Pa; the pump holds this much over the load even with the valves shut.
+  standbyPressure: 2e6,
+  reliefPressure: 3.2e7,
+  // Per function: displacement in m³/rad and the joint speed, rad/s, with the valve wide open
+  // and the oil to spare.
+  functions: {
+    boom: { displacement: 0.012, fullSpeed: 0.5 },
+    stick: { displacement: 0.008, fullSpeed: 0.75 },
+    bucket: { displacement: 0.002, fullSpeed: 1.5 },
+    swing: { displacement: 0.003, fullSpeed: 1.5 }
+  }
+};
+
+export class HydraulicSystem {
+  /**
+   * @param {Object} [options] - Overrides for DEFAULTS above
+   */
+  constructor(options = {}) {
+    Object.assign(this, DEFAULTS, options);
+    this.engineRpm = this.maxRpm;
+    // The last step's figures (see update).
+    this.state = null;
+    this.update({});
+  }
+
+  /**
+   * Sets the engine speed (throttle), held within idle and full speed.
+   *
+   * @param {number} rpm
+   */
+  setEngineSpeed(rpm) {
+    this.engineRpm = Math.min(this.maxRpm, Math.max(this.idleRpm, rpm));
+  }
+
+  // Most the pump can deliver at the current engine speed, m³/s.
+  get pumpFlow() {
+    return this.pumpDisplacement * this.engineRpm / 60;
+  }
+
+  // Most torque a function's actuator can put out, N·m: the relief pressure on its displacement.
+  maxTorque(name) {
+    return this.reliefPressure * this.functions[name].displacement;
+  }
+
+  // Fastest a function can move alone, rad/s: the valve's full speed, or less if the pump is short.
+  maxSpeed(name) {
+    const { displacement, fullSpeed } = this.functions[name];
+    return Math.min(fullSpeed, this.pumpFlow / displacement);
+  }
+
+  /**
+   * Works out what each function does for one step.
+   *
+   * @param {Object} demands - Function name => { speed, load }: the joint speed the operator
+   *   or controller asks for (rad/s, signed), which sets the valve opening, and the torque
+   *   resisting that motion (N·m; negative when the load helps it along)
+   * @returns {Object} The new state: { engineRpm, pumpFlow, pumpPressure, delivery, functions },
+   *   functions holding { speed, flow, pressure, relief } for each; delivery is the share of
+   *   the flow asked for that the pump gave
+   */
+  update(demands) {
+    const requests = {};
+    let requested = 0;
+    let pumpPressure = this.standbyPressure;
+    HYDRAULIC_FUNCTIONS.forEach(name => {
+      const { displacement, fullSpeed } = this.functions[name];
+      const { speed = 0, load = 0 } = demands[name] || {};
+      const opening = Math.min(1, Math.abs(speed) / fullSpeed);
+      const flow = opening * displacement * fullSpeed;
+      const pressure = opening > 0
+        ? Math.min(this.reliefPressure, this.standbyPressure + Math.max(0, load) / displacement)
+        : 0;
+      requests[name] = { direction: Math.sign(speed), flow, pressure };
+      requested += flow;
+      pumpPressure = Math.max(pumpPressure, pressure);
+    });
+
+    // The pump destrokes to keep within the engine's power at the working pressure.
+    const available = Math.min(this.pumpFlow, this.enginePower / pumpPressure);
+    const delivery = requested > available ? available / requested : 1;
+
+    const functions = {};
+    HYDRAULIC_FUNCTIONS.forEach(name => {
+      const { direction, flow, pressure } = requests[name];
+      const relief = pressure >= this.reliefPressure;
+      const delivered = flow * delivery;
+      functions[name] = {
+        speed: relief ? 0 : direction * delivered / this.functions[name].displacement,
+        flow: delivered,
+        pressure,
+        relief
+      };
+    });
+
+    this.state = { engineRpm: this.engineRpm, pumpFlow: Math.min(requested, available), pumpPressure, delivery, functions };
+    return this.state;
+  }
+
+  /**
+   * The last step's figures in the units on a machine's display, for a HUD or a telemetry log.
+   *
+   * @returns {Object} { engineRpm, pumpFlow (L/min), pumpPressure (bar), functions: name =>
+   *   { speed (°/s), flow (L/min), pressure (bar), relief } }
+   */
+  getTelemetry() {
+    const litresPerMinute = flow => flow * 60000;
+    const bar = pressure => pressure / 1e5;
+    const functions = {};
+    HYDRAULIC_FUNCTIONS.forEach(name => {
+      const { speed, flow, pressure, relief } = this.state.functions[name];
+      functions[name] = {
+        speed: speed * 180 / Math.PI,
+        flow: litresPerMinute(flow),
+        pressure: bar(pressure),
+        relief
+      };
+    });
+    return {
+      engineRpm: this.state.engineRpm,
+      pumpFlow: litresPerMinute(this.state.pumpFlow),
+      pumpPressure: bar(this.state.pumpPressure),
+      functions
+    };
+  }
+}
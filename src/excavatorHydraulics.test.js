@@ -0,0 +1,66 @@
+// src/excavatorHydraulics.test.js
+import { HydraulicSystem } from './excavatorHydraulics.js';
+
+// At full engine speed the default pump gives 6e-3 m³/s, just what the boom takes wide open.
+
+test('a function alone moves at the speed asked for, in its direction', () => {
+  const hydraulics = new HydraulicSystem();
+  const { functions, delivery } = hydraulics.update({ boom: { speed: -0.5, load: 0 } });
+  expect(delivery).toBe(1);
+  expect(functions.boom.speed).toBeCloseTo(-0.5);
+  expect(functions.boom.flow).toBeCloseTo(6e-3);
+  expect(functions.stick.speed).toBe(0);
+});
+
+test('functions moved together share the pump and slow each other down', () => {
+  const hydraulics = new HydraulicSystem();
+  const { functions, delivery } = hydraulics.update({
+    boom: { speed: 0.5, load: 0 },
+    stick: { speed: 0.75, load: 0 }
+  });
+  // 6e-3 m³/s between the 6e-3 each asks for.
+  expect(delivery).toBeCloseTo(0.5);
+  expect(functions.boom.speed).toBeCloseTo(0.25);
+  expect(functions.stick.speed).toBeCloseTo(0.375);
+  expect(functions.boom.flow + functions.stick.flow).toBeCloseTo(hydraulics.pumpFlow);
+});
+
+test('the pump gives less flow at idle and under pressure', () => {
+  const hydraulics = new HydraulicSystem();
+  hydraulics.setEngineSpeed(100);
+  expect(hydraulics.engineRpm).toBe(hydraulics.idleRpm);
+  expect(hydraulics.maxSpeed('boom')).toBeCloseTo(0.5 * 800 / 2000);
+  hydraulics.setEngineSpeed(5000);
+  expect(hydraulics.engineRpm).toBe(hydraulics.maxRpm);
+
+  // 300 kN·m on the boom takes 2.7e7 Pa, at which 60 kW drives 2.2e-3 m³/s.
+  const { functions, pumpPressure } = hydraulics.update({ boom: { speed: 0.5, load: 3e5 } });
+  expect(pumpPressure).toBeCloseTo(2.7e7);
+  expect(functions.boom.flow).toBeCloseTo(60000 / 2.7e7);
+  expect(functions.boom.relief).toBe(false);
+});
+
+test('a load past the relief pressure stalls its function', () => {
+  const hydraulics = new HydraulicSystem();
+  expect(hydraulics.maxTorque('boom')).toBeCloseTo(3.2e7 * 0.012);
+  const { functions } = hydraulics.update({
+    boom: { speed: 0.5, load: 2 * hydraulics.maxTorque('boom') },
+    bucket: { speed: 1, load: 0 }
+  });
+  expect(functions.boom.relief).toBe(true);
+  expect(functions.boom.speed).toBe(0);
+  expect(functions.boom.pressure).toBe(hydraulics.reliefPressure);
+  // A load that helps the motion along needs no more than standby pressure.
+  expect(hydraulics.update({ boom: { speed: 0.5, load: -5e4 } }).functions.boom.pressure).toBe(hydraulics.standbyPressure);
+});
+
+test('telemetry reads in the units on a machine display', () => {
+  const hydraulics = new HydraulicSystem();
+  hydraulics.update({ boom: { speed: 0.5, load: 0 } });
+  const telemetry = hydraulics.getTelemetry();
+  expect(telemetry.engineRpm).toBe(2000);
+  expect(telemetry.pumpFlow).toBeCloseTo(360);
+  expect(telemetry.pumpPressure).toBeCloseTo(20);
+  expect(telemetry.functions.boom.speed).toBeCloseTo(0.5 * 180 / Math.PI);
+  expect(telemetry.functions.boom.flow).toBeCloseTo(360);
+});
@@ -0,0 +1,110 @@
+// src/excavatorKinematics.js
+
+/*
+ * Forward and inverse kinematics of the excavator arm, in the vertical plane
+ * the arm swings in. Positions are (f, u): f forward from the turret's swing
+ * axis (the turret's -z) and u up (its +y), both in the turret's frame.
+ *
+ * Joint angles are those the arm limits are given in (see getJointAngle):
+ * the tilt of a body's up axis from its parent's, positive leaning forward.
+ * The boom's is relative to the turret, the stick's to the boom and the
+ * bucket's (or other attachment's) to the stick. Summed down the arm they
+ * give absolute angles; a link at absolute angle A points along
+ * (sin A, cos A), and a bucket at A has its opening (its local -z) facing
+ * along (cos A, -sin A).
+ *
+ * The bucket tip is given in cylindrical coordinates around the swing axis:
+ * reach (horizontal distance from the axis), height (above the ground under
+ * the tracks) and attack, the bucket's absolute angle: how far its opening is
+ * turned below horizontal-forward (0 faces away from the machine, π/2 straight
+ * down, π back at the machine).
+ */
+
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+/**
+ * Angle of a joint on an x hinge from the orientations of its two bodies, as
+ * the joint angles here are measured.
+ *
+ * @param {CANNON.Quaternion} parentQuaternion
+ * @param {CANNON.Quaternion} childQuaternion
+ * @returns {number} Radians, positive leaning forward
+ */
+export function getJointAngle(parentQuaternion, childQuaternion) {
+  const relative = parentQuaternion.conjugate().mult(childQuaternion);
+  return wrapAngle(-2 * Math.atan2(relative.x, relative.w));
+}
+
+// Point at offset (y, z) in a body at absolute angle A, as an (f, u) offset.
+function rotateOffset({ y, z }, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { f: y * sin - z * cos, u: y * cos + z * sin };
+}
+
+/**
+ * Where the bucket tip is for the given joint angles.
+ *
+ * @param {Object} geometry - { boomPivot: { f, u }, boomLength, stickLength, tipOffset: { y, z },
+ *   groundHeight, limits: { boom, stick, bucket: [min, max] } }; tipOffset is the tip
+ *   relative to the bucket hinge in the bucket's frame, groundHeight the u of the ground
+ * @param {Object} angles - { boom, stick, bucket } joint angles in radians
+ * @returns {Object} { reach, height, attack }
+ */
+export function armForwardKinematics(geometry, { boom, stick, bucket }) {
+  const stickAngle = boom + stick;
+  const bucketAngle = stickAngle + bucket;
+  const f = geometry.boomPivot.f
+    + geometry.boomLength * Math.sin(boom)
+    + geometry.stickLength * Math.sin(stickAngle);
+  const u = geometry.boomPivot.u
+    + geometry.boomLength * Math.cos(boom)
+    + geometry.stickLength * Math.cos(stickAngle);
+  const tip = rotateOffset(geometry.tipOffset, bucketAngle);
+  return {
+    reach: f + tip.f,
+    height: u + tip.u - geometry.groundHeight,
+    attack: wrapAngle(bucketAngle)
+  };
+}
+
+/**
+ * Joint angles that put the bucket tip at a target, with the boom above the
+ * line to the bucket (the elbow-up pose every operator uses). Targets out of
+ * reach or past the joint limits give the nearest pose the arm can
+ * take; check reachable, or run the result back through armForwardKinematics.
+ *
+ * @param {Object} geometry - See armForwardKinematics
+ * @param {Object} target - { reach, height, attack }
+ * @returns {Object} { boom, stick, bucket, reachable }
+ */
+export function solveArmIK(geometry, { reach, height, attack }) {
+  const { boomPivot, boomLength, stickLength, limits } = geometry;
+
+  // The bucket hinge sits back from the tip by the tip offset.
+  const tip = rotateOffset(geometry.tipOffset, attack);
+  const wf = reach - tip.f - boomPivot.f;
+  const wu = height + geometry.groundHeight - tip.u - boomPivot.u;
+
+  // Two-link solution from the boom foot to the bucket hinge; directions are
+  // measured from forward, counterclockwise towards up.
+  const minDistance = Math.abs(boomLength - stickLength) + 1e-6;
+  const maxDistance = boomLength + stickLength - 1e-6;
+  const distance = Math.min(maxDistance, Math.max(minDistance, Math.hypot(wf, wu)));
+  const cosElbow = (distance ** 2 - boomLength ** 2 - stickLength ** 2) / (2 * boomLength * stickLength);
+  const elbow = Math.acos(Math.min(1, Math.max(-1, cosElbow)));
+  const boomDirection = Math.atan2(wu, wf)
+    + Math.atan2(stickLength * Math.sin(elbow), boomLength + stickLength * Math.cos(elbow));
+  const stickDirection = boomDirection - elbow;
+
+  // Directions to absolute angles (from up, leaning forward), then to joint angles.
+  const boom = clamp(wrapAngle(Math.PI / 2 - boomDirection), limits.boom);
+  const stick = clamp(wrapAngle(Math.PI / 2 - stickDirection - boom), limits.stick);
+  const bucket = clamp(wrapAngle(attack - boom - stick), limits.bucket);
+
+  const reached = armForwardKinematics(geometry, { boom, stick, bucket });
+  const reachable = Math.hypot(reached.reach - reach, reached.height - height) < 0.01
+    && Math.abs(wrapAngle(reached.attack - attack)) < 0.01;
+  return { boom, stick, bucket, reachable };
+}
@@ -0,0 +1,40 @@
+// src/excavatorKinematics.test.js
+import { armForwardKinematics, solveArmIK } from './excavatorKinematics.js';
+
+// An arm 3 m + 2 m long from a foot 1 m up, with the tip 0.5 m ahead of the bucket hinge.
+const GEOMETRY = {
+  boomPivot: { f: 0, u: 1 },
+  boomLength: 3,
+  stickLength: 2,
+  tipOffset: { y: 0, z: -0.5 },
+  groundHeight: 0,
+  limits: {
+    boom: [-Math.PI / 2, Math.PI / 2],
+    stick: [0, Math.PI * 150 / 180],
+    bucket: [-Math.PI, Math.PI]
+  }
+};
+
+test('the solved pose puts the tip on the target', () => {
+  const target = { reach: 3.5, height: 1.5, attack: 1.2 };
+  const pose = solveArmIK(GEOMETRY, target);
+  expect(pose.reachable).toBe(true);
+  const tip = armForwardKinematics(GEOMETRY, pose);
+  expect(tip.reach).toBeCloseTo(target.reach);
+  expect(tip.height).toBeCloseTo(target.height);
+  expect(tip.attack).toBeCloseTo(target.attack);
+});
+
+test('targets too far out give the arm stretched towards them', () => {
+  const pose = solveArmIK(GEOMETRY, { reach: 10, height: 1, attack: 0 });
+  expect(pose.reachable).toBe(false);
+  expect(pose.stick).toBeCloseTo(0, 2);
+});
+
+test('the stick is kept within its limits as well as the boom', () => {
+  // The bucket hinge 1.1 m from the boom foot would need the stick folded about 170°.
+  const pose = solveArmIK(GEOMETRY, { reach: 1.6, height: 1, attack: 0 });
+  expect(pose.reachable).toBe(false);
+  expect(pose.stick).toBeCloseTo(GEOMETRY.limits.stick[1]);
+  expect(pose.boom).toBeLessThanOrEqual(GEOMETRY.limits.boom[1]);
+});
@@ -0,0 +1,141 @@
+// src/headless.js
+import * as THREE from 'three';
+import { initPhysics, updatePhysics, FIXED_TIME_STEP } from './physics.js';
+import { createTerrain } from './terrain.js';
+import { createRandom } from './random.js';
+import { Excavator } from './Excavator.js';
+import { DumpTruck } from './DumpTruck.js';
+import { SnowPlow } from './SnowPlow.js';
+import { SandHill } from './Sandhill.js';
+import { Block } from './Block.js';
+import { ToolRack } from './ToolRack.js';
+import { GradingBucket, Breaker, Grapple, Auger } from './excavatorAttachments.js';
+import { getMaterial } from './materials.js';
+import { SoilModel } from './soils.js';
+
+/**
+ * Builds a world with physics and terrain but no renderer, DOM or keyboard, so
+ * scripts and the react-scripts (jest) tests can run it under Node. Vehicles
+ * are driven with command objects and time only moves when run() is called:
+ *
+ *   const sim = await createHeadlessSimulation({ seed: 7 });
+ *   const excavator = sim.addExcavator({ x: 0, z: 0 });
+ *   excavator.setCommand({ drive: 1 });
+ *   sim.run(5);
+ *
+ * The scene graph is still built, since the vehicles keep parts of their state
+ * (the plow assembly) on their THREE objects, but meshes are
+ * not synced to the bodies: read positions from the physics bodies.
+ *
+ * @param {Object} options
+ * @param {string} options.backend - 'cannon' (default) or 'rapier'
+ * @param {number} options.seed - World seed, as with ?seed= in the browser
+ * @param {Object} options.terrain - Extra options for createTerrain
+ * @param {Array<Object>|Function} options.soilProfile - Soil layers (see SoilModel)
+ * @returns {Promise<Object>} The simulation
+ */
+export async function createHeadlessSimulation({ backend = 'cannon', seed = 1, terrain = {}, soilProfile } = {}) {
+  const scene = new THREE.Scene();
+  const physicsWorld = await initPhysics({ backend });
+  const groundMaterial = getMaterial(physicsWorld, 'soil');
+  const terrainData = createTerrain(scene, physicsWorld, groundMaterial, { size: 100, seed, ...terrain });
+  const soil = new SoilModel(terrainData, { profile: soilProfile });
+  const random = createRandom(seed);
+
+  // Sets a wheeled vehicle down on the terrain at (x, z), as index.js does.
+  const place = (vehicle, { x = 0, z = 0 }) => {
+    vehicle.baseBody.position.set(x, terrainData.getHeight(x, z) + vehicle.wheels.rideHeight, z);
+    return vehicle;
+  };
+
+  return {
+    scene,
+    physicsWorld,
+    groundMaterial,
+    terrain: terrainData,
+    soil,
+    random,
+    // Simulated seconds so far.
+    time: 0,
+
+    addExcavator({ x = 0, z = 0 } = {}) {
+      const excavator = new Excavator(scene, physicsWorld, groundMaterial, { keyboard: false });
+      excavator.setTerrain(terrainData, soil);
+      excavator.setPosition(new THREE.Vector3(x, terrainData.getHeight(x, z) + 0.35, z));
+      return excavator;
+    },
+
+    /**
+     * Given an excavator, it can pour loose material into the truck's bed.
+     */
+    addDumpTruck({ x = 0, z = 0 } = {}, excavator = null) {
+      const dumpTruck = new DumpTruck(scene, physicsWorld, groundMaterial, { keyboard: false });
+      dumpTruck.setTerrain(terrainData, soil);
+      dumpTruck.setPosition(new THREE.Vector3(x, terrainData.getHeight(x, z) + dumpTruck.wheels.rideHeight, z));
+      if (excavator) {
+        excavator.setDumpTargets([...excavator.dumpTargets, dumpTruck]);
+      }
+      return dumpTruck;
+    },
+
+    addSnowPlow(position = {}) {
+      return place(new SnowPlow(scene, physicsWorld, groundMaterial, { keyboard: false }), position);
+    },
+
+    /**
+     * Drops a block pile of the given soil type on the terrain at (x, z). Given
+     * an excavator, it can pick the blocks up.
+     */
+    addSandHill({ x = 0, z = 0, soil: soilType = 'sand' } = {}, excavator = null) {
+      const position = new THREE.Vector3(x, terrainData.getHeight(x, z), z);
+      const sandHill = new SandHill(scene, physicsWorld, position, random.fork('sandHill'), soilType);
+      if (excavator) {
+        excavator.setCubes(sandHill.getCubes());
+      }
+      return sandHill;
+    },
+
+    /**
+     * Drops a block of the given soil type and size on the terrain at (x, z).
+     * Given an excavator, it can pick the block up (and break it, if rock).
+     */
+    addBlock({ x = 0, z = 0, soil: soilType = 'sand', size = 1 } = {}, excavator = null) {
+      const position = new THREE.Vector3(x, terrainData.getHeight(x, z) + size / 2, z);
+      const block = new Block(scene, physicsWorld, position, soilType, size);
+      if (excavator) {
+        excavator.setCubes([...excavator.cubes, block]);
+      }
+      return block;
+    },
+
+    /**
+     * Puts up a ToolRack with the attachments the excavator does not start
+     * with, its foot on the terrain at (x, z).
+     */
+    addToolRack({ x = 0, z = 0 } = {}) {
+      const position = new THREE.Vector3(x, terrainData.getHeight(x, z), z);
+      return new ToolRack(scene, physicsWorld, position, [
+        new GradingBucket(scene, physicsWorld),
+        new Breaker(scene, physicsWorld),
+        new Grapple(scene, physicsWorld),
+        new Auger(scene, physicsWorld)
+      ]);
+    },
+
+    /**
+     * Advances the simulation in fixed steps. Vehicle commands are applied on
+     * every step, just as in the browser.
+     *
+     * @param {number} seconds - Rounded to a whole number of fixed steps
+     * @param {Function} [onStep] - Called after each step with the simulated time
+     */
+    run(seconds, onStep) {
+      const steps = Math.round(seconds / FIXED_TIME_STEP);
+      for (let i = 0; i < steps; i++) {
+        updatePhysics(physicsWorld);
+        this.time += FIXED_TIME_STEP;
+        if (onStep) onStep(this.time);
+      }
+    }
+  };
+}
@@ -0,0 +1,395 @@
+// src/headless.test.js
+import * as CANNON from 'cannon-es';
+import { createHeadlessSimulation } from './headless.js';
+import { Grapple } from './excavatorAttachments.js';
+
+// Building a world and stepping it for a few simulated seconds takes a while under jest.
+const SCENARIO_TIMEOUT = 60000;
+
+// Reaches out and lowers the bucket into the ground in front of the machine.
+function lowerBucket(sim, excavator) {
+  excavator.setCommand({ stick: -1 });
+  sim.run(1);
+  excavator.setCommand({ stick: 0, boom: -1 });
+  sim.run(1.5);
+}
+
+describe.each(['cannon', 'rapier'])('headless simulation on %s', (backend) => {
+  test('excavator drives 10 m forward in 5 s', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const excavator = sim.addExcavator({ x: 0, z: 0 });
+    sim.run(1);
+    const start = excavator.baseBody.position.clone();
+    // The machine faces -z.
+    const forward = excavator.baseBody.quaternion.vmult(new CANNON.Vec3(0, 0, -1));
+
+    excavator.setCommand({ drive: 1 });
+    sim.run(5);
+
+    const travel = excavator.baseBody.position.vsub(start);
+    expect(travel.dot(forward)).toBeGreaterThanOrEqual(10);
+    expect(Math.abs(travel.cross(forward).y)).toBeLessThan(1);
+  }, SCENARIO_TIMEOUT);
+
+  test('the tracks take a second to reach travel speed and stop when the lever is let go', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const excavator = sim.addExcavator({ x: 0, z: 0 });
+    sim.run(1);
+
+    excavator.setCommand({ drive: 1 });
+    sim.run(0.5);
+    expect(excavator.forwardVelocity).toBeCloseTo(excavator.maxVelocity / 2, 1);
+    sim.run(0.6);
+    expect(excavator.forwardVelocity).toBe(excavator.maxVelocity);
+
+    excavator.setCommand({ drive: -1 });
+    sim.run(0.5);
+    expect(excavator.forwardVelocity).toBeCloseTo(excavator.maxVelocity / 2, 1);
+    excavator.setCommand({ drive: 0 });
+    sim.run(1 / 60);
+    expect(excavator.forwardVelocity).toBe(0);
+  }, SCENARIO_TIMEOUT);
+
+  test('excavator fills its bucket dragging it through the ground', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const excavator = sim.addExcavator({ x: 0, z: 0 });
+    sim.run(1);
+
+    // Pull the bucket back through the ground towards the cab and curl it up.
+    lowerBucket(sim, excavator);
+    excavator.setCommand({ boom: 0, stick: 1, dig: true });
+    sim.run(3);
+    excavator.setCommand({ stick: 0, bucket: 1 });
+    sim.run(1.5);
+
+    expect(excavator.payloadVolume).toBeGreaterThan(0.9 * excavator.attachment.capacity);
+  }, SCENARIO_TIMEOUT);
+
+  test('clay takes longer to dig than sand', async () => {
+    // Seconds of dragging the bucket through the ground until it holds 0.3 m³.
+    const timeToFill = async (soil) => {
+      const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 }, soilProfile: [{ soil }] });
+      const excavator = sim.addExcavator({ x: 0, z: 0 });
+      sim.run(1);
+      lowerBucket(sim, excavator);
+      excavator.setCommand({ boom: 0, stick: 1, dig: true });
+      let time = 0;
+      while (excavator.payloadVolume < 0.3 && time < 5) {
+        sim.run(0.1);
+        time += 0.1;
+      }
+      return time;
+    };
+    expect(await timeToFill('clay')).toBeGreaterThan(await timeToFill('sand') + 0.3);
+  }, SCENARIO_TIMEOUT);
+
+  test('the arm holds still where its controls are let go', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const excavator = sim.addExcavator({ x: 0, z: 0 });
+    sim.run(1);
+
+    excavator.setCommand({ boom: 1, bucket: 1 });
+    sim.run(0.5);
+    excavator.setCommand({ boom: 0, bucket: 0 });
+    sim.run(1);
+    const held = excavator.getArmAngles();
+    sim.run(1);
+    const angles = excavator.getArmAngles();
+    ['boom', 'stick', 'bucket'].forEach(joint => {
+      expect(Math.abs(angles[joint] - held[joint])).toBeLessThan(Math.PI / 180);
+    });
+    expect(excavator.attachment.body.velocity.length()).toBeLessThan(0.05);
+  }, SCENARIO_TIMEOUT);
+
+  test('the bucket holds a block and sand while level and tips them out past their angle of repose', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const excavator = sim.addExcavator({ x: 0, z: 0 });
+    sim.run(1);
+    const bucket = excavator.attachment;
+
+    // Curl the bucket up level and drop a block into it, with some sand.
+    excavator.setCommand({ bucket: 1 });
+    sim.run(1.5);
+    excavator.setCommand({ bucket: 0 });
+    sim.run(0.5);
+    const block = sim.addBlock({ size: 0.3 }, excavator);
+    block.body.position.copy(bucket.toWorld(new CANNON.Vec3(0, 0.35, -0.05)));
+    excavator.payload.set('sand', 0.2);
+    sim.run(2);
+    expect(Math.abs(bucket.getTilt())).toBeLessThan(Math.PI / 18);
+    expect(excavator.carriedCubes).toContain(block);
+    expect(excavator.payloadVolume).toBeCloseTo(0.2, 5);
+
+    excavator.setCommand({ bucket: -1 });
+    sim.run(2);
+    expect(bucket.getTilt()).toBeGreaterThan(Math.PI / 2);
+    expect(excavator.carriedCubes).not.toContain(block);
+    expect(excavator.cubes).toContain(block);
+    expect(block.body.position.y).toBeLessThan(0.5);
+    expect(excavator.payloadVolume).toBeLessThan(0.2);
+  }, SCENARIO_TIMEOUT);
+
+  test('the grapple lifts a block it closes on, and not with its tines open', async () => {
+    // Hangs the grapple round a 1 m block, works the tines and lifts; returns the block.
+    const lift = async (tool) => {
+      const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+      const excavator = sim.addExcavator({ x: 0, z: 0 });
+      excavator.attachment.park(new CANNON.Vec3(20, 0, 20), new CANNON.Quaternion());
+      excavator.attach(new Grapple(sim.scene, sim.physicsWorld));
+      sim.run(1);
+      // An attack of π hangs the tines straight down; start above where the block goes.
+      excavator.setControlMode('tip');
+      excavator.setTipTarget({ reach: 5, height: 2.5, attack: Math.PI });
+      sim.run(3);
+      const grapple = excavator.attachment;
+      const tip = grapple.toWorld(grapple.tip);
+      const block = sim.addBlock({ x: tip.x, z: tip.z, size: 1 }, excavator);
+      excavator.setTipTarget({ reach: 5, height: 0.6, attack: Math.PI });
+      sim.run(2);
+      excavator.setCommand({ tool });
+      sim.run(2);
+      excavator.setTipTarget({ reach: 5, height: 3, attack: Math.PI });
+      sim.run(3);
+      return { sim, excavator, block };
+    };
+
+    const open = await lift(0);
+    expect(open.block.body.position.y).toBeLessThan(0.6);
+    expect(open.excavator.carriedCubes).not.toContain(open.block);
+
+    const { sim, excavator, block } = await lift(1);
+    expect(block.body.position.y).toBeGreaterThan(2);
+    expect(excavator.carriedCubes).toContain(block);
+
+    // Opening the tines drops it.
+    excavator.setCommand({ tool: -1 });
+    sim.run(2);
+    expect(block.body.position.y).toBeLessThan(1);
+    expect(excavator.carriedCubes).not.toContain(block);
+  }, SCENARIO_TIMEOUT);
+
+  test('over-reaching with a load over the side trips the load moment indicator and tips the machine', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const excavator = sim.addExcavator({ x: 0, z: 0 });
+    excavator.attachment.park(new CANNON.Vec3(20, 0, 20), new CANNON.Quaternion());
+    excavator.attach(new Grapple(sim.scene, sim.physicsWorld));
+    sim.run(1);
+    // Swing the arm over the tracks' side, where the machine stands on its narrowest.
+    excavator.setCommand({ turret: 1 });
+    sim.run(1.05);
+    excavator.setCommand({ turret: 0 });
+    excavator.setTipTarget({ reach: 5, height: 2.5, attack: Math.PI });
+    sim.run(3);
+
+    // Pick up 4.5 t of rock and lift it clear of the ground.
+    const grapple = excavator.attachment;
+    const tip = grapple.toWorld(grapple.tip);
+    const block = sim.addBlock({ x: tip.x, z: tip.z, soil: 'rock', size: 1.2 }, excavator);
+    excavator.setTipTarget({ reach: 5, height: 0.7, attack: Math.PI });
+    sim.run(2);
+    excavator.setCommand({ tool: 1 });
+    sim.run(2);
+    excavator.setTipTarget({ reach: 5, height: 2, attack: Math.PI });
+    sim.run(3);
+    const up = new CANNON.Vec3(0, 1, 0);
+    const tilt = () => Math.acos(Math.min(1, excavator.baseBody.quaternion.vmult(up).y));
+    expect(excavator.carriedCubes).toContain(block);
+    expect(block.body.position.y).toBeGreaterThan(0.7);
+    expect(excavator.stability.level).not.toBe('tipping');
+    expect(tilt()).toBeLessThan(Math.PI / 36);
+
+    // Stretching the arm out with it warns before the tracks leave the ground, then goes over.
+    excavator.setTipTarget({ reach: 20 });
+    let warned = false;
+    for (let time = 0; time < 5 && tilt() < Math.PI / 18; time += 0.1) {
+      sim.run(0.1);
+      warned = warned || excavator.stability.level === 'tipping';
+    }
+    expect(warned).toBe(true);
+    sim.run(2);
+    expect(tilt()).toBeGreaterThan(Math.PI / 6);
+  }, SCENARIO_TIMEOUT);
+
+  test('tip mode brings the bucket tip to a target and holds unreachable ones at the edge', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const excavator = sim.addExcavator({ x: 0, z: 0 });
+    sim.run(1);
+
+    excavator.setTipTarget({ reach: 5, height: 2, attack: 1.5 });
+    sim.run(3);
+    const tip = excavator.getBucketTip();
+    expect(tip.reach).toBeCloseTo(5, 1);
+    expect(Math.abs(tip.height - 2)).toBeLessThan(0.1);
+    expect(tip.attack).toBeCloseTo(1.5, 1);
+
+    excavator.setTipTarget({ reach: 20 });
+    sim.run(0.1);
+    expect(excavator.tipTarget.reach).toBeLessThan(10);
+  }, SCENARIO_TIMEOUT);
+
+  test('tipper reaches 30° and stops', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const truck = sim.addDumpTruck({ x: 0, z: 0 });
+    sim.run(1);
+    const target = Math.PI / 6;
+
+    truck.setCommand({ tipper: 1 });
+    let time = 0;
+    while (truck.getTipperAngle() < target && time < 5) {
+      sim.run(0.1);
+      time += 0.1;
+    }
+    expect(truck.getTipperAngle()).toBeGreaterThanOrEqual(target);
+
+    // Let go: the hoist catches up with where the bed was sent and holds it there.
+    truck.setCommand({ tipper: 0 });
+    sim.run(0.5);
+    const held = truck.getTipperAngle();
+    sim.run(2);
+    expect(held).toBeLessThan(target + Math.PI / 60);
+    expect(Math.abs(truck.getTipperAngle() - held)).toBeLessThan(Math.PI / 180);
+  }, SCENARIO_TIMEOUT);
+
+  test('the dump truck stands on its suspension, drives off and steers the inner front wheel tighter', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const truck = sim.addDumpTruck({ x: 0, z: 0 });
+    const wheels = truck.wheels.vehicle.wheelInfos;
+    const heading = () => truck.baseBody.quaternion.vmult(new CANNON.Vec3(0, 0, -1));
+
+    // Standing, it rests on springs squeezed short and the brakes hold it where it stands.
+    sim.run(2);
+    const parked = truck.baseBody.position.clone();
+    sim.run(2);
+    wheels.forEach(wheel => {
+      expect(wheel.isInContact).toBe(true);
+      expect(wheel.suspensionLength).toBeLessThan(wheel.suspensionRestLength);
+    });
+    expect(truck.baseBody.position.distanceTo(parked)).toBeLessThan(0.05);
+
+    truck.setCommand({ drive: 1 });
+    sim.run(2);
+    expect(truck.wheels.speed).toBeGreaterThan(3);
+
+    // Wheels 0 and 1 are the front left and right; turning left, the left one is inside.
+    truck.setCommand({ steer: 1 });
+    sim.run(2);
+    expect(wheels[0].steering).toBeGreaterThan(wheels[1].steering);
+    expect(wheels[1].steering).toBeGreaterThan(0);
+    expect(wheels[2].steering).toBe(0);
+    expect(heading().x).toBeLessThan(-0.5);
+  }, SCENARIO_TIMEOUT);
+
+  test('the payload gauge weighs what rests in the bed and an overloaded truck pulls away slower than one within its rating', async () => {
+    // Speed the truck reaches pulling away for 1 s, after loading it with load(sim, truck).
+    const pullAway = async (load) => {
+      const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+      const truck = sim.addDumpTruck({ x: 0, z: 0 });
+      sim.run(1);
+      // The gauge settles over a second or so.
+      load(sim, truck);
+      sim.run(5);
+      const reading = { ...truck.payloadScale.state, derate: truck.getOverloadDerate() };
+      truck.setCommand({ drive: 1 });
+      sim.run(1);
+      return { ...reading, speed: truck.wheels.speed };
+    };
+
+    const empty = await pullAway(() => {});
+    expect(empty.mass).toBe(0);
+    expect(empty.level).toBe('ok');
+
+    // 2 m³ of sand, 3200 kg, and a 1 m rock block, 2600 kg, dropped onto the floor.
+    const dropRock = (sim, truck) => {
+      const block = sim.addBlock({ soil: 'rock', size: 1 });
+      block.body.position.copy(truck.bedBody.position.vadd(new CANNON.Vec3(0, 1, 0)));
+    };
+    const loaded = await pullAway((sim, truck) => {
+      truck.addCargo('sand', 2);
+      dropRock(sim, truck);
+    });
+    expect(Math.abs(loaded.mass - 5800)).toBeLessThan(300);
+    expect(loaded.level).toBe('ok');
+    expect(loaded.derate).toBe(1);
+
+    // Topping it up with 1.3 m³ of gravel takes it past its 8 t.
+    const overloaded = await pullAway((sim, truck) => {
+      truck.addCargo('sand', 2);
+      truck.addCargo('gravel', 1.3);
+      dropRock(sim, truck);
+    });
+    expect(overloaded.mass).toBeGreaterThan(8000);
+    expect(overloaded.level).toBe('overload');
+    expect(overloaded.derate).toBeLessThan(1);
+    expect(overloaded.speed).toBeLessThan(loaded.speed);
+  }, SCENARIO_TIMEOUT);
+
+  test('the tipper carries sand up to its walls and only lets it slide out past its angle of repose', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const truck = sim.addDumpTruck({ x: 0, z: 0 });
+    sim.run(1);
+    const behind = () => truck.baseBody.position.vadd(truck.baseBody.quaternion.vmult(new CANNON.Vec3(0, 0, 3)));
+
+    // The 2.2 m by 3 m bed holds 3.3 m³ up to its 0.5 m walls; the rest spills over them.
+    expect(truck.addCargo('sand', 5)).toBeCloseTo(1.7, 5);
+    expect(truck.cargoVolume).toBeCloseTo(3.3, 5);
+    expect(sim.terrain.getHeight(2, 0)).toBeGreaterThan(0.1);
+
+    // Driving and raising the bed short of sand's 32° keep it all in.
+    truck.setCommand({ drive: 1 });
+    sim.run(2);
+    truck.setCommand({ drive: 0 });
+    sim.run(1);
+    truck.setCommand({ tipper: 1 });
+    let time = 0;
+    while (truck.getTipperAngle() < Math.PI / 7 && time < 5) {
+      sim.run(0.1);
+      time += 0.1;
+    }
+    truck.setCommand({ tipper: 0 });
+    sim.run(1);
+    expect(truck.cargoVolume).toBeCloseTo(3.3, 5);
+    const start = behind();
+    expect(sim.terrain.getHeight(start.x, start.z)).toBeLessThan(0.01);
+
+    // Past it, the sand slides out of the tail and lands behind the truck.
+    truck.setCommand({ tipper: 1 });
+    sim.run(5);
+    expect(truck.cargoVolume).toBe(0);
+    const heap = behind();
+    expect(sim.terrain.getHeight(heap.x, heap.z)).toBeGreaterThan(0.3);
+  }, SCENARIO_TIMEOUT);
+
+  test('the snow plow pulls away after standing long enough to fall asleep', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const plow = sim.addSnowPlow({ x: 0, z: 0 });
+    sim.run(4);
+
+    plow.setCommand({ drive: 1 });
+    sim.run(2);
+    expect(plow.wheels.speed).toBeGreaterThan(3);
+  }, SCENARIO_TIMEOUT);
+
+  test('the plow blade comes down to scrape the ground, swings its right end back and lifts clear', async () => {
+    const sim = await createHeadlessSimulation({ backend, terrain: { amplitude: 0 } });
+    const plow = sim.addSnowPlow({ x: 0, z: 0 });
+    sim.run(1);
+
+    plow.setCommand({ lift: -1 });
+    sim.run(2);
+    const lowered = plow.getBladeEdge();
+    expect(Math.abs(lowered.left.y)).toBeLessThan(0.1);
+    expect(Math.abs(lowered.right.y)).toBeLessThan(0.1);
+
+    // The plow faces -z; its blade's right end is towards +x and swings back to +z.
+    plow.setCommand({ lift: 0, angle: 1 });
+    sim.run(1);
+    const angled = plow.getBladeEdge();
+    expect(angled.right.x).toBeGreaterThan(angled.left.x);
+    expect(angled.right.z - angled.left.z).toBeGreaterThan(0.5);
+
+    plow.setCommand({ angle: 0, lift: 1 });
+    sim.run(2);
+    const lifted = plow.getBladeEdge();
+    expect(Math.min(lifted.left.y, lifted.right.y)).toBeGreaterThan(0.5);
+  }, SCENARIO_TIMEOUT);
+});
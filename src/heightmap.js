@@ -0,0 +1,323 @@
+// src/heightmap.js
+
+/*
+ * Readers and writers for surveyed terrain. The readers return, and the
+ * writers take, a heightmap grid:
+ *   { columns, rows, values, cellSize, noData }
+ * values is a Float32Array of columns * rows samples, row by row from the
+ * north edge (the top of the image or file) to the south, west to east within
+ * a row. cellSize is the sample spacing the file declares (null when it has
+ * none) and noData the value marking missing samples (null when it has none).
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Samples per pixel for each PNG colour type; palette images (3) are not heightmaps.
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * Parses an ESRI ASCII grid (.asc): a header of ncols, nrows, xllcorner (or
+ * xllcenter), yllcorner (or yllcenter), cellsize and an optional NODATA_value,
+ * then the heights row by row from the north.
+ *
+ * @param {string} text - The file contents
+ * @returns {Object} Heightmap grid, plus xllcorner and yllcorner
+ */
+export function parseAsciiGrid(text) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  let index = 0;
+  while (index < tokens.length && /^[a-z_]+$/i.test(tokens[index])) {
+    header[tokens[index].toLowerCase()] = Number(tokens[index + 1]);
+    index += 2;
+  }
+
+  const columns = header.ncols;
+  const rows = header.nrows;
+  const cellSize = header.cellsize;
+  if (!(columns > 1 && rows > 1 && cellSize > 0)) {
+    throw new Error('ASCII grid needs ncols and nrows of at least 2 and a positive cellsize');
+  }
+  const count = columns * rows;
+  if (tokens.length - index < count) {
+    throw new Error(`ASCII grid has ${tokens.length - index} values; ncols × nrows is ${count}`);
+  }
+
+  const values = new Float32Array(count);
+  for (let k = 0; k < count; k++) {
+    values[k] = Number(tokens[index + k]);
+  }
+
+  // Corner coordinates are those of the grid's outer edge; centre ones are half a cell in.
+  const half = cellSize / 2;
+  return {
+    columns,
+    rows,
+    values,
+    cellSize,
+    noData: header.nodata_value ?? null,
+    xllcorner: header.xllcorner ?? (header.xllcenter !== undefined ? header.xllcenter - half : 0),
+    yllcorner: header.yllcorner ?? (header.yllcenter !== undefined ? header.yllcenter - half : 0)
+  };
+}
+
+/**
+ * Decodes a greyscale PNG heightmap. 16-bit images are what the survey tools
+ * export; 8-bit ones work too but only give 256 levels. Colour images use
+ * their red channel. The values are the raw samples (0-65535 for 16 bits),
+ * to be scaled by the caller.
+ *
+ * Decompression uses the platform's DecompressionStream, hence the promise.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - The file contents
+ * @returns {Promise<Object>} Heightmap grid
+ */
+export async function decodePng(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (PNG_SIGNATURE.some((byte, k) => bytes[k] !== byte)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  const compressed = [];
+  for (let offset = PNG_SIGNATURE.length; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const body = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'IDAT') {
+      compressed.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12; // length, type and CRC around the body
+  }
+
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(`Unsupported PNG format (colour type ${colorType}, ${bitDepth} bits); use 8 or 16-bit greyscale`);
+  }
+  if (interlace !== 0) throw new Error('Interlaced PNGs are not supported');
+
+  const raw = await inflate(compressed);
+  const bytesPerPixel = channels * bitDepth / 8;
+  const stride = width * bytesPerPixel;
+  if (raw.length < height * (stride + 1)) throw new Error('PNG image data is truncated');
+
+  const pixels = unfilter(raw, width, height, bytesPerPixel);
+  const values = new Float32Array(width * height);
+  for (let k = 0; k < values.length; k++) {
+    const offset = k * bytesPerPixel;
+    values[k] = bitDepth === 16 ? (pixels[offset] << 8) | pixels[offset + 1] : pixels[offset];
+  }
+  return { columns: width, rows: height, values, cellSize: null, noData: null };
+}
+
+// Inflates the concatenated IDAT chunks (a zlib stream).
+function inflate(chunks) {
+  return transformBytes(chunks, new DecompressionStream('deflate'));
+}
+
+// Runs byte chunks through a compression stream and joins what comes out. Writing and reading
+// go on together, so that neither waits on the other's buffer; bad data rejects with the
+// stream's own error.
+async function transformBytes(chunks, transform) {
+  const writer = transform.writable.getWriter();
+  const [parts] = await Promise.all([
+    readChunks(transform.readable),
+    ...chunks.map(chunk => writer.write(chunk)),
+    writer.close()
+  ]);
+  return concatBytes(parts);
+}
+
+async function readChunks(stream) {
+  const reader = stream.getReader();
+  const parts = [];
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    parts.push(result.value);
+  }
+  return parts;
+}
+
+// Undoes the per-row PNG filters, returning the bare pixel bytes.
+function unfilter(raw, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    const previous = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[previous + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? pixels[previous + x - bytesPerPixel] : 0;
+      let predictor;
+      switch (filter) {
+        case 0: predictor = 0; break;
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: predictor = paeth(left, up, upLeft); break;
+        default: throw new Error(`Bad PNG filter type ${filter} on row ${y}`);
+      }
+      pixels[row + x] = (raw[source + x] + predictor) & 0xff;
+    }
+  }
+  return pixels;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Writes a heightmap grid as an ESRI ASCII grid, to millimetres.
+ *
+ * @param {Object} grid - Heightmap grid; xllcorner and yllcorner are written when present
+ * @returns {string} The file contents
+ */
+export function encodeAsciiGrid(grid) {
+  const { columns, rows, values, cellSize } = grid;
+  const noData = grid.noData ?? -9999;
+  const lines = [
+    `ncols ${columns}`,
+    `nrows ${rows}`,
+    `xllcorner ${grid.xllcorner ?? 0}`,
+    `yllcorner ${grid.yllcorner ?? 0}`,
+    `cellsize ${cellSize ?? 1}`,
+    `NODATA_value ${noData}`
+  ];
+  for (let r = 0; r < rows; r++) {
+    const row = [];
+    for (let c = 0; c < columns; c++) {
+      const value = values[r * columns + c];
+      row.push(Number.isFinite(value) ? value.toFixed(3) : noData);
+    }
+    lines.push(row.join(' '));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes a heightmap grid as a 16-bit greyscale PNG. Heights are stored as
+ * (height - heightOffset) / verticalScale; pass both back to
+ * createHeightmapTerrain to get the same heights again.
+ *
+ * @param {Object} grid - Heightmap grid
+ * @param {Object} [options]
+ * @param {number} [options.verticalScale] - Metres per level; by default the smallest that fits
+ *   the height range, but no finer than a millimetre
+ * @param {number} [options.heightOffset] - Height of level 0 (default the lowest height)
+ * @returns {Promise<Object>} { data: Uint8Array, verticalScale, heightOffset }
+ */
+export async function encodePng(grid, options = {}) {
+  const { columns, rows, values } = grid;
+  let lowest = Infinity;
+  let highest = -Infinity;
+  values.forEach(value => {
+    lowest = Math.min(lowest, value);
+    highest = Math.max(highest, value);
+  });
+  const heightOffset = options.heightOffset ?? lowest;
+  const verticalScale = options.verticalScale || Math.max(0.001, (highest - heightOffset) / 65535);
+
+  // Each row starts with filter type 0 (none); samples are big-endian.
+  const stride = columns * 2;
+  const raw = new Uint8Array(rows * (stride + 1));
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < columns; c++) {
+      const level = Math.min(65535, Math.max(0, Math.round((values[r * columns + c] - heightOffset) / verticalScale)));
+      const offset = r * (stride + 1) + 1 + c * 2;
+      raw[offset] = level >> 8;
+      raw[offset + 1] = level & 0xff;
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, columns);
+  headerView.setUint32(4, rows);
+  header[8] = 16; // bit depth
+  header[9] = 0; // greyscale; compression, filter and interlace methods stay 0
+
+  const data = concatBytes([
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', await deflate(raw)),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
+  return { data, verticalScale, heightOffset };
+}
+
+function deflate(bytes) {
+  return transformBytes([bytes], new CompressionStream('deflate'));
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+// Length, type, body and the CRC of type and body.
+function pngChunk(type, body) {
+  const chunk = new Uint8Array(body.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, body.length);
+  for (let k = 0; k < 4; k++) chunk[4 + k] = type.charCodeAt(k);
+  chunk.set(body, 8);
+  view.setUint32(body.length + 8, crc32(chunk.subarray(4, body.length + 8)));
+  return chunk;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let k = 0; k < bytes.length; k++) crc = crcTable[(crc ^ bytes[k]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Fetches and decodes a heightmap file.
+ *
+ * @param {string} url
+ * @param {string} [format] - 'png' or 'asc'; taken from the file extension by default
+ * @returns {Promise<Object>} Heightmap grid
+ */
+export async function loadHeightmap(url, format = url.split(/[?#]/)[0].split('.').pop().toLowerCase()) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load heightmap ${url}: ${response.status} ${response.statusText}`);
+  if (format === 'png') return decodePng(await response.arrayBuffer());
+  if (format === 'asc') return parseAsciiGrid(await response.text());
+  throw new Error(`Unknown heightmap format "${format}"; expected png or asc`);
+}
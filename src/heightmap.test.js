@@ -0,0 +1,88 @@
+// src/heightmap.test.js
+import { deflateSync } from 'zlib';
+import { parseAsciiGrid, encodeAsciiGrid, decodePng, encodePng } from './heightmap.js';
+
+const GRID = {
+  columns: 3,
+  rows: 2,
+  values: new Float32Array([10, 10.5, 11.25, 9.75, 10, 12]),
+  cellSize: 2,
+  noData: -9999,
+  xllcorner: 500,
+  yllcorner: 1000
+};
+
+// A PNG of the given IHDR fields and raw (filtered) scanlines; the reader does not check CRCs.
+function makePng({ width, height, bitDepth, colorType }, raw) {
+  const chunk = (type, body) => {
+    const bytes = Buffer.alloc(body.length + 12);
+    bytes.writeUInt32BE(body.length, 0);
+    bytes.write(type, 4, 'latin1');
+    Buffer.from(body).copy(bytes, 8);
+    return bytes;
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  return new Uint8Array(Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(Buffer.from(raw))),
+    chunk('IEND', [])
+  ]));
+}
+
+test('reads an ASCII grid, rows from the north', () => {
+  const grid = parseAsciiGrid([
+    'ncols 3',
+    'nrows 2',
+    'xllcenter 501',
+    'yllcenter 1001',
+    'cellsize 2',
+    'NODATA_value -9999',
+    '10 10.5 11.25',
+    '9.75 10 -9999'
+  ].join('\n'));
+  expect(grid).toMatchObject({ columns: 3, rows: 2, cellSize: 2, noData: -9999, xllcorner: 500, yllcorner: 1000 });
+  expect(Array.from(grid.values)).toEqual([10, 10.5, 11.25, 9.75, 10, -9999]);
+});
+
+test('rejects an ASCII grid short of values', () => {
+  expect(() => parseAsciiGrid('ncols 2\nnrows 2\ncellsize 1\n1 2 3')).toThrow('ASCII grid has 3 values');
+});
+
+test('decodes a filtered 16-bit greyscale PNG', async () => {
+  // Two rows of two samples: 0x0102 0x0304 unfiltered, then 0x0506 0x0708 as Sub (1).
+  const png = makePng({ width: 2, height: 2, bitDepth: 16, colorType: 0 }, [
+    0, 0x01, 0x02, 0x03, 0x04,
+    1, 0x05, 0x06, 0x02, 0x02
+  ]);
+  const grid = await decodePng(png);
+  expect(grid).toMatchObject({ columns: 2, rows: 2, cellSize: null, noData: null });
+  expect(Array.from(grid.values)).toEqual([0x0102, 0x0304, 0x0506, 0x0708]);
+});
+
+test('rejects a PNG with corrupt image data', async () => {
+  const png = makePng({ width: 2, height: 1, bitDepth: 8, colorType: 0 }, [0, 1, 2]);
+  // The IDAT body starts after the signature (8), the IHDR chunk (25) and its own length and type.
+  png[41] = 0xff;
+  await expect(decodePng(png)).rejects.toThrow(/header/);
+});
+
+test('an ASCII grid reads back as written', () => {
+  const grid = parseAsciiGrid(encodeAsciiGrid(GRID));
+  expect(grid).toMatchObject({ columns: 3, rows: 2, cellSize: 2, noData: -9999, xllcorner: 500, yllcorner: 1000 });
+  expect(Array.from(grid.values)).toEqual(Array.from(GRID.values));
+});
+
+test('a PNG reads back as written, to the vertical scale', async () => {
+  const { data, verticalScale, heightOffset } = await encodePng(GRID);
+  expect(heightOffset).toBe(9.75);
+  const grid = await decodePng(data);
+  expect(grid).toMatchObject({ columns: 3, rows: 2 });
+  grid.values.forEach((level, k) => {
+    expect(level * verticalScale + heightOffset).toBeCloseTo(GRID.values[k], 3);
+  });
+});
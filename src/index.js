@@ -1,19 +1,27 @@
 // index.js
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
 
 // Import helper modules
 import { initPhysics, updatePhysics } from './physics.js';
-import { createTerrain } from './terrain.js';
+import { createTerrainChunks, loadHeightmapTerrain, exportTerrain } from './terrain.js';
+import { WorldStreamer, distanceToSegment } from './worldStreaming.js';
 import { Excavator } from './Excavator.js';
 import { DumpTruck } from './DumpTruck.js';
 import { SnowPlow } from './SnowPlow.js';
 import { Block } from './Block.js';
-import { createSceneryExtended } from './scenery.js';
-import { createSnowLayer, updateSnowLayer } from './snowAccumulation.js';
+import { ToolRack } from './ToolRack.js';
+import { GradingBucket, Breaker, Grapple, Auger } from './excavatorAttachments.js';
+import { createSceneryExtended, getSceneryBuildingPads } from './scenery.js';
+import { createSnowLayer, updateSnowLayer, getSnowDepth } from './snowAccumulation.js';
 import { createFallingSnow, updateFallingSnow } from './fallingSnow.js';
 import { createOptimizedNeighborhood } from './neighborhoods.js';
-import { createMediterraneanVillage } from './mediterraneanVillage.js';
+import { createMediterraneanVillage, getBridgeConnectionPoint } from './mediterraneanVillage.js';
+import { createRandom, parseSeed } from './random.js';
+import { PhysicsDebugOverlay } from './physicsDebug.js';
+import { CollisionEventBus } from './collisionEvents.js';
+import { getMaterial } from './materials.js';
+import { TimeController } from './timeController.js';
+import { createTimeControlsUI } from './ui.js';
 // Import new modular components
 import { createBridge, createRamp } from './Bridge.js';
 // Note: if you created the environment.js module, you'll also want to import:
@@ -27,7 +35,20 @@ console.log('Starting index.js');
 const scene = new THREE.Scene();
 
 // 2. Initialize Physics
-const physicsWorld = initPhysics();
+// ?worker=1 runs the world in a Web Worker so large piles don't stall rendering. It is
+// opt-in: the machines' controls run once per posted frame there rather than once per
+// fixed step (see WorkerPhysics). ?physics=rapier switches to the Rapier backend;
+// cannon-es is the default.
+const urlParams = new URLSearchParams(window.location.search);
+const physicsWorld = await initPhysics({
+  backend: urlParams.get('physics') || 'cannon',
+  worker: urlParams.get('worker') === '1'
+});
+
+// Everything random in the world comes from one seed (?seed=42, or any text), so a layout
+// can be reproduced. Each generator draws from its own fork of it.
+const worldSeed = parseSeed(urlParams.get('seed'), 1);
+const worldRandom = createRandom(worldSeed);
 
 // 3. Create the Camera
 const camera = new THREE.PerspectiveCamera(
@@ -40,20 +61,58 @@ camera.position.set(0, 20, 30);
 camera.lookAt(0, 0, 0);
 
 // 4. Create Terrain
-const groundMaterial = new CANNON.Material('ground');
-const terrainData = createTerrain(scene, physicsWorld, groundMaterial);
+// Rolling hills with a level machine yard at the origin and a flat plot under each house.
+// The terrain is split into 100 m tiles that are streamed in around the vehicles (section 12).
+// ?site=sites/quarry.asc replaces the generated world with a surveyed job site: an ESRI ASCII
+// grid or a 16-bit PNG heightmap, with ?cellSize= (metres per sample) and ?verticalScale=
+// (metres per unit of the file's values) to fit it.
+const groundMaterial = getMaterial(physicsWorld, 'soil');
+const siteUrl = urlParams.get('site');
+const terrainData = siteUrl
+  ? await loadHeightmapTerrain(scene, physicsWorld, groundMaterial, siteUrl, {
+      cellSize: Number(urlParams.get('cellSize')) || undefined,
+      verticalScale: Number(urlParams.get('verticalScale')) || undefined
+    })
+  : createTerrainChunks(scene, physicsWorld, groundMaterial, {
+      tileSize: 100,
+      seed: worldSeed,
+      octaves: 4,
+      amplitude: 3,
+      pads: [
+        { x: 2, z: 0, radius: 9, falloff: 4, height: 0 },
+        ...getSceneryBuildingPads(100)
+      ]
+    });
 const getHeight = terrainData.getHeight;
-const terrainSize = terrainData.terrainSize || 100;
+// Size of the machine yard patch around the origin, which the scenery and the snow cover.
+const terrainSize = 100;
 
 // 5. Create Vehicles
 const excavator = new Excavator(scene, physicsWorld, groundMaterial);
-excavator.baseBody.position.set(-6, 0.35, 0);
-
-const dumpTruck = new DumpTruck(scene, physicsWorld, groundMaterial);
-dumpTruck.baseBody.position.set(4, 0.35, 0);
+excavator.setPosition(new THREE.Vector3(-6, getHeight(-6, 0) + 0.35, 0));
+excavator.setTerrain(terrainData);
+
+// The excavator's other tools, on a rack ahead of it (C swaps at a hook), and a rock to break.
+const toolRack = new ToolRack(scene, physicsWorld, new THREE.Vector3(-1, getHeight(-1, -7), -7), [
+  new GradingBucket(scene, physicsWorld),
+  new Breaker(scene, physicsWorld),
+  new Grapple(scene, physicsWorld),
+  new Auger(scene, physicsWorld)
+]);
+const rock = new Block(scene, physicsWorld, new THREE.Vector3(-9, getHeight(-9, -4) + 0.5, -4), 'rock');
+excavator.setCubes([rock]);
+
+// ?ratedCapacity= sets the payload (kg) the truck's gauge counts as full.
+const dumpTruck = new DumpTruck(scene, physicsWorld, groundMaterial, {
+  ratedCapacity: Number(urlParams.get('ratedCapacity')) || undefined
+});
+dumpTruck.setPosition(new THREE.Vector3(4, getHeight(4, 0) + dumpTruck.wheels.rideHeight, 0));
+// The truck tips its load onto the same ground the excavator digs, and takes what it pours.
+dumpTruck.setTerrain(terrainData, excavator.soil);
+excavator.setDumpTargets([dumpTruck]);
 
 const snowPlow = new SnowPlow(scene, physicsWorld, groundMaterial);
-snowPlow.baseBody.position.set(10, 0.35, 0);
+snowPlow.baseBody.position.set(10, getHeight(10, 0) + snowPlow.wheels.rideHeight, 0);
 
 // Set the active vehicle (default: excavator)
 window.activeVehicle = excavator;
@@ -61,6 +120,66 @@ window.activeVehicle = excavator;
 // 6. Create a Block
 const block = new Block(scene, physicsWorld, new THREE.Vector3(0, 10, 0));
 
+// Physics debug view: collider wireframes, hinge pivots and contacts (P, or ?debug=1).
+const physicsDebug = new PhysicsDebugOverlay(scene, physicsWorld);
+physicsDebug.setVisible(urlParams.get('debug') === '1');
+
+// Collision events. The trainee log records every knock the driven vehicle takes from
+// something other than the ground; instructors can read it from window.collisionLog. The
+// knocks are printed to the console as well while the debug overlay is shown.
+const collisionEvents = new CollisionEventBus(physicsWorld);
+const collisionLog = [];
+window.collisionLog = collisionLog;
+collisionEvents.subscribe(({ type, a, b, impulse, time }) => {
+  if (type !== 'begin') return;
+  const [vehicle, other] = a.entity === window.activeVehicle ? [a, b] : [b, a];
+  if (vehicle.entity !== window.activeVehicle || other.type === 'terrain') return;
+  collisionLog.push({ time, vehicle: vehicle.name, type: other.type, name: other.name, impulse });
+  if (!physicsDebug.visible) return;
+  console.info(`[${time.toFixed(2)}s] ${vehicle.name} hit ${other.name} (${other.type}), impulse ${impulse.toFixed(1)} N·s`);
+}, { entityTypes: ['vehicle'], minImpulse: 5 });
+
+// Terrain export (M) for supervisors: the surface as dug, as PNG and ASCII grid, with the
+// cut/fill grid and a JSON volume summary. It covers the job site, or else every tile of the
+// world that is loaded or has been dug, merged into one grid. A notice says how it went.
+const exportNotice = document.createElement('div');
+exportNotice.style.position = 'absolute';
+exportNotice.style.top = '10px';
+exportNotice.style.left = '50%';
+exportNotice.style.transform = 'translateX(-50%)';
+exportNotice.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+exportNotice.style.color = 'white';
+exportNotice.style.padding = '10px';
+exportNotice.style.fontFamily = 'Arial, sans-serif';
+exportNotice.style.fontSize = '14px';
+exportNotice.style.display = 'none';
+document.body.appendChild(exportNotice);
+let exportNoticeTimer = null;
+
+function showExportNotice(text) {
+  exportNotice.textContent = text;
+  exportNotice.style.display = 'block';
+  clearTimeout(exportNoticeTimer);
+  exportNoticeTimer = setTimeout(() => { exportNotice.style.display = 'none'; }, 4000);
+}
+
+async function downloadTerrainExport() {
+  const terrain = siteUrl ? terrainData : terrainData.mergeTiles();
+  if (!terrain) {
+    showExportNotice('Nothing to export: no terrain is loaded or dug here');
+    return;
+  }
+  const files = await exportTerrain(terrain, siteUrl ? 'job-site' : 'world');
+  Object.entries(files).forEach(([name, contents]) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([contents]));
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  });
+  showExportNotice(`Terrain exported: ${Object.keys(files).join(', ')}`);
+}
+
 // 7. Add Basic Lights
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
 scene.add(ambientLight);
@@ -155,7 +274,8 @@ if (!rootElement) {
 
 // 11. Set up UI Controls
 // 11.1 Vehicle controls legend
-const commonNote = `<p><em>Switch vehicles with 1, 2, or 3.</em></p>`;
+const commonNote = `<p><em>Switch vehicles with 1, 2, or 3. P toggles the physics debug view.<br>
+O: pause/resume, .: single step, -/=: slower/faster. M exports the terrain and cut/fill.</em></p>`;
 const excavatorLegend = `
   <h3>Excavator Controls</h3>
   <ul style="list-style: none; padding: 0;">
@@ -167,15 +287,20 @@ const excavatorLegend = `
     <li>R/F: Boom Up/Down</li>
     <li>T/G: Stick Extend/Retract</li>
     <li>Y/H: Bucket Curl</li>
-    <li>Space: Dig</li>
+    <li>Space: Dig / Grade / Hammer</li>
+    <li>X: Release Load</li>
+    <li>V/B: Grapple Close/Open, Auger Drill/Reverse</li>
+    <li>C: Swap Tool at the Rack</li>
+    <li>U: Bucket tip mode (R/F: height, T/G: reach, Y/H: angle)</li>
+    <li>[/]: Engine Speed Down/Up</li>
   </ul>
   ${commonNote}
 `;
 const dumpTruckLegend = `
   <h3>Dump Truck Controls</h3>
   <ul style="list-style: none; padding: 0;">
-    <li>Arrow Up/Down: Move</li>
-    <li>Arrow Left/Right: Turn</li>
+    <li>Arrow Up/Down: Drive/Brake and Reverse</li>
+    <li>Arrow Left/Right: Steer</li>
     <li>B/N: Tipper Up/Down</li>
   </ul>
   ${commonNote}
@@ -183,9 +308,10 @@ const dumpTruckLegend = `
 const snowPlowLegend = `
   <h3>Snow Plow Controls</h3>
   <ul style="list-style: none; padding: 0;">
-    <li>Arrow Up/Down: Move</li>
-    <li>Arrow Left/Right: Turn</li>
+    <li>Arrow Up/Down: Drive/Brake and Reverse</li>
+    <li>Arrow Left/Right: Steer</li>
     <li>Z/X: Blade Rotate</li>
+    <li>Q/E: Blade Angle</li>
     <li>V/C: Lift/Lower Assembly</li>
   </ul>
   ${commonNote}
@@ -203,7 +329,93 @@ legend.style.fontSize = '14px';
 legend.innerHTML = excavatorLegend;
 document.body.appendChild(legend);
 
-// 11.2 Snow Controls
+// 11.2 Time Controls
+const timeController = new TimeController();
+createTimeControlsUI(timeController);
+
+// 11.3 Hydraulics readout: engine, pump and each function's speed and pressure
+const hydraulicsDisplay = document.createElement('div');
+hydraulicsDisplay.style.position = 'absolute';
+hydraulicsDisplay.style.bottom = '10px';
+hydraulicsDisplay.style.left = '10px';
+hydraulicsDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+hydraulicsDisplay.style.color = 'white';
+hydraulicsDisplay.style.padding = '10px';
+hydraulicsDisplay.style.fontFamily = 'monospace';
+hydraulicsDisplay.style.fontSize = '13px';
+hydraulicsDisplay.style.whiteSpace = 'pre';
+document.body.appendChild(hydraulicsDisplay);
+// The same figures for logging from the console.
+window.hydraulicTelemetry = () => excavator.hydraulics.getTelemetry();
+
+function updateHydraulicsDisplay() {
+  hydraulicsDisplay.style.display = window.activeVehicle === excavator ? 'block' : 'none';
+  if (window.activeVehicle !== excavator) return;
+  const { engineRpm, pumpFlow, pumpPressure, functions } = excavator.hydraulics.getTelemetry();
+  const lines = [
+    `Engine ${engineRpm.toFixed(0)} rpm`,
+    `Pump   ${pumpFlow.toFixed(0).padStart(4)} L/min ${pumpPressure.toFixed(0).padStart(4)} bar`
+  ];
+  Object.entries(functions).forEach(([name, { speed, pressure, relief }]) => {
+    lines.push(`${name.padEnd(6)} ${speed.toFixed(0).padStart(4)} °/s   ${pressure.toFixed(0).padStart(4)} bar${relief ? ' RELIEF' : ''}`);
+  });
+  hydraulicsDisplay.textContent = lines.join('\n');
+}
+
+// 11.4 Load moment indicator: how close the excavator is to tipping over, and over which edge
+const stabilityDisplay = document.createElement('div');
+stabilityDisplay.style.position = 'absolute';
+stabilityDisplay.style.bottom = '10px';
+stabilityDisplay.style.right = '10px';
+stabilityDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+stabilityDisplay.style.padding = '10px';
+stabilityDisplay.style.fontFamily = 'monospace';
+stabilityDisplay.style.fontSize = '13px';
+stabilityDisplay.style.whiteSpace = 'pre';
+document.body.appendChild(stabilityDisplay);
+const stabilityColors = { ok: 'white', warning: 'yellow', danger: 'orange', tipping: 'red' };
+
+function updateStabilityDisplay() {
+  stabilityDisplay.style.display = window.activeVehicle === excavator ? 'block' : 'none';
+  if (window.activeVehicle !== excavator) return;
+  const { loadMoment, tippingEdge, margin, level } = excavator.stability;
+  const percent = Number.isFinite(loadMoment) ? `${(loadMoment * 100).toFixed(0)}%` : '---';
+  stabilityDisplay.style.color = stabilityColors[level];
+  stabilityDisplay.textContent = [
+    `Load moment ${percent.padStart(4)} ${level.toUpperCase()}`,
+    `Tipping edge ${tippingEdge}`,
+    `Margin ${margin.toFixed(2)} m`,
+    `Payload ${excavator.payloadMass.toFixed(0)} kg`
+  ].join('\n');
+}
+
+// 11.5 Payload gauge: what the dump truck carries against its rated capacity
+const payloadDisplay = document.createElement('div');
+payloadDisplay.style.position = 'absolute';
+payloadDisplay.style.bottom = '10px';
+payloadDisplay.style.right = '10px';
+payloadDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+payloadDisplay.style.padding = '10px';
+payloadDisplay.style.fontFamily = 'monospace';
+payloadDisplay.style.fontSize = '13px';
+payloadDisplay.style.whiteSpace = 'pre';
+document.body.appendChild(payloadDisplay);
+const payloadColors = { ok: 'white', near: 'yellow', overload: 'red' };
+
+function updatePayloadDisplay() {
+  payloadDisplay.style.display = window.activeVehicle === dumpTruck ? 'block' : 'none';
+  if (window.activeVehicle !== dumpTruck) return;
+  const { mass, load, level } = dumpTruck.payloadScale.state;
+  const filled = Math.round(Math.min(load, 1) * 20);
+  payloadDisplay.style.color = payloadColors[level];
+  payloadDisplay.textContent = [
+    `Payload ${(mass / 1000).toFixed(1).padStart(5)} t ${level.toUpperCase()}`,
+    `[${'#'.repeat(filled)}${'.'.repeat(20 - filled)}] ${(load * 100).toFixed(0).padStart(3)}%`,
+    `Rated   ${(dumpTruck.payloadScale.ratedCapacity / 1000).toFixed(1).padStart(5)} t`
+  ].join('\n');
+}
+
+// 11.6 Snow Controls
 let snowEnabled = false;
 let snowLayer = null;
 let fallingSnow = null;
@@ -236,8 +448,8 @@ accumulationSlider.addEventListener('input', (event) => {
 
 snowToggleButton.addEventListener('click', () => {
   if (!snowEnabled) {
-    snowLayer = createSnowLayer(terrainSize, 64);
-    fallingSnow = createFallingSnow(terrainSize);
+    snowLayer = createSnowLayer(terrainSize, 128, getHeight);
+    fallingSnow = createFallingSnow(terrainSize, worldRandom.fork('snow'));
     scene.add(snowLayer);
     scene.add(fallingSnow);
     snowEnabled = true;
@@ -260,49 +472,107 @@ snowToggleButton.addEventListener('click', () => {
   }
 });
 
+// Where the snow lies deep enough, the machines' tracks and tyres grip on it instead of the ground.
+const snowGripDepth = 0.05;
+[excavator.traction, dumpTruck.wheels, snowPlow.wheels].forEach(drive => {
+  drive.surfaceAt = (x, z) =>
+    snowLayer && getSnowDepth(snowLayer, x, z) > snowGripDepth ? 'snow' : null;
+});
+
 // 12. Create environment elements
+// Each area is built when a vehicle comes near and removed again when they all leave,
+// together with the terrain tiles (see worldStreaming.js). The random forks are made
+// inside create() so an area comes back the same on every visit. A surveyed job site is
+// loaded whole and stands alone, so nothing is streamed around it.
+const streamWorld = !siteUrl;
+const worldStreamer = new WorldStreamer(scene, physicsWorld, terrainData);
+
 // 12.1 Create extended scenery for the central patch
-createSceneryExtended(scene, physicsWorld, groundMaterial, getHeight, terrainSize);
+worldStreamer.addArea({
+  name: 'Machine yard',
+  bounds: { minX: -terrainSize / 2, minZ: -terrainSize / 2, maxX: terrainSize / 2, maxZ: terrainSize / 2 },
+  create: () => createSceneryExtended(scene, physicsWorld, groundMaterial, getHeight, terrainSize, worldRandom.fork('scenery'))
+});
 
 // 12.2 Create an optimized neighborhood
 const patchSize = 100;
 const neighborhoodOrigin = new THREE.Vector3(150, 0, 150);
-createOptimizedNeighborhood(
-  scene,
-  physicsWorld,
-  groundMaterial,
-  getHeight,
-  patchSize,
-  neighborhoodOrigin,
-  'Lakeside'
-);
+worldStreamer.addArea({
+  name: 'Lakeside',
+  bounds: {
+    minX: neighborhoodOrigin.x - patchSize / 2,
+    minZ: neighborhoodOrigin.z - patchSize / 2,
+    maxX: neighborhoodOrigin.x + patchSize / 2,
+    maxZ: neighborhoodOrigin.z + patchSize / 2
+  },
+  create: () => createOptimizedNeighborhood(
+    scene,
+    physicsWorld,
+    groundMaterial,
+    getHeight,
+    patchSize,
+    neighborhoodOrigin,
+    'Lakeside',
+    worldRandom.fork('neighborhood')
+  )
+});
 
 // 12.3 Create Mediterranean Seaside Village
+// The village sits on its own island in a sea 1.5 times its size, so no terrain tiles go there.
 const medPatchSize = 200;
 const medOrigin = new THREE.Vector3(-400, 0, -400);
-const medVillage = createMediterraneanVillage(
-  scene,
-  physicsWorld,
-  groundMaterial,
-  getHeight,
-  medPatchSize,
-  medOrigin
-);
+const medSeaMargin = medPatchSize * 0.25;
+const bridgeConnectionPoint = getBridgeConnectionPoint(medPatchSize, medOrigin);
+worldStreamer.addArea({
+  name: 'Mediterranean Village',
+  bounds: {
+    minX: medOrigin.x - medSeaMargin,
+    minZ: medOrigin.z - medSeaMargin,
+    maxX: medOrigin.x + medPatchSize + medSeaMargin,
+    maxZ: medOrigin.z + medPatchSize + medSeaMargin
+  },
+  replacesTerrain: true,
+  create: () => {
+    const medVillage = createMediterraneanVillage(
+      scene,
+      physicsWorld,
+      groundMaterial,
+      getHeight,
+      medPatchSize,
+      medOrigin,
+      worldRandom.fork('mediterraneanVillage')
+    );
+    // Create a ramp from the Mediterranean Village to the Bridge Connection Point
+    const rampStart = new THREE.Vector3(-350, 0.2, -350);
+    createRamp(scene, physicsWorld, groundMaterial, rampStart, bridgeConnectionPoint);
+    return medVillage;
+  }
+});
 
 // 12.4 Create connections between areas
-// Create a ramp from the Mediterranean Village to the Bridge Connection Point
-const rampStart = new THREE.Vector3(-350, 0.2, -350);
-const rampEnd = medVillage.bridgeConnectionPoint;
-createRamp(scene, physicsWorld, groundMaterial, rampStart, rampEnd);
-
 // Create a Golden Gate style Bridge between Neighborhoods
 const bridgeStart = new THREE.Vector3(
   neighborhoodOrigin.x + patchSize,
   0.2,
   neighborhoodOrigin.z + patchSize / 2
 );
-const bridgeEnd = medVillage.bridgeConnectionPoint;
-createBridge(scene, physicsWorld, groundMaterial, bridgeStart, bridgeEnd);
+const bridgeEnd = bridgeConnectionPoint;
+worldStreamer.addArea({
+  name: 'Bridge',
+  bounds: {
+    minX: Math.min(bridgeStart.x, bridgeEnd.x),
+    minZ: Math.min(bridgeStart.z, bridgeEnd.z),
+    maxX: Math.max(bridgeStart.x, bridgeEnd.x),
+    maxZ: Math.max(bridgeStart.z, bridgeEnd.z)
+  },
+  // The bridge runs diagonally, so its bounding rectangle would take in the machine yard.
+  distance: (x, z) => distanceToSegment(x, z, bridgeStart, bridgeEnd),
+  create: () => createBridge(scene, physicsWorld, groundMaterial, bridgeStart, bridgeEnd)
+});
+
+// Positions the world is kept loaded around: every vehicle, so a parked one keeps its ground.
+const streamingFocus = () => [excavator, dumpTruck, snowPlow].map(vehicle => vehicle.baseBody.position);
+if (streamWorld) worldStreamer.update(streamingFocus(), Infinity);
 
 // 13. Camera Controls
 const camKeys = { i: false, k: false, j: false, l: false };
@@ -329,6 +599,32 @@ window.addEventListener('keydown', (event) => {
     return;
   }
   switch (event.key.toLowerCase()) {
+    case 'p': if (!event.repeat) physicsDebug.toggle(); break;
+    case 'o': if (!event.repeat) timeController.togglePause(); break;
+    case 'm':
+      if (!event.repeat) {
+        downloadTerrainExport().catch(error => {
+          console.error('Terrain export failed:', error);
+          showExportNotice(`Terrain export failed: ${error.message}`);
+        });
+      }
+      break;
+    case 'u':
+      if (!event.repeat && window.activeVehicle === excavator) excavator.toggleControlMode();
+      break;
+    case 'c':
+      if (!event.repeat && window.activeVehicle === excavator) excavator.swapAttachment(toolRack);
+      break;
+    case '[':
+    case ']':
+      if (window.activeVehicle === excavator) {
+        const { hydraulics } = excavator;
+        hydraulics.setEngineSpeed(hydraulics.engineRpm + (event.key === ']' ? 100 : -100));
+      }
+      break;
+    case '.': timeController.step(); break;
+    case '-': timeController.slower(); break;
+    case '=': timeController.faster(); break;
     case 'i': camKeys.i = true; break;
     case 'k': camKeys.k = true; break;
     case 'j': camKeys.j = true; break;
@@ -354,22 +650,28 @@ window.addEventListener('resize', () => {
 });
 
 // 15. Animation Loop
+const clock = new THREE.Clock();
 function animate() {
   requestAnimationFrame(animate);
-  updatePhysics(physicsWorld);
+  // Simulated time for this frame (paused, slowed or sped up by the time controls);
+  // physics catches up in fixed steps.
+  const deltaTime = timeController.advance(clock.getDelta());
+  if (streamWorld) worldStreamer.update(streamingFocus());
+  updatePhysics(physicsWorld, deltaTime, timeController.maxSubSteps);
   
   // Update the water shader time uniform to animate the waves
-  waterMaterial.uniforms.time.value += 0.02;
-
-  // Update vehicles
-  excavator.baseGroup.position.copy(excavator.baseBody.position);
-  dumpTruck.baseGroup.position.copy(dumpTruck.baseBody.position);
-  snowPlow.baseGroup.position.copy(snowPlow.baseBody.position);
+  waterMaterial.uniforms.time.value += deltaTime * 1.2;
 
+  // Update vehicles (vehicle controls run inside the physics steps)
   excavator.update();
   dumpTruck.update();
   snowPlow.update();
   block.update();
+  rock.update();
+  physicsDebug.update();
+  updateHydraulicsDisplay();
+  updateStabilityDisplay();
+  updatePayloadDisplay();
 
   // Update camera based on controls
   if (camKeys.i) cameraDistance = Math.max(2, cameraDistance - zoomSpeed);
@@ -386,8 +688,8 @@ function animate() {
 
   // Update snow if enabled
   if (snowEnabled) {
-    if (snowLayer) updateSnowLayer(snowLayer, window.activeVehicle, accumulationMultiplier);
-    if (fallingSnow) updateFallingSnow(fallingSnow, terrainSize);
+    if (snowLayer) updateSnowLayer(snowLayer, snowPlow, accumulationMultiplier, deltaTime);
+    if (fallingSnow) updateFallingSnow(fallingSnow, terrainSize, deltaTime);
   }
 
   renderer.render(scene, camera);
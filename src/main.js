@@ -19,10 +19,10 @@ directionalLight.position.set(5, 10, 5);
 scene.add(directionalLight);
 
 // Initialize physics world
-const physicsWorld = initPhysics();
+const physicsWorld = await initPhysics();
 
 // Define ground material for physics interaction
-const groundMaterial = new CANNON.Material('ground');
+const groundMaterial = physicsWorld.createMaterial('ground');
 
 // Create terrain
 const terrain = createTerrain(scene, physicsWorld, groundMaterial);
@@ -36,11 +36,12 @@ const cameraPosition = new CANNON.Vec3(0, 15, 20);
 camera.lookAt(0, 0, 0);
 
 // Animation loop
+const clock = new THREE.Clock();
 function animate() {
   requestAnimationFrame(animate);
 
   // Update physics
-  updatePhysics(physicsWorld);
+  updatePhysics(physicsWorld, clock.getDelta());
 
   // Update excavator
   excavator.update();
@@ -0,0 +1,134 @@
+// src/materials.js
+import materialConfig from './materials.json';
+
+// Used for pairs the config leaves out (a warning names them).
+const DEFAULT_CONTACT = { friction: 0.3, restitution: 0 };
+
+/**
+ * Named surface materials and the contact properties of every pair of them,
+ * declared in materials.json. Modules ask for a material by name instead of
+ * creating their own, so each pair is defined in one place.
+ *
+ * The rubber pairs are the grip of tracks and tyres on each surface. Tracked
+ * machines' bodies slide on skid variants of them, and their traction drive
+ * pushes with up to that friction instead (see traction.js); tyres grip
+ * through their raycast wheels (see wheelDrive.js).
+ */
+export class MaterialRegistry {
+  /**
+   * @param {PhysicsBackend} physicsWorld
+   * @param {Object} [config] - { materials: [name], pairs: [{ materials: [a, b], friction, restitution }] }
+   */
+  constructor(physicsWorld, config = materialConfig) {
+    this.physicsWorld = physicsWorld;
+    this.materials = new Map();
+    // pair key => { friction, restitution }
+    this.contacts = new Map();
+    config.materials.forEach(name => {
+      this.materials.set(name, physicsWorld.createMaterial(name));
+    });
+
+    config.pairs.forEach(({ materials: [a, b], friction, restitution }) => {
+      this.setContact(a, b, { friction, restitution });
+    });
+
+    const missing = [];
+    config.materials.forEach((a, i) => {
+      config.materials.slice(i).forEach(b => {
+        if (this.contacts.has(pairKey(a, b))) return;
+        this.setContact(a, b, DEFAULT_CONTACT);
+        missing.push(`${a}/${b}`);
+      });
+    });
+    if (missing.length > 0) {
+      console.warn(`Contact pairs missing from the material config, using defaults: ${missing.join(', ')}`);
+    }
+  }
+
+  get names() {
+    return Array.from(this.materials.keys());
+  }
+
+  /**
+   * @param {string} name - e.g. 'soil' or 'steel'
+   * @returns {CANNON.Material}
+   */
+  get(name) {
+    const material = this.materials.get(name);
+    if (!material) {
+      throw new Error(`Unknown material "${name}"; expected one of ${this.names.join(', ')}`);
+    }
+    return material;
+  }
+
+  /**
+   * @param {string} a - Material name
+   * @param {string} b - Material name
+   * @returns {Object} { friction, restitution } of the pair
+   */
+  contact(a, b) {
+    this.get(a);
+    this.get(b);
+    return this.contacts.get(pairKey(a, b));
+  }
+
+  setContact(a, b, { friction, restitution }) {
+    this.physicsWorld.addContactMaterial(this.get(a), this.get(b), { friction, restitution });
+    this.contacts.set(pairKey(a, b), { friction, restitution });
+  }
+
+  /**
+   * Adds a variant of a material whose friction with everything is scaled,
+   * e.g. a soil that grips more or less than the one it is based on. Asking
+   * again for a name that exists returns the existing material.
+   *
+   * @param {string} name - Name of the new material
+   * @param {string} base - Material to copy the contacts of
+   * @param {number} frictionScale - Multiplies each of base's friction coefficients
+   * @returns {CANNON.Material}
+   */
+  derive(name, base, frictionScale) {
+    if (this.materials.has(name)) return this.materials.get(name);
+    const others = this.names;
+    const material = this.physicsWorld.createMaterial(name);
+    this.materials.set(name, material);
+    others.forEach(other => {
+      const { friction, restitution } = this.contact(base, other);
+      this.setContact(name, other, { friction: friction * frictionScale, restitution });
+    });
+    const { friction, restitution } = this.contact(base, base);
+    this.setContact(name, name, { friction: friction * frictionScale * frictionScale, restitution });
+    return material;
+  }
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+// One registry per physics world, created the first time a material is asked for.
+const registries = new WeakMap();
+
+/**
+ * @param {PhysicsBackend} physicsWorld
+ * @returns {MaterialRegistry}
+ */
+export function getMaterialRegistry(physicsWorld) {
+  let registry = registries.get(physicsWorld);
+  if (!registry) {
+    registry = new MaterialRegistry(physicsWorld);
+    registries.set(physicsWorld, registry);
+  }
+  return registry;
+}
+
+/**
+ * Looks up a surface material of the world by name.
+ *
+ * @param {PhysicsBackend} physicsWorld
+ * @param {string} name - One of the names in materials.json
+ * @returns {CANNON.Material}
+ */
+export function getMaterial(physicsWorld, name) {
+  return getMaterialRegistry(physicsWorld).get(name);
+}
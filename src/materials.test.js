@@ -0,0 +1,39 @@
+// src/materials.test.js
+import { initPhysics } from './physics.js';
+import { MaterialRegistry, getMaterial, getMaterialRegistry } from './materials.js';
+
+test('every pair in the config reaches the world, in either order', async () => {
+  const physicsWorld = await initPhysics();
+  const addContactMaterial = jest.spyOn(physicsWorld, 'addContactMaterial');
+  const registry = new MaterialRegistry(physicsWorld);
+  expect(registry.contact('steel', 'ice')).toEqual({ friction: 0.05, restitution: 0 });
+  expect(registry.contact('ice', 'steel')).toBe(registry.contact('steel', 'ice'));
+  expect(addContactMaterial).toHaveBeenCalledWith(registry.get('steel'), registry.get('ice'), expect.objectContaining({ friction: 0.05, restitution: 0 }));
+});
+
+test('pairs missing from the config get the default and are named in a warning', async () => {
+  const physicsWorld = await initPhysics();
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const registry = new MaterialRegistry(physicsWorld, {
+    materials: ['soil', 'steel'],
+    pairs: [{ materials: ['soil', 'steel'], friction: 0.6, restitution: 0 }]
+  });
+  expect(registry.contact('soil', 'soil')).toEqual({ friction: 0.3, restitution: 0 });
+  expect(warn).toHaveBeenCalledWith(expect.stringContaining('soil/soil, steel/steel'));
+  warn.mockRestore();
+});
+
+test('unknown names are refused', async () => {
+  const physicsWorld = await initPhysics();
+  expect(() => getMaterial(physicsWorld, 'jelly')).toThrow(/Unknown material "jelly"/);
+});
+
+test('a derived material scales its base\'s friction with everything', async () => {
+  const physicsWorld = await initPhysics();
+  const registry = getMaterialRegistry(physicsWorld);
+  const material = registry.derive('wetSoil', 'soil', 0.5);
+  expect(registry.derive('wetSoil', 'soil', 0.5)).toBe(material);
+  expect(registry.contact('wetSoil', 'steel').friction).toBeCloseTo(0.5 * registry.contact('soil', 'steel').friction);
+  expect(registry.contact('wetSoil', 'wetSoil').friction).toBeCloseTo(0.25 * registry.contact('soil', 'soil').friction);
+  expect(getMaterial(physicsWorld, 'wetSoil')).toBe(material);
+});
@@ -1,6 +1,8 @@
 // mediterraneanVillage.js
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { tagBody } from './collisionEvents.js';
+import { getMaterial } from './materials.js';
 
 // =====================================================
 // CUSTOM WATER (Shader-based, non-reflective)
@@ -29,7 +31,8 @@ const waterFragmentShader = /* glsl */ `
 // =====================================================
 // MAIN VILLAGE CREATION
 // =====================================================
-export function createMediterraneanVillage(scene, physicsWorld, groundMaterial, getHeight, patchSize, origin) {
+// random: seeded generator from random.js (used like Math.random) for house and tree placement.
+export function createMediterraneanVillage(scene, physicsWorld, groundMaterial, getHeight, patchSize, origin, random) {
   console.log('Creating Mediterranean Village at:', origin);
   
   // Materials for Mediterranean theme
@@ -57,13 +60,13 @@ export function createMediterraneanVillage(scene, physicsWorld, groundMaterial,
   createTerrainWithWater(scene, physicsWorld, groundMaterial, patchSize, origin, materials);
   
   // Add houses.
-  createMediterraneanHouses(scene, physicsWorld, patchSize, origin, materials);
+  createMediterraneanHouses(scene, physicsWorld, patchSize, origin, materials, random);
   
   // Add roads that connect to other areas.
   createConnectingRoads(scene, physicsWorld, groundMaterial, patchSize, origin, materials);
   
   // Add vegetation (olive trees, cypress trees, etc.).
-  addVegetation(scene, physicsWorld, patchSize, origin, materials);
+  addVegetation(scene, physicsWorld, patchSize, origin, materials, random);
   
   // Create a stone wall with arched openings around the village.
   createVillageWall(scene, patchSize, origin, materials);
@@ -117,8 +120,8 @@ function createTerrainWithWater(scene, physicsWorld, groundMaterial, patchSize,
   
   // Invisible water physics body
   const seaDepth = 15;
-  const waterShape = new CANNON.Box(new CANNON.Vec3(seaSize / 2, seaDepth / 2, seaSize / 2));
-  const waterBody = new CANNON.Body({
+  const waterShape = physicsWorld.createBox(new CANNON.Vec3(seaSize / 2, seaDepth / 2, seaSize / 2));
+  const waterBody = physicsWorld.createBody({
     mass: 0,
     position: new CANNON.Vec3(origin.x + patchSize / 2, seaLevel - seaDepth / 2, origin.z + patchSize / 2),
     shape: waterShape,
@@ -126,6 +129,7 @@ function createTerrainWithWater(scene, physicsWorld, groundMaterial, patchSize,
   });
   waterBody.collisionResponse = 1;
   waterBody.userData = { isWater: true };
+  tagBody(waterBody, 'water', 'sea');
   physicsWorld.addBody(waterBody);
   
   // Create island terrain
@@ -172,10 +176,10 @@ function createSlopedIsland(scene, physicsWorld, groundMaterial, patchSize, orig
       heightfieldData[i][j] = height;
     }
   }
-  const heightfieldShape = new CANNON.Heightfield(heightfieldData, {
+  const heightfieldShape = physicsWorld.createHeightfield(heightfieldData, {
     elementSize: (islandRadius * 2) / (heightfieldSize - 1)
   });
-  const heightfieldBody = new CANNON.Body({
+  const heightfieldBody = physicsWorld.createBody({
     mass: 0,
     position: new CANNON.Vec3(
       origin.x + patchSize / 2 - islandRadius,
@@ -185,6 +189,7 @@ function createSlopedIsland(scene, physicsWorld, groundMaterial, patchSize, orig
     material: groundMaterial
   });
   heightfieldBody.addShape(heightfieldShape);
+  tagBody(heightfieldBody, 'terrain', 'island');
   physicsWorld.addBody(heightfieldBody);
   
   createPeninsula(scene, physicsWorld, groundMaterial, patchSize, origin, materials, seaLevel, maxHeight, islandRadius);
@@ -239,10 +244,10 @@ function createPeninsula(scene, physicsWorld, groundMaterial, patchSize, origin,
       heightfieldData[i][j] = height - seaLevel;
     }
   }
-  const peninsulaShape = new CANNON.Heightfield(heightfieldData, {
+  const peninsulaShape = physicsWorld.createHeightfield(heightfieldData, {
     elementSize: peninsulaLength / (heightfieldSize - 1)
   });
-  const peninsulaBody = new CANNON.Body({
+  const peninsulaBody = physicsWorld.createBody({
     mass: 0,
     position: new CANNON.Vec3(
       islandCenter.x - peninsulaWidth / 2,
@@ -252,6 +257,7 @@ function createPeninsula(scene, physicsWorld, groundMaterial, patchSize, origin,
     material: groundMaterial
   });
   peninsulaBody.addShape(peninsulaShape);
+  tagBody(peninsulaBody, 'terrain', 'peninsula');
   physicsWorld.addBody(peninsulaBody);
   
   return {
@@ -338,28 +344,28 @@ function createVillageWall(scene, patchSize, origin, materials) {
 // HOUSES, ROADS, VEGETATION, & TREES (Unchanged)
 // =====================================================
 
-function createMediterraneanHouses(scene, physicsWorld, patchSize, origin, materials) {
+function createMediterraneanHouses(scene, physicsWorld, patchSize, origin, materials, random) {
   const islandCenter = new THREE.Vector3(origin.x + patchSize / 2, 0, origin.z + patchSize / 2);
   const islandRadius = patchSize * 0.3;
   const houseCount = 8;
   const housePositions = [];
   for (let i = 0; i < houseCount; i++) {
     const angle = (Math.PI * 2 * i) / houseCount;
-    const distance = islandRadius * 0.6 * (0.6 + Math.random() * 0.3);
+    const distance = islandRadius * 0.6 * (0.6 + random() * 0.3);
     const x = islandCenter.x + Math.cos(angle) * distance;
     const z = islandCenter.z + Math.sin(angle) * distance;
-    housePositions.push({ x, z, rotation: angle + Math.PI + (Math.random() * Math.PI / 4 - Math.PI / 8) });
+    housePositions.push({ x, z, rotation: angle + Math.PI + (random() * Math.PI / 4 - Math.PI / 8) });
   }
   housePositions.forEach(pos => {
-    createMediterraneanHouse(scene, physicsWorld, pos.x, pos.z, pos.rotation, materials);
+    createMediterraneanHouse(scene, physicsWorld, pos.x, pos.z, pos.rotation, materials, random);
   });
 }
 
-function createMediterraneanHouse(scene, physicsWorld, x, z, rotation, materials) {
+function createMediterraneanHouse(scene, physicsWorld, x, z, rotation, materials, random) {
   const baseY = 0.2;
-  const baseWidth = 3 + Math.random() * 2;
-  const baseDepth = 3 + Math.random() * 2;
-  const baseHeight = 2.5 + Math.random() * 1;
+  const baseWidth = 3 + random() * 2;
+  const baseDepth = 3 + random() * 2;
+  const baseHeight = 2.5 + random() * 1;
   
   const baseGeometry = new THREE.BoxGeometry(baseWidth, baseHeight, baseDepth);
   const baseMesh = new THREE.Mesh(baseGeometry, materials.whitewash);
@@ -380,22 +386,26 @@ function createMediterraneanHouse(scene, physicsWorld, x, z, rotation, materials
   
   addHouseDetails(scene, x, z, baseY, baseWidth, baseDepth, baseHeight, rotation, materials);
   
-  const houseShape = new CANNON.Box(new CANNON.Vec3(baseWidth / 2, baseHeight / 2, baseDepth / 2));
-  const houseBody = new CANNON.Body({
+  const houseShape = physicsWorld.createBox(new CANNON.Vec3(baseWidth / 2, baseHeight / 2, baseDepth / 2));
+  const houseBody = physicsWorld.createBody({
     mass: 0,
+    material: getMaterial(physicsWorld, 'concrete'),
     position: new CANNON.Vec3(x, baseY + baseHeight / 2, z),
     quaternion: new CANNON.Quaternion().setFromEuler(0, rotation, 0)
   });
   houseBody.addShape(houseShape);
+  tagBody(houseBody, 'building', 'house');
   physicsWorld.addBody(houseBody);
   
-  const roofShape = new CANNON.Box(new CANNON.Vec3(roofWidth / 2, roofHeight / 2, roofDepth / 2));
-  const roofBody = new CANNON.Body({
+  const roofShape = physicsWorld.createBox(new CANNON.Vec3(roofWidth / 2, roofHeight / 2, roofDepth / 2));
+  const roofBody = physicsWorld.createBody({
     mass: 0,
+    material: getMaterial(physicsWorld, 'concrete'),
     position: new CANNON.Vec3(x, baseY + baseHeight + roofHeight / 2, z),
     quaternion: new CANNON.Quaternion().setFromEuler(0, rotation, 0)
   });
   roofBody.addShape(roofShape);
+  tagBody(roofBody, 'building', 'house');
   physicsWorld.addBody(roofBody);
 }
 
@@ -478,39 +488,39 @@ function createConnectingRoads(scene, physicsWorld, groundMaterial, patchSize, o
   }
 }
 
-function addVegetation(scene, physicsWorld, patchSize, origin, materials) {
+function addVegetation(scene, physicsWorld, patchSize, origin, materials, random) {
   const islandCenter = new THREE.Vector3(origin.x + patchSize / 2, 0, origin.z + patchSize / 2);
   const islandRadius = patchSize * 0.35;
   
   const treeCount = 20;
   for (let i = 0; i < treeCount; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const distance = Math.random() * islandRadius * 0.9;
+    const angle = random() * Math.PI * 2;
+    const distance = random() * islandRadius * 0.9;
     const x = islandCenter.x + Math.cos(angle) * distance;
     const z = islandCenter.z + Math.sin(angle) * distance;
-    if (Math.random() > 0.5) {
-      createOliveTree(scene, physicsWorld, x, z, materials);
+    if (random() > 0.5) {
+      createOliveTree(scene, physicsWorld, x, z, materials, random);
     } else {
-      createCypressTree(scene, physicsWorld, x, z, materials);
+      createCypressTree(scene, physicsWorld, x, z, materials, random);
     }
   }
   
   for (let i = 0; i < 10; i++) {
-    const offset = (Math.random() - 0.5) * 5;
+    const offset = (random() - 0.5) * 5;
     const distance = islandRadius + 5 + i * 4;
     const x = islandCenter.x + offset;
     const z = islandCenter.z - distance;
-    if (Math.random() > 0.7) {
-      createOliveTree(scene, physicsWorld, x, z, materials);
+    if (random() > 0.7) {
+      createOliveTree(scene, physicsWorld, x, z, materials, random);
     } else {
-      createCypressTree(scene, physicsWorld, x, z, materials);
+      createCypressTree(scene, physicsWorld, x, z, materials, random);
     }
   }
 }
 
-function createOliveTree(scene, physicsWorld, x, z, materials) {
-  const trunkHeight = 1.5 + Math.random() * 0.5;
-  const trunkRadius = 0.2 + Math.random() * 0.1;
+function createOliveTree(scene, physicsWorld, x, z, materials, random) {
+  const trunkHeight = 1.5 + random() * 0.5;
+  const trunkRadius = 0.2 + random() * 0.1;
   
   const trunkGeometry = new THREE.CylinderGeometry(trunkRadius, trunkRadius * 1.2, trunkHeight, 8);
   const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
@@ -518,24 +528,25 @@ function createOliveTree(scene, physicsWorld, x, z, materials) {
   trunkMesh.position.set(x, trunkHeight / 2, z);
   scene.add(trunkMesh);
   
-  const foliageRadius = 1 + Math.random() * 0.5;
+  const foliageRadius = 1 + random() * 0.5;
   const foliageGeometry = new THREE.SphereGeometry(foliageRadius, 8, 8);
   const foliageMesh = new THREE.Mesh(foliageGeometry, materials.oliveTree);
   foliageMesh.position.set(x, trunkHeight + foliageRadius * 0.7, z);
   scene.add(foliageMesh);
   
-  const trunkShape = new CANNON.Cylinder(trunkRadius, trunkRadius * 1.2, trunkHeight, 8);
-  const trunkBody = new CANNON.Body({
+  const trunkShape = physicsWorld.createCylinder(trunkRadius, trunkRadius * 1.2, trunkHeight, 8);
+  const trunkBody = physicsWorld.createBody({
     mass: 0,
     position: new CANNON.Vec3(x, trunkHeight / 2, z)
   });
   trunkBody.addShape(trunkShape);
+  tagBody(trunkBody, 'vegetation', 'tree');
   physicsWorld.addBody(trunkBody);
 }
 
-function createCypressTree(scene, physicsWorld, x, z, materials) {
-  const trunkHeight = 1 + Math.random() * 0.5;
-  const trunkRadius = 0.15 + Math.random() * 0.1;
+function createCypressTree(scene, physicsWorld, x, z, materials, random) {
+  const trunkHeight = 1 + random() * 0.5;
+  const trunkRadius = 0.15 + random() * 0.1;
   
   const trunkGeometry = new THREE.CylinderGeometry(trunkRadius, trunkRadius * 1.2, trunkHeight, 8);
   const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
@@ -543,8 +554,8 @@ function createCypressTree(scene, physicsWorld, x, z, materials) {
   trunkMesh.position.set(x, trunkHeight / 2, z);
   scene.add(trunkMesh);
   
-  const foliageHeight = 3 + Math.random() * 1;
-  const foliageBaseRadius = 0.8 + Math.random() * 0.3;
+  const foliageHeight = 3 + random() * 1;
+  const foliageBaseRadius = 0.8 + random() * 0.3;
   const foliageTopRadius = 0.2;
   
   const foliageGeometry = new THREE.CylinderGeometry(foliageTopRadius, foliageBaseRadius, foliageHeight, 8);
@@ -552,12 +563,13 @@ function createCypressTree(scene, physicsWorld, x, z, materials) {
   foliageMesh.position.set(x, trunkHeight + foliageHeight / 2, z);
   scene.add(foliageMesh);
   
-  const foliageShape = new CANNON.Cylinder(foliageTopRadius, foliageBaseRadius, foliageHeight, 8);
-  const foliageBody = new CANNON.Body({
+  const foliageShape = physicsWorld.createCylinder(foliageTopRadius, foliageBaseRadius, foliageHeight, 8);
+  const foliageBody = physicsWorld.createBody({
     mass: 0,
     position: new CANNON.Vec3(x, trunkHeight + foliageHeight / 2, z)
   });
   foliageBody.addShape(foliageShape);
+  tagBody(foliageBody, 'vegetation', 'tree');
   physicsWorld.addBody(foliageBody);
 }
 
@@ -575,19 +587,33 @@ function createBridgeConnection(scene, physicsWorld, groundMaterial, patchSize,
   );
   scene.add(dockMesh);
   
-  const dockShape = new CANNON.Box(new CANNON.Vec3(roadWidth / 2, 0.5, bridgeDockLength / 2));
-  const dockBody = new CANNON.Body({
+  const dockShape = physicsWorld.createBox(new CANNON.Vec3(roadWidth / 2, 0.5, bridgeDockLength / 2));
+  const dockBody = physicsWorld.createBody({
     mass: 0,
     position: new CANNON.Vec3(dockMesh.position.x, dockMesh.position.y, dockMesh.position.z),
     material: groundMaterial
   });
   dockBody.addShape(dockShape);
+  tagBody(dockBody, 'building', 'dock');
   physicsWorld.addBody(dockBody);
   
+  return getBridgeConnectionPoint(patchSize, origin);
+}
+
+/**
+ * Where the village's bridge dock ends, for connecting a bridge to it. It only
+ * depends on the layout, so it is known before the village is built.
+ *
+ * @param {number} patchSize - As given to createMediterraneanVillage
+ * @param {THREE.Vector3} origin - As given to createMediterraneanVillage
+ * @returns {THREE.Vector3}
+ */
+export function getBridgeConnectionPoint(patchSize, origin) {
+  const bridgeDockLength = 10;
   return new THREE.Vector3(
-    islandCenter.x,
+    origin.x + patchSize / 2,
     1,
-    islandCenter.z - patchSize * 0.5 - bridgeDockLength
+    origin.z + patchSize / 2 - patchSize * 0.5 - bridgeDockLength
   );
 }
 
@@ -612,16 +638,17 @@ export function createBridgeBetweenNeighborhoods(scene, physicsWorld, groundMate
   roadMesh.lookAt(endPoint.x, 1, endPoint.z);
   bridgeGroup.add(roadMesh);
 
-  const roadShape = new CANNON.Box(new CANNON.Vec3(bridgeWidth / 2, 0.5, bridgeLength / 2));
-  const roadBody = new CANNON.Body({
+  const roadShape = physicsWorld.createBox(new CANNON.Vec3(bridgeWidth / 2, 0.5, bridgeLength / 2));
+  const roadBody = physicsWorld.createBody({
     mass: 0,
     position: new CANNON.Vec3(bridgeCenter.x, bridgeCenter.y, bridgeCenter.z),
-    material: groundMaterial
+    material: getMaterial(physicsWorld, 'asphalt')
   });
   const quaternion = new THREE.Quaternion();
   roadMesh.getWorldQuaternion(quaternion);
   roadBody.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
   roadBody.addShape(roadShape);
+  tagBody(roadBody, 'terrain', 'bridge');
   physicsWorld.addBody(roadBody);
 
   const towerWidth = 2;
@@ -645,12 +672,13 @@ export function createBridgeBetweenNeighborhoods(scene, physicsWorld, groundMate
       columnMesh.position.y = bridgeHeight / 2 + 2;
       bridgeGroup.add(columnMesh);
       
-      const columnShape = new CANNON.Box(new CANNON.Vec3(towerWidth / 4, bridgeHeight / 2, towerDepth / 4));
-      const columnBody = new CANNON.Body({
+      const columnShape = physicsWorld.createBox(new CANNON.Vec3(towerWidth / 4, bridgeHeight / 2, towerDepth / 4));
+      const columnBody = physicsWorld.createBody({
         mass: 0,
         position: new CANNON.Vec3(columnMesh.position.x, columnMesh.position.y, columnMesh.position.z)
       });
       columnBody.addShape(columnShape);
+      tagBody(columnBody, 'building', 'bridge');
       physicsWorld.addBody(columnBody);
       
       if (j === -1) {
@@ -662,12 +690,13 @@ export function createBridgeBetweenNeighborhoods(scene, physicsWorld, groundMate
       }
     }
     
-    const towerBaseShape = new CANNON.Box(new CANNON.Vec3(towerWidth * 1.5 / 2, 1, towerDepth * 1.5 / 2));
-    const towerBaseBody = new CANNON.Body({
+    const towerBaseShape = physicsWorld.createBox(new CANNON.Vec3(towerWidth * 1.5 / 2, 1, towerDepth * 1.5 / 2));
+    const towerBaseBody = physicsWorld.createBody({
       mass: 0,
       position: new CANNON.Vec3(towerBaseMesh.position.x, towerBaseMesh.position.y, towerBaseMesh.position.z)
     });
     towerBaseBody.addShape(towerBaseShape);
+    tagBody(towerBaseBody, 'building', 'bridge');
     physicsWorld.addBody(towerBaseBody);
   }
 
@@ -773,14 +802,15 @@ export function createFloatingBridgeBetweenNeighborhoods(scene, physicsWorld, gr
     trimMesh.lookAt(endPoint.x, pontoonPosition.y, endPoint.z);
     bridgeGroup.add(trimMesh);
     
-    const pontoonShape = new CANNON.Box(new CANNON.Vec3(pontoonWidth / 2, pontoonHeight / 2, pontoonLength / 2));
-    const pontoonBody = new CANNON.Body({
+    const pontoonShape = physicsWorld.createBox(new CANNON.Vec3(pontoonWidth / 2, pontoonHeight / 2, pontoonLength / 2));
+    const pontoonBody = physicsWorld.createBody({
       mass: 0,
       position: new CANNON.Vec3(pontoonPosition.x, pontoonPosition.y, pontoonPosition.z),
       material: groundMaterial
     });
     pontoonBody.quaternion.setFromEuler(0, Math.atan2(bridgeDirection.z, bridgeDirection.x), 0);
     pontoonBody.addShape(pontoonShape);
+    tagBody(pontoonBody, 'terrain', 'floating bridge');
     physicsWorld.addBody(pontoonBody);
     
     pontoons.push({ mesh: pontoonMesh, body: pontoonBody, position: pontoonPosition });
@@ -802,14 +832,15 @@ export function createFloatingBridgeBetweenNeighborhoods(scene, physicsWorld, gr
     const segmentPosition = new THREE.Vector3().lerpVectors(startPoint, endPoint, t);
     segmentPosition.y = roadMesh.position.y;
     
-    const roadShape = new CANNON.Box(new CANNON.Vec3(bridgeWidth / 2, 0.25, segmentLength / 2));
-    const roadBody = new CANNON.Body({
+    const roadShape = physicsWorld.createBox(new CANNON.Vec3(bridgeWidth / 2, 0.25, segmentLength / 2));
+    const roadBody = physicsWorld.createBody({
       mass: 0,
       position: new CANNON.Vec3(segmentPosition.x, segmentPosition.y, segmentPosition.z),
-      material: groundMaterial
+      material: getMaterial(physicsWorld, 'asphalt')
     });
     roadBody.quaternion.copy(roadMesh.quaternion);
     roadBody.addShape(roadShape);
+    tagBody(roadBody, 'terrain', 'floating bridge');
     physicsWorld.addBody(roadBody);
     roadSegments.push(roadBody);
   }
@@ -873,9 +904,9 @@ export function createFloatingBridgeBetweenNeighborhoods(scene, physicsWorld, gr
 // =====================================================
 // OPTIONAL: Connect Two Villages With a Floating Bridge
 // =====================================================
-export function connectTwoVillagesWithFloatingBridge(scene, physicsWorld, groundMaterial, materials) {
-  const village1 = createMediterraneanVillage(scene, physicsWorld, groundMaterial, () => 0, 100, new THREE.Vector3(0, 0, 0));
-  const village2 = createMediterraneanVillage(scene, physicsWorld, groundMaterial, () => 0, 100, new THREE.Vector3(200, 0, 0));
+export function connectTwoVillagesWithFloatingBridge(scene, physicsWorld, groundMaterial, materials, random) {
+  const village1 = createMediterraneanVillage(scene, physicsWorld, groundMaterial, () => 0, 100, new THREE.Vector3(0, 0, 0), random);
+  const village2 = createMediterraneanVillage(scene, physicsWorld, groundMaterial, () => 0, 100, new THREE.Vector3(200, 0, 0), random);
   const bridge = createFloatingBridgeBetweenNeighborhoods(
     scene,
     physicsWorld,
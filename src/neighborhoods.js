@@ -10,14 +10,15 @@ import { createRoad } from './scenery.js';
  * - A water feature (if theme is "Lakeside")
  *
  * @param {THREE.Scene} scene
- * @param {CANNON.World} physicsWorld
+ * @param {PhysicsBackend} physicsWorld
  * @param {CANNON.Material} groundMaterial
  * @param {Function} getHeight - Function (x, z) => y for terrain.
  * @param {number} patchSize - The size (width/length) of the patch.
  * @param {THREE.Vector3} origin - Center of the patch.
  * @param {string} theme - Theme string (e.g., "Lakeside", "Saudi", etc.)
+ * @param {Function} random - Seeded generator from random.js, used like Math.random.
  */
-export function createOptimizedNeighborhood(scene, physicsWorld, groundMaterial, getHeight, patchSize, origin, theme) {
+export function createOptimizedNeighborhood(scene, physicsWorld, groundMaterial, getHeight, patchSize, origin, theme, random) {
   const gridRows = 4, gridCols = 4;
   const cellSize = patchSize / gridCols;
   const halfPatch = patchSize / 2;
@@ -35,13 +36,13 @@ export function createOptimizedNeighborhood(scene, physicsWorld, groundMaterial,
     for (let j = 0; j < gridCols; j++) {
       const localX = -halfPatch + cellSize * j + cellSize / 2;
       const localZ = -halfPatch + cellSize * i + cellSize / 2;
-      const offsetX = (Math.random() - 0.5) * cellSize * 0.3;
-      const offsetZ = (Math.random() - 0.5) * cellSize * 0.3;
+      const offsetX = (random() - 0.5) * cellSize * 0.3;
+      const offsetZ = (random() - 0.5) * cellSize * 0.3;
       const posX = origin.x + localX + offsetX;
       const posZ = origin.z + localZ + offsetZ;
       const posY = getHeight(posX, posZ);
       dummy.position.set(posX, posY, posZ);
-      dummy.rotation.y = Math.random() * Math.PI * 2;
+      dummy.rotation.y = random() * Math.PI * 2;
       dummy.updateMatrix();
       instancedHouses.setMatrixAt(index, dummy.matrix);
       index++;
@@ -55,12 +56,14 @@ export function createOptimizedNeighborhood(scene, physicsWorld, groundMaterial,
   createRoad(
     scene,
     new THREE.Vector3(origin.x - halfPatch, getHeight(origin.x - halfPatch, origin.z), origin.z),
-    new THREE.Vector3(origin.x + halfPatch, getHeight(origin.x + halfPatch, origin.z), origin.z)
+    new THREE.Vector3(origin.x + halfPatch, getHeight(origin.x + halfPatch, origin.z), origin.z),
+    getHeight
   );
   createRoad(
     scene,
     new THREE.Vector3(origin.x, getHeight(origin.x, origin.z - halfPatch), origin.z - halfPatch),
-    new THREE.Vector3(origin.x, getHeight(origin.x, origin.z + halfPatch), origin.z + halfPatch)
+    new THREE.Vector3(origin.x, getHeight(origin.x, origin.z + halfPatch), origin.z + halfPatch),
+    getHeight
   );
 
   // === Water Feature (for Lakeside theme) ===
@@ -81,12 +84,12 @@ export function createOptimizedNeighborhood(scene, physicsWorld, groundMaterial,
 
   for (let i = 0; i < treeCount; i++) {
     // Random position within patch.
-    const x = origin.x + (Math.random() - 0.5) * patchSize;
-    const z = origin.z + (Math.random() - 0.5) * patchSize;
+    const x = origin.x + (random() - 0.5) * patchSize;
+    const z = origin.z + (random() - 0.5) * patchSize;
     const y = getHeight(x, z);
     // Trunk: center at (x, y+1, z)
     dummy.position.set(x, y + 1, z);
-    dummy.rotation.y = Math.random() * Math.PI * 2;
+    dummy.rotation.y = random() * Math.PI * 2;
     dummy.updateMatrix();
     instancedTrunks.setMatrixAt(i, dummy.matrix);
     // Foliage: position atop trunk. Center at (x, y+3, z) (trunk height 2, foliage height 2)
@@ -0,0 +1,112 @@
+// src/payloadScale.js
+
+/*
+ * Onboard payload weighing for a haul truck's bed. The scale finds what rests
+ * in the bed from the contacts: bodies the floor or walls hold up, and bodies
+ * resting on those in turn. It adds their mass to the loose material the
+ * truck knows it carries, then averages the sum over a moment, as the truck's
+ * own payload meter would. That way a block bouncing in or the bed rocking
+ * over a bump does not throw the gauge about. Blocks are weighed at their
+ * soil's full density, not their scaled-down bodies' mass (see soils.js).
+ */
+import * as CANNON from 'cannon-es';
+import { getBodyTag, getStepContacts } from './collisionEvents.js';
+import { getFullBlockMass } from './soils.js';
+
+// Contacts whose normal is further than this from up do not hold a body up.
+const MIN_SUPPORT_COSINE = 0.5;
+// A body stays on the scale this long after it was last held up, s: resting contacts come and
+// go from step to step as a light block settles on the heavy bed.
+const RELEASE_TIME = 0.2;
+// The reading closes on the weight with this time constant, s.
+const SETTLE_TIME = 1;
+// Share of the rated capacity from which the gauge warns that the truck is nearly full.
+const NEAR_CAPACITY = 0.9;
+
+export class PayloadScale {
+  /**
+   * @param {PhysicsBackend} physicsWorld
+   * @param {CANNON.Body} bed - The body loads rest on
+   * @param {Object} options
+   * @param {number} options.ratedCapacity - Most the truck is rated to carry, kg
+   * @param {Object} [options.entity] - The truck; its own bodies are not payload
+   */
+  constructor(physicsWorld, bed, { ratedCapacity, entity = null }) {
+    this.physicsWorld = physicsWorld;
+    this.bed = bed;
+    this.ratedCapacity = ratedCapacity;
+    this.entity = entity;
+    // What rests in the bed on the last step: { body, mass }, mass at full density.
+    this.loads = [];
+    // Body => seconds since it was last held up in the bed.
+    this.released = new Map();
+    // The last reading (see update).
+    this.state = { mass: 0, load: 0, level: 'ok' };
+  }
+
+  /**
+   * Weighs the bed for one step.
+   *
+   * @param {number} [looseMass=0] - Material carried without bodies of its own, kg
+   * @returns {Object} { mass, load, level }: the averaged payload (kg), its share of the
+   *   rated capacity and 'ok', 'near' (from NEAR_CAPACITY) or 'overload'
+   */
+  update(looseMass = 0) {
+    const dt = this.physicsWorld.dt > 0 ? this.physicsWorld.dt : 1 / 60;
+    this.released.forEach((time, body) => {
+      if (time + dt > RELEASE_TIME) {
+        this.released.delete(body);
+      } else {
+        this.released.set(body, time + dt);
+      }
+    });
+    this.findResting().forEach(body => this.released.set(body, 0));
+    this.loads = [...this.released.keys()].map(body => ({
+      body,
+      mass: getBodyTag(body).type === 'block' ? getFullBlockMass(body.mass) : body.mass
+    }));
+    let weighed = looseMass;
+    this.loads.forEach(({ mass }) => {
+      weighed += mass;
+    });
+    const mass = this.state.mass + (weighed - this.state.mass) * Math.min(1, dt / SETTLE_TIME);
+    const load = mass / this.ratedCapacity;
+    const level = load > 1 ? 'overload' : load >= NEAR_CAPACITY ? 'near' : 'ok';
+    this.state = { mass, load, level };
+    return this.state;
+  }
+
+  // Bodies held up by the bed, directly or through others in it.
+  findResting() {
+    const up = new CANNON.Vec3(0, 1, 0);
+    // Body => bodies resting on it.
+    const carried = new Map();
+    const support = (below, above) => {
+      if (!carried.has(below)) carried.set(below, []);
+      carried.get(below).push(above);
+    };
+    getStepContacts(this.physicsWorld).forEach(({ bodyA, bodyB, normal, impulse = 0 }) => {
+      if (impulse <= 0) return;
+      // normal points from A to B: B rests on A when it points up.
+      const cosine = normal.dot(up);
+      if (cosine >= MIN_SUPPORT_COSINE) support(bodyA, bodyB);
+      if (-cosine >= MIN_SUPPORT_COSINE) support(bodyB, bodyA);
+    });
+
+    const resting = new Set();
+    const queue = [this.bed];
+    while (queue.length > 0) {
+      (carried.get(queue.shift()) || []).forEach(body => {
+        if (resting.has(body) || !this.isPayload(body)) return;
+        resting.add(body);
+        queue.push(body);
+      });
+    }
+    return resting;
+  }
+
+  isPayload(body) {
+    if (body.type !== CANNON.Body.DYNAMIC) return false;
+    return !this.entity || getBodyTag(body).entity !== this.entity;
+  }
+}
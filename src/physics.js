@@ -1,12 +1,62 @@
 // src/physics.js
-import * as CANNON from 'cannon-es';
+import { CannonPhysics } from './cannonBackend.js';
 
-export function initPhysics() {
-  const world = new CANNON.World();
-  world.gravity.set(0, -9.82, 0);
-  return world;
+export { COLLISION_GROUPS } from './physicsBackend.js';
+
+// The simulation always advances in steps of this size, whatever the display rate.
+export const FIXED_TIME_STEP = 1 / 60;
+// Upper bound on catch-up steps per frame, so a long stall cannot spiral.
+export const MAX_SUB_STEPS = 5;
+
+/**
+ * Creates the physics world on the chosen backend. Every backend exposes the
+ * same API (see physicsBackend.js); Rapier is loaded on demand because its
+ * WebAssembly module has to be fetched and initialised first.
+ *
+ * @param {Object} options
+ * @param {string} options.backend - 'cannon' (default) or 'rapier'
+ * @param {boolean} options.worker - Run the backend in a Web Worker (browser only)
+ * @returns {Promise<PhysicsBackend>}
+ */
+export async function initPhysics({ backend = 'cannon', worker = false } = {}) {
+  if (backend !== 'cannon' && backend !== 'rapier') {
+    console.warn(`Unknown physics backend "${backend}", using cannon`);
+    backend = 'cannon';
+  }
+  if (worker) {
+    const { WorkerPhysics } = await import('./workerBackend.js');
+    return WorkerPhysics.create({ backend, timeStep: FIXED_TIME_STEP });
+  }
+  if (backend === 'rapier') {
+    const { RapierPhysics } = await import('./rapierBackend.js');
+    return RapierPhysics.create();
+  }
+  return new CannonPhysics({ timeStep: FIXED_TIME_STEP });
+}
+
+/**
+ * Advances the world by the real time elapsed since the previous frame.
+ * The backend keeps the leftover time in an accumulator and fills in
+ * body.interpolatedPosition / interpolatedQuaternion for rendering.
+ *
+ * @param {PhysicsBackend} world
+ * @param {number} [deltaTime] - Seconds since the last call. When omitted a single fixed step is taken.
+ * @param {number} [maxSubSteps] - Cap on catch-up steps (see TimeController#maxSubSteps)
+ */
+export function updatePhysics(world, deltaTime, maxSubSteps = MAX_SUB_STEPS) {
+  if (deltaTime === undefined) {
+    world.step(FIXED_TIME_STEP);
+    return;
+  }
+  world.step(FIXED_TIME_STEP, deltaTime, maxSubSteps);
 }
 
-export function updatePhysics(world) {
-  world.step(1 / 60);
+/**
+ * Copies the interpolated transform of a body onto a THREE object.
+ * @param {THREE.Object3D} object
+ * @param {CANNON.Body|RapierBody} body
+ */
+export function syncObjectToBody(object, body) {
+  object.position.copy(body.interpolatedPosition);
+  object.quaternion.copy(body.interpolatedQuaternion);
 }
@@ -0,0 +1,387 @@
+// src/physicsBackend.js
+import * as CANNON from 'cannon-es';
+
+// Body types accepted by createBody, mapped to the cannon-es constants.
+export const BODY_TYPES = {
+  dynamic: CANNON.Body.DYNAMIC,
+  static: CANNON.Body.STATIC,
+  kinematic: CANNON.Body.KINEMATIC
+};
+
+// Collision filter groups, as cannon's collisionFilterGroup and collisionFilterMask: two bodies
+// collide when each one's group is in the other's mask. Bodies are in the default group and
+// collide with everything unless they say otherwise. Only the low 16 bits count, as in Rapier.
+export const COLLISION_GROUPS = {
+  default: 1,
+  terrain: 2
+};
+
+/**
+ * Common surface of the physics backends. Scene code builds everything through
+ * these methods instead of constructing engine objects itself, so the same
+ * scene runs on either engine.
+ *
+ * cannon-es stays the math library on both backends: positions, axes and
+ * rotations are CANNON.Vec3 / CANNON.Quaternion, and shapes are described with
+ * cannon shape objects, which the Rapier backend converts into colliders.
+ */
+export class PhysicsBackend extends CANNON.EventTarget {
+  constructor(name) {
+    super();
+    this.backend = name;
+  }
+
+  // --- Shapes ---
+  createBox(halfExtents) {
+    return new CANNON.Box(halfExtents);
+  }
+
+  createSphere(radius) {
+    return new CANNON.Sphere(radius);
+  }
+
+  createCylinder(radiusTop, radiusBottom, height, numSegments) {
+    return new CANNON.Cylinder(radiusTop, radiusBottom, height, numSegments);
+  }
+
+  createConvexPolyhedron(options) {
+    return new CANNON.ConvexPolyhedron(options);
+  }
+
+  createPlane() {
+    return new CANNON.Plane();
+  }
+
+  /**
+   * @param {Array<Array<number>>} data - Heights indexed [x][y], local z is up
+   * @param {Object} options - { elementSize }
+   */
+  createHeightfield(data, options) {
+    return new CANNON.Heightfield(data, options);
+  }
+
+  createMaterial(name) {
+    return new CANNON.Material(name);
+  }
+
+  // --- Backend specific, implemented by subclasses ---
+  /**
+   * @param {Object} options - The CANNON.Body options, with type given as
+   *   'dynamic', 'static' or 'kinematic' and the collision filter from COLLISION_GROUPS
+   */
+  createBody(options) {
+    throw new Error(`${this.backend}: createBody is not implemented`);
+  }
+
+  /**
+   * @param {Object} options - pivotA, pivotB, axisA, axisB, maxForce, collideConnected,
+   *   plus optional stiffness/relaxation for the rotational equations
+   */
+  createHinge(bodyA, bodyB, options) {
+    throw new Error(`${this.backend}: createHinge is not implemented`);
+  }
+
+  /**
+   * A chassis held up by wheels that are rays cast down from it, as
+   * CANNON.RaycastVehicle: wheels are added with addWheel and driven with
+   * setSteeringValue, applyEngineForce and setBrake.
+   *
+   * @param {Object} options - chassisBody, indexRightAxis, indexUpAxis, indexForwardAxis
+   */
+  createRaycastVehicle(options) {
+    throw new Error(`${this.backend}: createRaycastVehicle is not implemented`);
+  }
+
+  /**
+   * @param {Object} options - { friction, restitution }
+   */
+  addContactMaterial(materialA, materialB, options) {
+    throw new Error(`${this.backend}: addContactMaterial is not implemented`);
+  }
+
+  /**
+   * Writes new heights into a heightfield shape already attached to a body, and
+   * dispatches 'heightfieldChanged' ({ body, shape }) for anything drawing it.
+   * @param {Array<Object>} changes - { i, j, height }
+   */
+  updateHeightfield(body, shape, changes) {
+    throw new Error(`${this.backend}: updateHeightfield is not implemented`);
+  }
+
+  /**
+   * @param {Object} options - { iterations, tolerance }
+   */
+  configureSolver(options) {}
+
+  addBody(body) {
+    throw new Error(`${this.backend}: addBody is not implemented`);
+  }
+
+  removeBody(body) {
+    throw new Error(`${this.backend}: removeBody is not implemented`);
+  }
+
+  addConstraint(constraint) {
+    throw new Error(`${this.backend}: addConstraint is not implemented`);
+  }
+
+  removeConstraint(constraint) {
+    throw new Error(`${this.backend}: removeConstraint is not implemented`);
+  }
+
+  // Call once the vehicle's wheels are added and its chassis is in the world.
+  addVehicle(vehicle) {
+    throw new Error(`${this.backend}: addVehicle is not implemented`);
+  }
+
+  removeVehicle(vehicle) {
+    throw new Error(`${this.backend}: removeVehicle is not implemented`);
+  }
+
+  /**
+   * Contacts found by the last step, for debugging.
+   * @returns {Array<Object>} { bodyA, bodyB, point, normal, impulse }: a world-space
+   *   point, the contact normal pointing from bodyA towards bodyB, and the normal
+   *   impulse the solver applied there (N·s)
+   */
+  getContacts() {
+    throw new Error(`${this.backend}: getContacts is not implemented`);
+  }
+
+  /**
+   * Same contract as CANNON.World#step: one step of dt, or fixed steps to catch
+   * up with timeSinceLastCalled, leaving interpolated transforms on each body.
+   * Dispatches 'preStep' and 'postStep' around every internal step.
+   */
+  step(dt, timeSinceLastCalled, maxSubSteps) {
+    throw new Error(`${this.backend}: step is not implemented`);
+  }
+}
+
+/**
+ * Mirror of a CANNON.Body for backends whose bodies live elsewhere (in Rapier,
+ * or in a worker). Scene code reads and writes position, velocity and so on
+ * exactly as with cannon; the backend pushes the writes out before a step and
+ * calls setState with the results after it.
+ */
+export class ProxyBody {
+  constructor(options = {}) {
+    this.mass = options.mass || 0;
+    this.type = BODY_TYPES[options.type] || (this.mass > 0 ? CANNON.Body.DYNAMIC : CANNON.Body.STATIC);
+    this.material = options.material || null;
+    this.linearDamping = options.linearDamping !== undefined ? options.linearDamping : 0.01;
+    this.angularDamping = options.angularDamping !== undefined ? options.angularDamping : 0.01;
+    this.fixedRotation = !!options.fixedRotation;
+    this.collisionResponse = options.collisionResponse !== undefined ? options.collisionResponse : true;
+    this.collisionFilterGroup = options.collisionFilterGroup !== undefined ? options.collisionFilterGroup : 1;
+    this.collisionFilterMask = options.collisionFilterMask !== undefined ? options.collisionFilterMask : -1;
+    this.allowSleep = options.allowSleep !== undefined ? options.allowSleep : true;
+    this.sleepSpeedLimit = options.sleepSpeedLimit !== undefined ? options.sleepSpeedLimit : 0.1;
+    this.sleepTimeLimit = options.sleepTimeLimit !== undefined ? options.sleepTimeLimit : 1;
+    this.userData = null;
+
+    this.position = new CANNON.Vec3();
+    this.quaternion = new CANNON.Quaternion();
+    this.velocity = new CANNON.Vec3();
+    this.angularVelocity = new CANNON.Vec3();
+    if (options.position) this.position.copy(options.position);
+    if (options.quaternion) this.quaternion.copy(options.quaternion);
+    if (options.velocity) this.velocity.copy(options.velocity);
+    if (options.angularVelocity) this.angularVelocity.copy(options.angularVelocity);
+    this.previousPosition = this.position.clone();
+    this.previousQuaternion = this.quaternion.clone();
+    this.interpolatedPosition = this.position.clone();
+    this.interpolatedQuaternion = this.quaternion.clone();
+
+    this.force = new CANNON.Vec3();
+    this.torque = new CANNON.Vec3();
+
+    this.shapes = [];
+    this.shapeOffsets = [];
+    this.shapeOrientations = [];
+
+    // The values last exchanged with the backend, so only scene-side writes are pushed.
+    this.synced = {
+      position: new CANNON.Vec3(),
+      quaternion: new CANNON.Quaternion(),
+      velocity: new CANNON.Vec3(),
+      angularVelocity: new CANNON.Vec3()
+    };
+  }
+
+  addShape(shape, offset = new CANNON.Vec3(), orientation = new CANNON.Quaternion()) {
+    this.shapes.push(shape);
+    this.shapeOffsets.push(offset.clone());
+    this.shapeOrientations.push(orientation.clone());
+    this.onShapeAdded(this.shapes.length - 1);
+    return this;
+  }
+
+  onShapeAdded(index) {}
+
+  /**
+   * Same as CANNON.Body#applyForce: the point is relative to the centre of mass.
+   * Accumulated forces act for the next step only.
+   */
+  applyForce(force, relativePoint = new CANNON.Vec3()) {
+    this.force.vadd(force, this.force);
+    this.torque.vadd(relativePoint.cross(force), this.torque);
+  }
+
+  applyTorque(torque) {
+    this.torque.vadd(torque, this.torque);
+  }
+
+  // Kept for API compatibility with CANNON.Body.
+  updateMassProperties() {}
+
+  updateBoundingRadius() {}
+
+  /**
+   * @param {string} property - 'position', 'quaternion', 'velocity' or 'angularVelocity'
+   * @returns {boolean} Whether scene code has written the property since the last exchange
+   */
+  hasChanged(property) {
+    const a = this[property];
+    const b = this.synced[property];
+    return a.x !== b.x || a.y !== b.y || a.z !== b.z || (a.w !== undefined && a.w !== b.w);
+  }
+
+  markSynced() {
+    this.synced.position.copy(this.position);
+    this.synced.quaternion.copy(this.quaternion);
+    this.synced.velocity.copy(this.velocity);
+    this.synced.angularVelocity.copy(this.angularVelocity);
+  }
+
+  // Takes the state the backend computed for one step.
+  setState(position, quaternion, velocity, angularVelocity) {
+    this.previousPosition.copy(this.position);
+    this.previousQuaternion.copy(this.quaternion);
+    this.position.set(position.x, position.y, position.z);
+    this.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    this.velocity.set(velocity.x, velocity.y, velocity.z);
+    this.angularVelocity.set(angularVelocity.x, angularVelocity.y, angularVelocity.z);
+    this.force.setZero();
+    this.torque.setZero();
+    this.markSynced();
+  }
+
+  interpolate(t) {
+    this.previousPosition.lerp(this.position, t, this.interpolatedPosition);
+    this.previousQuaternion.slerp(this.quaternion, t, this.interpolatedQuaternion);
+  }
+}
+
+/**
+ * Mirror of a CANNON.HingeConstraint. Subclasses pass motor changes on to the
+ * real joint in updateMotor.
+ */
+export class ProxyHinge {
+  constructor(bodyA, bodyB, options = {}) {
+    this.bodyA = bodyA;
+    this.bodyB = bodyB;
+    this.pivotA = options.pivotA ? options.pivotA.clone() : new CANNON.Vec3();
+    this.pivotB = options.pivotB ? options.pivotB.clone() : new CANNON.Vec3();
+    this.axisA = options.axisA ? options.axisA.clone() : new CANNON.Vec3(1, 0, 0);
+    this.axisB = options.axisB ? options.axisB.clone() : new CANNON.Vec3(1, 0, 0);
+    this.collideConnected = options.collideConnected !== undefined ? options.collideConnected : true;
+    this.maxForce = options.maxForce !== undefined ? options.maxForce : 1e6;
+    this.motorEnabled = false;
+    this.motorSpeed = 0;
+    this.motorMaxForce = this.maxForce;
+  }
+
+  updateMotor() {}
+
+  enableMotor() {
+    this.motorEnabled = true;
+    this.updateMotor();
+  }
+
+  disableMotor() {
+    this.motorEnabled = false;
+    this.updateMotor();
+  }
+
+  setMotorSpeed(speed) {
+    this.motorSpeed = speed;
+    this.updateMotor();
+  }
+
+  setMotorMaxForce(maxForce) {
+    this.motorMaxForce = maxForce;
+    this.updateMotor();
+  }
+}
+
+/**
+ * Mirror of a CANNON.RaycastVehicle. Scene code sets each wheel's steering,
+ * engine force, brake and friction exactly as with cannon; subclasses pass
+ * them to the real vehicle before a step and call setWheelState with where
+ * each wheel ended up after it.
+ */
+export class ProxyVehicle {
+  constructor({ chassisBody, indexRightAxis = 2, indexUpAxis = 1, indexForwardAxis = 0 }) {
+    this.chassisBody = chassisBody;
+    this.indexRightAxis = indexRightAxis;
+    this.indexUpAxis = indexUpAxis;
+    this.indexForwardAxis = indexForwardAxis;
+    this.wheelInfos = [];
+  }
+
+  /**
+   * @param {Object} options - The CANNON.WheelInfo options
+   * @returns {number} The wheel's index
+   */
+  addWheel(options = {}) {
+    const option = (name, fallback) => (options[name] !== undefined ? options[name] : fallback);
+    this.wheelInfos.push({
+      chassisConnectionPointLocal: option('chassisConnectionPointLocal', new CANNON.Vec3()).clone(),
+      directionLocal: option('directionLocal', new CANNON.Vec3(0, -1, 0)).clone(),
+      axleLocal: option('axleLocal', new CANNON.Vec3(1, 0, 0)).clone(),
+      suspensionRestLength: option('suspensionRestLength', 1),
+      maxSuspensionTravel: option('maxSuspensionTravel', 1),
+      radius: option('radius', 1),
+      suspensionStiffness: option('suspensionStiffness', 100),
+      dampingCompression: option('dampingCompression', 10),
+      dampingRelaxation: option('dampingRelaxation', 10),
+      maxSuspensionForce: option('maxSuspensionForce', Number.MAX_VALUE),
+      frictionSlip: option('frictionSlip', 10.5),
+      rollInfluence: option('rollInfluence', 0.01),
+      steering: 0,
+      engineForce: 0,
+      brake: 0,
+      suspensionLength: option('suspensionRestLength', 1),
+      isInContact: false,
+      raycastResult: { body: null }
+    });
+    return this.wheelInfos.length - 1;
+  }
+
+  setSteeringValue(value, wheelIndex) {
+    this.wheelInfos[wheelIndex].steering = value;
+  }
+
+  applyEngineForce(value, wheelIndex) {
+    this.wheelInfos[wheelIndex].engineForce = value;
+  }
+
+  setBrake(brake, wheelIndex) {
+    this.wheelInfos[wheelIndex].brake = brake;
+  }
+
+  /**
+   * Takes where a wheel ended up after a step.
+   *
+   * @param {number} wheelIndex
+   * @param {number} suspensionLength
+   * @param {Object|null} groundBody - The body under the wheel, null when it hangs free
+   */
+  setWheelState(wheelIndex, suspensionLength, groundBody) {
+    const wheel = this.wheelInfos[wheelIndex];
+    wheel.suspensionLength = suspensionLength;
+    wheel.isInContact = !!groundBody;
+    wheel.raycastResult.body = groundBody;
+  }
+}
@@ -0,0 +1,74 @@
+// src/physicsBackend.test.js
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { initPhysics, updatePhysics } from './physics.js';
+import { getMaterial } from './materials.js';
+import { createTerrain } from './terrain.js';
+
+function addBox(physicsWorld, material, position) {
+  const box = physicsWorld.createBody({ mass: 10, material: getMaterial(physicsWorld, material) });
+  box.addShape(physicsWorld.createBox(new CANNON.Vec3(0.5, 0.5, 0.5)));
+  box.position.copy(position);
+  physicsWorld.addBody(box);
+  return box;
+}
+
+// Level ground at y = 0.
+const addFlatTerrain = (physicsWorld, material = 'soil') =>
+  createTerrain(new THREE.Scene(), physicsWorld, getMaterial(physicsWorld, material), { size: 20, segments: 20, amplitude: 0 });
+
+const run = (physicsWorld, seconds) => {
+  for (let t = 0; t < seconds; t += 1 / 60) updatePhysics(physicsWorld);
+};
+
+describe.each(['cannon', 'rapier'])('%s backend', (backend) => {
+  test.each([true, false])('hinged bodies collide when collideConnected is %s', async (collideConnected) => {
+    const physicsWorld = await initPhysics({ backend });
+    physicsWorld.gravity.set(0, 0, 0);
+    const a = addBox(physicsWorld, 'steel', new CANNON.Vec3(0, 5, 0));
+    const b = addBox(physicsWorld, 'steel', new CANNON.Vec3(0.8, 5, 0));
+    physicsWorld.addConstraint(physicsWorld.createHinge(a, b, {
+      pivotA: new CANNON.Vec3(0.4, 0, 0),
+      pivotB: new CANNON.Vec3(-0.4, 0, 0),
+      axisA: new CANNON.Vec3(0, 0, 1),
+      axisB: new CANNON.Vec3(0, 0, 1),
+      collideConnected
+    }));
+    run(physicsWorld, 0.1);
+    const touching = physicsWorld.getContacts().some(({ bodyA, bodyB }) => bodyA !== bodyB);
+    expect(touching).toBe(collideConnected);
+  });
+
+  test('a box settles into a hole dug in the terrain', async () => {
+    const physicsWorld = await initPhysics({ backend });
+    const terrain = addFlatTerrain(physicsWorld);
+    const box = addBox(physicsWorld, 'steel', new CANNON.Vec3(0, 0.5, 0));
+    run(physicsWorld, 0.5);
+    terrain.lowerTo(0, 0, 2, -1);
+    run(physicsWorld, 1);
+    expect(box.position.y).toBeCloseTo(-0.5, 1);
+  });
+});
+
+test('the Rapier heightfield takes a step\'s edits in one reshape', async () => {
+  const physicsWorld = await initPhysics({ backend: 'rapier' });
+  const terrain = addFlatTerrain(physicsWorld);
+  const collider = terrain.body.colliders[0];
+  const setShape = jest.spyOn(collider, 'setShape');
+  terrain.lowerTo(0, 0, 1, -0.5);
+  terrain.deposit(5, 5, 1);
+  updatePhysics(physicsWorld);
+  expect(setShape).toHaveBeenCalledTimes(1);
+  expect(terrain.body.colliders[0]).toBe(collider);
+});
+
+test.each([['ice', 0.05], ['concrete', 0.5]])('a steel box slides on %s with the pair\'s friction in Rapier', async (ground, friction) => {
+  const physicsWorld = await initPhysics({ backend: 'rapier' });
+  addFlatTerrain(physicsWorld, ground);
+  const box = addBox(physicsWorld, 'steel', new CANNON.Vec3(0, 0.5, 0));
+  run(physicsWorld, 0.5);
+  box.velocity.set(4, 0, 0);
+  run(physicsWorld, 0.25);
+  // Friction takes μg off the speed every second.
+  expect(box.velocity.x).toBeCloseTo(4 - friction * 9.82 * 0.25, 0);
+});
@@ -0,0 +1,272 @@
+// src/physicsDebug.js
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { getStepContacts } from './collisionEvents.js';
+
+// Wireframe colour for each body type.
+const BODY_COLORS = {
+  [CANNON.Body.DYNAMIC]: 0x00ff66,
+  [CANNON.Body.KINEMATIC]: 0x33aaff,
+  [CANNON.Body.STATIC]: 0x999999
+};
+
+// A contact takes the colour of the less mobile of its two bodies, so contacts
+// with the ground, with a kinematic body and between two dynamic bodies differ.
+const CONTACT_COLORS = {
+  [CANNON.Body.STATIC]: new THREE.Color(0xff8800),
+  [CANNON.Body.KINEMATIC]: new THREE.Color(0x00ffff),
+  [CANNON.Body.DYNAMIC]: new THREE.Color(0xff00ff)
+};
+const MOBILITY = {
+  [CANNON.Body.STATIC]: 0,
+  [CANNON.Body.KINEMATIC]: 1,
+  [CANNON.Body.DYNAMIC]: 2
+};
+
+const PIVOT_A_COLOR = new THREE.Color(0xffff00);
+const PIVOT_B_COLOR = new THREE.Color(0xff0000);
+const AXIS_COLOR = new THREE.Color(0xffffff);
+
+const NORMAL_LENGTH = 0.5;
+const AXIS_LENGTH = 1;
+const PIVOT_SIZE = 0.15;
+
+// Edges of a convex polyhedron (boxes use their polyhedron representation).
+function createConvexGeometry({ vertices, faces }) {
+  const edges = new Set();
+  const positions = [];
+  faces.forEach(face => {
+    face.forEach((a, k) => {
+      const b = face[(k + 1) % face.length];
+      const key = Math.min(a, b) + ':' + Math.max(a, b);
+      if (edges.has(key)) return;
+      edges.add(key);
+      positions.push(vertices[a].x, vertices[a].y, vertices[a].z, vertices[b].x, vertices[b].y, vertices[b].z);
+    });
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return geometry;
+}
+
+// Grid lines over the heightfield's points; the heights are refreshed when the terrain is edited.
+function createHeightfieldGeometry(shape) {
+  const rows = shape.data.length;
+  const cols = shape.data[0].length;
+  const positions = new Float32Array(rows * cols * 3);
+  const indices = [];
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < cols; j++) {
+      const index = i * cols + j;
+      positions.set([i * shape.elementSize, j * shape.elementSize, shape.data[i][j]], index * 3);
+      if (i + 1 < rows) indices.push(index, index + cols);
+      if (j + 1 < cols) indices.push(index, index + 1);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+function updateHeightfieldGeometry(geometry, shape) {
+  const position = geometry.attributes.position;
+  const cols = shape.data[0].length;
+  shape.data.forEach((row, i) => {
+    row.forEach((height, j) => position.setZ(i * cols + j, height));
+  });
+  position.needsUpdate = true;
+}
+
+function createShapeGeometry(shape) {
+  if (shape instanceof CANNON.Box) {
+    return createConvexGeometry(shape.convexPolyhedronRepresentation);
+  }
+  if (shape instanceof CANNON.ConvexPolyhedron) {
+    return createConvexGeometry(shape);
+  }
+  if (shape instanceof CANNON.Sphere) {
+    return new THREE.WireframeGeometry(new THREE.SphereGeometry(shape.radius, 12, 8));
+  }
+  if (shape instanceof CANNON.Heightfield) {
+    return createHeightfieldGeometry(shape);
+  }
+  if (shape instanceof CANNON.Plane) {
+    // Planes are infinite; draw a patch around the body. The plane's normal is local +z.
+    return new THREE.WireframeGeometry(new THREE.PlaneGeometry(200, 200, 20, 20));
+  }
+  return null;
+}
+
+// Writes line or point data into a reusable object, growing its buffers when needed.
+function setDynamicData(object, positions, colors) {
+  const geometry = object.geometry;
+  if (!geometry.attributes.position || geometry.attributes.position.array.length < positions.length) {
+    const capacity = Math.max(positions.length * 2, 96);
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity), 3));
+  }
+  geometry.attributes.position.array.set(positions);
+  geometry.attributes.color.array.set(colors);
+  geometry.attributes.position.needsUpdate = true;
+  geometry.attributes.color.needsUpdate = true;
+  geometry.setDrawRange(0, positions.length / 3);
+}
+
+/**
+ * Draws what the physics engine sees on top of the scene: every body's shapes
+ * as wireframes (coloured by body type), each hinge's pivots and axis, and the
+ * contact points and normals of the last step. Works on every backend.
+ *
+ * Hinges draw pivot A in yellow and pivot B in red; they only separate when the
+ * joint is not holding. Call update() each frame after stepping the physics.
+ * Contacts are the step's shared list (see getStepContacts), and heightfields
+ * are redrawn only after an edit.
+ */
+export class PhysicsDebugOverlay {
+  constructor(scene, physicsWorld) {
+    this.scene = scene;
+    this.physicsWorld = physicsWorld;
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    this.scene.add(this.group);
+
+    // body => { group, shapeCount, heightfields: [{ geometry, shape }] }
+    this.bodyViews = new Map();
+    // Heightfield shapes edited since they were last drawn.
+    this.changedHeightfields = new Set();
+    physicsWorld.addEventListener('heightfieldChanged', ({ shape }) => this.changedHeightfields.add(shape));
+    this.materials = {};
+    Object.entries(BODY_COLORS).forEach(([type, color]) => {
+      this.materials[type] = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+    });
+
+    const overlayMaterial = { vertexColors: true, depthTest: false, transparent: true };
+    this.hingeLines = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial(overlayMaterial));
+    this.contactNormals = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial(overlayMaterial));
+    this.contactPoints = new THREE.Points(
+      new THREE.BufferGeometry(),
+      new THREE.PointsMaterial({ ...overlayMaterial, size: 6, sizeAttenuation: false })
+    );
+    [this.hingeLines, this.contactNormals, this.contactPoints].forEach(object => {
+      object.frustumCulled = false;
+      object.renderOrder = 1;
+      this.group.add(object);
+    });
+  }
+
+  get visible() {
+    return this.group.visible;
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  toggle() {
+    this.setVisible(!this.group.visible);
+  }
+
+  update() {
+    if (!this.group.visible) return;
+    this.updateBodies();
+    this.updateHinges();
+    this.updateContacts();
+  }
+
+  createBodyView(body) {
+    const group = new THREE.Group();
+    const heightfields = [];
+    const material = this.materials[body.type] || this.materials[CANNON.Body.DYNAMIC];
+    body.shapes.forEach((shape, index) => {
+      const geometry = createShapeGeometry(shape);
+      if (!geometry) return;
+      const lines = new THREE.LineSegments(geometry, material);
+      lines.position.copy(body.shapeOffsets[index]);
+      lines.quaternion.copy(body.shapeOrientations[index]);
+      lines.renderOrder = 1;
+      group.add(lines);
+      if (shape instanceof CANNON.Heightfield) {
+        heightfields.push({ geometry, shape });
+      }
+    });
+    this.group.add(group);
+    return { group, shapeCount: body.shapes.length, heightfields };
+  }
+
+  removeBodyView(body) {
+    const view = this.bodyViews.get(body);
+    this.group.remove(view.group);
+    view.group.children.forEach(lines => lines.geometry.dispose());
+    this.bodyViews.delete(body);
+  }
+
+  updateBodies() {
+    const current = new Set(this.physicsWorld.bodies);
+    Array.from(this.bodyViews.keys()).forEach(body => {
+      if (!current.has(body)) this.removeBodyView(body);
+    });
+    current.forEach(body => {
+      let view = this.bodyViews.get(body);
+      if (view && view.shapeCount !== body.shapes.length) {
+        this.removeBodyView(body);
+        view = null;
+      }
+      if (!view) {
+        view = this.createBodyView(body);
+        this.bodyViews.set(body, view);
+      }
+      view.group.position.copy(body.interpolatedPosition);
+      view.group.quaternion.copy(body.interpolatedQuaternion);
+      view.heightfields.forEach(({ geometry, shape }) => {
+        if (this.changedHeightfields.has(shape)) updateHeightfieldGeometry(geometry, shape);
+      });
+    });
+    this.changedHeightfields.clear();
+  }
+
+  updateHinges() {
+    const positions = [];
+    const colors = [];
+    const addLine = (from, to, color) => {
+      positions.push(from.x, from.y, from.z, to.x, to.y, to.z);
+      colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+    };
+    const addCross = (center, color) => {
+      [[PIVOT_SIZE, 0, 0], [0, PIVOT_SIZE, 0], [0, 0, PIVOT_SIZE]].forEach(([x, y, z]) => {
+        const offset = new CANNON.Vec3(x, y, z);
+        addLine(center.vsub(offset), center.vadd(offset), color);
+      });
+    };
+
+    (this.physicsWorld.constraints || []).forEach(constraint => {
+      const { bodyA, bodyB, pivotA, pivotB, axisA } = constraint;
+      if (!pivotA || !axisA) return;
+      const worldPivotA = bodyA.position.vadd(bodyA.quaternion.vmult(pivotA));
+      const worldPivotB = bodyB.position.vadd(bodyB.quaternion.vmult(pivotB));
+      const worldAxis = bodyA.quaternion.vmult(axisA).scale(AXIS_LENGTH / 2);
+      addCross(worldPivotA, PIVOT_A_COLOR);
+      addCross(worldPivotB, PIVOT_B_COLOR);
+      addLine(worldPivotA.vsub(worldAxis), worldPivotA.vadd(worldAxis), AXIS_COLOR);
+    });
+    setDynamicData(this.hingeLines, positions, colors);
+  }
+
+  updateContacts() {
+    const pointPositions = [];
+    const pointColors = [];
+    const normalPositions = [];
+    const normalColors = [];
+    getStepContacts(this.physicsWorld).forEach(({ bodyA, bodyB, point, normal }) => {
+      const type = MOBILITY[bodyA.type] <= MOBILITY[bodyB.type] ? bodyA.type : bodyB.type;
+      const color = CONTACT_COLORS[type];
+      const tip = point.vadd(normal.scale(NORMAL_LENGTH));
+      pointPositions.push(point.x, point.y, point.z);
+      pointColors.push(color.r, color.g, color.b);
+      normalPositions.push(point.x, point.y, point.z, tip.x, tip.y, tip.z);
+      normalColors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+    });
+    setDynamicData(this.contactPoints, pointPositions, pointColors);
+    setDynamicData(this.contactNormals, normalPositions, normalColors);
+  }
+}
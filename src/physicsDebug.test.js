@@ -0,0 +1,49 @@
+// src/physicsDebug.test.js
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { initPhysics, updatePhysics } from './physics.js';
+import { getMaterial } from './materials.js';
+import { createTerrain } from './terrain.js';
+import { getStepContacts } from './collisionEvents.js';
+import { PhysicsDebugOverlay } from './physicsDebug.js';
+
+async function createOverlay() {
+  const scene = new THREE.Scene();
+  const physicsWorld = await initPhysics();
+  const terrain = createTerrain(scene, physicsWorld, getMaterial(physicsWorld, 'soil'), { size: 20, segments: 20, amplitude: 0 });
+  const box = physicsWorld.createBody({ mass: 1 });
+  box.addShape(physicsWorld.createBox(new CANNON.Vec3(0.5, 0.5, 0.5)));
+  box.position.set(0, 0.5, 0);
+  physicsWorld.addBody(box);
+  const overlay = new PhysicsDebugOverlay(scene, physicsWorld);
+  overlay.setVisible(true);
+  updatePhysics(physicsWorld);
+  overlay.update();
+  const heightfieldPositions = () => overlay.bodyViews.get(terrain.body).heightfields[0].geometry.attributes.position;
+  return { physicsWorld, terrain, overlay, heightfieldPositions };
+}
+
+test('the heightfield is redrawn only after the terrain is edited', async () => {
+  const { physicsWorld, terrain, overlay, heightfieldPositions } = await createOverlay();
+  const { version } = heightfieldPositions();
+
+  updatePhysics(physicsWorld);
+  overlay.update();
+  expect(heightfieldPositions().version).toBe(version);
+
+  terrain.lowerTo(0, 0, 2, -1);
+  updatePhysics(physicsWorld);
+  overlay.update();
+  expect(heightfieldPositions().version).toBeGreaterThan(version);
+  expect(Math.min(...heightfieldPositions().array.filter((value, k) => k % 3 === 2))).toBeCloseTo(-1);
+});
+
+test('the overlay shares the step\'s contacts with the collision events', async () => {
+  const { physicsWorld, overlay } = await createOverlay();
+  const getContacts = jest.spyOn(physicsWorld, 'getContacts');
+  updatePhysics(physicsWorld);
+  getStepContacts(physicsWorld);
+  overlay.update();
+  expect(getContacts).toHaveBeenCalledTimes(1);
+  expect(overlay.contactPoints.geometry.drawRange.count).toBeGreaterThan(0);
+});
@@ -0,0 +1,277 @@
+// src/physicsWorker.js
+// Worker side of WorkerPhysics (workerBackend.js): owns the real physics world,
+// applies the commands and inputs posted by the main thread, steps, and posts
+// every body's state back.
+import * as CANNON from 'cannon-es';
+import { CannonPhysics } from './cannonBackend.js';
+
+// Must match STATE_STRIDE, CONTACT_STRIDE and WHEEL_STRIDE in workerBackend.js.
+const STATE_STRIDE = 13;
+const CONTACT_STRIDE = 7;
+const WHEEL_STRIDE = 2;
+
+const vec = (a) => new CANNON.Vec3(a[0], a[1], a[2]);
+const quat = (a) => new CANNON.Quaternion(a[0], a[1], a[2], a[3]);
+
+const bodies = new Map();
+const idsByBody = new Map();
+const constraints = new Map();
+const vehicles = new Map();
+const materials = new Map();
+let physicsReady = null;
+
+async function createPhysics(backend, timeStep) {
+  if (backend === 'rapier') {
+    const { RapierPhysics } = await import('./rapierBackend.js');
+    return RapierPhysics.create();
+  }
+  return new CannonPhysics({ timeStep });
+}
+
+// Materials are matched by the id they have on the main thread.
+function getMaterial(physics, descriptor) {
+  if (!descriptor) return null;
+  if (!materials.has(descriptor.id)) {
+    materials.set(descriptor.id, physics.createMaterial(descriptor.name));
+  }
+  return materials.get(descriptor.id);
+}
+
+function createShape(physics, shape) {
+  switch (shape.kind) {
+    case 'box': return physics.createBox(vec(shape.halfExtents));
+    case 'sphere': return physics.createSphere(shape.radius);
+    case 'convex': return physics.createConvexPolyhedron({ vertices: shape.vertices.map(vec), faces: shape.faces });
+    case 'heightfield': return physics.createHeightfield(shape.data, { elementSize: shape.elementSize });
+    case 'plane': return physics.createPlane();
+    default: throw new Error(`Unknown shape kind ${shape.kind}`);
+  }
+}
+
+function applyMotor(hinge, { enabled, speed, maxForce }) {
+  if (enabled) {
+    hinge.enableMotor();
+  } else {
+    hinge.disableMotor();
+  }
+  hinge.setMotorSpeed(speed);
+  hinge.setMotorMaxForce(maxForce);
+}
+
+const commandHandlers = {
+  addBody(physics, { body: data }) {
+    const body = physics.createBody({
+      mass: data.mass,
+      type: data.type,
+      material: getMaterial(physics, data.material),
+      linearDamping: data.linearDamping,
+      angularDamping: data.angularDamping,
+      fixedRotation: data.fixedRotation,
+      collisionResponse: data.collisionResponse,
+      collisionFilterGroup: data.collisionFilterGroup,
+      collisionFilterMask: data.collisionFilterMask,
+      allowSleep: data.allowSleep,
+      sleepSpeedLimit: data.sleepSpeedLimit,
+      sleepTimeLimit: data.sleepTimeLimit,
+      position: vec(data.position),
+      quaternion: quat(data.quaternion),
+      velocity: vec(data.velocity),
+      angularVelocity: vec(data.angularVelocity)
+    });
+    data.shapes.forEach(({ shape, offset, orientation }) => {
+      body.addShape(createShape(physics, shape), vec(offset), quat(orientation));
+    });
+    physics.addBody(body);
+    bodies.set(data.id, body);
+    idsByBody.set(body, data.id);
+  },
+
+  addShape(physics, { id, shape, offset, orientation }) {
+    bodies.get(id).addShape(createShape(physics, shape), vec(offset), quat(orientation));
+  },
+
+  removeBody(physics, { id }) {
+    const body = bodies.get(id);
+    vehicles.forEach((vehicle, vehicleId) => {
+      if (vehicle.chassisBody !== body) return;
+      physics.removeVehicle(vehicle);
+      vehicles.delete(vehicleId);
+    });
+    physics.removeBody(body);
+    bodies.delete(id);
+    idsByBody.delete(body);
+  },
+
+  addConstraint(physics, { constraint: data }) {
+    const { options } = data;
+    const hinge = physics.createHinge(bodies.get(data.bodyA), bodies.get(data.bodyB), {
+      ...options,
+      pivotA: vec(options.pivotA),
+      pivotB: vec(options.pivotB),
+      axisA: vec(options.axisA),
+      axisB: vec(options.axisB)
+    });
+    applyMotor(hinge, data.motor);
+    physics.addConstraint(hinge);
+    constraints.set(data.id, hinge);
+  },
+
+  motor(physics, command) {
+    applyMotor(constraints.get(command.id), command);
+  },
+
+  addVehicle(physics, { vehicle: data }) {
+    const [indexRightAxis, indexUpAxis, indexForwardAxis] = data.axes;
+    const vehicle = physics.createRaycastVehicle({
+      chassisBody: bodies.get(data.chassis),
+      indexRightAxis,
+      indexUpAxis,
+      indexForwardAxis
+    });
+    data.wheels.forEach(wheel => {
+      vehicle.addWheel({
+        ...wheel,
+        chassisConnectionPointLocal: vec(wheel.chassisConnectionPointLocal),
+        directionLocal: vec(wheel.directionLocal),
+        axleLocal: vec(wheel.axleLocal)
+      });
+    });
+    physics.addVehicle(vehicle);
+    vehicles.set(data.id, vehicle);
+  },
+
+  removeVehicle(physics, { id }) {
+    physics.removeVehicle(vehicles.get(id));
+    vehicles.delete(id);
+  },
+
+  removeConstraint(physics, { id }) {
+    physics.removeConstraint(constraints.get(id));
+    constraints.delete(id);
+  },
+
+  contactMaterial(physics, { materialA, materialB, options }) {
+    physics.addContactMaterial(getMaterial(physics, materialA), getMaterial(physics, materialB), options);
+  },
+
+  solver(physics, { options }) {
+    physics.configureSolver(options);
+  },
+
+  heightfield(physics, { id, shapeIndex, changes }) {
+    const body = bodies.get(id);
+    physics.updateHeightfield(body, body.shapes[shapeIndex], changes);
+  }
+};
+
+function serializeContacts(physics) {
+  const contacts = physics.getContacts().filter(c => idsByBody.has(c.bodyA) && idsByBody.has(c.bodyB));
+  const ids = new Int32Array(contacts.length * 2);
+  const data = new Float32Array(contacts.length * CONTACT_STRIDE);
+  contacts.forEach(({ bodyA, bodyB, point, normal, impulse }, k) => {
+    ids[2 * k] = idsByBody.get(bodyA);
+    ids[2 * k + 1] = idsByBody.get(bodyB);
+    data.set([point.x, point.y, point.z, normal.x, normal.y, normal.z, impulse], CONTACT_STRIDE * k);
+  });
+  return { ids, data };
+}
+
+// Wheels go vehicle after vehicle: the suspension length and the id of the body under each.
+function serializeVehicles() {
+  const ids = [...vehicles.keys()];
+  let wheelCount = 0;
+  vehicles.forEach(vehicle => {
+    wheelCount += vehicle.wheelInfos.length;
+  });
+  const data = new Float32Array(wheelCount * WHEEL_STRIDE);
+  let k = 0;
+  vehicles.forEach(vehicle => {
+    vehicle.wheelInfos.forEach(wheel => {
+      const ground = wheel.isInContact ? wheel.raycastResult.body : null;
+      data.set([wheel.suspensionLength, idsByBody.get(ground) || 0], k * WHEEL_STRIDE);
+      k++;
+    });
+  });
+  return { ids, data };
+}
+
+function runFrame(physics, { commands, inputs, vehicles: vehicleInputs, steps, dt, gravity, contacts }) {
+  commands.forEach(command => commandHandlers[command.op](physics, command));
+  physics.gravity.set(gravity[0], gravity[1], gravity[2]);
+
+  inputs.forEach(input => {
+    const body = bodies.get(input.id);
+    if (!body) return;
+    if (input.position) body.position.set(...input.position);
+    if (input.quaternion) body.quaternion.set(...input.quaternion);
+    if (input.velocity) body.velocity.set(...input.velocity);
+    if (input.angularVelocity) body.angularVelocity.set(...input.angularVelocity);
+    if (input.linearDamping !== undefined) {
+      body.linearDamping = input.linearDamping;
+      body.angularDamping = input.angularDamping;
+    }
+  });
+
+  vehicleInputs.forEach(({ id, wheels }) => {
+    const vehicle = vehicles.get(id);
+    if (!vehicle) return;
+    wheels.forEach(([steering, engineForce, brake, frictionSlip], i) => {
+      vehicle.setSteeringValue(steering, i);
+      vehicle.applyEngineForce(engineForce, i);
+      vehicle.setBrake(brake, i);
+      vehicle.wheelInfos[i].frictionSlip = frictionSlip;
+    });
+  });
+
+  // Forces are cleared after every step, so they are applied again for each one.
+  const forceInputs = inputs.filter(input => input.force && bodies.has(input.id));
+  for (let k = 0; k < steps; k++) {
+    forceInputs.forEach(input => {
+      const body = bodies.get(input.id);
+      body.applyForce(vec(input.force));
+      body.applyTorque(vec(input.torque));
+    });
+    physics.step(dt);
+  }
+
+  const ids = new Int32Array(bodies.size);
+  const state = new Float32Array(bodies.size * STATE_STRIDE);
+  let k = 0;
+  bodies.forEach((body, id) => {
+    const { position: p, quaternion: q, velocity: v, angularVelocity: w } = body;
+    ids[k] = id;
+    state.set([p.x, p.y, p.z, q.x, q.y, q.z, q.w, v.x, v.y, v.z, w.x, w.y, w.z], k * STATE_STRIDE);
+    k++;
+  });
+  const message = { type: 'state', ids, state };
+  const transfer = [ids.buffer, state.buffer];
+  if (vehicles.size > 0) {
+    message.vehicles = serializeVehicles();
+    transfer.push(message.vehicles.data.buffer);
+  }
+  if (contacts) {
+    message.contacts = serializeContacts(physics);
+    transfer.push(message.contacts.ids.buffer, message.contacts.data.buffer);
+  }
+  postMessage(message, transfer);
+}
+
+// Tells the main thread, which would otherwise wait for ever for the reply that failed.
+function reportError(error) {
+  postMessage({ type: 'error', message: error instanceof Error ? error.message : String(error) });
+}
+
+onmessage = (event) => {
+  const message = event.data;
+  if (message.type === 'init') {
+    physicsReady = createPhysics(message.backend, message.timeStep).then(physics => {
+      postMessage({ type: 'ready' });
+      return physics;
+    });
+    physicsReady.catch(reportError);
+  } else if (message.type === 'frame') {
+    physicsReady
+      .then(physics => runFrame(physics, message))
+      .catch(reportError);
+  }
+};
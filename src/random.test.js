@@ -0,0 +1,31 @@
+// src/random.test.js
+import { createRandom, parseSeed } from './random.js';
+
+const draw = (random, count = 5) => Array.from({ length: count }, () => random());
+
+test('a seed gives the same numbers every time', () => {
+  expect(draw(createRandom(42))).toEqual(draw(createRandom(42)));
+  expect(draw(createRandom(42))).not.toEqual(draw(createRandom(43)));
+  draw(createRandom(42), 100).forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+});
+
+test('forks repeat by label and do not depend on the parent draws', () => {
+  const random = createRandom(7);
+  const first = draw(random.fork('trees'));
+  draw(random, 10);
+  expect(draw(random.fork('trees'))).toEqual(first);
+  expect(draw(createRandom(7).fork('trees'))).toEqual(first);
+  expect(draw(random.fork('rocks'))).not.toEqual(first);
+  expect(draw(createRandom(8).fork('trees'))).not.toEqual(first);
+});
+
+test('seeds from the URL are numbers or hashed text', () => {
+  expect(parseSeed('123', 1)).toBe(123);
+  expect(parseSeed(null, 1)).toBe(1);
+  expect(parseSeed('', 1)).toBe(1);
+  expect(parseSeed('quarry', 1)).toBe(parseSeed('quarry', 2));
+  expect(parseSeed('quarry', 1)).not.toBe(parseSeed('harbour', 1));
+});
@@ -0,0 +1,560 @@
+// src/rapierBackend.js
+import RAPIER from '@dimforge/rapier3d-compat';
+import * as CANNON from 'cannon-es';
+import { PhysicsBackend, ProxyBody, ProxyHinge, ProxyVehicle } from './physicsBackend.js';
+
+// cannon-es falls back to these when two materials have no contact material.
+const DEFAULT_FRICTION = 0.3;
+const DEFAULT_RESTITUTION = 0;
+// Stand-in for an infinite plane: a slab under local z = 0 (the cannon plane normal is +z).
+const PLANE_HALF_SIZE = 1000;
+
+const toRapierVector = (v) => ({ x: v.x, y: v.y, z: v.z });
+const toRapierRotation = (q) => ({ x: q.x, y: q.y, z: q.z, w: q.w });
+
+// Rapier packs a collider's groups into one number: the memberships high, the filter low.
+const toRapierGroups = (group, mask) => (((group & 0xffff) << 16) | (mask & 0xffff)) >>> 0;
+
+// cannon damping scales velocity by (1 - d)^dt; Rapier by roughly e^(-c * dt).
+const toRapierDamping = (damping) => -Math.log(1 - Math.min(damping, 0.999999));
+
+// Heightfield frame: Rapier's is centred and y-up, cannon's starts at the origin and is z-up.
+const HEIGHTFIELD_ROTATION = new CANNON.Quaternion().setFromAxisAngle(new CANNON.Vec3(1, 0, 0), Math.PI / 2);
+
+// The Rapier shape of a cannon heightfield, in Rapier's frame (see HEIGHTFIELD_ROTATION).
+function createHeightfield({ data, elementSize }) {
+  const ncols = data.length - 1;
+  const nrows = data[0].length - 1;
+  // Column-major: Rapier rows run along cannon -y, columns along cannon +x.
+  const heights = new Float32Array((nrows + 1) * (ncols + 1));
+  for (let i = 0; i <= ncols; i++) {
+    for (let j = 0; j <= nrows; j++) {
+      heights[(nrows - j) + i * (nrows + 1)] = data[i][j];
+    }
+  }
+  // Without the internal edge fix, a box sliding over the cells catches on their seams.
+  return new RAPIER.Heightfield(
+    nrows, ncols, heights, { x: ncols * elementSize, y: 1, z: nrows * elementSize }, RAPIER.HeightFieldFlags.FIX_INTERNAL_EDGES
+  );
+}
+
+/**
+ * Builds the collider for a cannon shape, placed at the given offset/orientation
+ * in the body frame.
+ */
+function createColliderDesc(shape, offset, orientation) {
+  let desc;
+  const translation = offset.clone();
+  const rotation = orientation.clone();
+
+  if (shape instanceof CANNON.Box) {
+    const { x, y, z } = shape.halfExtents;
+    desc = RAPIER.ColliderDesc.cuboid(x, y, z);
+  } else if (shape instanceof CANNON.Sphere) {
+    desc = RAPIER.ColliderDesc.ball(shape.radius);
+  } else if (shape instanceof CANNON.ConvexPolyhedron) {
+    // Covers CANNON.Cylinder too, which is a polyhedron.
+    const points = new Float32Array(shape.vertices.length * 3);
+    shape.vertices.forEach((v, k) => points.set([v.x, v.y, v.z], k * 3));
+    desc = RAPIER.ColliderDesc.convexHull(points);
+  } else if (shape instanceof CANNON.Heightfield) {
+    const heightfield = createHeightfield(shape);
+    desc = new RAPIER.ColliderDesc(heightfield);
+    translation.vadd(orientation.vmult(new CANNON.Vec3(heightfield.scale.x / 2, heightfield.scale.z / 2, 0)), translation);
+    orientation.mult(HEIGHTFIELD_ROTATION, rotation);
+  } else if (shape instanceof CANNON.Plane) {
+    desc = RAPIER.ColliderDesc.cuboid(PLANE_HALF_SIZE, PLANE_HALF_SIZE, 1);
+    translation.vadd(orientation.vmult(new CANNON.Vec3(0, 0, -1)), translation);
+  }
+
+  if (!desc) {
+    throw new Error(`rapier: cannot build a collider for shape type ${shape.type}`);
+  }
+  return desc.setTranslation(translation.x, translation.y, translation.z).setRotation(toRapierRotation(rotation));
+}
+
+/**
+ * CANNON.Body stand-in backed by a Rapier rigid body.
+ */
+export class RapierBody extends ProxyBody {
+  constructor(physics, options) {
+    super(options);
+    this.physics = physics;
+    this.colliders = [];
+    this.rigidBody = null;
+  }
+
+  onShapeAdded(index) {
+    if (!this.rigidBody) return;
+    this.colliders.push(this.createCollider(index));
+    this.updateMassProperties();
+  }
+
+  /**
+   * Puts the whole mass at the body's origin with the inertia of a solid box filling the
+   * shapes' bounding box, as cannon does; the colliders themselves weigh nothing. Redone
+   * whenever the shapes or the mass change.
+   */
+  updateMassProperties() {
+    if (!this.rigidBody || this.type !== CANNON.Body.DYNAMIC) return;
+    const min = new CANNON.Vec3(Infinity, Infinity, Infinity);
+    const max = new CANNON.Vec3(-Infinity, -Infinity, -Infinity);
+    const shapeMin = new CANNON.Vec3();
+    const shapeMax = new CANNON.Vec3();
+    this.shapes.forEach((shape, index) => {
+      shape.calculateWorldAABB(this.shapeOffsets[index], this.shapeOrientations[index], shapeMin, shapeMax);
+      min.set(Math.min(min.x, shapeMin.x), Math.min(min.y, shapeMin.y), Math.min(min.z, shapeMin.z));
+      max.set(Math.max(max.x, shapeMax.x), Math.max(max.y, shapeMax.y), Math.max(max.z, shapeMax.z));
+    });
+    const inertia = new CANNON.Vec3();
+    if (this.shapes.length > 0) {
+      CANNON.Box.calculateInertia(max.vsub(min).scale(0.5), this.mass, inertia);
+    }
+    this.rigidBody.setAdditionalMassProperties(
+      this.mass, { x: 0, y: 0, z: 0 }, toRapierVector(inertia), { x: 0, y: 0, z: 0, w: 1 }, true
+    );
+    // Otherwise they only count from the next step, after the vehicles have read them.
+    this.rigidBody.recomputeMassPropertiesFromColliders();
+    this.rigidBody.lockRotations(this.fixedRotation, true);
+  }
+
+  createCollider(index) {
+    const desc = createColliderDesc(this.shapes[index], this.shapeOffsets[index], this.shapeOrientations[index]);
+    // Moving bodies take the pair's coefficients from whatever they touch (see updateContactCoefficients).
+    const moving = this.type === CANNON.Body.DYNAMIC;
+    desc
+      .setFriction(moving ? DEFAULT_FRICTION : 0)
+      .setFrictionCombineRule(RAPIER.CoefficientCombineRule.Max)
+      .setRestitution(moving ? DEFAULT_RESTITUTION : 0)
+      .setRestitutionCombineRule(RAPIER.CoefficientCombineRule.Max)
+      .setSensor(!this.collisionResponse)
+      .setCollisionGroups(toRapierGroups(this.collisionFilterGroup, this.collisionFilterMask))
+      .setDensity(0);
+    const collider = this.physics.world.createCollider(desc, this.rigidBody);
+    this.physics.bodiesByCollider.set(collider.handle, this);
+    return collider;
+  }
+
+  removeCollider(index) {
+    const collider = this.colliders[index];
+    this.physics.bodiesByCollider.delete(collider.handle);
+    this.physics.world.removeCollider(collider, false);
+  }
+
+  attach() {
+    let desc;
+    if (this.type === CANNON.Body.DYNAMIC) {
+      desc = RAPIER.RigidBodyDesc.dynamic();
+    } else if (this.type === CANNON.Body.KINEMATIC) {
+      desc = RAPIER.RigidBodyDesc.kinematicPositionBased();
+    } else {
+      desc = RAPIER.RigidBodyDesc.fixed();
+    }
+    desc
+      .setTranslation(this.position.x, this.position.y, this.position.z)
+      .setRotation(toRapierRotation(this.quaternion))
+      .setLinvel(this.velocity.x, this.velocity.y, this.velocity.z)
+      .setAngvel(toRapierVector(this.angularVelocity))
+      .setLinearDamping(toRapierDamping(this.linearDamping))
+      .setAngularDamping(toRapierDamping(this.angularDamping))
+      .setCanSleep(this.allowSleep);
+    if (this.fixedRotation) desc.lockRotations();
+    this.rigidBody = this.physics.world.createRigidBody(desc);
+    this.colliders = this.shapes.map((shape, index) => this.createCollider(index));
+    this.updateMassProperties();
+    // A kinematic body is still being put in place until its first step.
+    this.placed = false;
+    this.markSynced();
+  }
+
+  detach() {
+    this.colliders.forEach((collider, index) => this.removeCollider(index));
+    this.physics.world.removeRigidBody(this.rigidBody);
+    this.colliders = [];
+    this.rigidBody = null;
+  }
+
+  // Scene -> Rapier, before a step.
+  push() {
+    const body = this.rigidBody;
+    if (this.type === CANNON.Body.KINEMATIC) {
+      // Sweeping it there from where it was added would fling whatever lies between.
+      if (!this.placed) {
+        body.setTranslation(toRapierVector(this.position), false);
+        body.setRotation(toRapierRotation(this.quaternion), false);
+        this.placed = true;
+      }
+      body.setNextKinematicTranslation(toRapierVector(this.position));
+      body.setNextKinematicRotation(toRapierRotation(this.quaternion));
+      return;
+    }
+    const wakeUp = this.type === CANNON.Body.DYNAMIC;
+    if (this.hasChanged('position')) body.setTranslation(toRapierVector(this.position), wakeUp);
+    if (this.hasChanged('quaternion')) body.setRotation(toRapierRotation(this.quaternion), wakeUp);
+    if (!wakeUp) return;
+    if (this.hasChanged('velocity')) body.setLinvel(toRapierVector(this.velocity), true);
+    if (this.hasChanged('angularVelocity')) body.setAngvel(toRapierVector(this.angularVelocity), true);
+    body.setLinearDamping(toRapierDamping(this.linearDamping));
+    body.setAngularDamping(toRapierDamping(this.angularDamping));
+    body.resetForces(false);
+    body.resetTorques(false);
+    if (this.force.lengthSquared() > 0) body.addForce(toRapierVector(this.force), true);
+    if (this.torque.lengthSquared() > 0) body.addTorque(toRapierVector(this.torque), true);
+  }
+
+  // Rapier -> scene, after a step.
+  pull() {
+    const body = this.rigidBody;
+    this.setState(body.translation(), body.rotation(), body.linvel(), body.angvel());
+  }
+}
+
+/**
+ * CANNON.HingeConstraint stand-in backed by a revolute impulse joint. Rapier
+ * motors have no force cap, so the motor max force sets the gain of a
+ * force-based velocity motor instead (N·m per rad/s of speed error).
+ * collideConnected decides whether the two bodies collide, as in cannon.
+ */
+export class RapierHinge extends ProxyHinge {
+  constructor(bodyA, bodyB, options) {
+    super(bodyA, bodyB, options);
+    this.joint = null;
+  }
+
+  attach(world) {
+    // Rapier takes one axis for both bodies; the scene's hinges always use the same axis on each side.
+    const params = RAPIER.JointData.revolute(
+      toRapierVector(this.pivotA),
+      toRapierVector(this.pivotB),
+      toRapierVector(this.axisA)
+    );
+    this.joint = world.createImpulseJoint(params, this.bodyA.rigidBody, this.bodyB.rigidBody, true);
+    this.joint.setContactsEnabled(this.collideConnected);
+    this.joint.configureMotorModel(RAPIER.MotorModel.ForceBased);
+    this.updateMotor();
+  }
+
+  updateMotor() {
+    if (!this.joint) return;
+    // cannon drives the relative speed of A against B, Rapier the reverse.
+    if (this.motorEnabled) {
+      this.joint.configureMotorVelocity(-this.motorSpeed, this.motorMaxForce);
+    } else {
+      this.joint.configureMotorVelocity(0, 0);
+    }
+  }
+}
+
+/**
+ * CANNON.RaycastVehicle stand-in backed by Rapier's ray cast vehicle
+ * controller, which follows the same Bullet vehicle: suspension forces are per
+ * kilogram of chassis, and brakes are the impulse each wheel may take out in a
+ * step.
+ */
+export class RapierVehicle extends ProxyVehicle {
+  constructor(options) {
+    super(options);
+    this.controller = null;
+  }
+
+  attach(world) {
+    const controller = world.createVehicleController(this.chassisBody.rigidBody);
+    controller.indexUpAxis = this.indexUpAxis;
+    controller.setIndexForwardAxis = this.indexForwardAxis;
+    this.wheelInfos.forEach((wheel, i) => {
+      controller.addWheel(
+        toRapierVector(wheel.chassisConnectionPointLocal),
+        toRapierVector(wheel.directionLocal),
+        toRapierVector(wheel.axleLocal),
+        wheel.suspensionRestLength,
+        wheel.radius
+      );
+      controller.setWheelMaxSuspensionTravel(i, wheel.maxSuspensionTravel);
+      controller.setWheelSuspensionStiffness(i, wheel.suspensionStiffness);
+      controller.setWheelSuspensionCompression(i, wheel.dampingCompression);
+      controller.setWheelSuspensionRelaxation(i, wheel.dampingRelaxation);
+      controller.setWheelMaxSuspensionForce(i, wheel.maxSuspensionForce);
+    });
+    this.controller = controller;
+  }
+
+  // Casts the wheels and pushes the chassis for one step, before the world steps.
+  update(physics, dt) {
+    const controller = this.controller;
+    // The controller's impulses leave a sleeping chassis asleep.
+    if (this.wheelInfos.some(wheel => wheel.engineForce !== 0)) {
+      this.chassisBody.rigidBody.wakeUp();
+    }
+    this.wheelInfos.forEach((wheel, i) => {
+      controller.setWheelSteering(i, wheel.steering);
+      // Rapier drives along normal × axle, cannon the other way round.
+      controller.setWheelEngineForce(i, -wheel.engineForce);
+      controller.setWheelBrake(i, wheel.brake);
+      controller.setWheelFrictionSlip(i, wheel.frictionSlip);
+    });
+    controller.updateVehicle(dt, RAPIER.QueryFilterFlags.EXCLUDE_SENSORS);
+    this.wheelInfos.forEach((wheel, i) => {
+      const ground = controller.wheelIsInContact(i) && controller.wheelGroundObject(i);
+      this.setWheelState(
+        i,
+        controller.wheelSuspensionLength(i),
+        ground ? physics.bodiesByCollider.get(ground.handle) || null : null
+      );
+    });
+  }
+}
+
+/**
+ * Rapier backend. Rapier keeps friction and restitution on colliders rather
+ * than on material pairs, and combines a pair's two values by a fixed rule.
+ * So static colliders are left at zero and combined by the larger value, and
+ * before each step every moving body takes the contact material's coefficients
+ * with the body it pressed on hardest in the last step. A body resting on one
+ * material at a time, or two moving bodies touching only each other, get their
+ * pair's values exactly; where a body touches several, the others get the
+ * pair values of the one it presses on hardest.
+ */
+export class RapierPhysics extends PhysicsBackend {
+  static async create(options) {
+    await RAPIER.init();
+    return new RapierPhysics(options);
+  }
+
+  constructor() {
+    super('rapier');
+    this.gravity = new CANNON.Vec3(0, -9.82, 0);
+    this.world = new RAPIER.World(toRapierVector(this.gravity));
+    this.bodies = [];
+    this.constraints = [];
+    this.vehicles = [];
+    this.bodiesByCollider = new Map();
+    // Material pair key => { friction, restitution } (see addContactMaterial)
+    this.contactMaterials = new Map();
+    this.materialIds = new Map();
+    // Heightfield shapes written since the last step, with their bodies.
+    this.changedHeightfields = new Map();
+    this.dt = -1;
+    this.time = 0;
+    this.accumulator = 0;
+  }
+
+  materialPairKey(materialA, materialB) {
+    const id = material => {
+      if (!this.materialIds.has(material)) this.materialIds.set(material, this.materialIds.size);
+      return this.materialIds.get(material);
+    };
+    const a = id(materialA);
+    const b = id(materialB);
+    return a < b ? `${a}:${b}` : `${b}:${a}`;
+  }
+
+  // The contact material's coefficients for two bodies' materials, or cannon's defaults.
+  getContactCoefficients(materialA, materialB) {
+    return this.contactMaterials.get(this.materialPairKey(materialA, materialB)) || {
+      friction: DEFAULT_FRICTION,
+      restitution: DEFAULT_RESTITUTION
+    };
+  }
+
+  createBody(options) {
+    return new RapierBody(this, options);
+  }
+
+  createHinge(bodyA, bodyB, options) {
+    return new RapierHinge(bodyA, bodyB, options);
+  }
+
+  createRaycastVehicle(options) {
+    return new RapierVehicle(options);
+  }
+
+  addContactMaterial(materialA, materialB, options = {}) {
+    const { friction = DEFAULT_FRICTION, restitution = DEFAULT_RESTITUTION } = options;
+    this.contactMaterials.set(this.materialPairKey(materialA, materialB), { friction, restitution });
+  }
+
+  // Gives each moving body's colliders the coefficients of its pair with the body it pressed
+  // on hardest in the last step; static colliders stay at zero, so the pair gets those values.
+  updateContactCoefficients() {
+    this.bodies.forEach(body => {
+      if (body.type !== CANNON.Body.DYNAMIC || body.rigidBody.isSleeping()) return;
+      let partner = null;
+      let strongest = -1;
+      body.colliders.forEach(collider => {
+        this.world.contactPairsWith(collider, other => {
+          this.world.contactPair(collider, other, manifold => {
+            let impulse = 0;
+            for (let i = 0; i < manifold.numContacts(); i++) {
+              impulse += manifold.contactImpulse(i);
+            }
+            if (impulse > strongest) {
+              strongest = impulse;
+              partner = this.bodiesByCollider.get(other.handle);
+            }
+          });
+        });
+      });
+      if (!partner) return;
+      const { friction, restitution } = this.getContactCoefficients(body.material, partner.material);
+      body.colliders.forEach(collider => {
+        collider.setFriction(friction);
+        collider.setRestitution(restitution);
+      });
+    });
+  }
+
+  // Rapier's solver converges in far fewer iterations than cannon's Gauss-Seidel one.
+  configureSolver({ iterations } = {}) {
+    if (iterations !== undefined) {
+      this.world.numSolverIterations = Math.max(4, Math.round(iterations / 10));
+    }
+  }
+
+  // The collider takes the new heights once, before the next step, however many edits come first.
+  updateHeightfield(body, shape, changes) {
+    changes.forEach(({ i, j, height }) => {
+      shape.data[i][j] = height;
+    });
+    this.changedHeightfields.set(shape, body);
+    this.dispatchEvent({ type: 'heightfieldChanged', body, shape });
+  }
+
+  // Swaps the changed heightfields' shapes in their colliders, which keeps the colliders' contacts.
+  applyHeightfieldChanges() {
+    this.changedHeightfields.forEach((body, shape) => {
+      const index = body.shapes.indexOf(shape);
+      if (index === -1 || !body.rigidBody) return;
+      body.colliders[index].setShape(createHeightfield(shape));
+    });
+    this.changedHeightfields.clear();
+  }
+
+  addBody(body) {
+    if (this.bodies.includes(body)) return;
+    body.attach();
+    this.bodies.push(body);
+  }
+
+  removeBody(body) {
+    const index = this.bodies.indexOf(body);
+    if (index === -1) return;
+    // Rapier drops the joints of a removed body along with it; its vehicles would be left
+    // holding a dead handle.
+    this.constraints = this.constraints.filter(c => c.bodyA !== body && c.bodyB !== body);
+    this.vehicles.filter(vehicle => vehicle.chassisBody === body).forEach(vehicle => this.removeVehicle(vehicle));
+    body.detach();
+    this.bodies.splice(index, 1);
+  }
+
+  addConstraint(constraint) {
+    constraint.attach(this.world);
+    this.constraints.push(constraint);
+  }
+
+  removeConstraint(constraint) {
+    const index = this.constraints.indexOf(constraint);
+    if (index === -1) return;
+    this.world.removeImpulseJoint(constraint.joint, true);
+    constraint.joint = null;
+    this.constraints.splice(index, 1);
+  }
+
+  addVehicle(vehicle) {
+    vehicle.attach(this.world);
+    this.vehicles.push(vehicle);
+  }
+
+  removeVehicle(vehicle) {
+    const index = this.vehicles.indexOf(vehicle);
+    if (index === -1) return;
+    this.world.removeVehicleController(vehicle.controller);
+    vehicle.controller = null;
+    this.vehicles.splice(index, 1);
+  }
+
+  getContacts() {
+    const contacts = [];
+    const visited = new Set();
+    this.bodies.forEach(body => {
+      // Static bodies never touch each other, so their pairs are found from the other side.
+      if (body.type === CANNON.Body.STATIC) return;
+      body.colliders.forEach(collider => {
+        this.world.contactPairsWith(collider, other => {
+          const key = Math.min(collider.handle, other.handle) + ':' + Math.max(collider.handle, other.handle);
+          if (visited.has(key)) return;
+          visited.add(key);
+          const bodyB = this.bodiesByCollider.get(other.handle);
+          this.world.contactPair(collider, other, (manifold, flipped) => {
+            const n = manifold.normal();
+            const normal = flipped ? new CANNON.Vec3(-n.x, -n.y, -n.z) : new CANNON.Vec3(n.x, n.y, n.z);
+            // Impulses are kept per manifold point; share their total between the touching points.
+            let impulse = 0;
+            for (let i = 0; i < manifold.numContacts(); i++) {
+              impulse += manifold.contactImpulse(i);
+            }
+            // Solver points still apart are speculative (Rapier acts before shapes touch); skip them,
+            // unless the pair pushed anyway: a body resting on another hovers a hair above it as
+            // often as it sinks in.
+            const touching = [];
+            const speculative = [];
+            for (let i = 0; i < manifold.numSolverContacts(); i++) {
+              const point = manifold.solverContactPoint(i);
+              (manifold.solverContactDist(i) <= 0 ? touching : speculative).push(point);
+            }
+            if (touching.length === 0 && impulse > 0) touching.push(...speculative);
+            touching.forEach(p => {
+              contacts.push({
+                bodyA: body,
+                bodyB,
+                point: new CANNON.Vec3(p.x, p.y, p.z),
+                normal,
+                impulse: impulse / touching.length
+              });
+            });
+          });
+        });
+      });
+    });
+    return contacts;
+  }
+
+  internalStep(dt) {
+    this.dt = dt;
+    this.dispatchEvent({ type: 'preStep' });
+    this.world.timestep = dt;
+    this.world.gravity = toRapierVector(this.gravity);
+    this.applyHeightfieldChanges();
+    this.updateContactCoefficients();
+    this.bodies.forEach(body => body.push());
+    if (this.vehicles.length > 0) {
+      // The wheels cast against the colliders as pushed, including any reshaped this step.
+      this.world.updateSceneQueries();
+      this.vehicles.forEach(vehicle => vehicle.update(this, dt));
+    }
+    this.world.step();
+    this.bodies.forEach(body => body.pull());
+    this.dispatchEvent({ type: 'postStep' });
+  }
+
+  step(dt, timeSinceLastCalled, maxSubSteps = 10) {
+    if (timeSinceLastCalled === undefined) {
+      this.internalStep(dt);
+      this.time += dt;
+      this.bodies.forEach(body => body.interpolate(1));
+      return;
+    }
+
+    this.accumulator += timeSinceLastCalled;
+    let substeps = 0;
+    while (this.accumulator >= dt && substeps < maxSubSteps) {
+      this.internalStep(dt);
+      this.accumulator -= dt;
+      substeps++;
+    }
+    // Drop whatever could not be caught up, as cannon does.
+    this.accumulator = this.accumulator % dt;
+    const t = this.accumulator / dt;
+    this.bodies.forEach(body => body.interpolate(t));
+    this.time += timeSinceLastCalled;
+  }
+}
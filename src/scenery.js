@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { tagBody } from './collisionEvents.js';
+import { getMaterial } from './materials.js';
 
 /**
  * Utility: Creates a single dynamic "block" in both THREE and CANNON.
@@ -32,8 +34,8 @@ function createDynamicBox(
   // 2) Create the Cannon.js body
   const halfX = size.x * 0.5;
   const halfZ = size.z * 0.5;
-  const shape = new CANNON.Box(new CANNON.Vec3(halfX, halfY, halfZ));
-  const body = new CANNON.Body({
+  const shape = physicsWorld.createBox(new CANNON.Vec3(halfX, halfY, halfZ));
+  const body = physicsWorld.createBody({
     mass,
     linearDamping: 0.01,
     angularDamping: 0.01
@@ -89,7 +91,11 @@ export function createTree(scene, physicsWorld, groundMaterial, position) {
     true
   );
 
-  return { trunk: trunkBlock, foliage: foliageBlock };
+  // Trunk and foliage lean on each other; tagging them as one entity keeps that quiet.
+  const tree = { trunk: trunkBlock, foliage: foliageBlock };
+  tagBody(trunkBlock.body, 'vegetation', 'tree', tree);
+  tagBody(foliageBlock.body, 'vegetation', 'tree', tree);
+  return tree;
 }
 
 /**
@@ -142,9 +148,9 @@ export function createHouse(scene, physicsWorld, groundMaterial, position) {
   // 2) The roof shape: a box of half extents (roofSize.x/2, roofSize.y/2, roofSize.z/2),
   //    positioned at (0, baseSize.y + roofSize.y/2, 0) with a 45° rotation about Y.
   const houseMass = 100000; // Use a high mass so the house won't be pushed
-  const houseBody = new CANNON.Body({
+  const houseBody = physicsWorld.createBody({
     mass: houseMass,
-    material: groundMaterial,
+    material: getMaterial(physicsWorld, 'concrete'),
     linearDamping: 0.01,
     angularDamping: 0.01,
     fixedRotation: true
@@ -152,13 +158,13 @@ export function createHouse(scene, physicsWorld, groundMaterial, position) {
 
   // Base shape
   const baseHalf = new CANNON.Vec3(baseSize.x / 2, baseSize.y / 2, baseSize.z / 2);
-  const baseShape = new CANNON.Box(baseHalf);
+  const baseShape = physicsWorld.createBox(baseHalf);
   // Position the base shape so its center is at (0, baseSize.y/2, 0)
   houseBody.addShape(baseShape, new CANNON.Vec3(0, baseSize.y / 2, 0));
 
   // Roof shape
   const roofHalf = new CANNON.Vec3(roofSize.x / 2, roofSize.y / 2, roofSize.z / 2);
-  const roofShape = new CANNON.Box(roofHalf);
+  const roofShape = physicsWorld.createBox(roofHalf);
   // Define a quaternion for a 45° rotation around Y
   const roofQuat = new CANNON.Quaternion();
   roofQuat.setFromEuler(0, Math.PI / 4, 0);
@@ -168,32 +174,86 @@ export function createHouse(scene, physicsWorld, groundMaterial, position) {
   // Position the compound body so that the bottom of the house is at position.y
   // The compound shape extends from y=0 to y=(baseSize.y + roofSize.y)
   houseBody.position.set(position.x, position.y, position.z);
+  tagBody(houseBody, 'building', 'house');
   physicsWorld.addBody(houseBody);
 
   return { group: houseGroup, body: houseBody };
 }
 
 /**
- * Creates a road as a narrow plane connecting two points.
+ * Creates a road as a narrow strip connecting two points. When getHeight is
+ * given the strip is split into short segments that follow the terrain.
  */
-export function createRoad(scene, start, end) {
+export function createRoad(scene, start, end, getHeight) {
   const dx = end.x - start.x;
   const dz = end.z - start.z;
   const length = Math.sqrt(dx * dx + dz * dz);
-  const roadGeo = new THREE.PlaneGeometry(2, length);
   const roadMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
-  const road = new THREE.Mesh(roadGeo, roadMat);
-  road.rotation.x = -Math.PI / 2;
-  road.position.set((start.x + end.x) / 2, 0.05, (start.z + end.z) / 2);
-  road.rotation.z = Math.atan2(dz, dx);
-  scene.add(road);
+
+  if (!getHeight) {
+    const roadGeo = new THREE.PlaneGeometry(2, length);
+    const road = new THREE.Mesh(roadGeo, roadMat);
+    road.rotation.x = -Math.PI / 2;
+    road.position.set((start.x + end.x) / 2, 0.05, (start.z + end.z) / 2);
+    road.rotation.z = Math.atan2(dz, dx);
+    scene.add(road);
+    return;
+  }
+
+  // Draped strip: a pair of vertices (left and right edge) roughly every metre.
+  const halfWidth = 1;
+  const segmentCount = Math.max(1, Math.ceil(length));
+  const sideX = (-dz / length) * halfWidth;
+  const sideZ = (dx / length) * halfWidth;
+  const positions = [];
+  const indices = [];
+  for (let k = 0; k <= segmentCount; k++) {
+    const t = k / segmentCount;
+    const x = start.x + dx * t;
+    const z = start.z + dz * t;
+    positions.push(
+      x + sideX, getHeight(x + sideX, z + sideZ) + 0.05, z + sideZ,
+      x - sideX, getHeight(x - sideX, z - sideZ) + 0.05, z - sideZ
+    );
+    if (k < segmentCount) {
+      const a = k * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+  }
+  const roadGeo = new THREE.BufferGeometry();
+  roadGeo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  roadGeo.setIndex(indices);
+  roadGeo.computeVertexNormals();
+  roadMat.side = THREE.DoubleSide;
+  scene.add(new THREE.Mesh(roadGeo, roadMat));
+}
+
+/**
+ * Returns flat terrain pads for the house plots laid out by createSceneryExtended,
+ * large enough to cover each house wherever its random offset puts it.
+ */
+export function getSceneryBuildingPads(terrainSize, gridRows = 4, gridCols = 4) {
+  const cellSize = terrainSize / gridCols;
+  const halfTerrain = terrainSize / 2;
+  const pads = [];
+  for (let i = 0; i < gridRows; i++) {
+    for (let j = 0; j < gridCols; j++) {
+      pads.push({
+        x: -halfTerrain + cellSize * j + cellSize / 2,
+        z: -halfTerrain + cellSize * i + cellSize / 2,
+        radius: cellSize * 0.15 * Math.SQRT2 + 3
+      });
+    }
+  }
+  return pads;
 }
 
 /**
  * Creates a neighborhood in a grid layout:
  * Houses in a grid, roads, and some trees scattered around.
+ * The house offsets and tree spots come from random, a seeded generator from random.js.
  */
-export function createSceneryExtended(scene, physicsWorld, groundMaterial, getHeight, terrainSize) {
+export function createSceneryExtended(scene, physicsWorld, groundMaterial, getHeight, terrainSize, random) {
   const gridRows = 4;
   const gridCols = 4;
   const cellSize = terrainSize / gridCols;
@@ -207,8 +267,8 @@ export function createSceneryExtended(scene, physicsWorld, groundMaterial, getHe
       const centerZ = -halfTerrain + cellSize * i + cellSize / 2;
 
       // Apply a small random offset.
-      const offsetX = (Math.random() - 0.5) * cellSize * 0.3;
-      const offsetZ = (Math.random() - 0.5) * cellSize * 0.3;
+      const offsetX = (random() - 0.5) * cellSize * 0.3;
+      const offsetZ = (random() - 0.5) * cellSize * 0.3;
       const posX = centerX + offsetX;
       const posZ = centerZ + offsetZ;
 
@@ -226,7 +286,8 @@ export function createSceneryExtended(scene, physicsWorld, groundMaterial, getHe
     createRoad(
       scene,
       new THREE.Vector3(-halfTerrain, getHeight(-halfTerrain, z), z),
-      new THREE.Vector3(halfTerrain, getHeight(halfTerrain, z), z)
+      new THREE.Vector3(halfTerrain, getHeight(halfTerrain, z), z),
+      getHeight
     );
   }
 
@@ -236,14 +297,15 @@ export function createSceneryExtended(scene, physicsWorld, groundMaterial, getHe
     createRoad(
       scene,
       new THREE.Vector3(x, getHeight(x, -halfTerrain), -halfTerrain),
-      new THREE.Vector3(x, getHeight(x, halfTerrain), halfTerrain)
+      new THREE.Vector3(x, getHeight(x, halfTerrain), halfTerrain),
+      getHeight
     );
   }
 
   // Scatter a few trees.
   for (let i = 0; i < 10; i++) {
-    const x = (Math.random() - 0.5) * terrainSize;
-    const z = (Math.random() - 0.5) * terrainSize;
+    const x = (random() - 0.5) * terrainSize;
+    const z = (random() - 0.5) * terrainSize;
     const posY = getHeight(x, z);
     createTree(scene, physicsWorld, groundMaterial, new THREE.Vector3(x, posY, z));
   }
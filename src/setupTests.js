@@ -0,0 +1,6 @@
+// src/setupTests.js
+import { CompressionStream, DecompressionStream } from 'stream/web';
+
+// jest's environments leave out the compression streams that browsers and Node have, which
+// the PNG heightmaps are read and written with.
+Object.assign(global, { CompressionStream, DecompressionStream });
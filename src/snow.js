@@ -1,15 +1,16 @@
 // src/snow.js
 import * as THREE from 'three';
 
-export function createSnow(scene, terrainSize) {
+// random: the generator from random.js; it is kept on the points for respawning flakes.
+export function createSnow(scene, terrainSize, random) {
   const snowCount = 5000;
   const snowGeometry = new THREE.BufferGeometry();
   const positions = new Float32Array(snowCount * 3);
 
   for (let i = 0; i < snowCount; i++) {
-    positions[i * 3] = (Math.random() - 0.5) * terrainSize;
-    positions[i * 3 + 1] = Math.random() * 50 + 20; // Snow starts high (between 20 and 70)
-    positions[i * 3 + 2] = (Math.random() - 0.5) * terrainSize;
+    positions[i * 3] = (random() - 0.5) * terrainSize;
+    positions[i * 3 + 1] = random() * 50 + 20; // Snow starts high (between 20 and 70)
+    positions[i * 3 + 2] = (random() - 0.5) * terrainSize;
   }
   snowGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 
@@ -21,18 +22,21 @@ export function createSnow(scene, terrainSize) {
   });
 
   const snowParticles = new THREE.Points(snowGeometry, snowMaterial);
+  snowParticles.userData.random = random;
   scene.add(snowParticles);
 
   return snowParticles;
 }
 
-export function updateSnow(snowParticles) {
+// deltaTime is simulated seconds.
+export function updateSnow(snowParticles, deltaTime = 1 / 60) {
   const positions = snowParticles.geometry.attributes.position.array;
   const snowCount = positions.length / 3;
+  const { random } = snowParticles.userData;
   for (let i = 0; i < snowCount; i++) {
-    positions[i * 3 + 1] -= 0.1; // Falling speed
+    positions[i * 3 + 1] -= 6 * deltaTime; // Falling speed, m/s
     if (positions[i * 3 + 1] < 0) {
-      positions[i * 3 + 1] = Math.random() * 50 + 20; // Reset to a high value
+      positions[i * 3 + 1] = random() * 50 + 20; // Reset to a high value
     }
   }
   snowParticles.geometry.attributes.position.needsUpdate = true;
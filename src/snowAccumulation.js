@@ -1,15 +1,31 @@
 // src/snowAccumulation.js
 import * as THREE from 'three';
 
-export function createSnowLayer(terrainSize, segments = 64) {
+// Snow builds up at this rate, m/s, at the usual snowfall.
+const ACCUMULATION_RATE = 0.003;
+// Cross-section of the snow the blade can roll along in front of it, m²; more spills off its ends.
+const BLADE_LOAD_AREA = 0.3;
+// Angled this far or more across its travel, rad, the blade casts all of what it cannot hold
+// off its trailing end; square to it, the overflow spills off both ends alike.
+const CAST_ANGLE = Math.PI / 12;
+// With its edge this far above the snow, m, the blade is lifted clear and drops its load.
+const LIFT_CLEARANCE = 0.3;
+// The windrow builds up this far beyond the blade's end, m.
+const WINDROW_OFFSET = 0.5;
+
+export function createSnowLayer(terrainSize, segments = 64, getHeight = () => 0) {
   const geometry = new THREE.PlaneGeometry(terrainSize, terrainSize, segments, segments);
   geometry.rotateX(-Math.PI / 2);
-  // Start with a flat layer (no snow).
+  // Start with no snow: the layer lies on the ground, whose heights are kept
+  // so that the snow depth can be recovered from the vertex heights.
   const positions = geometry.attributes.position.array;
+  const groundHeights = new Float32Array(positions.length / 3);
   for (let i = 0; i < positions.length / 3; i++) {
-    positions[i * 3 + 1] = 0;
+    groundHeights[i] = getHeight(positions[i * 3], positions[i * 3 + 2]);
+    positions[i * 3 + 1] = groundHeights[i];
   }
   geometry.attributes.position.needsUpdate = true;
+  geometry.computeVertexNormals();
   const material = new THREE.MeshStandardMaterial({
     color: 0xffffff,
     roughness: 1,
@@ -20,51 +36,148 @@ export function createSnowLayer(terrainSize, segments = 64) {
   });
   const snowLayer = new THREE.Mesh(geometry, material);
   snowLayer.receiveShadow = true;
+  snowLayer.userData.groundHeights = groundHeights;
+  // The plow blade's edge on the last update and the snow it carries, m³ (see sweepBlade).
+  snowLayer.userData.sweep = null;
   return snowLayer;
 }
 
-export function updateSnowLayer(snowLayer, activeVehicle, multiplier = 1.0) {
-  // Get vehicle position and forward vector.
-  const vehiclePos = activeVehicle.baseGroup.position;
-  const forward = new THREE.Vector3(0, 0, -1)
-    .applyQuaternion(activeVehicle.baseBody.quaternion)
-    .normalize();
-
+/**
+ * Lets snow fall on the layer for deltaTime and works the plow's blade through
+ * it (see sweepBlade).
+ *
+ * @param {THREE.Mesh} snowLayer - From createSnowLayer
+ * @param {SnowPlow} plow
+ * @param {number} [multiplier=1] - Snowfall as a multiple of the usual rate
+ * @param {number} [deltaTime=1/60] - Simulated seconds, so snow stops building up while the
+ *   simulation is paused
+ */
+export function updateSnowLayer(snowLayer, plow, multiplier = 1.0, deltaTime = 1 / 60) {
   const positions = snowLayer.geometry.attributes.position.array;
-  const count = positions.length / 3;
-  // Use much lower accumulation values for a slower buildup.
-  const normalAccumulation = 0.00005 * multiplier; // e.g. 0.00005 per frame
-  const clearRadius = 3;
-  const pileRadius = 6;
-  const extraAccumulation = 0.0005 * multiplier; // extra accumulation in front
-  const angleThreshold = Math.cos(THREE.MathUtils.degToRad(45));
+  const accumulation = ACCUMULATION_RATE * multiplier * deltaTime;
+  for (let i = 1; i < positions.length; i += 3) {
+    positions[i] += accumulation;
+  }
+  sweepBlade(snowLayer, plow.getBladeEdge(), deltaTime);
+  snowLayer.geometry.attributes.position.needsUpdate = true;
+  snowLayer.geometry.computeVertexNormals();
+}
 
-  for (let i = 0; i < count; i++) {
-    const idx = i * 3;
-    const vx = positions[idx];      // x-coordinate (local)
-    let vy = positions[idx + 1];    // current snow height
-    const vz = positions[idx + 2];
+/*
+ * The blade cuts the snow its edge passes over, going forward, down to the
+ * edge's height, and carries what it cut along. An angled blade pushes its
+ * load sideways as well: the snow runs along the blade, the faster the more
+ * it is angled, and falls off its trailing end in a windrow. What the blade
+ * cannot hold spills over too, off both ends of a square blade; lifted clear
+ * of the snow, the blade drops the lot in front of it.
+ */
+function sweepBlade(snowLayer, { left, right }, deltaTime) {
+  const previous = snowLayer.userData.sweep || { left, right, carried: 0 };
+  const { width, height, widthSegments, heightSegments } = snowLayer.geometry.parameters;
+  const cellArea = (width / widthSegments) * (height / heightSegments);
+  const positions = snowLayer.geometry.attributes.position.array;
+  const groundHeights = snowLayer.userData.groundHeights;
 
-    // Compute vertex world position (layer is static at the origin).
-    const vertexPos = new THREE.Vector3(vx, vy, vz);
-    const dx = vertexPos.x - vehiclePos.x;
-    const dz = vertexPos.z - vehiclePos.z;
-    const distance = Math.sqrt(dx * dx + dz * dz);
-    const toVertex = new THREE.Vector3(dx, 0, dz).normalize();
-    const dot = forward.dot(toVertex);
+  // Level directions along the blade, left to right, and ahead of it, on either step.
+  const length = Math.hypot(right.x - left.x, right.z - left.z);
+  const along = new THREE.Vector2(right.x - left.x, right.z - left.z).divideScalar(length);
+  const ahead = new THREE.Vector2(along.y, -along.x);
+  const previousAhead = new THREE.Vector2(
+    previous.right.z - previous.left.z,
+    previous.left.x - previous.right.x
+  ).normalize();
 
-    if (distance < clearRadius) {
-      // Underneath the vehicle, clear snow a bit faster.
-      vy = Math.max(0, vy - 0.001);
-    } else if (distance < pileRadius && dot > angleThreshold) {
-      // In front of the vehicle, add extra snow.
-      vy += extraAccumulation;
-    } else {
-      // Otherwise, accumulate slowly.
-      vy += normalAccumulation;
+  const corners = [left, right, previous.left, previous.right];
+  const columns = corners.map(point => (point.x / width + 0.5) * widthSegments);
+  const rows = corners.map(point => (point.z / height + 0.5) * heightSegments);
+  const minColumn = Math.max(0, Math.floor(Math.min(...columns)));
+  const maxColumn = Math.min(widthSegments, Math.ceil(Math.max(...columns)));
+  const minRow = Math.max(0, Math.floor(Math.min(...rows)));
+  const maxRow = Math.min(heightSegments, Math.ceil(Math.max(...rows)));
+  let carried = previous.carried;
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let column = minColumn; column <= maxColumn; column++) {
+      const i = row * (widthSegments + 1) + column;
+      const x = positions[i * 3];
+      const z = positions[i * 3 + 2];
+      const s = ((x - left.x) * along.x + (z - left.z) * along.y) / length;
+      const wasAhead = (x - previous.left.x) * previousAhead.x + (z - previous.left.z) * previousAhead.y > 0;
+      const isAhead = (x - left.x) * ahead.x + (z - left.z) * ahead.y > 0;
+      if (s < 0 || s > 1 || !wasAhead || isAhead) continue;
+      const floor = Math.max(groundHeights[i], left.y + (right.y - left.y) * s);
+      if (positions[i * 3 + 1] > floor) {
+        carried += (positions[i * 3 + 1] - floor) * cellArea;
+        positions[i * 3 + 1] = floor;
+      }
     }
-    positions[idx + 1] = vy;
   }
-  snowLayer.geometry.attributes.position.needsUpdate = true;
-  snowLayer.geometry.computeVertexNormals();
+
+  const center = left.clone().add(right).multiplyScalar(0.5);
+  const offEnd = (end, direction, volume) => depositSnow(
+    snowLayer,
+    end.x + direction * along.x * WINDROW_OFFSET,
+    end.z + direction * along.y * WINDROW_OFFSET,
+    volume
+  );
+  // Pushed forward, the snow runs along the blade against the blade's own sideways motion,
+  // here to the right when slide < 0.
+  const previousCenter = previous.left.clone().add(previous.right).multiplyScalar(0.5);
+  const motion = new THREE.Vector2(center.x - previousCenter.x, center.z - previousCenter.z);
+  const slide = deltaTime > 0 && motion.dot(ahead) > 0 ? motion.dot(along) : 0;
+  const spill = carried * Math.min(1, Math.abs(slide) / length);
+  const overflow = Math.max(0, carried - spill - BLADE_LOAD_AREA * length);
+  const skew = slide === 0 ? 0 : Math.min(1, Math.abs(slide) / motion.length() / Math.sin(CAST_ANGLE));
+  const trailing = overflow * (1 + skew) / 2 + spill;
+  const leading = overflow * (1 - skew) / 2;
+  if (trailing + leading > 0) {
+    offEnd(slide < 0 ? right : left, slide < 0 ? 1 : -1, trailing);
+    offEnd(slide < 0 ? left : right, slide < 0 ? -1 : 1, leading);
+    carried -= trailing + leading;
+  }
+  const below = nearestVertex(snowLayer, center.x, center.z);
+  if (carried > 0 && below !== -1 && center.y - positions[below * 3 + 1] > LIFT_CLEARANCE) {
+    depositSnow(snowLayer, center.x + ahead.x * WINDROW_OFFSET, center.z + ahead.y * WINDROW_OFFSET, carried);
+    carried = 0;
+  }
+  snowLayer.userData.sweep = { left, right, carried };
+}
+
+// Spreads a volume of snow, m³, over the four vertices around (x, z); none of it lands off the layer.
+function depositSnow(snowLayer, x, z, volume) {
+  const { width, height, widthSegments, heightSegments } = snowLayer.geometry.parameters;
+  const cellArea = (width / widthSegments) * (height / heightSegments);
+  const positions = snowLayer.geometry.attributes.position.array;
+  const u = (x / width + 0.5) * widthSegments;
+  const v = (z / height + 0.5) * heightSegments;
+  const column = Math.floor(u);
+  const row = Math.floor(v);
+  [[0, 0], [1, 0], [0, 1], [1, 1]].forEach(([dc, dr]) => {
+    const c = column + dc;
+    const r = row + dr;
+    if (c < 0 || c > widthSegments || r < 0 || r > heightSegments) return;
+    const weight = (dc ? u - column : 1 - (u - column)) * (dr ? v - row : 1 - (v - row));
+    positions[(r * (widthSegments + 1) + c) * 3 + 1] += volume * weight / cellArea;
+  });
+}
+
+// Index of the layer's vertex nearest (x, z), or -1 off the layer.
+function nearestVertex(snowLayer, x, z) {
+  const { width, height, widthSegments, heightSegments } = snowLayer.geometry.parameters;
+  const column = Math.round((x / width + 0.5) * widthSegments);
+  const row = Math.round((z / height + 0.5) * heightSegments);
+  if (column < 0 || column > widthSegments || row < 0 || row > heightSegments) return -1;
+  return row * (widthSegments + 1) + column;
+}
+
+/**
+ * Depth of the snow at (x, z), read from the nearest vertex of the layer.
+ *
+ * @param {THREE.Mesh} snowLayer - From createSnowLayer
+ * @returns {number} m, 0 off the layer
+ */
+export function getSnowDepth(snowLayer, x, z) {
+  const i = nearestVertex(snowLayer, x, z);
+  if (i === -1) return 0;
+  const positions = snowLayer.geometry.attributes.position.array;
+  return positions[i * 3 + 1] - snowLayer.userData.groundHeights[i];
 }
@@ -0,0 +1,69 @@
+// src/snowAccumulation.test.js
+import * as THREE from 'three';
+import { createSnowLayer, updateSnowLayer, getSnowDepth } from './snowAccumulation.js';
+
+// A 40 m layer of 0.5 m cells under 0.2 m of snow, let fall with the blade held high out of it
+// where pushBlade starts.
+function createSnowyLayer() {
+  const snowLayer = createSnowLayer(40, 80);
+  const raised = { getBladeEdge: () => ({ left: new THREE.Vector3(-1.25, 5, 5), right: new THREE.Vector3(1.25, 5, 5) }) };
+  updateSnowLayer(snowLayer, raised, 0.2 / 0.003, 1);
+  return snowLayer;
+}
+
+// Pushes a blade with its edge at height y from z = 5 to z = -5, its right end `back` m behind
+// its left one, 2 m/s forward (-z).
+function pushBlade(snowLayer, { y = 0, back = 0 } = {}) {
+  let z = 5;
+  const plow = {
+    getBladeEdge: () => ({ left: new THREE.Vector3(-1.25, y, z), right: new THREE.Vector3(1.25, y, z + back) })
+  };
+  for (; z > -5; z -= 2 / 60) {
+    updateSnowLayer(snowLayer, plow, 0, 1 / 60);
+  }
+}
+
+// All the snow on the layer and on the blade, m³.
+function snowVolume(snowLayer) {
+  const { width, widthSegments } = snowLayer.geometry.parameters;
+  const positions = snowLayer.geometry.attributes.position.array;
+  const { groundHeights, sweep } = snowLayer.userData;
+  let depth = 0;
+  groundHeights.forEach((ground, i) => {
+    depth += positions[i * 3 + 1] - ground;
+  });
+  return depth * (width / widthSegments) ** 2 + (sweep ? sweep.carried : 0);
+}
+
+test('a square blade clears its path and carries the snow along, spilling it off both ends', () => {
+  const snowLayer = createSnowyLayer();
+  const volume = snowVolume(snowLayer);
+
+  pushBlade(snowLayer);
+  expect(getSnowDepth(snowLayer, 0, 0)).toBeLessThan(0.01);
+  expect(getSnowDepth(snowLayer, 0, 3)).toBeLessThan(0.01);
+  expect(snowVolume(snowLayer)).toBeCloseTo(volume, 5);
+  // Beyond each end of the blade, the same heap.
+  expect(getSnowDepth(snowLayer, -2, -3)).toBeGreaterThan(0.25);
+  expect(getSnowDepth(snowLayer, -2, -3)).toBeCloseTo(getSnowDepth(snowLayer, 2, -3), 5);
+});
+
+test('an angled blade casts its windrow off its trailing end', () => {
+  const snowLayer = createSnowyLayer();
+  const volume = snowVolume(snowLayer);
+
+  // Swung 22° with its right end back.
+  pushBlade(snowLayer, { back: 1 });
+  expect(getSnowDepth(snowLayer, 0, 0)).toBeLessThan(0.01);
+  expect(snowVolume(snowLayer)).toBeCloseTo(volume, 5);
+  expect(getSnowDepth(snowLayer, 2, 0)).toBeGreaterThan(0.4);
+  expect(getSnowDepth(snowLayer, -2, 0)).toBeCloseTo(0.2, 5);
+});
+
+test('a blade lifted clear of the snow leaves it where it lies', () => {
+  const snowLayer = createSnowyLayer();
+
+  pushBlade(snowLayer, { y: 0.6 });
+  expect(getSnowDepth(snowLayer, 0, 0)).toBeCloseTo(0.2, 5);
+  expect(snowLayer.userData.sweep.carried).toBe(0);
+});
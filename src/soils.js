@@ -0,0 +1,199 @@
+// src/soils.js
+import { getMaterialRegistry } from './materials.js';
+
+/**
+ * Soil types. density is in kg/m³, cohesion in kPa and frictionAngle in
+ * degrees; digResistance is the cutting effort relative to sand. Rock has to
+ * be broken before it can be dug: breakTime is the seconds of raking with the
+ * bucket teeth that fracture it, down to fractureDepth metres.
+ */
+export const SOIL_TYPES = {
+  topsoil: { name: 'topsoil', density: 1400, cohesion: 5, frictionAngle: 30, digResistance: 1.2, color: 0x5b4632 },
+  sand: { name: 'sand', density: 1600, cohesion: 0, frictionAngle: 32, digResistance: 1, color: 0xd4a017 },
+  clay: { name: 'clay', density: 1800, cohesion: 50, frictionAngle: 20, digResistance: 2.5, color: 0x9c6b4e },
+  gravel: { name: 'gravel', density: 1900, cohesion: 0, frictionAngle: 38, digResistance: 1.8, color: 0x8a8a80 },
+  rock: {
+    name: 'rock',
+    density: 2600,
+    cohesion: 500,
+    frictionAngle: 42,
+    digResistance: 4,
+    color: 0x6f6a66,
+    breakTime: 3,
+    fractureDepth: 0.5
+  }
+};
+
+// Layers from the original surface down, each { soil, depth } in metres; the last goes on forever.
+export const DEFAULT_SOIL_PROFILE = [
+  { soil: 'topsoil', depth: 0.4 },
+  { soil: 'clay', depth: 1.5 },
+  { soil: 'gravel', depth: 1 },
+  { soil: 'rock' }
+];
+
+// Blocks and their contacts are tuned around sand (the 'sandBlock' material and 1 kg blocks).
+const REFERENCE_SOIL = 'sand';
+
+// The arm's bodies weigh tens of kilograms, so blocks are scaled down with them:
+// a 1 m³ sand block keeps its 1 kg, and other soils keep their density relative to sand.
+const BLOCK_MASS_PER_DENSITY = 1 / SOIL_TYPES[REFERENCE_SOIL].density;
+
+/**
+ * @param {string} name - One of the keys of SOIL_TYPES
+ * @returns {Object} The soil type
+ */
+export function getSoilType(name) {
+  const soil = SOIL_TYPES[name];
+  if (!soil) {
+    throw new Error(`Unknown soil type "${name}"; expected one of ${Object.keys(SOIL_TYPES).join(', ')}`);
+  }
+  return soil;
+}
+
+/**
+ * Mass of a loose block of soil, scaled to the simulation (see BLOCK_MASS_PER_DENSITY).
+ *
+ * @param {string} name - Soil type
+ * @param {number} [volume] - Block volume in m³
+ * @returns {number} kg
+ */
+export function getBlockMass(name, volume = 1) {
+  return getSoilType(name).density * volume * BLOCK_MASS_PER_DENSITY;
+}
+
+/**
+ * Mass a loose block's body stands for at its soil's full density: getBlockMass undone.
+ *
+ * @param {number} bodyMass - kg
+ * @returns {number} kg
+ */
+export function getFullBlockMass(bodyMass) {
+  return bodyMass / BLOCK_MASS_PER_DENSITY;
+}
+
+/**
+ * Physics material for loose blocks of a soil type. Its friction with
+ * everything is the sand block's scaled by tan(friction angle) relative to
+ * sand, so gravel grips and clay slides.
+ *
+ * @param {PhysicsBackend} physicsWorld
+ * @param {string} name - Soil type
+ * @returns {CANNON.Material}
+ */
+export function getSoilMaterial(physicsWorld, name) {
+  const soil = getSoilType(name);
+  const reference = SOIL_TYPES[REFERENCE_SOIL];
+  const frictionScale = Math.tan(soil.frictionAngle * Math.PI / 180) / Math.tan(reference.frictionAngle * Math.PI / 180);
+  const materialName = name === REFERENCE_SOIL ? 'sandBlock' : `${name}Block`;
+  return getMaterialRegistry(physicsWorld).derive(materialName, 'sandBlock', frictionScale);
+}
+
+/**
+ * What the terrain is made of. The ground is layered as in the soil profile,
+ * measured down from the original surface; material dumped on top keeps the
+ * type it was dug as. Rock starts intact and is fractured by breakGround.
+ *
+ * State is kept per terrain grid vertex in world coordinates, so it also
+ * works with a createTerrainChunks terrain and survives tiles being unloaded.
+ */
+export class SoilModel {
+  /**
+   * @param {Object} terrain - From createTerrain or createTerrainChunks
+   * @param {Object} [options]
+   * @param {Array<Object>|Function} [options.profile] - Soil layers, or (x, z) => layers
+   *   for ground that changes across the site
+   */
+  constructor(terrain, { profile = DEFAULT_SOIL_PROFILE } = {}) {
+    this.terrain = terrain;
+    this.profile = typeof profile === 'function' ? profile : () => profile;
+    this.cellSize = terrain.elementSize;
+    // Vertex key => soil name of material dumped there.
+    this.fill = new Map();
+    // Vertex key => height down to which intact rock has been fractured.
+    this.fractured = new Map();
+    // Vertex key => seconds of breaking work done on the intact rock there.
+    this.breakWork = new Map();
+  }
+
+  key(x, z) {
+    return `${Math.round(x / this.cellSize)},${Math.round(z / this.cellSize)}`;
+  }
+
+  // Calls back with the world position and key of each vertex within radius of (x, z).
+  forEachVertex(x, z, radius, callback) {
+    const r = Math.ceil(radius / this.cellSize);
+    const ci = Math.round(x / this.cellSize);
+    const cj = Math.round(z / this.cellSize);
+    for (let i = ci - r; i <= ci + r; i++) {
+      for (let j = cj - r; j <= cj + r; j++) {
+        const vx = i * this.cellSize;
+        const vz = j * this.cellSize;
+        if (Math.hypot(vx - x, vz - z) <= radius) callback(vx, vz, `${i},${j}`);
+      }
+    }
+  }
+
+  // Soil layer at a depth below the original surface.
+  layerAt(x, z, depth) {
+    const layers = this.profile(x, z);
+    let bottom = 0;
+    for (const layer of layers) {
+      bottom += layer.depth ?? Infinity;
+      if (depth < bottom) return layer.soil;
+    }
+    return layers[layers.length - 1].soil;
+  }
+
+  /**
+   * @returns {Object} The soil type at the surface at (x, z)
+   */
+  soilAt(x, z) {
+    const depth = this.terrain.getOriginalHeight(x, z) - this.terrain.getHeight(x, z);
+    const filled = this.fill.get(this.key(x, z));
+    if (depth < 0 && filled) return getSoilType(filled);
+    return getSoilType(this.layerAt(x, z, Math.max(0, depth)));
+  }
+
+  /**
+   * @returns {boolean} Whether the surface at (x, z) is rock that has not been broken yet
+   */
+  isIntact(x, z) {
+    const soil = this.soilAt(x, z);
+    if (!soil.breakTime) return false;
+    const fracturedTo = this.fractured.get(this.key(x, z));
+    return fracturedTo === undefined || this.terrain.getHeight(x, z) <= fracturedTo;
+  }
+
+  /**
+   * Works at intact rock within radius of (x, z); once a vertex has had its
+   * breakTime of work, the rock there is fractured to fractureDepth below the
+   * surface and can be dug.
+   *
+   * @param {number} work - Seconds of breaking effort, scaled by the tool (1 for bucket teeth)
+   * @returns {boolean} Whether any rock broke
+   */
+  breakGround(x, z, radius, work) {
+    let broke = false;
+    this.forEachVertex(x, z, radius, (vx, vz, key) => {
+      if (!this.isIntact(vx, vz)) return;
+      const soil = this.soilAt(vx, vz);
+      const done = (this.breakWork.get(key) || 0) + work;
+      if (done < soil.breakTime) {
+        this.breakWork.set(key, done);
+        return;
+      }
+      this.breakWork.delete(key);
+      this.fractured.set(key, this.terrain.getHeight(vx, vz) - soil.fractureDepth);
+      broke = true;
+    });
+    return broke;
+  }
+
+  /**
+   * Records soil dumped within radius of (x, z), so digging it up again gives the same soil.
+   */
+  recordFill(x, z, radius, soilName) {
+    this.forEachVertex(x, z, radius, (vx, vz, key) => this.fill.set(key, soilName));
+  }
+}
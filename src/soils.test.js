@@ -0,0 +1,63 @@
+// src/soils.test.js
+import * as THREE from 'three';
+import { initPhysics } from './physics.js';
+import { getMaterial, getMaterialRegistry } from './materials.js';
+import { createTerrain } from './terrain.js';
+import { SoilModel, getBlockMass, getFullBlockMass, getSoilMaterial, getSoilType } from './soils.js';
+
+async function createSoil(profile) {
+  const physicsWorld = await initPhysics();
+  const terrain = createTerrain(new THREE.Scene(), physicsWorld, getMaterial(physicsWorld, 'soil'), { size: 20, segments: 20, amplitude: 0 });
+  return { physicsWorld, terrain, soil: new SoilModel(terrain, { profile }) };
+}
+
+test('the layers come up as the ground is dug down', async () => {
+  const { terrain, soil } = await createSoil();
+  expect(soil.soilAt(0, 0).name).toBe('topsoil');
+  terrain.lowerTo(0, 0, 1, -1);
+  expect(soil.soilAt(0, 0).name).toBe('clay');
+  terrain.lowerTo(0, 0, 1, -2.5);
+  expect(soil.soilAt(0, 0).name).toBe('gravel');
+  terrain.lowerTo(0, 0, 1, -10);
+  expect(soil.soilAt(0, 0).name).toBe('rock');
+});
+
+test('dumped material keeps the type it was dug as', async () => {
+  const { terrain, soil } = await createSoil();
+  terrain.deposit(0, 0, 1, 1);
+  soil.recordFill(0, 0, 1, 'gravel');
+  expect(soil.soilAt(0, 0).name).toBe('gravel');
+  expect(soil.soilAt(5, 5).name).toBe('topsoil');
+});
+
+test('rock has to be broken for its breakTime before it can be dug, and only to fractureDepth', async () => {
+  const { terrain, soil } = await createSoil([{ soil: 'rock' }]);
+  const { breakTime, fractureDepth } = getSoilType('rock');
+  expect(soil.isIntact(0, 0)).toBe(true);
+  expect(soil.breakGround(0, 0, 0.5, breakTime / 2)).toBe(false);
+  expect(soil.isIntact(0, 0)).toBe(true);
+  expect(soil.breakGround(0, 0, 0.5, breakTime / 2)).toBe(true);
+  expect(soil.isIntact(0, 0)).toBe(false);
+
+  terrain.lowerTo(0, 0, 0.5, -fractureDepth);
+  expect(soil.isIntact(0, 0)).toBe(true);
+});
+
+test('blocks weigh and grip by soil type', async () => {
+  const { physicsWorld } = await createSoil();
+  expect(getBlockMass('sand')).toBeCloseTo(1);
+  expect(getBlockMass('rock', 0.5)).toBeCloseTo(0.5 * 2600 / 1600);
+  expect(getFullBlockMass(getBlockMass('clay', 2))).toBeCloseTo(2 * 1800);
+
+  const registry = getMaterialRegistry(physicsWorld);
+  getSoilMaterial(physicsWorld, 'gravel');
+  getSoilMaterial(physicsWorld, 'clay');
+  const sand = registry.contact('sandBlock', 'steel').friction;
+  expect(registry.contact('gravelBlock', 'steel').friction).toBeGreaterThan(sand);
+  expect(registry.contact('clayBlock', 'steel').friction).toBeLessThan(sand);
+  expect(getSoilMaterial(physicsWorld, 'sand')).toBe(registry.get('sandBlock'));
+});
+
+test('unknown soil types are refused', () => {
+  expect(() => getSoilType('cheese')).toThrow(/Unknown soil type "cheese"/);
+});
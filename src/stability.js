@@ -0,0 +1,109 @@
+// src/stability.js
+
+/*
+ * Static stability of a machine standing on its tracks or wheels: where its
+ * centre of mass is over the support polygon, and how close it is to tipping
+ * over each edge of that polygon.
+ *
+ * Each edge is a line the machine can pivot about. Gravity on every mass
+ * turns the machine about it either outward (overturning: the arm and its
+ * load reaching past the edge) or inward (stabilizing: the undercarriage and
+ * counterweight behind it). The load moment is their ratio, as a crane's load
+ * moment indicator shows it: at 1 the two balance and the machine tips.
+ */
+import * as CANNON from 'cannon-es';
+
+// Load moment ratios from which the indicator warns and then alarms.
+export const LOAD_MOMENT_WARNING = 0.75;
+export const LOAD_MOMENT_DANGER = 0.9;
+
+// Edges of a box footprint (see getBoxFootprint), named by the side of the machine they run
+// along; the front is -z.
+export const FOOTPRINT_EDGES = ['front', 'right', 'rear', 'left'];
+
+/**
+ * Corners of a box body's bottom face, in order around it: the support polygon of a base
+ * standing flat on its tracks or wheels.
+ *
+ * @param {CANNON.Body} body
+ * @param {CANNON.Vec3} halfExtents - The box's
+ * @returns {Array<CANNON.Vec3>} World space, starting front left; edge i runs from corner i
+ *   to the next (see FOOTPRINT_EDGES)
+ */
+export function getBoxFootprint(body, halfExtents) {
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, z]) => body.position.vadd(
+    body.quaternion.vmult(new CANNON.Vec3(x * halfExtents.x, -halfExtents.y, z * halfExtents.z))
+  ));
+}
+
+/**
+ * @param {Array<Object>} masses - { mass, position } point masses, world space
+ * @returns {Object} { mass, position } - Total mass and its centre, world space
+ */
+export function getCentreOfMass(masses) {
+  const position = new CANNON.Vec3();
+  let total = 0;
+  masses.forEach(({ mass, position: p }) => {
+    position.vadd(p.scale(mass), position);
+    total += mass;
+  });
+  return { mass: total, position: total > 0 ? position.scale(1 / total) : position };
+}
+
+/**
+ * How stable a machine is on its support polygon.
+ *
+ * @param {Array<Object>} masses - { mass, position } point masses, world space: the machine's
+ *   bodies and whatever it carries
+ * @param {Array<CANNON.Vec3>} support - Corners of the support polygon (the track or tyre
+ *   footprint) in world space, in order around it
+ * @param {CANNON.Vec3} gravity
+ * @returns {Object} { mass, centreOfMass, margin, loadMoment, edge, level }: margin is how far
+ *   the centre of mass is inside the nearest tipping edge, metres across gravity (negative
+ *   once past it); loadMoment the highest ratio of overturning to stabilizing moment over the
+ *   edges; edge the index of that edge, from support[edge] to the next corner; level 'ok',
+ *   'warning', 'danger' or 'tipping'
+ */
+export function getStability(masses, support, gravity) {
+  const { mass, position: centreOfMass } = getCentreOfMass(masses);
+  const centre = new CANNON.Vec3();
+  support.forEach(corner => centre.vadd(corner, centre));
+  centre.scale(1 / support.length, centre);
+  const weight = gravity.length();
+  const down = gravity.scale(1 / weight);
+
+  let margin = Infinity;
+  let loadMoment = 0;
+  let edge = 0;
+  support.forEach((from, index) => {
+    const to = support[(index + 1) % support.length];
+    const along = to.vsub(from);
+    along.normalize();
+    // Turning about this axis carries the machine's top outward over the edge.
+    const outward = from.vsub(centre);
+    outward.vsub(along.scale(outward.dot(along)), outward);
+    const axis = outward.cross(down);
+    axis.normalize();
+
+    let overturning = 0;
+    let stabilizing = 0;
+    masses.forEach(({ mass: m, position }) => {
+      const moment = position.vsub(from).cross(gravity.scale(m)).dot(axis);
+      if (moment > 0) overturning += moment;
+      else stabilizing -= moment;
+    });
+    const ratio = stabilizing > 0 ? overturning / stabilizing : Infinity;
+    const edgeMargin = mass > 0 ? (stabilizing - overturning) / (mass * weight) : Infinity;
+    if (ratio > loadMoment) {
+      loadMoment = ratio;
+      edge = index;
+    }
+    margin = Math.min(margin, edgeMargin);
+  });
+
+  let level = 'ok';
+  if (loadMoment >= 1) level = 'tipping';
+  else if (loadMoment >= LOAD_MOMENT_DANGER) level = 'danger';
+  else if (loadMoment >= LOAD_MOMENT_WARNING) level = 'warning';
+  return { mass, centreOfMass, margin, loadMoment, edge, level };
+}
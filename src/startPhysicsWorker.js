@@ -0,0 +1,7 @@
+// src/startPhysicsWorker.js
+
+// Webpack bundles physicsWorker.js from this reference. It lives apart from
+// workerBackend.js because jest cannot parse import.meta; tests mock this module.
+export function startPhysicsWorker() {
+  return new Worker(new URL('./physicsWorker.js', import.meta.url));
+}
@@ -1,29 +1,618 @@
 // src/terrain.js
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
+import { createNoise2D } from 'simplex-noise';
+import { createRandom } from './random.js';
+import { tagBody } from './collisionEvents.js';
+import { COLLISION_GROUPS } from './physics.js';
+import { loadHeightmap, encodeAsciiGrid, encodePng } from './heightmap.js';
 
-export function createTerrain(scene, physicsWorld, groundMaterial) {
-  const terrainSize = 100;
-  
-  // Create a flat plane geometry.
-  const terrainGeometry = new THREE.PlaneGeometry(terrainSize, terrainSize, 1, 1);
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Builds the height function used to generate the terrain: fractal simplex
+ * noise, flattened to a fixed height on each pad.
+ *
+ * @param {Object} options - See createTerrain
+ * @returns {Function} (x, z) => y
+ */
+export function createHeightFunction(options = {}) {
+  const {
+    seed = 1,
+    octaves = 4,
+    amplitude = 3,
+    frequency = 0.02,
+    persistence = 0.5,
+    lacunarity = 2,
+    pads = []
+  } = options;
+  const noise2D = createNoise2D(createRandom(seed));
+
+  const baseHeight = (x, z) => {
+    let height = 0;
+    let octaveAmplitude = 1;
+    let octaveFrequency = frequency;
+    let totalAmplitude = 0;
+    for (let o = 0; o < octaves; o++) {
+      height += noise2D(x * octaveFrequency, z * octaveFrequency) * octaveAmplitude;
+      totalAmplitude += octaveAmplitude;
+      octaveAmplitude *= persistence;
+      octaveFrequency *= lacunarity;
+    }
+    return totalAmplitude > 0 ? (height / totalAmplitude) * amplitude : 0;
+  };
+
+  // Pads default to the natural height at their centre, so they become plateaus or cuttings.
+  const resolvedPads = pads.map(pad => ({
+    falloff: pad.radius * 0.5,
+    ...pad,
+    height: pad.height !== undefined ? pad.height : baseHeight(pad.x, pad.z)
+  }));
+
+  return (x, z) => {
+    let height = baseHeight(x, z);
+    resolvedPads.forEach(pad => {
+      const distance = Math.hypot(x - pad.x, z - pad.z);
+      if (distance <= pad.radius) {
+        height = pad.height;
+      } else if (distance < pad.radius + pad.falloff) {
+        const t = smoothstep((distance - pad.radius) / pad.falloff);
+        height = pad.height * (1 - t) + height * t;
+      }
+    });
+    return height;
+  };
+}
+
+/**
+ * Creates a deformable grid terrain. The heights live in the data array of the
+ * heightfield shape; the visual mesh is rebuilt from the same values whenever
+ * they change, so what you see is what the machines collide with.
+ *
+ * @param {THREE.Scene} scene
+ * @param {PhysicsBackend} physicsWorld
+ * @param {CANNON.Material} groundMaterial
+ * @param {Object} options - Optional parameters
+ * @param {number} options.size - Width/length of the square terrain in metres
+ * @param {number} options.segments - Grid cells along each side
+ * @param {number} options.seed - Noise seed
+ * @param {number} options.octaves - Number of noise octaves summed together
+ * @param {number} options.amplitude - Maximum hill height in metres (0 gives a flat terrain)
+ * @param {number} options.frequency - Frequency of the first octave, in cycles per metre
+ * @param {Array<Object>} options.pads - Flat building sites: { x, z, radius, height?, falloff? }
+ * @param {Object} options.center - World { x, z } of the middle of the grid (default the origin)
+ * @param {Function} options.heightFunction - (x, z) => y to use instead of building one from the options above
+ * @param {Array<Array<number>>} options.heights - Grid heights to start from instead of
+ *   sampling, e.g. the heightData of an earlier terrain that was dug. The grid may be
+ *   rectangular; its dimensions then replace options.segments
+ * @param {number} options.elementSize - Grid spacing in metres, instead of size / segments
+ * @param {Array<Array<number>>} options.originalHeights - The undisturbed surface that cut and
+ *   fill are measured against (default the starting heights)
+ * @returns {Object} Terrain data: mesh, body, heightData, originalHeights, getHeight,
+ *   getOriginalHeight, lowerTo, deposit, setHeights, dispose, center, terrainSize, terrainDepth
+ */
+export function createTerrain(scene, physicsWorld, groundMaterial, options = {}) {
+  const segments = options.segments || 100;
+  // Grid cells along x and along z.
+  const segmentsX = options.heights ? options.heights.length - 1 : segments;
+  const segmentsZ = options.heights ? options.heights[0].length - 1 : segments;
+  const elementSize = options.elementSize || (options.size || 100) / segments;
+  const terrainSize = segmentsX * elementSize;
+  const terrainDepth = segmentsZ * elementSize;
+  const halfSize = terrainSize / 2;
+  const halfDepth = terrainDepth / 2;
+  const cellArea = elementSize * elementSize;
+  const { x: centerX, z: centerZ } = options.center || { x: 0, z: 0 };
+
+  const sampleHeight = options.heightFunction || createHeightFunction(options);
+
+  // Height data indexed [i][j]: i runs along +x, j along -z (see the body rotation below).
+  const heightData = [];
+  for (let i = 0; i <= segmentsX; i++) {
+    if (options.heights) {
+      heightData.push(options.heights[i].slice());
+      continue;
+    }
+    const column = [];
+    for (let j = 0; j <= segmentsZ; j++) {
+      column.push(sampleHeight(centerX - halfSize + i * elementSize, centerZ + halfDepth - j * elementSize));
+    }
+    heightData.push(column);
+  }
+  const originalHeights = options.originalHeights || heightData.map(column => column.slice());
+
+  // Visual mesh: a grid with one vertex per height sample.
+  const terrainGeometry = new THREE.PlaneGeometry(terrainSize, terrainDepth, segmentsX, segmentsZ);
+  terrainGeometry.rotateX(-Math.PI / 2);
   const terrainMaterial = new THREE.MeshStandardMaterial({ color: 0xaaaaaa });
   const terrainMesh = new THREE.Mesh(terrainGeometry, terrainMaterial);
-  terrainMesh.rotation.x = -Math.PI / 2;
+  terrainMesh.position.set(centerX, 0, centerZ);
   terrainMesh.receiveShadow = true;
   scene.add(terrainMesh);
 
-  // Create a static physics body for the flat terrain.
-  const terrainBody = new CANNON.Body({
+  // Static heightfield body. Rotating it -90° about X maps its local z (height) to world y;
+  // placing it half a side back from the centre lines sample [i][j] up with world (x, z) below.
+  const heightfieldShape = physicsWorld.createHeightfield(heightData, { elementSize });
+  const terrainBody = physicsWorld.createBody({
     mass: 0,
-    material: groundMaterial
+    material: groundMaterial,
+    collisionFilterGroup: COLLISION_GROUPS.terrain
   });
-  terrainBody.addShape(new CANNON.Plane());
+  terrainBody.addShape(heightfieldShape);
   terrainBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+  terrainBody.position.set(centerX - halfSize, 0, centerZ + halfDepth);
+  tagBody(terrainBody, 'terrain', 'terrain');
   physicsWorld.addBody(terrainBody);
 
-  // For a flat terrain, getHeight always returns 0.
-  const getHeight = (x, z) => 0;
+  const positionAttr = terrainGeometry.attributes.position;
+
+  // PlaneGeometry rows run from -z to +z after the rotation, heightfield columns from +z to -z.
+  const vertexIndex = (i, j) => (segmentsZ - j) * (segmentsX + 1) + i;
+
+  function syncVertex(i, j) {
+    positionAttr.setY(vertexIndex(i, j), heightData[i][j]);
+  }
+
+  for (let i = 0; i <= segmentsX; i++) {
+    for (let j = 0; j <= segmentsZ; j++) {
+      syncVertex(i, j);
+    }
+  }
+  terrainGeometry.computeVertexNormals();
+
+  function toGrid(x, z) {
+    return { gx: (x - centerX + halfSize) / elementSize, gz: (halfDepth - z + centerZ) / elementSize };
+  }
+
+  // Writes new heights into both the collision shape and the mesh.
+  function applyChanges(changes) {
+    if (changes.length === 0) return;
+    physicsWorld.updateHeightfield(terrainBody, heightfieldShape, changes);
+    changes.forEach(({ i, j }) => syncVertex(i, j));
+
+    positionAttr.needsUpdate = true;
+    terrainGeometry.computeVertexNormals();
+  }
+
+  // Visits every grid vertex within radius of (x, z).
+  function forEachVertexInRadius(x, z, radius, callback) {
+    const { gx, gz } = toGrid(x, z);
+    const r = radius / elementSize;
+    const iMin = Math.max(0, Math.floor(gx - r));
+    const iMax = Math.min(segmentsX, Math.ceil(gx + r));
+    const jMin = Math.max(0, Math.floor(gz - r));
+    const jMax = Math.min(segmentsZ, Math.ceil(gz + r));
+    for (let i = iMin; i <= iMax; i++) {
+      for (let j = jMin; j <= jMax; j++) {
+        const distance = Math.hypot(i - gx, j - gz) * elementSize;
+        if (distance <= radius) callback(i, j, distance);
+      }
+    }
+  }
+
+  // Bilinear interpolation of a grid of heights, or undefined off the grid.
+  function interpolate(grid, x, z) {
+    const { gx, gz } = toGrid(x, z);
+    if (gx < 0 || gz < 0 || gx > segmentsX || gz > segmentsZ) return undefined;
+    const i0 = Math.min(Math.floor(gx), segmentsX - 1);
+    const j0 = Math.min(Math.floor(gz), segmentsZ - 1);
+    const fx = gx - i0;
+    const fz = gz - j0;
+    const h00 = grid[i0][j0];
+    const h10 = grid[i0 + 1][j0];
+    const h01 = grid[i0][j0 + 1];
+    const h11 = grid[i0 + 1][j0 + 1];
+    return (h00 * (1 - fx) + h10 * fx) * (1 - fz) + (h01 * (1 - fx) + h11 * fx) * fz;
+  }
+
+  // Matches the collision surface and any digging. Outside the grid the generating
+  // function itself is sampled.
+  const getHeight = (x, z) => interpolate(heightData, x, z) ?? sampleHeight(x, z);
+  // The surface before any digging, e.g. to tell how deep a cut is.
+  const getOriginalHeight = (x, z) => interpolate(originalHeights, x, z) ?? sampleHeight(x, z);
+
+  /**
+   * Cuts the surface down to targetHeight within radius of (x, z).
+   * @param {number} maxVolume - Stop once this much material (m³) has been removed.
+   * @returns {number} The volume removed, in m³.
+   */
+  function lowerTo(x, z, radius, targetHeight, maxVolume = Infinity) {
+    const cuts = [];
+    let total = 0;
+    forEachVertexInRadius(x, z, radius, (i, j) => {
+      const depth = heightData[i][j] - targetHeight;
+      if (depth > 0) {
+        cuts.push({ i, j, depth });
+        total += depth * cellArea;
+      }
+    });
+    if (total <= 0 || maxVolume <= 0) return 0;
+    const scale = Math.min(1, maxVolume / total);
+    applyChanges(cuts.map(({ i, j, depth }) => ({ i, j, height: heightData[i][j] - depth * scale })));
+    return total * scale;
+  }
+
+  /**
+   * Spreads a volume of material (m³) in a cone of the given radius centred on (x, z).
+   * @returns {number} The volume actually placed (zero when (x, z) is off the grid).
+   */
+  function deposit(x, z, volume, radius = 1) {
+    const weights = [];
+    let weightSum = 0;
+    forEachVertexInRadius(x, z, radius, (i, j, distance) => {
+      const weight = 1 - distance / radius;
+      if (weight > 0) {
+        weights.push({ i, j, weight });
+        weightSum += weight;
+      }
+    });
+    if (weightSum === 0 || volume <= 0) return 0;
+    const heightPerWeight = volume / (weightSum * cellArea);
+    applyChanges(weights.map(({ i, j, weight }) => ({
+      i,
+      j,
+      height: heightData[i][j] + weight * heightPerWeight
+    })));
+    return volume;
+  }
+
+  // Removes the mesh and the body, e.g. when the terrain is streamed out.
+  function dispose() {
+    scene.remove(terrainMesh);
+    terrainGeometry.dispose();
+    terrainMaterial.dispose();
+    physicsWorld.removeBody(terrainBody);
+  }
+
+  return {
+    mesh: terrainMesh,
+    body: terrainBody,
+    heightData,
+    originalHeights,
+    getHeight,
+    getOriginalHeight,
+    sampleHeight,
+    lowerTo,
+    deposit,
+    setHeights: applyChanges,
+    dispose,
+    center: { x: centerX, z: centerZ },
+    terrainSize,
+    terrainDepth,
+    elementSize,
+    segments: segmentsX
+  };
+}
+
+/**
+ * Builds a terrain from a surveyed heightmap (see heightmap.js), for training
+ * on replicas of real job sites. North, the top of the image or file, is -z.
+ * It is a createTerrain terrain like any other, so it can be dug; beyond its
+ * edges getHeight continues the edge heights.
+ *
+ * @param {THREE.Scene} scene
+ * @param {PhysicsBackend} physicsWorld
+ * @param {CANNON.Material} groundMaterial
+ * @param {Object} heightmap - Grid from parseAsciiGrid, decodePng or loadHeightmap
+ * @param {Object} options - Optional parameters
+ * @param {number} options.cellSize - Metres between samples; defaults to the file's cell size, or 1
+ * @param {number} options.verticalScale - Metres per unit of the file's values, e.g. 0.01 for a
+ *   PNG in centimetres (default 1)
+ * @param {number} options.heightOffset - Metres added after scaling; by default the lowest
+ *   point is put at y = 0
+ * @param {Object} options.center - World { x, z } of the middle of the site (default the origin)
+ * @returns {Object} Terrain data, as from createTerrain
+ */
+export function createHeightmapTerrain(scene, physicsWorld, groundMaterial, heightmap, options = {}) {
+  const { columns, rows, values, noData } = heightmap;
+  const cellSize = options.cellSize || heightmap.cellSize || 1;
+  const verticalScale = options.verticalScale ?? 1;
+
+  // Missing samples are filled with the lowest valid height.
+  const isValid = value => value !== noData && Number.isFinite(value);
+  let lowest = Infinity;
+  values.forEach(value => {
+    if (isValid(value)) lowest = Math.min(lowest, value);
+  });
+  if (lowest === Infinity) throw new Error('Heightmap has no valid samples');
+  const heightOffset = options.heightOffset ?? -lowest * verticalScale;
+
+  // Sample [i][j] of the terrain is column i of the grid, counted from the south row (see createTerrain).
+  const heights = [];
+  for (let i = 0; i < columns; i++) {
+    const column = [];
+    for (let j = 0; j < rows; j++) {
+      const value = values[(rows - 1 - j) * columns + i];
+      column.push((isValid(value) ? value : lowest) * verticalScale + heightOffset);
+    }
+    heights.push(column);
+  }
+
+  const center = options.center || { x: 0, z: 0 };
+  const halfWidth = (columns - 1) * cellSize / 2;
+  const halfDepth = (rows - 1) * cellSize / 2;
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+  const terrain = createTerrain(scene, physicsWorld, groundMaterial, {
+    heights,
+    elementSize: cellSize,
+    center,
+    heightFunction: (x, z) => terrain.getHeight(
+      clamp(x, center.x - halfWidth, center.x + halfWidth),
+      clamp(z, center.z - halfDepth, center.z + halfDepth)
+    )
+  });
+  return terrain;
+}
+
+/**
+ * Fetches a heightmap file (.png or .asc) and builds a terrain from it.
+ *
+ * @param {THREE.Scene} scene
+ * @param {PhysicsBackend} physicsWorld
+ * @param {CANNON.Material} groundMaterial
+ * @param {string} url
+ * @param {Object} options - See createHeightmapTerrain; options.format overrides the file extension
+ * @returns {Promise<Object>} Terrain data, as from createTerrain
+ */
+export async function loadHeightmapTerrain(scene, physicsWorld, groundMaterial, url, options = {}) {
+  const heightmap = await loadHeightmap(url, options.format);
+  return createHeightmapTerrain(scene, physicsWorld, groundMaterial, heightmap, options);
+}
+
+/**
+ * The heights of a terrain as a heightmap grid (see heightmap.js), the inverse
+ * of createHeightmapTerrain. The grid's map y axis is world -z; xllcorner and
+ * yllcorner are the outer corner of the south-west sample's cell.
+ *
+ * @param {Object} terrain - From createTerrain
+ * @param {Array<Array<number>>} [heights] - Grid to convert instead of the current heights
+ * @returns {Object} Heightmap grid
+ */
+export function getTerrainHeightmap(terrain, heights = terrain.heightData) {
+  const columns = heights.length;
+  const rows = heights[0].length;
+  const values = new Float32Array(columns * rows);
+  for (let i = 0; i < columns; i++) {
+    for (let j = 0; j < rows; j++) {
+      values[(rows - 1 - j) * columns + i] = heights[i][j];
+    }
+  }
+  const cellSize = terrain.elementSize;
+  return {
+    columns,
+    rows,
+    values,
+    cellSize,
+    noData: null,
+    xllcorner: terrain.center.x - terrain.terrainSize / 2 - cellSize / 2,
+    yllcorner: -(terrain.center.z + terrain.terrainDepth / 2) - cellSize / 2
+  };
+}
+
+/**
+ * Compares a terrain with its original surface. Volumes are counted the way
+ * lowerTo and deposit count them, one cell area per grid vertex, so they agree
+ * with the volumes the machines report moving.
+ *
+ * @param {Object} terrain - From createTerrain
+ * @returns {Object} { cutVolume, fillVolume, netVolume, difference }: volumes in m³, netVolume
+ *   being cut minus fill (the material taken away), and difference a heightmap grid of
+ *   current minus original height, negative where material was cut
+ */
+export function measureCutFill(terrain) {
+  const { heightData, originalHeights } = terrain;
+  const cellArea = terrain.elementSize * terrain.elementSize;
+  let cutVolume = 0;
+  let fillVolume = 0;
+  const difference = heightData.map((column, i) => column.map((height, j) => {
+    const change = height - originalHeights[i][j];
+    if (change < 0) cutVolume -= change * cellArea;
+    else fillVolume += change * cellArea;
+    return change;
+  }));
+  return {
+    cutVolume,
+    fillVolume,
+    netVolume: cutVolume - fillVolume,
+    difference: getTerrainHeightmap(terrain, difference)
+  };
+}
+
+/**
+ * Exports a terrain as it is now, for supervisors to assess what a trainee
+ * excavated: the surface as a 16-bit PNG and an ASCII grid, the cut/fill
+ * difference against the original surface as an ASCII grid, and a JSON
+ * summary of the volumes (which also holds the PNG's vertical scale and
+ * offset, needed to read it back).
+ *
+ * @param {Object} terrain - From createTerrain
+ * @param {string} [name] - Base of the file names
+ * @returns {Promise<Object>} File name => contents (string or Uint8Array)
+ */
+export async function exportTerrain(terrain, name = 'terrain') {
+  const surface = getTerrainHeightmap(terrain);
+  const { cutVolume, fillVolume, netVolume, difference } = measureCutFill(terrain);
+  const png = await encodePng(surface);
+  const summary = {
+    columns: surface.columns,
+    rows: surface.rows,
+    cellSize: surface.cellSize,
+    cutVolume,
+    fillVolume,
+    netVolume,
+    png: { verticalScale: png.verticalScale, heightOffset: png.heightOffset }
+  };
+  return {
+    [`${name}.png`]: png.data,
+    [`${name}.asc`]: encodeAsciiGrid(surface),
+    [`${name}-cut-fill.asc`]: encodeAsciiGrid(difference),
+    [`${name}-cut-fill.json`]: JSON.stringify(summary, null, 2)
+  };
+}
+
+/**
+ * A terrain split into square tiles that are loaded and unloaded one at a time
+ * (see worldStreaming.js). It has the same interface as createTerrain, so
+ * vehicles can dig it, and getHeight falls back to the height function where
+ * no tile is loaded. Tile (ix, iz) is centred on (ix * tileSize, iz * tileSize).
+ *
+ * Digging changes the tile under the point, then copies the shared edge
+ * vertices to the neighbouring tiles so no seam opens. A dug tile keeps its
+ * heights when it is unloaded and gets them back when it is loaded again.
+ *
+ * @param {THREE.Scene} scene
+ * @param {PhysicsBackend} physicsWorld
+ * @param {CANNON.Material} groundMaterial
+ * @param {Object} options - The createTerrain height options, plus:
+ * @param {number} options.tileSize - Side of a tile in metres
+ * @param {number} options.segments - Grid cells along each side of a tile
+ * @returns {Object} Terrain data: getHeight, getOriginalHeight, lowerTo, deposit, loadTile, unloadTile,
+ *   tileAt (the loaded tile under a point), mergeTiles, tiles, tileSize
+ */
+export function createTerrainChunks(scene, physicsWorld, groundMaterial, options = {}) {
+  const tileSize = options.tileSize || 100;
+  const segments = options.segments || 100;
+  const elementSize = tileSize / segments;
+  const sampleHeight = createHeightFunction(options);
+
+  // "ix,iz" => terrain
+  const tiles = new Map();
+  // Heights of dug tiles while they are unloaded: { heightData, originalHeights }.
+  const savedHeights = new Map();
+  const dugTiles = new Set();
+
+  const tileKey = (ix, iz) => `${ix},${iz}`;
+  const tileAt = (x, z) => tiles.get(tileKey(Math.round(x / tileSize), Math.round(z / tileSize)));
+
+  function loadTile(ix, iz) {
+    const key = tileKey(ix, iz);
+    if (tiles.has(key)) return tiles.get(key);
+    const tile = createTerrain(scene, physicsWorld, groundMaterial, {
+      size: tileSize,
+      segments,
+      center: { x: ix * tileSize, z: iz * tileSize },
+      heightFunction: sampleHeight,
+      heights: savedHeights.has(key) ? savedHeights.get(key).heightData : undefined,
+      originalHeights: savedHeights.has(key) ? savedHeights.get(key).originalHeights : undefined
+    });
+    tile.tileIndex = { ix, iz };
+    tiles.set(key, tile);
+    savedHeights.delete(key);
+    return tile;
+  }
+
+  function unloadTile(ix, iz) {
+    const key = tileKey(ix, iz);
+    const tile = tiles.get(key);
+    if (!tile) return;
+    if (dugTiles.has(key)) {
+      savedHeights.set(key, { heightData: tile.heightData, originalHeights: tile.originalHeights });
+    }
+    tile.dispose();
+    tiles.delete(key);
+  }
+
+  // Copies the edge and corner heights of a tile onto its loaded neighbours.
+  function syncEdges(tile) {
+    const { ix, iz } = tile.tileIndex;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        const neighbour = tiles.get(tileKey(ix + dx, iz + dz));
+        if (!neighbour || neighbour === tile) continue;
+        const changes = [];
+        // The same world point is (i, j) here and (i - dx * segments, j + dz * segments) there.
+        const iRange = dx === 0 ? [0, segments] : dx > 0 ? [segments, segments] : [0, 0];
+        const jRange = dz === 0 ? [0, segments] : dz > 0 ? [0, 0] : [segments, segments];
+        for (let i = iRange[0]; i <= iRange[1]; i++) {
+          for (let j = jRange[0]; j <= jRange[1]; j++) {
+            const ni = i - dx * segments;
+            const nj = j + dz * segments;
+            if (neighbour.heightData[ni][nj] !== tile.heightData[i][j]) {
+              changes.push({ i: ni, j: nj, height: tile.heightData[i][j] });
+            }
+          }
+        }
+        if (changes.length > 0) {
+          neighbour.setHeights(changes);
+          dugTiles.add(tileKey(ix + dx, iz + dz));
+        }
+      }
+    }
+  }
+
+  /**
+   * The loaded and dug tiles as one grid over the rectangle of tiles they span, with the
+   * fields of a createTerrain terrain that exportTerrain reads. Tiles inside it that are
+   * neither loaded nor dug get their generated heights, which is what they hold.
+   *
+   * @returns {Object|null} { heightData, originalHeights, elementSize, center, terrainSize,
+   *   terrainDepth }, or null when no tile is loaded or dug
+   */
+  function mergeTiles() {
+    const keys = new Set([...tiles.keys(), ...dugTiles]);
+    if (keys.size === 0) return null;
+    const indices = Array.from(keys, key => key.split(',').map(Number));
+    const minIx = Math.min(...indices.map(([ix]) => ix));
+    const maxIx = Math.max(...indices.map(([ix]) => ix));
+    const minIz = Math.min(...indices.map(([, iz]) => iz));
+    const maxIz = Math.max(...indices.map(([, iz]) => iz));
+    const terrainSize = (maxIx - minIx + 1) * tileSize;
+    const terrainDepth = (maxIz - minIz + 1) * tileSize;
+    const center = { x: (minIx + maxIx) / 2 * tileSize, z: (minIz + maxIz) / 2 * tileSize };
+
+    // As in createTerrain, i runs along +x and j along -z.
+    const heightData = [];
+    for (let i = 0; i <= terrainSize / elementSize; i++) {
+      const column = [];
+      for (let j = 0; j <= terrainDepth / elementSize; j++) {
+        column.push(sampleHeight(center.x - terrainSize / 2 + i * elementSize, center.z + terrainDepth / 2 - j * elementSize));
+      }
+      heightData.push(column);
+    }
+    const originalHeights = heightData.map(column => column.slice());
+    indices.forEach(([ix, iz]) => {
+      const key = tileKey(ix, iz);
+      const tile = tiles.get(key) || savedHeights.get(key);
+      const i0 = (ix - minIx) * segments;
+      const j0 = (maxIz - iz) * segments;
+      tile.heightData.forEach((column, i) => column.forEach((height, j) => {
+        heightData[i0 + i][j0 + j] = height;
+        originalHeights[i0 + i][j0 + j] = tile.originalHeights[i][j];
+      }));
+    });
+    return { heightData, originalHeights, elementSize, center, terrainSize, terrainDepth };
+  }
+
+  // Runs an edit on the tile under (x, z); returns 0 where no tile is loaded.
+  function editTile(x, z, edit) {
+    const tile = tileAt(x, z);
+    if (!tile) return 0;
+    const result = edit(tile);
+    if (result > 0) {
+      dugTiles.add(tileKey(tile.tileIndex.ix, tile.tileIndex.iz));
+      syncEdges(tile);
+    }
+    return result;
+  }
 
-  return { mesh: terrainMesh, body: terrainBody, getHeight, terrainSize };
+  return {
+    getHeight: (x, z) => {
+      const tile = tileAt(x, z);
+      return tile ? tile.getHeight(x, z) : sampleHeight(x, z);
+    },
+    getOriginalHeight: (x, z) => {
+      const tile = tileAt(x, z);
+      return tile ? tile.getOriginalHeight(x, z) : sampleHeight(x, z);
+    },
+    sampleHeight,
+    lowerTo: (x, z, radius, targetHeight, maxVolume) =>
+      editTile(x, z, tile => tile.lowerTo(x, z, radius, targetHeight, maxVolume)),
+    deposit: (x, z, volume, radius) => editTile(x, z, tile => tile.deposit(x, z, volume, radius)),
+    loadTile,
+    unloadTile,
+    tileAt,
+    mergeTiles,
+    tiles,
+    tileSize,
+    elementSize
+  };
 }
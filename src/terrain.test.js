@@ -0,0 +1,40 @@
+// src/terrain.test.js
+import * as THREE from 'three';
+import { initPhysics } from './physics.js';
+import { getMaterial } from './materials.js';
+import { createTerrainChunks, exportTerrain } from './terrain.js';
+import { parseAsciiGrid } from './heightmap.js';
+
+async function createChunks() {
+  const physicsWorld = await initPhysics();
+  return createTerrainChunks(new THREE.Scene(), physicsWorld, getMaterial(physicsWorld, 'soil'), { tileSize: 20, segments: 10 });
+}
+
+test('there is nothing to merge before any tile is loaded', async () => {
+  const terrain = await createChunks();
+  expect(terrain.mergeTiles()).toBeNull();
+});
+
+test('loaded and dug tiles merge into one grid over the tiles they span', async () => {
+  const terrain = await createChunks();
+  terrain.loadTile(0, 0);
+  terrain.loadTile(2, -1);
+  const dug = terrain.lowerTo(4, 4, 3, terrain.getHeight(4, 4) - 1);
+  terrain.unloadTile(0, 0);
+
+  const merged = terrain.mergeTiles();
+  expect(merged.terrainSize).toBe(60);
+  expect(merged.terrainDepth).toBe(40);
+  expect(merged.center).toEqual({ x: 20, z: -10 });
+  expect(merged.heightData).toHaveLength(31);
+  expect(merged.heightData[0]).toHaveLength(21);
+  // (4, 4) is 14 m east of the west edge and 6 m south of the north edge.
+  expect(merged.heightData[7][3]).toBeCloseTo(terrain.getOriginalHeight(4, 4) - 1);
+  // Tile (1, -1) was never loaded; it has the generated surface.
+  expect(merged.heightData[15][15]).toBeCloseTo(terrain.sampleHeight(20, -20));
+
+  const files = await exportTerrain(merged, 'world');
+  const summary = JSON.parse(files['world-cut-fill.json']);
+  expect(summary.cutVolume).toBeCloseTo(dug);
+  expect(parseAsciiGrid(files['world.asc']).columns).toBe(31);
+});
@@ -0,0 +1,88 @@
+// src/timeController.js
+import { FIXED_TIME_STEP, MAX_SUB_STEPS } from './physics.js';
+
+// Speeds offered by the controls, slowest first.
+export const TIME_SCALES = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Simulation clock. Each frame, advance() turns the real time since the last
+ * frame into the simulated time to step: scaled for slow motion and
+ * fast-forward, zero while paused, and exactly one fixed step for each
+ * step() made while paused. Everything that moves with time (physics and the
+ * vehicle controls inside it, snow, the water shader) should use that value.
+ */
+export class TimeController {
+  constructor() {
+    this.scale = 1;
+    this.paused = false;
+    this.pendingSteps = 0;
+    this.listeners = [];
+  }
+
+  // listener(controller) is called whenever the speed or pause state changes.
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  setScale(scale) {
+    this.scale = scale;
+    this.notify();
+  }
+
+  faster() {
+    const index = TIME_SCALES.indexOf(this.scale);
+    this.setScale(TIME_SCALES[Math.min(index + 1, TIME_SCALES.length - 1)]);
+  }
+
+  slower() {
+    const index = TIME_SCALES.indexOf(this.scale);
+    this.setScale(TIME_SCALES[Math.max(index - 1, 0)]);
+  }
+
+  pause() {
+    this.paused = true;
+    this.notify();
+  }
+
+  resume() {
+    this.paused = false;
+    this.pendingSteps = 0;
+    this.notify();
+  }
+
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  // Advances one fixed step on the next frame, pausing first if needed.
+  step() {
+    if (!this.paused) this.pause();
+    this.pendingSteps++;
+  }
+
+  /**
+   * @param {number} realDelta - Real seconds since the last frame
+   * @returns {number} Simulated seconds to advance this frame
+   */
+  advance(realDelta) {
+    if (this.paused) {
+      const steps = this.pendingSteps;
+      this.pendingSteps = 0;
+      return steps * FIXED_TIME_STEP;
+    }
+    return realDelta * this.scale;
+  }
+
+  // Catch-up steps allowed per frame; raised with the speed so fast-forward is not capped.
+  get maxSubSteps() {
+    return Math.ceil(MAX_SUB_STEPS * Math.max(1, this.scale));
+  }
+}
@@ -0,0 +1,44 @@
+// src/timeController.test.js
+import { FIXED_TIME_STEP, MAX_SUB_STEPS } from './physics.js';
+import { TimeController, TIME_SCALES } from './timeController.js';
+
+test('real time is scaled for slow motion and fast-forward', () => {
+  const time = new TimeController();
+  expect(time.advance(0.1)).toBeCloseTo(0.1);
+  time.slower();
+  expect(time.advance(0.1)).toBeCloseTo(0.05);
+  time.faster();
+  time.faster();
+  expect(time.advance(0.1)).toBeCloseTo(0.2);
+  expect(time.maxSubSteps).toBe(2 * MAX_SUB_STEPS);
+});
+
+test('the speed stops at the ends of the scale', () => {
+  const time = new TimeController();
+  TIME_SCALES.forEach(() => time.faster());
+  expect(time.scale).toBe(TIME_SCALES[TIME_SCALES.length - 1]);
+  TIME_SCALES.forEach(() => time.slower());
+  expect(time.scale).toBe(TIME_SCALES[0]);
+});
+
+test('no time passes while paused except for single steps', () => {
+  const time = new TimeController();
+  time.pause();
+  expect(time.advance(0.1)).toBe(0);
+  time.step();
+  time.step();
+  expect(time.advance(0.1)).toBeCloseTo(2 * FIXED_TIME_STEP);
+  expect(time.advance(0.1)).toBe(0);
+});
+
+test('stepping while running pauses, and resuming drops unused steps', () => {
+  const time = new TimeController();
+  const listener = jest.fn();
+  time.onChange(listener);
+  time.step();
+  expect(time.paused).toBe(true);
+  expect(listener).toHaveBeenCalledWith(time);
+  time.togglePause();
+  expect(time.paused).toBe(false);
+  expect(time.advance(0.1)).toBeCloseTo(0.1);
+});
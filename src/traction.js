@@ -0,0 +1,217 @@
+// src/traction.js
+
+/*
+ * Skid-steer drive for tracked machines: every push the ground gives the
+ * machine comes from here, the chassis itself sliding on the ground without
+ * friction (see the 'skid' materials in getSkidMaterial).
+ *
+ * Each side of the machine has a track running at the speed the drive
+ * sets. Wherever the chassis touches the ground, the ground
+ * pushes back against the slip between it and the track: along the track
+ * when the track runs faster or slower than the machine moves, across it
+ * when the machine slides sideways. That push is at most the friction
+ * coefficient of the track on that surface times the contact's normal load,
+ * so a machine on snow or ice spins its tracks and slides, a steep slope is
+ * more than the tracks can hold, and a load on one side shifts the grip
+ * there. Turning is skid steering: the tracks run at different speeds and
+ * the machine yaws against the tracks' sideways grip.
+ */
+import * as CANNON from 'cannon-es';
+import { getMaterialRegistry } from './materials.js';
+import { getBodyTag, getStepContacts } from './collisionEvents.js';
+
+// Contacts whose normal is further than this from the machine's up do not bear on the tracks.
+const MIN_GROUND_COSINE = 0.5;
+// Share of the slip the ground takes out each step. Below 1 so that contacts sharing the
+// machine's mass do not overshoot together.
+const SLIP_RESPONSE = 0.5;
+// Pull per kilogram of every metre a gripping track has crept, N/(m·kg): what is left of the slip
+// after SLIP_RESPONSE, e.g. while a solver lags a step behind the forces.
+const CREEP_STIFFNESS = 40;
+
+/**
+ * A variant of a track material that slides freely on everything, for the body
+ * the drive pushes: the drive supplies its grip instead.
+ *
+ * @param {PhysicsBackend} physicsWorld
+ * @param {string} name - e.g. 'rubberTrack'
+ * @returns {CANNON.Material}
+ */
+export function getSkidMaterial(physicsWorld, name) {
+  return getMaterialRegistry(physicsWorld).derive(`${name}Skid`, name, 0);
+}
+
+export class TractionDrive {
+  /**
+   * @param {PhysicsBackend} physicsWorld
+   * @param {CANNON.Body} body - The chassis, made of a skid material
+   * @param {Object} options
+   * @param {string} options.material - The tracks' material, whose friction against
+   *   each surface is their grip on it, e.g. 'rubberTrack'
+   * @param {number} options.trackWidth - Distance between the left and right tracks, m
+   * @param {number} options.maxForce - Most each side's drive can push with, N
+   * @param {number} [options.sideGrip=1] - Grip across the tracks as a share of the grip along
+   *   them: a track's grousers slide sideways more easily than they slip
+   * @param {Object} [options.entity] - The machine; contacts with its own bodies are ignored
+   */
+  constructor(physicsWorld, body, { material, trackWidth, maxForce, sideGrip = 1, entity = null }) {
+    this.physicsWorld = physicsWorld;
+    this.body = body;
+    this.material = material;
+    this.trackWidth = trackWidth;
+    this.maxForce = maxForce;
+    this.sideGrip = sideGrip;
+    this.entity = entity;
+    // Everything the tracks carry, kg: the chassis and whatever rides on it. Owners that carry
+    // more than the chassis keep it up to date.
+    this.mass = body.mass;
+    // (x, z) => name of the material lying on the ground there, e.g. 'snow', or null for
+    // the ground's own. Set by whoever keeps such a layer.
+    this.surfaceAt = null;
+    // Where each track took hold of the ground, moving on with the track as it runs; the ground
+    // pulls the track back to it, so a parked machine stays where it is. null while sliding.
+    this.anchors = { left: null, right: null };
+    // The last step's figures (see update).
+    this.state = { left: emptySide(0), right: emptySide(0), grounded: false };
+  }
+
+  /**
+   * Track speed that turns the machine at angularSpeed on the spot.
+   *
+   * @param {number} angularSpeed - rad/s, positive turning left
+   * @returns {number} m/s, added to the right track and taken from the left
+   */
+  turnSpeed(angularSpeed) {
+    return angularSpeed * this.trackWidth / 2;
+  }
+
+  /**
+   * Pushes the chassis for one step from its ground contacts in the last one.
+   *
+   * @param {number} leftSpeed - Speed the left track runs at, m/s, positive forward (-z)
+   * @param {number} rightSpeed - Same for the right track
+   * @returns {Object} { left, right, grounded }: each side's { speed, slip, slipAcross, force,
+   *   grip, load }, slip being how much faster the track runs than the ground under it (m/s),
+   *   slipAcross how fast it slides sideways to its left (m/s), force the
+   *   push along the machine (N), grip the most the ground could give that side (N) and load
+   *   the weight on it (N)
+   */
+  update(leftSpeed, rightSpeed) {
+    const body = this.body;
+    const dt = this.physicsWorld.dt > 0 ? this.physicsWorld.dt : 1 / 60;
+    const contacts = this.getGroundContacts(dt);
+    const totalLoad = contacts.reduce((sum, contact) => sum + contact.load, 0);
+    const left = emptySide(leftSpeed);
+    const right = emptySide(rightSpeed);
+    this.state = { left, right, grounded: totalLoad > 0 };
+    if (totalLoad === 0) {
+      this.anchors = { left: null, right: null };
+      return this.state;
+    }
+
+    const gravity = this.physicsWorld.gravity;
+    const forward = body.quaternion.vmult(new CANNON.Vec3(0, 0, -1));
+    const samples = contacts.map(({ point, normal, load, surface }) => {
+      const offset = point.vsub(body.position);
+      const name = body.quaternion.conjugate().vmult(offset).x < 0 ? 'left' : 'right';
+      const side = this.state[name];
+      // The track runs along the machine, in the plane of the ground.
+      const along = forward.vsub(normal.scale(forward.dot(normal)));
+      along.normalize();
+      const across = normal.cross(along);
+      const pointVelocity = body.velocity.vadd(body.angularVelocity.cross(offset));
+      const slipAlong = pointVelocity.dot(along) - side.speed;
+      const slipAcross = pointVelocity.dot(across);
+      side.slip -= slipAlong * load;
+      side.slipAcross += slipAcross * load;
+      side.load += load;
+      return { name, side, offset, normal, along, across, slipAlong, slipAcross, load, surface };
+    });
+    // Each track holds on to the ground where it took hold, a spot that moves with the track.
+    const creep = {};
+    ['left', 'right'].forEach(name => {
+      const side = this.state[name];
+      if (side.load > 0) {
+        side.slip /= side.load;
+        side.slipAcross /= side.load;
+      }
+      const track = body.position.vadd(body.quaternion.vmult(
+        new CANNON.Vec3((name === 'left' ? -1 : 1) * this.trackWidth / 2, 0, 0)
+      ));
+      const anchor = this.anchors[name] || track.clone();
+      anchor.vadd(forward.scale(side.speed * dt), anchor);
+      this.anchors[name] = anchor;
+      creep[name] = track.vsub(anchor);
+    });
+
+    const sliding = new Set();
+    const pushes = samples.map(({ name, side, offset, normal, along, across, slipAlong, slipAcross, load, surface }) => {
+      // The ground holds the contact's share of the mass against the slope, stops its slip over
+      // a few steps and pulls back what it has crept.
+      const share = this.mass * load / totalLoad;
+      const downhill = gravity.vsub(normal.scale(gravity.dot(normal))).scale(share);
+      const crept = creep[name];
+      let pushAlong = -downhill.dot(along) - share * (slipAlong * SLIP_RESPONSE / dt + crept.dot(along) * CREEP_STIFFNESS);
+      let pushAcross = -downhill.dot(across) - share * (slipAcross * SLIP_RESPONSE / dt + crept.dot(across) * CREEP_STIFFNESS);
+      // Up to its friction with the track, less across it.
+      const grip = this.getFriction(surface) * load;
+      const excess = Math.hypot(pushAlong / grip, pushAcross / (grip * this.sideGrip));
+      if (excess > 1) {
+        pushAlong /= excess;
+        pushAcross /= excess;
+        sliding.add(name);
+      }
+      const push = along.scale(pushAlong).vadd(across.scale(pushAcross));
+      side.grip += grip;
+      side.force += pushAlong;
+      return { side, offset, along, push };
+    });
+    // A track sliding over the ground no longer holds on to where it was.
+    sliding.forEach(name => {
+      this.anchors[name] = null;
+    });
+
+    // A drive that cannot push as hard as the ground allows gives out first.
+    const drive = new Map([left, right].map(side => [
+      side,
+      Math.abs(side.force) > this.maxForce ? this.maxForce / Math.abs(side.force) : 1
+    ]));
+    pushes.forEach(({ side, offset, along, push }) => {
+      const driven = along.scale(push.dot(along));
+      body.applyForce(push.vsub(driven).vadd(driven.scale(drive.get(side))), offset);
+    });
+    [left, right].forEach(side => {
+      side.force *= drive.get(side);
+    });
+    return this.state;
+  }
+
+  // Contacts of the chassis with the ground in the last step: { point, normal (up, towards
+  // the chassis), load (N), surface (material name) }.
+  getGroundContacts(dt) {
+    const body = this.body;
+    const up = body.quaternion.vmult(new CANNON.Vec3(0, 1, 0));
+    const contacts = [];
+    getStepContacts(this.physicsWorld).forEach(({ bodyA, bodyB, point, normal, impulse = 0 }) => {
+      if (bodyA !== body && bodyB !== body) return;
+      const other = bodyA === body ? bodyB : bodyA;
+      if (this.entity && getBodyTag(other).entity === this.entity) return;
+      const towardsBody = bodyB === body ? normal.clone() : normal.negate();
+      if (towardsBody.dot(up) < MIN_GROUND_COSINE || impulse <= 0) return;
+      const override = this.surfaceAt && this.surfaceAt(point.x, point.z);
+      const surface = override || (other.material && other.material.name);
+      contacts.push({ point, normal: towardsBody, load: impulse / dt, surface });
+    });
+    return contacts;
+  }
+
+  // Friction of the tracks on a surface; bodies of no known material grip like soil.
+  getFriction(surface) {
+    const registry = getMaterialRegistry(this.physicsWorld);
+    return registry.contact(this.material, registry.materials.has(surface) ? surface : 'soil').friction;
+  }
+}
+
+function emptySide(speed) {
+  return { speed, slip: 0, slipAcross: 0, force: 0, grip: 0, load: 0 };
+}
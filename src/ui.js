@@ -1,4 +1,6 @@
 // ui.js
+import { TIME_SCALES } from './timeController.js';
+
 /**
  * Creates and manages the vehicle control legend UI
  * @returns {Object} References to UI elements and update functions
@@ -119,4 +121,61 @@ export function createVehicleControlsUI() {
       slider: accumulationSlider,
       container: accumulationSliderContainer
     };
-  }
\ No newline at end of file
+  }
+/**
+ * Creates the simulation time controls: pause/resume, single step and the
+ * speed buttons, kept in sync with the controller.
+ * @param {TimeController} timeController
+ * @returns {Object} References to UI elements
+ */
+export function createTimeControlsUI(timeController) {
+  const container = document.createElement('div');
+  container.style.position = 'absolute';
+  container.style.bottom = '10px';
+  container.style.left = '50%';
+  container.style.transform = 'translateX(-50%)';
+  container.style.padding = '6px';
+  container.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+  container.style.color = 'white';
+  container.style.fontFamily = 'Arial, sans-serif';
+  container.style.fontSize = '14px';
+  container.style.display = 'flex';
+  container.style.gap = '4px';
+  container.style.alignItems = 'center';
+
+  const addButton = (label, title, onClick) => {
+    const button = document.createElement('button');
+    button.innerHTML = label;
+    button.title = title;
+    button.style.padding = '4px 8px';
+    button.addEventListener('click', onClick);
+    container.appendChild(button);
+    return button;
+  };
+
+  const pauseButton = addButton('Pause', 'Pause / resume (O)', () => timeController.togglePause());
+  addButton('Step', 'Advance one physics step (.)', () => timeController.step());
+  const speedButtons = TIME_SCALES.map(scale =>
+    addButton(`${scale}x`, 'Simulation speed (- / =)', () => timeController.setScale(scale))
+  );
+  const status = document.createElement('span');
+  status.style.marginLeft = '6px';
+  container.appendChild(status);
+  document.body.appendChild(container);
+
+  function refresh() {
+    pauseButton.innerHTML = timeController.paused ? 'Resume' : 'Pause';
+    speedButtons.forEach((button, index) => {
+      button.style.fontWeight = TIME_SCALES[index] === timeController.scale ? 'bold' : 'normal';
+    });
+    status.innerHTML = timeController.paused ? 'Paused' : `${timeController.scale}x`;
+  }
+  timeController.onChange(refresh);
+  refresh();
+
+  return {
+    container,
+    pauseButton,
+    speedButtons
+  };
+}
@@ -0,0 +1,70 @@
+// src/vehicleControls.js
+// Vehicles are driven by command objects rather than by reading keys. Each
+// control in a vehicle's bindings is either an axis, set to 1, -1 or 0 (e.g.
+// { drive: 1, steer: -1 }), or, when it has a single key, a boolean flag
+// (e.g. { dig: true }). The keyboard is one source of commands; the headless
+// simulation sets them directly with vehicle.setCommand().
+
+/**
+ * @param {Object} bindings - Control name => [positiveKey, negativeKey] for an
+ *   axis, or [key] for a flag
+ * @returns {Object} A command with every control released
+ */
+export function createCommand(bindings) {
+  const command = {};
+  Object.entries(bindings).forEach(([name, keys]) => {
+    command[name] = keys.length === 1 ? false : 0;
+  });
+  return command;
+}
+
+/**
+ * Writes the given controls into a vehicle's command. Controls left out keep
+ * their current value.
+ */
+export function updateCommand(command, changes) {
+  Object.entries(changes).forEach(([name, value]) => {
+    if (!(name in command)) {
+      throw new Error(`Unknown control "${name}"; expected one of ${Object.keys(command).join(', ')}`);
+    }
+    command[name] = value;
+  });
+}
+
+/**
+ * Drives vehicle.command from the keyboard while the vehicle is
+ * window.activeVehicle. When both keys of an axis are held, the positive one wins.
+ */
+export function attachKeyboardControls(vehicle, bindings) {
+  const controlsByKey = {};
+  Object.entries(bindings).forEach(([name, keys]) => {
+    keys.forEach(key => {
+      controlsByKey[key] = name;
+    });
+  });
+  const held = new Set();
+  const keyOf = (event) => (event.key.length === 1 ? event.key.toLowerCase() : event.key);
+
+  const refresh = (name) => {
+    const [positive, negative] = bindings[name];
+    if (negative === undefined) {
+      vehicle.command[name] = held.has(positive);
+    } else {
+      vehicle.command[name] = held.has(positive) ? 1 : held.has(negative) ? -1 : 0;
+    }
+  };
+
+  window.addEventListener('keydown', (event) => {
+    const key = keyOf(event);
+    if (!(key in controlsByKey) || window.activeVehicle !== vehicle) return;
+    held.add(key);
+    refresh(controlsByKey[key]);
+  });
+  // Releases are always handled, so switching vehicles cannot leave a key stuck.
+  window.addEventListener('keyup', (event) => {
+    const key = keyOf(event);
+    if (!(key in controlsByKey)) return;
+    held.delete(key);
+    refresh(controlsByKey[key]);
+  });
+}
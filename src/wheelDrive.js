@@ -0,0 +1,220 @@
+// src/wheelDrive.js
+
+/*
+ * Wheeled drive for the trucks: the chassis rides on raycast wheels (see
+ * PhysicsBackend#createRaycastVehicle), each a spring and damper reaching down
+ * to the ground, with a tyre that grips as hard as rubber does on whatever
+ * lies there.
+ *
+ * The axles are laid out front to back, each with its own suspension. The
+ * steered ones turn with Ackermann geometry: every wheel points square to a
+ * line from the turning centre, which lies level with the rear axles, so the
+ * inner wheel turns more tightly than the outer one. The
+ * engine's torque is shared between the driven wheels; the brakes work on all
+ * of them.
+ */
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { getMaterialRegistry } from './materials.js';
+
+// The wheels hang from the chassis' centre plane and swing this far above or below rest, m.
+const SUSPENSION_TRAVEL = 0.25;
+// Each wheel's suspension gives out beyond this force, N.
+const MAX_SUSPENSION_FORCE = 1e6;
+// Share of the brakes dragging on the wheels with the pedal off, and holding the truck to its
+// top speed downhill, like an engine brake and retarder.
+const COAST_BRAKE = 0.4;
+// Below this speed with the pedal off, m/s, the brakes hold the truck where it stands.
+const HOLD_SPEED = 0.5;
+// The steering turns the front wheels at up to STEER_SPEED rad/s.
+const STEER_SPEED = 1;
+
+export class WheelDrive {
+  /**
+   * @param {PhysicsBackend} physicsWorld
+   * @param {CANNON.Body} body - The chassis, already in the world
+   * @param {Object} options
+   * @param {string} options.material - The tyres' material, whose friction against each
+   *   surface is their grip on it, e.g. 'rubberTire'
+   * @param {Array<Object>} options.axles - Front to back: { z, stiffness, damping, steered,
+   *   driven }, z along the chassis (m); stiffness (1/s²) and damping (1/s) are each wheel's
+   *   spring and damper rates per kilogram of chassis, as for CANNON.RaycastVehicle
+   * @param {number} options.trackWidth - Distance between the left and right wheels, m
+   * @param {number} options.radius - Of the wheels, m
+   * @param {number} options.suspensionLength - From the chassis' centre down to a wheel's
+   *   centre with the suspension at rest, m
+   * @param {number} options.engineTorque - Most the engine turns the driven wheels with, N·m
+   * @param {number} options.brakeForce - Most the brakes of all wheels together hold with, N
+   * @param {number} options.maxSpeed - Fastest the engine drives the truck, m/s
+   * @param {number} options.maxSteer - Steering angle at full lock, rad, of a wheel midway
+   *   between the front ones
+   */
+  constructor(physicsWorld, body, options) {
+    this.physicsWorld = physicsWorld;
+    this.body = body;
+    this.material = options.material;
+    this.radius = options.radius;
+    this.suspensionLength = options.suspensionLength;
+    this.engineTorque = options.engineTorque;
+    this.brakeForce = options.brakeForce;
+    this.maxSpeed = options.maxSpeed;
+    this.maxSteer = options.maxSteer;
+    // (x, z) => name of the material lying on the ground there, e.g. 'snow', or null for
+    // the ground's own. Set by whoever keeps such a layer.
+    this.surfaceAt = null;
+    // Steering angle the front wheels are turned to, rad, positive to the left.
+    this.steering = 0;
+
+    // The turning centre lies level with the middle of the unsteered axles.
+    const rear = options.axles.filter(axle => !axle.steered);
+    const rearZ = rear.reduce((sum, axle) => sum + axle.z, 0) / rear.length;
+    this.vehicle = physicsWorld.createRaycastVehicle({
+      chassisBody: body,
+      indexRightAxis: 0,
+      indexUpAxis: 1,
+      indexForwardAxis: 2
+    });
+    // One per wheel, in the order they were added: left then right of each axle, front to back.
+    this.wheels = [];
+    options.axles.forEach(axle => {
+      [-1, 1].forEach(side => {
+        const connection = new CANNON.Vec3(side * options.trackWidth / 2, 0, axle.z);
+        this.vehicle.addWheel({
+          chassisConnectionPointLocal: connection,
+          directionLocal: new CANNON.Vec3(0, -1, 0),
+          axleLocal: new CANNON.Vec3(-1, 0, 0),
+          suspensionRestLength: this.suspensionLength,
+          maxSuspensionTravel: SUSPENSION_TRAVEL,
+          radius: this.radius,
+          suspensionStiffness: axle.stiffness,
+          dampingCompression: axle.damping,
+          dampingRelaxation: axle.damping,
+          maxSuspensionForce: MAX_SUSPENSION_FORCE
+        });
+        this.wheels.push({
+          connection,
+          steered: !!axle.steered,
+          driven: !!axle.driven,
+          // Distance ahead of the turning centre, m.
+          wheelbase: rearZ - axle.z,
+          // How far the wheel has rolled round, rad, for its mesh.
+          spin: 0
+        });
+      });
+    });
+    this.drivenCount = this.wheels.filter(wheel => wheel.driven).length;
+    // Steered wheels are geared to a wheel midway between the front ones.
+    this.frontWheelbase = Math.max(...this.wheels.map(wheel => wheel.wheelbase));
+    physicsWorld.addVehicle(this.vehicle);
+  }
+
+  // Height of the chassis' centre over level ground with the suspension at rest, m.
+  get rideHeight() {
+    return this.suspensionLength + this.radius;
+  }
+
+  // Speed along the chassis, m/s, positive forward (-z).
+  get speed() {
+    return -this.body.quaternion.conjugate().vmult(this.body.velocity).z;
+  }
+
+  /**
+   * Works the pedals and steering for one step. Drive opens the throttle up to the top
+   * speed, or brakes first while the truck still rolls the other way; with the pedal off
+   * the truck slows down and the brakes then hold it.
+   *
+   * @param {Object|null} command - { drive, steer }, null when parked with the brakes on
+   * @param {number} [power=1] - Share of the engine torque and brake force to use
+   */
+  update(command, power = 1) {
+    const dt = this.physicsWorld.dt > 0 ? this.physicsWorld.dt : 1 / 60;
+    const speed = this.speed;
+    const drive = command ? command.drive : 0;
+    let throttle = 0;
+    let brake = 0;
+    if (!command) {
+      brake = 1;
+    } else if (drive !== 0 && speed * drive < -HOLD_SPEED) {
+      brake = Math.abs(drive);
+    } else if (drive !== 0 && Math.abs(speed) < this.maxSpeed) {
+      throttle = drive;
+    } else if (drive !== 0) {
+      brake = COAST_BRAKE;
+    } else {
+      brake = Math.abs(speed) < HOLD_SPEED ? 1 : COAST_BRAKE;
+    }
+
+    const target = (command ? command.steer : 0) * this.maxSteer;
+    const turn = STEER_SPEED * dt;
+    this.steering += Math.max(-turn, Math.min(target - this.steering, turn));
+    const tanSteer = Math.tan(this.steering);
+
+    const engineForce = throttle * power * this.engineTorque / (this.radius * this.drivenCount);
+    // Both engines take a brake as the impulse it may take out of the wheel in a step.
+    // Each wheel's brake takes out as much as would stop the whole chassis by itself, so
+    // together they would overshoot and shudder the truck along; each gets its share only.
+    const stopImpulse = this.body.mass * Math.abs(speed) / this.wheels.length;
+    const brakeImpulse = Math.min(brake * power * this.brakeForce / this.wheels.length * dt, stopImpulse);
+    this.wheels.forEach((wheel, i) => {
+      // tan of a wheel's angle = its wheelbase over its distance from the turning centre.
+      const steering = wheel.steered
+        ? Math.atan(wheel.wheelbase * tanSteer / (this.frontWheelbase + wheel.connection.x * tanSteer))
+        : 0;
+      this.vehicle.setSteeringValue(steering, i);
+      this.vehicle.applyEngineForce(wheel.driven ? engineForce : 0, i);
+      this.vehicle.setBrake(brakeImpulse, i);
+      const info = this.vehicle.wheelInfos[i];
+      info.frictionSlip = this.getFriction(wheel, info);
+      if (info.isInContact && brake < 1) {
+        wheel.spin -= speed * dt / this.radius;
+      }
+    });
+  }
+
+  // Friction of a tyre on what lies under it; bodies of no known material grip like soil.
+  getFriction(wheel, info) {
+    const registry = getMaterialRegistry(this.physicsWorld);
+    const point = this.body.position.vadd(this.body.quaternion.vmult(wheel.connection));
+    const ground = info.raycastResult.body;
+    const surface = (this.surfaceAt && this.surfaceAt(point.x, point.z)) ||
+      (ground && ground.material && ground.material.name);
+    return registry.contact(this.material, registry.materials.has(surface) ? surface : 'soil').friction;
+  }
+
+  /**
+   * Places the wheels' meshes where the wheels are: down on their suspension, turned with
+   * the steering and rolled round. Each mesh is a child of the chassis' group, its axle
+   * along x, one per wheel in the order of this.wheels.
+   *
+   * @param {Array<THREE.Object3D>} meshes
+   */
+  updateMeshes(meshes) {
+    this.wheels.forEach((wheel, i) => {
+      const info = this.vehicle.wheelInfos[i];
+      const { x, y, z } = wheel.connection;
+      meshes[i].position.set(x, y - info.suspensionLength, z);
+      meshes[i].rotation.set(wheel.spin, info.steering, 0, 'YXZ');
+    });
+  }
+}
+
+/**
+ * A tyre round a hub, its axle along x, for WheelDrive#updateMeshes. The hub's spokes show
+ * it turning.
+ *
+ * @param {number} radius - m
+ * @param {number} width - m
+ * @param {THREE.Material} tyreMaterial
+ * @param {THREE.Material} hubMaterial
+ * @returns {THREE.Group}
+ */
+export function createWheelMesh(radius, width, tyreMaterial, hubMaterial) {
+  const wheel = new THREE.Group();
+  const tyre = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, width, 24), tyreMaterial);
+  tyre.rotation.z = Math.PI / 2;
+  const spoke = new THREE.Mesh(new THREE.BoxGeometry(width + 0.02, radius * 1.2, 0.12), hubMaterial);
+  const crossSpoke = spoke.clone();
+  crossSpoke.rotation.x = Math.PI / 2;
+  wheel.add(tyre, spoke, crossSpoke);
+  return wheel;
+}
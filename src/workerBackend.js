@@ -0,0 +1,464 @@
+// src/workerBackend.js
+import * as CANNON from 'cannon-es';
+import { PhysicsBackend, ProxyBody, ProxyHinge, ProxyVehicle } from './physicsBackend.js';
+import { startPhysicsWorker } from './startPhysicsWorker.js';
+
+// Floats per body in a state message: position, quaternion, velocity, angular velocity.
+export const STATE_STRIDE = 13;
+// Floats per contact: point, normal, impulse.
+export const CONTACT_STRIDE = 7;
+// Floats per vehicle wheel: suspension length, id of the body under it (0 for none).
+export const WHEEL_STRIDE = 2;
+// Wheel options that are vectors; the rest are numbers.
+const WHEEL_VECTORS = ['chassisConnectionPointLocal', 'directionLocal', 'axleLocal'];
+const WHEEL_OPTIONS = [
+  ...WHEEL_VECTORS, 'suspensionRestLength', 'maxSuspensionTravel', 'radius', 'suspensionStiffness',
+  'dampingCompression', 'dampingRelaxation', 'maxSuspensionForce', 'frictionSlip', 'rollInfluence'
+];
+
+const toArray = (v) => (v.w !== undefined ? [v.x, v.y, v.z, v.w] : [v.x, v.y, v.z]);
+
+const TYPE_NAMES = {
+  [CANNON.Body.DYNAMIC]: 'dynamic',
+  [CANNON.Body.STATIC]: 'static',
+  [CANNON.Body.KINEMATIC]: 'kinematic'
+};
+
+/**
+ * Turns a shape into plain data that can be posted to the worker. Cylinders
+ * travel as the convex polyhedron they are built from.
+ */
+export function serializeShape(shape) {
+  if (shape instanceof CANNON.Box) {
+    return { kind: 'box', halfExtents: toArray(shape.halfExtents) };
+  }
+  if (shape instanceof CANNON.Sphere) {
+    return { kind: 'sphere', radius: shape.radius };
+  }
+  if (shape instanceof CANNON.ConvexPolyhedron) {
+    return { kind: 'convex', vertices: shape.vertices.map(toArray), faces: shape.faces };
+  }
+  if (shape instanceof CANNON.Heightfield) {
+    return { kind: 'heightfield', data: shape.data, elementSize: shape.elementSize };
+  }
+  if (shape instanceof CANNON.Plane) {
+    return { kind: 'plane' };
+  }
+  throw new Error(`worker: cannot send shape type ${shape.type}`);
+}
+
+const serializeMaterial = (material) => (material ? { id: material.id, name: material.name } : null);
+
+/**
+ * Body on the main thread. Its state is copied from the worker's results and
+ * its writes are posted back as inputs on the next frame.
+ */
+export class WorkerBody extends ProxyBody {
+  constructor(physics, options) {
+    super(options);
+    this.physics = physics;
+    this.id = physics.nextId++;
+    this.added = false;
+  }
+
+  onShapeAdded(index) {
+    if (!this.added) return;
+    this.physics.commands.push({ op: 'addShape', id: this.id, ...this.serializeShapeAt(index) });
+  }
+
+  serializeShapeAt(index) {
+    return {
+      shape: serializeShape(this.shapes[index]),
+      offset: toArray(this.shapeOffsets[index]),
+      orientation: toArray(this.shapeOrientations[index])
+    };
+  }
+
+  serialize() {
+    return {
+      id: this.id,
+      mass: this.mass,
+      type: TYPE_NAMES[this.type],
+      material: serializeMaterial(this.material),
+      linearDamping: this.linearDamping,
+      angularDamping: this.angularDamping,
+      fixedRotation: this.fixedRotation,
+      collisionResponse: this.collisionResponse,
+      collisionFilterGroup: this.collisionFilterGroup,
+      collisionFilterMask: this.collisionFilterMask,
+      allowSleep: this.allowSleep,
+      sleepSpeedLimit: this.sleepSpeedLimit,
+      sleepTimeLimit: this.sleepTimeLimit,
+      position: toArray(this.position),
+      quaternion: toArray(this.quaternion),
+      velocity: toArray(this.velocity),
+      angularVelocity: toArray(this.angularVelocity),
+      shapes: this.shapes.map((shape, index) => this.serializeShapeAt(index))
+    };
+  }
+
+  // Collects this frame's writes, or null when there are none.
+  takeInput() {
+    const input = { id: this.id };
+    let changed = false;
+    ['position', 'quaternion', 'velocity', 'angularVelocity'].forEach(property => {
+      if (this.hasChanged(property)) {
+        input[property] = toArray(this[property]);
+        changed = true;
+      }
+    });
+    if (this.force.lengthSquared() > 0 || this.torque.lengthSquared() > 0) {
+      input.force = toArray(this.force);
+      input.torque = toArray(this.torque);
+      changed = true;
+    }
+    if (this.linearDamping !== this.sentDamping[0] || this.angularDamping !== this.sentDamping[1]) {
+      input.linearDamping = this.linearDamping;
+      input.angularDamping = this.angularDamping;
+      changed = true;
+    }
+    this.sentDamping = [this.linearDamping, this.angularDamping];
+    this.force.setZero();
+    this.torque.setZero();
+    this.markSynced();
+    return changed ? input : null;
+  }
+
+  // Properties written since the last post keep the scene's value until it reaches the worker.
+  applyState(state, offset) {
+    const read = (start, count) => {
+      const values = state.subarray(offset + start, offset + start + count);
+      return { x: values[0], y: values[1], z: values[2], w: values[3] };
+    };
+    const keep = {};
+    ['position', 'quaternion', 'velocity', 'angularVelocity'].forEach(property => {
+      if (this.hasChanged(property)) keep[property] = this[property].clone();
+    });
+    this.setState(read(0, 3), read(3, 4), read(7, 3), read(10, 3));
+    Object.keys(keep).forEach(property => this[property].copy(keep[property]));
+  }
+}
+
+/**
+ * Hinge on the main thread; motor changes are forwarded to the worker.
+ */
+export class WorkerHinge extends ProxyHinge {
+  constructor(physics, bodyA, bodyB, options = {}) {
+    super(bodyA, bodyB, options);
+    this.physics = physics;
+    this.id = physics.nextId++;
+    this.stiffness = options.stiffness;
+    this.relaxation = options.relaxation;
+    this.added = false;
+  }
+
+  serialize() {
+    return {
+      id: this.id,
+      bodyA: this.bodyA.id,
+      bodyB: this.bodyB.id,
+      options: {
+        pivotA: toArray(this.pivotA),
+        pivotB: toArray(this.pivotB),
+        axisA: toArray(this.axisA),
+        axisB: toArray(this.axisB),
+        maxForce: this.maxForce,
+        collideConnected: this.collideConnected,
+        stiffness: this.stiffness,
+        relaxation: this.relaxation
+      },
+      motor: this.serializeMotor()
+    };
+  }
+
+  serializeMotor() {
+    return { enabled: this.motorEnabled, speed: this.motorSpeed, maxForce: this.motorMaxForce };
+  }
+
+  updateMotor() {
+    if (!this.added) return;
+    this.physics.commands.push({ op: 'motor', id: this.id, ...this.serializeMotor() });
+  }
+}
+
+/**
+ * Vehicle on the main thread. Its wheels' controls are posted every frame and
+ * their suspension and ground come back with the bodies' state.
+ */
+export class WorkerVehicle extends ProxyVehicle {
+  constructor(physics, options) {
+    super(options);
+    this.physics = physics;
+    this.id = physics.nextId++;
+  }
+
+  serialize() {
+    return {
+      id: this.id,
+      chassis: this.chassisBody.id,
+      axes: [this.indexRightAxis, this.indexUpAxis, this.indexForwardAxis],
+      wheels: this.wheelInfos.map(wheel => {
+        const options = {};
+        WHEEL_OPTIONS.forEach(name => {
+          options[name] = WHEEL_VECTORS.includes(name) ? toArray(wheel[name]) : wheel[name];
+        });
+        return options;
+      })
+    };
+  }
+
+  takeInput() {
+    return {
+      id: this.id,
+      wheels: this.wheelInfos.map(({ steering, engineForce, brake, frictionSlip }) => [steering, engineForce, brake, frictionSlip])
+    };
+  }
+
+  applyState(data, offset) {
+    this.wheelInfos.forEach((wheel, i) => {
+      const k = offset + i * WHEEL_STRIDE;
+      this.setWheelState(i, data[k], this.physics.bodiesById.get(data[k + 1]) || null);
+    });
+  }
+}
+
+/**
+ * Runs another backend inside a Web Worker (see physicsWorker.js) so the
+ * simulation does not hold up rendering.
+ *
+ * Building the scene queues commands; each step posts them together with the
+ * bodies' writes and the number of fixed steps owed, and the worker answers
+ * with every body's state in a transferred Float32Array. Results are one
+ * frame behind, and 'preStep' fires once per post rather than once per fixed
+ * step, so inputs hold for every step of that post.
+ */
+export class WorkerPhysics extends PhysicsBackend {
+  static async create({ backend = 'cannon', timeStep } = {}) {
+    const worker = startPhysicsWorker();
+    const physics = new WorkerPhysics(worker);
+    worker.postMessage({ type: 'init', backend, timeStep });
+    await physics.waitForMessage('ready');
+    return physics;
+  }
+
+  constructor(worker) {
+    super('worker');
+    this.worker = worker;
+    this.gravity = new CANNON.Vec3(0, -9.82, 0);
+    this.bodies = [];
+    this.bodiesById = new Map();
+    this.constraints = [];
+    this.vehicles = [];
+    this.commands = [];
+    this.nextId = 1;
+    this.dt = -1;
+    this.time = 0;
+    this.accumulator = 0;
+    this.pendingSteps = 0;
+    this.awaitingState = false;
+    this.contacts = [];
+    this.contactsRequested = false;
+    this.worker.addEventListener('message', (event) => this.onMessage(event.data));
+    this.worker.addEventListener('error', (event) => console.error('Physics worker error:', event.message));
+  }
+
+  // Rejects if the worker reports an error first.
+  waitForMessage(type) {
+    return new Promise((resolve, reject) => {
+      const listener = (event) => {
+        if (event.data.type !== type && event.data.type !== 'error') return;
+        this.worker.removeEventListener('message', listener);
+        if (event.data.type === 'error') {
+          reject(new Error(`Physics worker failed: ${event.data.message}`));
+        } else {
+          resolve(event.data);
+        }
+      };
+      this.worker.addEventListener('message', listener);
+    });
+  }
+
+  onMessage(message) {
+    if (message.type === 'error') {
+      // No state is coming for the frame that failed; the next step posts a new one.
+      console.error('Physics worker frame failed:', message.message);
+      this.awaitingState = false;
+      return;
+    }
+    if (message.type !== 'state') return;
+    const { ids, state } = message;
+    for (let k = 0; k < ids.length; k++) {
+      const body = this.bodiesById.get(ids[k]);
+      if (body) body.applyState(state, k * STATE_STRIDE);
+    }
+    if (message.vehicles) {
+      this.readVehicles(message.vehicles);
+    }
+    if (message.contacts) {
+      this.contacts = this.readContacts(message.contacts);
+    }
+    this.awaitingState = false;
+    this.dispatchEvent({ type: 'postStep' });
+  }
+
+  // Wheels come vehicle after vehicle, in the order of their ids.
+  readVehicles({ ids, data }) {
+    let offset = 0;
+    ids.forEach(id => {
+      const vehicle = this.vehicles.find(v => v.id === id);
+      if (!vehicle) return;
+      vehicle.applyState(data, offset);
+      offset += vehicle.wheelInfos.length * WHEEL_STRIDE;
+    });
+  }
+
+  // Contacts come as pairs of body ids plus a point, a normal and an impulse per contact.
+  readContacts({ ids, data }) {
+    const contacts = [];
+    for (let k = 0; k < ids.length / 2; k++) {
+      const bodyA = this.bodiesById.get(ids[2 * k]);
+      const bodyB = this.bodiesById.get(ids[2 * k + 1]);
+      if (!bodyA || !bodyB) continue;
+      const d = data.subarray(CONTACT_STRIDE * k, CONTACT_STRIDE * (k + 1));
+      contacts.push({
+        bodyA,
+        bodyB,
+        point: new CANNON.Vec3(d[0], d[1], d[2]),
+        normal: new CANNON.Vec3(d[3], d[4], d[5]),
+        impulse: d[6]
+      });
+    }
+    return contacts;
+  }
+
+  // The worker only sends contacts when asked, so these are the ones from the
+  // post after the previous call.
+  getContacts() {
+    this.contactsRequested = true;
+    return this.contacts;
+  }
+
+  createBody(options) {
+    return new WorkerBody(this, options);
+  }
+
+  createHinge(bodyA, bodyB, options) {
+    return new WorkerHinge(this, bodyA, bodyB, options);
+  }
+
+  createRaycastVehicle(options) {
+    return new WorkerVehicle(this, options);
+  }
+
+  addContactMaterial(materialA, materialB, options = {}) {
+    this.commands.push({
+      op: 'contactMaterial',
+      materialA: serializeMaterial(materialA),
+      materialB: serializeMaterial(materialB),
+      options
+    });
+  }
+
+  configureSolver(options) {
+    this.commands.push({ op: 'solver', options });
+  }
+
+  updateHeightfield(body, shape, changes) {
+    // Keep the local copy current too: the terrain samples heights from it.
+    changes.forEach(({ i, j, height }) => {
+      shape.data[i][j] = height;
+    });
+    this.commands.push({ op: 'heightfield', id: body.id, shapeIndex: body.shapes.indexOf(shape), changes });
+    this.dispatchEvent({ type: 'heightfieldChanged', body, shape });
+  }
+
+  addBody(body) {
+    if (body.added) return;
+    body.added = true;
+    body.sentDamping = [body.linearDamping, body.angularDamping];
+    this.commands.push({ op: 'addBody', body: body.serialize() });
+    body.markSynced();
+    this.bodies.push(body);
+    this.bodiesById.set(body.id, body);
+  }
+
+  removeBody(body) {
+    const index = this.bodies.indexOf(body);
+    if (index === -1) return;
+    this.commands.push({ op: 'removeBody', id: body.id });
+    this.constraints = this.constraints.filter(c => c.bodyA !== body && c.bodyB !== body);
+    this.vehicles = this.vehicles.filter(vehicle => vehicle.chassisBody !== body);
+    body.added = false;
+    this.bodies.splice(index, 1);
+    this.bodiesById.delete(body.id);
+  }
+
+  addConstraint(constraint) {
+    constraint.added = true;
+    this.commands.push({ op: 'addConstraint', constraint: constraint.serialize() });
+    this.constraints.push(constraint);
+  }
+
+  removeConstraint(constraint) {
+    const index = this.constraints.indexOf(constraint);
+    if (index === -1) return;
+    this.commands.push({ op: 'removeConstraint', id: constraint.id });
+    constraint.added = false;
+    this.constraints.splice(index, 1);
+  }
+
+  addVehicle(vehicle) {
+    this.commands.push({ op: 'addVehicle', vehicle: vehicle.serialize() });
+    this.vehicles.push(vehicle);
+  }
+
+  removeVehicle(vehicle) {
+    const index = this.vehicles.indexOf(vehicle);
+    if (index === -1) return;
+    this.commands.push({ op: 'removeVehicle', id: vehicle.id });
+    this.vehicles.splice(index, 1);
+  }
+
+  post() {
+    this.dispatchEvent({ type: 'preStep' });
+    const inputs = [];
+    this.bodies.forEach(body => {
+      const input = body.takeInput();
+      if (input) inputs.push(input);
+    });
+    this.worker.postMessage({
+      type: 'frame',
+      commands: this.commands,
+      inputs,
+      vehicles: this.vehicles.map(vehicle => vehicle.takeInput()),
+      steps: this.pendingSteps,
+      dt: this.dt,
+      gravity: toArray(this.gravity),
+      contacts: this.contactsRequested
+    });
+    this.commands = [];
+    this.contactsRequested = false;
+    this.pendingSteps = 0;
+    this.awaitingState = true;
+  }
+
+  step(dt, timeSinceLastCalled, maxSubSteps = 10) {
+    this.dt = dt;
+    if (timeSinceLastCalled === undefined) {
+      this.pendingSteps++;
+      this.time += dt;
+    } else {
+      this.accumulator += timeSinceLastCalled;
+      const steps = Math.min(Math.floor(this.accumulator / dt), maxSubSteps);
+      this.accumulator = (this.accumulator - steps * dt) % dt;
+      // A worker that falls behind drops time instead of building up a backlog.
+      this.pendingSteps = Math.min(this.pendingSteps + steps, maxSubSteps);
+      this.time += timeSinceLastCalled;
+    }
+    if (this.pendingSteps > 0 && !this.awaitingState) {
+      this.post();
+    }
+    const t = timeSinceLastCalled === undefined ? 1 : this.accumulator / dt;
+    this.bodies.forEach(body => body.interpolate(t));
+  }
+}
@@ -0,0 +1,47 @@
+// src/workerBackend.test.js
+import { WorkerPhysics } from './workerBackend.js';
+
+// The tests hand WorkerPhysics a FakeWorker rather than start one.
+jest.mock('./startPhysicsWorker.js', () => ({ startPhysicsWorker: jest.fn() }));
+
+// Stands in for the Web Worker: records what is posted to it and replies on demand.
+class FakeWorker extends EventTarget {
+  constructor() {
+    super();
+    this.posted = [];
+  }
+
+  postMessage(message) {
+    this.posted.push(message);
+  }
+
+  reply(data) {
+    this.dispatchEvent(new MessageEvent('message', { data }));
+  }
+}
+
+test('a frame the worker fails on is reported and the next step posts again', () => {
+  const worker = new FakeWorker();
+  const physics = new WorkerPhysics(worker);
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  physics.step(1 / 60);
+  expect(physics.awaitingState).toBe(true);
+  worker.reply({ type: 'error', message: 'step exploded' });
+  expect(physics.awaitingState).toBe(false);
+  expect(error).toHaveBeenCalledWith('Physics worker frame failed:', 'step exploded');
+
+  physics.step(1 / 60);
+  expect(worker.posted.filter(message => message.type === 'frame')).toHaveLength(2);
+  error.mockRestore();
+});
+
+test('waiting for a message rejects when the worker reports an error', async () => {
+  const worker = new FakeWorker();
+  const physics = new WorkerPhysics(worker);
+  const ready = physics.waitForMessage('ready');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  worker.reply({ type: 'error', message: 'no wasm' });
+  await expect(ready).rejects.toThrow('no wasm');
+  console.error.mockRestore();
+});
@@ -0,0 +1,193 @@
+// src/worldStreaming.js
+
+// Distance from (x, z) to a rectangle { minX, minZ, maxX, maxZ }; zero inside it.
+function distanceToBounds(x, z, { minX, minZ, maxX, maxZ }) {
+  const dx = Math.max(minX - x, 0, x - maxX);
+  const dz = Math.max(minZ - z, 0, z - maxZ);
+  return Math.hypot(dx, dz);
+}
+
+/**
+ * Distance from (x, z) to the segment from start to end, in the ground plane.
+ * Useful as an area's distance function for long, thin things such as bridges.
+ */
+export function distanceToSegment(x, z, start, end) {
+  const dx = end.x - start.x;
+  const dz = end.z - start.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((x - start.x) * dx + (z - start.z) * dz) / lengthSq)) : 0;
+  return Math.hypot(x - (start.x + t * dx), z - (start.z + t * dz));
+}
+
+// Smallest distance(x, z) over the focus points.
+function nearest(points, distance) {
+  return Math.min(...points.map(({ x, z }) => distance(x, z)));
+}
+
+function boundsOverlap(a, b) {
+  return a.minX < b.maxX && a.maxX > b.minX && a.minZ < b.maxZ && a.maxZ > b.minZ;
+}
+
+/**
+ * Runs create() and collects what it added to the scene and the physics world,
+ * so that it can all be taken out again with removeAdditions.
+ */
+function captureAdditions(scene, physicsWorld, create) {
+  const objectsBefore = new Set(scene.children);
+  const bodiesBefore = new Set(physicsWorld.bodies);
+  const constraintsBefore = new Set(physicsWorld.constraints);
+  const result = create();
+  return {
+    result,
+    objects: scene.children.filter(object => !objectsBefore.has(object)),
+    bodies: physicsWorld.bodies.filter(body => !bodiesBefore.has(body)),
+    constraints: physicsWorld.constraints.filter(constraint => !constraintsBefore.has(constraint))
+  };
+}
+
+function removeAdditions(scene, physicsWorld, { objects, bodies, constraints }) {
+  constraints.forEach(constraint => physicsWorld.removeConstraint(constraint));
+  bodies.forEach(body => physicsWorld.removeBody(body));
+  objects.forEach(object => {
+    scene.remove(object);
+    object.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach(material => material && material.dispose());
+    });
+  });
+}
+
+/**
+ * Loads the world around the vehicles and unloads what is far away, so the map
+ * can grow without the startup time and memory growing with it.
+ *
+ * The ground is a createTerrainChunks terrain, loaded tile by tile. Everything
+ * else is registered as an area: a bounding rectangle and a create() function
+ * that builds it the usual way (scenery, a neighbourhood, the village). An
+ * area is built when a focus point comes within loadRadius of its bounds, and
+ * removed, with its physics bodies, beyond unloadRadius. Areas are rebuilt
+ * from scratch on the next visit, so their create() must be repeatable: give
+ * it a random.fork() made inside create(), which restarts the same sequence.
+ *
+ * Loading is spread over frames (loadsPerUpdate tiles or areas per update),
+ * nearest first.
+ */
+export class WorldStreamer {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {PhysicsBackend} physicsWorld
+   * @param {Object} terrain - From createTerrainChunks
+   * @param {Object} [options]
+   * @param {number} [options.loadRadius] - Metres from a focus point within which things load
+   * @param {number} [options.unloadRadius] - Metres beyond which they unload (keep it above loadRadius)
+   * @param {number} [options.loadsPerUpdate] - Tiles or areas loaded per update
+   */
+  constructor(scene, physicsWorld, terrain, { loadRadius = 150, unloadRadius = 250, loadsPerUpdate = 1 } = {}) {
+    this.scene = scene;
+    this.physicsWorld = physicsWorld;
+    this.terrain = terrain;
+    this.loadRadius = loadRadius;
+    this.unloadRadius = unloadRadius;
+    this.loadsPerUpdate = loadsPerUpdate;
+    this.areas = [];
+  }
+
+  /**
+   * @param {Object} area
+   * @param {string} area.name
+   * @param {Object} area.bounds - { minX, minZ, maxX, maxZ }
+   * @param {Function} area.create - Builds the area; its return value is kept as area.result
+   * @param {Function} [area.distance] - (x, z) => metres to the area, for shapes a rectangle
+   *   fits badly; the bounds are used otherwise
+   * @param {boolean} [area.replacesTerrain] - The area brings its own ground, so no terrain
+   *   tiles are loaded where they would overlap its bounds
+   * @returns {Object} The area; area.loaded tells whether it is currently built
+   */
+  addArea({ name, bounds, create, distance, replacesTerrain = false }) {
+    const area = {
+      name,
+      bounds,
+      create,
+      replacesTerrain,
+      distanceTo: distance || ((x, z) => distanceToBounds(x, z, bounds)),
+      loaded: false,
+      result: null,
+      additions: null
+    };
+    this.areas.push(area);
+    return area;
+  }
+
+  tileBounds(ix, iz) {
+    const half = this.terrain.tileSize / 2;
+    const x = ix * this.terrain.tileSize;
+    const z = iz * this.terrain.tileSize;
+    return { minX: x - half, minZ: z - half, maxX: x + half, maxZ: z + half };
+  }
+
+  /**
+   * @param {Array<Object>} points - Positions ({ x, z }) to keep the world loaded around,
+   *   e.g. every vehicle, so a parked machine keeps the ground under it
+   * @param {number} [budget] - Loads allowed this call; pass Infinity to load everything in range at once
+   */
+  update(points, budget = this.loadsPerUpdate) {
+    const pending = [];
+
+    // Terrain tiles in range.
+    const tileSize = this.terrain.tileSize;
+    const wanted = new Set();
+    points.forEach(({ x, z }) => {
+      const reach = Math.ceil(this.loadRadius / tileSize);
+      const cx = Math.round(x / tileSize);
+      const cz = Math.round(z / tileSize);
+      for (let ix = cx - reach; ix <= cx + reach; ix++) {
+        for (let iz = cz - reach; iz <= cz + reach; iz++) {
+          const key = `${ix},${iz}`;
+          if (wanted.has(key) || this.terrain.tiles.has(key)) continue;
+          const bounds = this.tileBounds(ix, iz);
+          const distance = nearest(points, (px, pz) => distanceToBounds(px, pz, bounds));
+          if (distance > this.loadRadius) continue;
+          if (this.areas.some(area => area.replacesTerrain && boundsOverlap(area.bounds, bounds))) continue;
+          wanted.add(key);
+          pending.push({ distance, load: () => this.terrain.loadTile(ix, iz) });
+        }
+      }
+    });
+    this.terrain.tiles.forEach(tile => {
+      const { ix, iz } = tile.tileIndex;
+      const bounds = this.tileBounds(ix, iz);
+      if (nearest(points, (px, pz) => distanceToBounds(px, pz, bounds)) > this.unloadRadius) {
+        this.terrain.unloadTile(ix, iz);
+      }
+    });
+
+    // Areas.
+    this.areas.forEach(area => {
+      const distance = nearest(points, area.distanceTo);
+      if (!area.loaded && distance <= this.loadRadius) {
+        pending.push({ distance, load: () => this.loadArea(area) });
+      } else if (area.loaded && distance > this.unloadRadius) {
+        this.unloadArea(area);
+      }
+    });
+
+    pending
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, budget)
+      .forEach(({ load }) => load());
+  }
+
+  loadArea(area) {
+    area.additions = captureAdditions(this.scene, this.physicsWorld, area.create);
+    area.result = area.additions.result;
+    area.loaded = true;
+  }
+
+  unloadArea(area) {
+    removeAdditions(this.scene, this.physicsWorld, area.additions);
+    area.additions = null;
+    area.result = null;
+    area.loaded = false;
+  }
+}
@@ -0,0 +1,87 @@
+// src/worldStreaming.test.js
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { initPhysics } from './physics.js';
+import { getMaterial } from './materials.js';
+import { createTerrainChunks } from './terrain.js';
+import { WorldStreamer, distanceToSegment } from './worldStreaming.js';
+
+async function createWorld(options) {
+  const scene = new THREE.Scene();
+  const physicsWorld = await initPhysics();
+  const terrain = createTerrainChunks(scene, physicsWorld, getMaterial(physicsWorld, 'soil'), { tileSize: 20, segments: 10 });
+  const streamer = new WorldStreamer(scene, physicsWorld, terrain, { loadRadius: 15, unloadRadius: 35, ...options });
+  return { scene, physicsWorld, terrain, streamer };
+}
+
+const tileKeys = (terrain) => Array.from(terrain.tiles.keys()).sort();
+
+test('tiles load nearest first within the budget and unload when left behind', async () => {
+  const { terrain, streamer } = await createWorld();
+  streamer.update([{ x: 0, z: 0 }]);
+  expect(tileKeys(terrain)).toEqual(['0,0']);
+  streamer.update([{ x: 0, z: 0 }], Infinity);
+  expect(terrain.tiles.size).toBe(9);
+
+  streamer.update([{ x: 200, z: 0 }], 0);
+  expect(terrain.tiles.size).toBe(0);
+});
+
+test('a dug tile keeps its heights when it is unloaded and loaded again', async () => {
+  const { terrain } = await createWorld();
+  terrain.loadTile(0, 0);
+  terrain.loadTile(1, 0);
+  const original = terrain.getHeight(4, 4);
+  expect(terrain.lowerTo(4, 4, 3, original - 1)).toBeGreaterThan(0);
+
+  terrain.unloadTile(0, 0);
+  expect(terrain.getHeight(4, 4)).toBeCloseTo(original);
+  terrain.loadTile(0, 0);
+  expect(terrain.getHeight(4, 4)).toBeCloseTo(original - 1);
+  expect(terrain.getOriginalHeight(4, 4)).toBeCloseTo(original);
+});
+
+test('digging across a tile edge keeps the two tiles joined', async () => {
+  const { terrain } = await createWorld();
+  const left = terrain.loadTile(0, 0);
+  const right = terrain.loadTile(1, 0);
+  terrain.lowerTo(9, 0, 3, terrain.getHeight(9, 0) - 1);
+  // The edge at x = 10 is column 10 of the left tile and column 0 of the right one.
+  expect(right.heightData[0]).toEqual(left.heightData[10]);
+});
+
+test('areas are built in range and taken out again with their bodies', async () => {
+  const { scene, physicsWorld, terrain, streamer } = await createWorld();
+  const area = streamer.addArea({
+    name: 'yard',
+    bounds: { minX: 30, minZ: -5, maxX: 40, maxZ: 5 },
+    replacesTerrain: true,
+    create: () => {
+      const body = physicsWorld.createBody({ mass: 0 });
+      body.addShape(physicsWorld.createBox(new CANNON.Vec3(1, 1, 1)));
+      physicsWorld.addBody(body);
+      scene.add(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshBasicMaterial()));
+      return body;
+    }
+  });
+  const bodies = physicsWorld.bodies.length;
+
+  streamer.update([{ x: 30, z: 0 }], Infinity);
+  expect(area.loaded).toBe(true);
+  expect(physicsWorld.bodies).toContain(area.result);
+  // The yard brings its own ground over the tile it overlaps.
+  expect(terrain.tiles.has('2,0')).toBe(false);
+
+  const objects = scene.children.length;
+  streamer.update([{ x: -100, z: 0 }], 0);
+  expect(area.loaded).toBe(false);
+  expect(physicsWorld.bodies.length).toBe(bodies);
+  expect(scene.children.length).toBeLessThan(objects);
+});
+
+test('distances to a segment are measured from its nearest point', () => {
+  const start = { x: 0, z: 0 };
+  const end = { x: 10, z: 0 };
+  expect(distanceToSegment(5, 3, start, end)).toBeCloseTo(3);
+  expect(distanceToSegment(-4, 3, start, end)).toBeCloseTo(5);
+});